@@ -0,0 +1,197 @@
+/* ============================================
+   ALERT RULES — Local Alerts During a Scan
+
+   Evaluates owner-configurable rules against every analyzed
+   frame and reports a hit when a condition has held long
+   enough, e.g.:
+
+   - whining or howling for more than 30 s
+   - bark rate (BarkAnalysisEngine _quickAssess().barkRate)
+     over 20/min for 2 minutes
+   - primary emotion fearful for 1 minute
+
+   A rule is { id, metric, op, value, forMs, cooldownMs, enabled }.
+   Conditions may drop out for up to GAP_TOLERANCE_MS without
+   ending the run — whining pauses for breath. After a hit the
+   rule stays quiet for cooldownMs, then fires again if the
+   condition still holds (or holds again for forMs), so a dog
+   howling for an hour raises one alert per cooldown, not one
+   per frame.
+
+   Only evaluates and records. Delivery (in-app banner,
+   vibration, notifications) is the app's job.
+   ============================================ */
+
+var ModuleRegistry = ModuleRegistry || require('./module-registry.js');
+
+class AlertRules {
+    /**
+     * @param {Array} rules - Rule objects (default: AlertRules.DEFAULT_RULES)
+     */
+    constructor(rules) {
+        this.GAP_TOLERANCE_MS = 3000;
+        this.DEFAULT_COOLDOWN_MS = 5 * 60000;
+        this.MAX_HITS = 500;
+
+        // Per-frame readings a rule can test
+        this.METRICS = {
+            vocalType: { label: 'Vocalization', read: f => f.barkAssess ? f.barkAssess.currentType : 'silent' },
+            barkRate: { label: 'Bark rate (/min)', read: f => f.barkAssess ? f.barkAssess.barkRate : 0 },
+            emotion: { label: 'Emotion', read: f => f.dog && f.emotionAssess ? f.emotionAssess.primary : null },
+            pacing: { label: 'Pacing (reversals)', read: f => f.dog && f.emotionAssess && f.emotionAssess.patterns ? f.emotionAssess.patterns.pacing : 0 },
+            dogInView: { label: 'Dog in view', read: f => !!f.dog }
+        };
+        this.OPS = ['in', 'is', '>', '<'];
+
+        this.clearAll();
+        this.setRules(rules || AlertRules.DEFAULT_RULES);
+    }
+
+    /**
+     * Replace the rule set. Invalid rules are dropped with a warning.
+     * Safe mid-scan: the hit log and the state of rules that are kept
+     * (same id) carry over; removed rules' state is dropped.
+     *
+     * @param {Array} rules
+     */
+    setRules(rules) {
+        this.rules = (rules || []).map(r => this._normalize(r)).filter(Boolean);
+        const state = {};
+        this.rules.forEach(r => { if (this.state[r.id]) state[r.id] = this.state[r.id]; });
+        this.state = state;
+    }
+
+    /**
+     * @returns {Array} Copies of the current rules (JSON-safe, for storage)
+     */
+    getRules() {
+        return this.rules.map(r => ({ ...r, value: Array.isArray(r.value) ? r.value.slice() : r.value }));
+    }
+
+    clearAll() {
+        this.startTime = null;
+        this.state = {};    // rule id → { since, lastTrue, lastHit }
+        this.hits = [];
+        this.hitCount = 0;
+    }
+
+    /**
+     * Evaluate every enabled rule against one analyzed frame.
+     *
+     * @param {object} frame - ScanPipeline.processFrame() output
+     * @param {number} timestamp - The frame's time (ms)
+     * @returns {Array} Hits raised by this frame: { ruleId, label, t, scanTime, heldMs, value }
+     */
+    evaluate(frame, timestamp) {
+        if (this.startTime == null) this.startTime = timestamp;
+        const fired = [];
+
+        this.rules.forEach(rule => {
+            if (!rule.enabled) return;
+            const s = this.state[rule.id] || (this.state[rule.id] = { since: null, lastTrue: null, lastHit: null });
+            const value = this.METRICS[rule.metric].read(frame);
+
+            if (this._test(rule, value)) {
+                if (s.since == null || timestamp - s.lastTrue > this.GAP_TOLERANCE_MS) s.since = timestamp;
+                s.lastTrue = timestamp;
+            } else if (s.since != null && timestamp - s.lastTrue > this.GAP_TOLERANCE_MS) {
+                s.since = null;
+            }
+
+            const cooled = s.lastHit == null || timestamp - s.lastHit >= rule.cooldownMs;
+            if (s.since != null && cooled && timestamp - s.since >= rule.forMs) {
+                s.lastHit = timestamp;
+                const hit = {
+                    ruleId: rule.id,
+                    label: this.describe(rule),
+                    t: timestamp,
+                    scanTime: Math.round(timestamp - this.startTime),
+                    heldMs: Math.round(timestamp - s.since),
+                    value
+                };
+                fired.push(hit);
+                this.hitCount++;
+                this.hits.push(hit);
+                if (this.hits.length > this.MAX_HITS) this.hits.shift();
+            }
+        });
+        return fired;
+    }
+
+    /**
+     * @returns {Array} Hits so far this scan (the last MAX_HITS), oldest first
+     */
+    getHits() {
+        return this.hits.slice();
+    }
+
+    /**
+     * Plain-language rule text, e.g. "Whine or howl for 30 s".
+     *
+     * @param {object} rule
+     * @returns {string}
+     */
+    describe(rule) {
+        const held = rule.forMs >= 60000 && rule.forMs % 60000 === 0
+            ? `${rule.forMs / 60000} min` : `${Math.round(rule.forMs / 1000)} s`;
+        switch (rule.metric) {
+            case 'vocalType':
+                return `${this._list(rule.value)} for ${held}`;
+            case 'barkRate':
+                return `Barking ${rule.op === '<' ? 'under' : 'over'} ${rule.value}/min for ${held}`;
+            case 'emotion':
+                return `${this._list(rule.value)} for ${held}`;
+            case 'pacing':
+                return `Pacing for ${held}`;
+            case 'dogInView':
+                return `Dog ${rule.value ? 'in view' : 'out of view'} for ${held}`;
+            default:
+                return rule.id;
+        }
+    }
+
+    // ── Internal ──
+
+    _test(rule, value) {
+        switch (rule.op) {
+            case 'in': return rule.value.includes(value);
+            case 'is': return value === rule.value;
+            case '>': return value > rule.value;
+            case '<': return value < rule.value;
+            default: return false;
+        }
+    }
+
+    _normalize(rule) {
+        if (!rule || !rule.id || !this.METRICS[rule.metric] || !this.OPS.includes(rule.op)) {
+            console.warn('AlertRules: ignoring invalid rule', rule);
+            return null;
+        }
+        const value = rule.op === 'in' ? [].concat(rule.value) : rule.value;
+        return {
+            id: String(rule.id),
+            metric: rule.metric,
+            op: rule.op,
+            value,
+            forMs: Math.max(0, Number(rule.forMs) || 0),
+            cooldownMs: rule.cooldownMs != null ? Math.max(0, Number(rule.cooldownMs)) : this.DEFAULT_COOLDOWN_MS,
+            enabled: rule.enabled !== false
+        };
+    }
+
+    // ['whine', 'howl'] → "Whine or howl"
+    _list(value) {
+        const text = [].concat(value).join(' or ');
+        return text.charAt(0).toUpperCase() + text.slice(1);
+    }
+}
+
+// Rules a new install starts with (setRules() copies them)
+AlertRules.DEFAULT_RULES = [
+    { id: 'whine-howl', metric: 'vocalType', op: 'in', value: ['whine', 'howl'], forMs: 30000, enabled: true },
+    { id: 'bark-rate', metric: 'barkRate', op: '>', value: 20, forMs: 120000, enabled: true },
+    { id: 'fearful', metric: 'emotion', op: 'is', value: 'fearful', forMs: 60000, enabled: true },
+    { id: 'pacing', metric: 'pacing', op: '>', value: 3, forMs: 60000, enabled: false }
+];
+
+ModuleRegistry.expose('AlertRules', AlertRules, typeof module !== 'undefined' ? module : null);
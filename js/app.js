@@ -3,7 +3,7 @@
    Canine Communication & Emotion Translator
    Powered by 369 Energy Engine
 
-   Uses TensorFlow.js COCO-SSD for dog detection
+   Uses a pluggable DogDetector (TensorFlow.js COCO-SSD by default)
    Camera defaults to environment-facing
    Microphone always on for bark analysis
    ============================================ */
@@ -28,7 +28,8 @@ const modeBadge = document.getElementById('modeBadge');
 let running = false;
 let stream = null;
 let modelLoaded = false;
-let cocoModel = null;
+let detector = null;
+let scanGeneration = 0; // worker results for an earlier scan are ignored
 let facingMode = 'environment'; // Default to rear camera for pointing at dogs
 let scanStartTime = null;
 let frameCount = 0;
@@ -38,13 +39,9 @@ let dogDetectionCount = 0;
 let scanMode = 'continuous';
 let scanDurationLimit = 0; // 0 = continuous, else ms
 
-// Detection persistence — keep last known dog box for N frames when detection drops
-let lastDogDetection = null;
-let framesSinceLastDog = 999;
-const DOG_PERSISTENCE_FRAMES = 15; // keep using last box for up to 15 frames (~0.5s)
-
 // Energy tracking for chart
 let energyData = [];
+const ENERGY_CHART_POINTS = 100; // chart shows (and reports keep) the last N frames
 
 // ── Engines ──
 const engine369 = new Engine369();
@@ -53,14 +50,101 @@ const visionAnalyzer = new DogVisionAnalyzer();
 const emotionEngine = new DogEmotionEngine();
 const translator = new CanineTranslator();
 const reportAgent = new ScanReportAgent();
+const pipeline = new ScanPipeline({ engine369, barkEngine, visionAnalyzer, emotionEngine, translator, reportAgent });
 let micAvailable = false;
 
+// On-device storage (IndexedDB) — scan history and dog profiles share one database
+const localDB = LocalDB.isSupported() ? new LocalDB() : null;
+const historyStore = localDB ? new ScanHistoryStore(localDB) : null;
+const profileStore = localDB ? new DogProfileStore(localDB) : null;
+
+// Dog profiles — the selected dog's baseline tunes the engines for the next scan
+let dogProfiles = [];
+let activeDog = null;
+
+// Report export — the report currently on screen, with its scan details
+const reportExport = new ScanReportExport();
+let currentReport = null;
+
+// Owner feedback — thumbs and correct labels, the ground truth for rule changes
+const feedbackStore = localDB ? new FeedbackStore(localDB) : null;
+let shownTranslation = null; // live translation the thumbs currently rate
+
+// Keypoint pose (opt-in) — only with a model configured, see poseModelUrl();
+// without it, posture comes from the bounding box
+const poseEstimator = new DogPoseEstimator();
+
+// Key-moment clips — rolling video buffer, saved around notable actions
+const clipRecorder = ClipRecorder.isSupported() ? new ClipRecorder() : null;
+let clipUrls = [];
+
+// Frame worker — detection + crop capture off the main thread where the
+// browser allows it (?worker=off to keep them on the main thread)
+let frameWorker = FrameWorkerClient.isSupported() &&
+    new URLSearchParams(location.search).get('worker') !== 'off' ? new FrameWorkerClient() : null;
+
+// Battery saver (opt-in) — detection drops to a low rate while the dog is still
+let batterySaver = false;
+const detectionScheduler = new DetectionScheduler();
+
+// Monitoring mode — hours-long separation monitoring, rolled up per minute
+let monitoringSession = null;
+
+// Alerts (opt-in) — owner-configured rules, delivered in-app, by vibration and notification
+const ALERT_RULES_KEY = 'microsenses-alert-rules';
+const alertRules = new AlertRules(loadAlertRules());
+let alertsEnabled = false;
+
+// Webhooks (opt-in) — alert hits and finished scans POSTed to the owner's own URL
+const webhookClient = new WebhookClient();
+
+// Session recording (opt-in) — raw per-frame input for offline replay
+let recordSession = false;
+let sessionLog = null;
+
 // ── Utility ──
 function setStatus(msg, type) {
     statusBar.textContent = msg;
     statusBar.className = 'status-bar ' + type;
 }
 
+// User-entered text (dog names, breeds) and anything read from an imported
+// report file goes into innerHTML templates
+function escapeHtml(text) {
+    return String(text == null ? '' : text)
+        .replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;').replace(/'/g, '&#39;');
+}
+
+// Profile photos are stored as data: URLs — anything else (a report file
+// pointing at a remote image) is not loaded
+function photoSrc(photo) {
+    return typeof photo === 'string' && photo.startsWith('data:image/') ? escapeHtml(photo) : null;
+}
+
+function downloadFile(filename, text, mimeType) {
+    const blob = new Blob([text], { type: mimeType });
+    const url = URL.createObjectURL(blob);
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = filename;
+    document.body.appendChild(a);
+    a.click();
+    a.remove();
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
+// "still 4 fps 41s, active every frame 12s" — time spent at each detection rate
+function formatTimeAtRate(frameRate) {
+    return Object.entries(frameRate.timeAtRate || {})
+        .filter(([, sec]) => sec > 0)
+        .map(([rate, sec]) => {
+            const fps = frameRate.rates ? frameRate.rates[rate] : null;
+            return `${rate} ${fps ? fps + ' fps' : 'every frame'} ${Math.round(sec)}s`;
+        })
+        .join(', ');
+}
+
 function formatTimer(ms) {
     const totalSec = Math.max(0, Math.ceil(ms / 1000));
     const min = Math.floor(totalSec / 60);
@@ -69,18 +153,74 @@ function formatTimer(ms) {
 }
 
 // ── Model Loading ──
-async function loadModels() {
-    setStatus('Loading dog detection model (COCO-SSD)...', 'loading');
+// Detector backend: ?detector=<id> in the URL, else the last one picked
+const DETECTOR_KEY = 'microsenses-detector';
+
+function initialDetectorId() {
+    const fromUrl = new URLSearchParams(location.search).get('detector');
+    const id = fromUrl || localStorage.getItem(DETECTOR_KEY) || 'coco-ssd';
+    return DogDetector.BACKENDS[id] ? id : 'coco-ssd';
+}
+
+async function loadModels(id = initialDetectorId()) {
+    const next = DogDetector.create(id);
+    const select = document.getElementById('detectorSelect');
+    select.value = id;
+    select.disabled = true;
+    btnStart.disabled = true;
+    setStatus(`Loading dog detection model (${DogDetector.BACKENDS[id].label})...`, 'loading');
+
     try {
-        cocoModel = await cocoSsd.load({
-            base: 'mobilenet_v2'
-        });
+        await loadDetector(next);
+        if (detector) detector.dispose();
+        detector = next;
+        pipeline.setDetector(detector);
+        localStorage.setItem(DETECTOR_KEY, id);
         modelLoaded = true;
-        btnStart.disabled = false;
         setStatus('Ready. Point camera at your dog and click Start Scan.', 'ready');
     } catch (err) {
-        setStatus('Model load error: ' + err.message, 'error');
         console.error(err);
+        setStatus('Model load error: ' + err.message + (detector ? ' — still using ' + detector.name : ''), 'error');
+        if (detector) select.value = detector.id;
+    }
+    select.disabled = false;
+    btnStart.disabled = !detector;
+}
+
+// The model runs in the frame worker when there is one; if the worker
+// can't load it, fall back to the main thread for good
+async function loadDetector(next) {
+    if (frameWorker) {
+        try {
+            return await frameWorker.load(next);
+        } catch (err) {
+            console.warn('Frame worker unavailable — detecting on the main thread:', err.message);
+            frameWorker.dispose();
+            frameWorker = null;
+        }
+    }
+    return next.load();
+}
+
+// Pose model: ?poseModel=<url of model.json> in the URL, remembered;
+// ?poseModel=off forgets it. No model ships with the app.
+const POSE_MODEL_KEY = 'microsenses-pose-model';
+
+function poseModelUrl() {
+    const fromUrl = new URLSearchParams(location.search).get('poseModel');
+    if (fromUrl === 'off') localStorage.removeItem(POSE_MODEL_KEY);
+    else if (fromUrl) localStorage.setItem(POSE_MODEL_KEY, fromUrl);
+    return localStorage.getItem(POSE_MODEL_KEY);
+}
+
+async function loadPoseModel() {
+    poseEstimator.modelUrl = poseModelUrl();
+    if (!poseEstimator.modelUrl) return;
+    try {
+        await poseEstimator.load();
+        pipeline.setPoseEstimator(poseEstimator);
+    } catch (err) {
+        console.warn('Pose model not available — posture from bounding box:', err.message);
     }
 }
 
@@ -161,7 +301,7 @@ async function startCamera() {
 }
 
 // ── Drawing: Dog Detection Overlay ──
-function drawDogDetection(prediction) {
+function drawDogDetection(prediction, emotion, label, pose) {
     const [x, y, w, h] = prediction.bbox;
 
     // Get emotion color
@@ -180,8 +320,8 @@ function drawDogDetection(prediction) {
         observing: '#888'
     };
 
-    const color = emotionColors[emotionEngine.primaryEmotion] || '#d4a017';
-    const emotionLabel = emotionEngine.primaryEmotion.toUpperCase();
+    const color = emotionColors[emotion] || '#d4a017';
+    const emotionLabel = (emotion || 'observing').toUpperCase();
 
     // Draw glow aura
     const gradient = ctx.createRadialGradient(
@@ -205,7 +345,7 @@ function drawDogDetection(prediction) {
     // Label
     ctx.fillStyle = color;
     ctx.font = 'bold 14px system-ui';
-    ctx.fillText(`DOG [${emotionLabel}]`, x + 4, y - 8);
+    ctx.fillText(`${label} [${emotionLabel}]`, x + 4, y - 8);
 
     // Confidence
     const confText = `${Math.round(prediction.score * 100)}%`;
@@ -215,6 +355,65 @@ function drawDogDetection(prediction) {
     ctx.fillRect(x + w - tw - 12, y + h + 4, tw + 8, 18);
     ctx.fillStyle = color;
     ctx.fillText(confText, x + w - tw - 8, y + h + 17);
+
+    if (pose) drawPoseKeypoints(pose, color);
+}
+
+// Skeleton between keypoints the pose model is confident of
+const POSE_BONES = [
+    ['nose', 'withers'], ['leftEar', 'nose'], ['rightEar', 'nose'], ['withers', 'hips'],
+    ['withers', 'frontLeftPaw'], ['withers', 'frontRightPaw'],
+    ['hips', 'rearLeftPaw'], ['hips', 'rearRightPaw'],
+    ['hips', 'tailBase'], ['tailBase', 'tailTip']
+];
+
+function drawPoseKeypoints(pose, color) {
+    const visible = (name) => {
+        const kp = pose.keypoints[name];
+        return kp && kp.score >= poseEstimator.MIN_KEYPOINT_SCORE ? kp : null;
+    };
+
+    ctx.strokeStyle = color + 'aa';
+    ctx.lineWidth = 2;
+    POSE_BONES.forEach(([a, b]) => {
+        const p = visible(a);
+        const q = visible(b);
+        if (!p || !q) return;
+        ctx.beginPath(); ctx.moveTo(p.x, p.y); ctx.lineTo(q.x, q.y); ctx.stroke();
+    });
+
+    ctx.fillStyle = color;
+    Object.keys(pose.keypoints).forEach(name => {
+        const kp = visible(name);
+        if (!kp) return;
+        ctx.beginPath(); ctx.arc(kp.x, kp.y, 4, 0, Math.PI * 2); ctx.fill();
+    });
+}
+
+// ── Live Multi-Dog Readout ──
+// The main panels follow the first dog tracked; this lists every dog
+// in frame plus the latest dog-to-dog signal.
+let lastInteractionText = '';
+
+function updateDogTracksLive(frame) {
+    const el = document.getElementById('dogTracksLive');
+    if (frame.dogs.length < 2) {
+        el.style.display = 'none';
+        return;
+    }
+
+    const verbs = { approach: 'approached', chase: 'is chasing', 'play-bow': 'play-bowed at' };
+    if (frame.interactions.length > 0) {
+        const e = frame.interactions[frame.interactions.length - 1];
+        lastInteractionText = `Dog ${e.from} ${verbs[e.type]} Dog ${e.to}`;
+    }
+
+    let html = frame.dogs.map(d =>
+        `<div><strong>Dog ${d.id}</strong> · ${d.emotionAssess.primary} — ${d.translation && d.translation.message ? d.translation.message : 'Observing...'}</div>`
+    ).join('');
+    if (lastInteractionText) html += `<div class="dog-interaction">\u{1F43E} ${lastInteractionText}</div>`;
+    el.innerHTML = html;
+    el.style.display = 'block';
 }
 
 // ── Drawing: Chart ──
@@ -225,7 +424,7 @@ function drawRealtimeChart() {
 
     if (energyData.length < 2) return;
 
-    const recent = energyData.slice(-100);
+    const recent = energyData.slice(-ENERGY_CHART_POINTS);
     const max = Math.max(...recent.map(d => d.energy), 1);
 
     const gradient = rtCtx.createLinearGradient(0, 0, 0, h);
@@ -434,7 +633,6 @@ async function processFrame() {
         timerValue.textContent = formatTimer(elapsed);
         timerValue.classList.remove('countdown');
     }
-    frameCount++;
 
     try {
         if (video.readyState < 2 || video.videoWidth === 0) {
@@ -447,227 +645,189 @@ async function processFrame() {
             overlay.height = video.videoHeight;
         }
 
-        // Detect objects using COCO-SSD
-        const predictions = await cocoModel.detect(video);
-
-        // Accept "dog" class at lower threshold (0.15)
-        // Also accept "cat" (small dogs get misclassified) and other animals at even lower threshold
-        const DOG_CLASSES = ['dog'];
-        const ANIMAL_FALLBACK = ['cat', 'bear', 'horse', 'cow', 'sheep'];
-        let dogs = predictions.filter(p => DOG_CLASSES.includes(p.class) && p.score > 0.15);
-
-        // If no direct dog detection, check animal fallbacks (COCO-SSD sometimes confuses breeds)
-        if (dogs.length === 0) {
-            const animalFallback = predictions.filter(p => ANIMAL_FALLBACK.includes(p.class) && p.score > 0.25);
-            if (animalFallback.length > 0) {
-                dogs = animalFallback;
-            }
+        // Frames the scheduler skips run no detection; the bark engine keeps
+        // listening on the audio thread, and a vocalization ramps detection up
+        const vocalizing = barkEngine.isActive && barkEngine.isVocalizing();
+        if (!detectionScheduler.isDue(now, vocalizing)) {
+            barkEngine.keepAlive();
+        } else if (frameWorker) {
+            // Detection + crop capture run in the worker; this loop only keeps
+            // drawing. A frame offered while the worker is busy is dropped.
+            if (!frameWorker.busy) detectionScheduler.markRun(now);
+            const generation = scanGeneration;
+            frameWorker.process(video, now, pipeline.trackBoxes()).then(out => {
+                if (!out || !running || generation !== scanGeneration) return;
+                analyzeFrame({
+                    timestamp: now,
+                    predictions: out.predictions,
+                    boxCrops: out.crops,
+                    scene: out.scene,
+                    frameSize: out.frameSize
+                }, elapsed);
+            }).catch(err => console.warn('Frame processing error:', err.message));
+        } else {
+            // Detect objects with the selected backend
+            detectionScheduler.markRun(now);
+            const predictions = await detector.detect(video);
+            analyzeFrame({ timestamp: now, predictions, source: video }, elapsed);
         }
 
-        ctx.clearRect(0, 0, overlay.width, overlay.height);
-
-        // Process bark audio every frame
-        let barkAssess = null;
-        if (barkEngine.isActive) {
-            barkEngine.processAudioFrame();
-            barkAssess = barkEngine._quickAssess();
-        }
+        // Draw chart
+        drawRealtimeChart();
 
-        // Detection persistence: if no dog found this frame, use last known position briefly
-        if (dogs.length === 0 && lastDogDetection && framesSinceLastDog < DOG_PERSISTENCE_FRAMES) {
-            dogs = [lastDogDetection];
-            framesSinceLastDog++;
-        }
+    } catch (err) {
+        console.warn('Frame processing error:', err.message);
+    }
 
-        if (dogs.length > 0) {
-            dogDetectionCount++;
-            framesSinceLastDog = 0;
-
-            // Use the highest-confidence dog detection
-            const dog = dogs.reduce((best, d) => d.score > best.score ? d : best, dogs[0]);
-            lastDogDetection = dog;
-            const [bx, by, bw, bh] = dog.bbox;
-
-            // ── Pixel-Level Vision Analysis ──
-            // FIRST: Analyze actual pixel data within the dog's bounding box
-            // This MUST happen BEFORE emotion processing so the data is available
-            const pixelData = visionAnalyzer.analyze(video, { x: bx, y: by, width: bw, height: bh });
-
-            // Set pixel data BEFORE processing so emotion engine uses it THIS frame
-            emotionEngine.setPixelAnalysis(pixelData);
-
-            // Process through emotion engine with pixel + audio + visual data
-            const emotionAssess = emotionEngine.processFrame(
-                { box: { x: bx, y: by, width: bw, height: bh }, confidence: dog.score },
-                barkAssess
-            );
-
-            // ── 369 Pipeline ──
-            // Phase 3: Creation — raw input
-            //
-            // CRITICAL: Only feed REAL data to the 369 engine.
-            // - Pixel vibration from camera noise is NOT real vibration.
-            //   Only use pixel data when the dog is actually moving (bbSpeed > 3).
-            // - Ambient room audio frequency is NOT dog vocalization.
-            //   Only use audio frequency when the dog is actually vocalizing.
-            //
-            // A sleeping dog has ZERO vibration, ZERO frequency, ZERO energy.
-            const bbSpeed = emotionAssess.movement ? emotionAssess.movement.avgSpeed : 0;
-            const isReallyMoving = bbSpeed > 3; // Bounding box actually changing
-            const isActuallyVocalizing = barkAssess && barkAssess.isVocalizing;
-
-            // Only use pixel vibration when bounding box confirms real movement
-            let realVibration = bbSpeed;
-            if (isReallyMoving) {
-                const pixelVib = pixelData ? pixelData.pixelVibration : 0;
-                realVibration = Math.max(bbSpeed, pixelVib > 10 ? pixelVib : 0);
-            }
+    if (running) requestAnimationFrame(processFrame);
+}
 
-            // Only use audio frequency when the dog is actually vocalizing
-            // Ambient room noise (fan, AC, traffic) is NOT dog communication
-            const realFrequency = isActuallyVocalizing
-                ? (barkAssess.dominantFreq || 0)
-                : 0;
-
-            const creationInput = {
-                movement: {
-                    magnitude: realVibration
-                },
-                audio: {
-                    dominantFreq: realFrequency
-                },
-                timestamp: now
-            };
-            const creation = engine369.processCreation(creationInput);
+// Engines + overlay + panels for one detected frame
+function analyzeFrame(input, elapsed) {
+    frameCount++;
+    ctx.clearRect(0, 0, overlay.width, overlay.height);
 
-            // Phase 6: Harmony — analysis
-            const harmony = engine369.processHarmony(creation, emotionAssess, barkAssess);
+    // Bark audio, dog selection, pixel analysis, emotion, 369 and translation
+    const frame = pipeline.processFrame(input);
+    detectionScheduler.update(frame, input.timestamp);
+    if (monitoringSession) monitoringSession.addFrame(frame, input.timestamp);
+    if (alertsEnabled) alertRules.evaluate(frame, input.timestamp).forEach(hit => raiseAlert(hit, frame));
+    const { dog, predictions, barkAssess, emotionAssess, completion, translation } = frame;
 
-            // Phase 9: Completion — translation
-            const translationInput = {
-                communicating: (barkAssess && barkAssess.isVocalizing) ||
-                               emotionAssess.intensity > 30,
-                channel: barkAssess && barkAssess.isVocalizing ? 'combined' : 'body'
-            };
-            const completion = engine369.processCompletion(harmony, translationInput);
+    if (clipRecorder && clipRecorder.isActive) {
+        frame.keyMoments.forEach(m => clipRecorder.trigger({ ...m, scanTime: Math.round(elapsed) }));
+    }
 
-            // Feed 369 energy/vibration/frequency back into emotion engine
-            // so next frame's emotion assessment uses micro vibration data
-            emotionEngine.setEnergyState({
-                ...completion.metrics,
-                energyTrend: completion.energyTrend
-            });
+    if (dog) {
+        dogDetectionCount++;
 
-            // Generate translation
-            const translation = translator.translate(emotionAssess, barkAssess, completion);
-
-            // Draw detection
-            drawDogDetection(dog);
-
-            // Update UI metrics
-            document.getElementById('rtEmotion').textContent = emotionAssess.primary;
-            document.getElementById('rtEmotion').style.color =
-                ['happy','playful','calm','curious'].includes(emotionAssess.primary) ? '#7cb342' :
-                ['anxious','stressed','fearful','aggressive'].includes(emotionAssess.primary) ? '#f44336' : '#d4a017';
-            document.getElementById('rtConfidence').textContent = emotionAssess.confidence + '%';
-            document.getElementById('rtIntensity').textContent = emotionAssess.intensity + '%';
-
-            // 369 Energy metrics
-            document.getElementById('rtEnergy').textContent = completion.metrics.energy.toFixed(2);
-            document.getElementById('rtVibration').textContent = completion.metrics.vibrationLevel;
-            document.getElementById('rtFrequency').textContent =
-                completion.metrics.frequencyAlignment ? completion.metrics.frequencyAlignment.freq + ' Hz' : '--';
-
-            // Energy chart data
-            energyData.push({ energy: completion.metrics.energy });
-
-            // Translation display
-            if (translation && translation.message) {
-                document.getElementById('translationMessage').textContent = translation.message;
-                document.getElementById('translationScience').textContent = translation.science || '';
-                document.getElementById('translationRecommendation').textContent = translation.recommendation || '';
-                document.getElementById('translationConfidence').textContent =
-                    translation.confidence > 0 ? `Confidence: ${translation.confidence}%` : '';
+        // Draw every tracked dog — numbered when there is more than one
+        const multiDog = frame.dogs.length > 1;
+        frame.dogs.forEach(d => {
+            drawDogDetection(d.dog, d.emotionAssess.primary, multiDog ? `DOG ${d.id}` : 'DOG', d.pose);
+        });
+        updateDogTracksLive(frame);
+
+        // Update UI metrics
+        document.getElementById('rtEmotion').textContent = emotionAssess.primary;
+        document.getElementById('rtEmotion').style.color =
+            ['happy','playful','calm','curious'].includes(emotionAssess.primary) ? '#7cb342' :
+            ['anxious','stressed','fearful','aggressive'].includes(emotionAssess.primary) ? '#f44336' : '#d4a017';
+        document.getElementById('rtConfidence').textContent = emotionAssess.confidence + '%';
+        document.getElementById('rtIntensity').textContent = emotionAssess.intensity + '%';
+
+        // 369 Energy metrics
+        document.getElementById('rtEnergy').textContent = completion.metrics.energy.toFixed(2);
+        document.getElementById('rtVibration').textContent = completion.metrics.vibrationLevel;
+        document.getElementById('rtFrequency').textContent =
+            completion.metrics.frequencyAlignment ? completion.metrics.frequencyAlignment.freq + ' Hz' : '--';
+
+        // Energy chart data
+        energyData.push({ energy: completion.metrics.energy });
+        if (energyData.length > ENERGY_CHART_POINTS) energyData.shift();
+
+        // Translation display
+        if (translation && translation.message) {
+            document.getElementById('translationMessage').textContent = translation.message;
+            document.getElementById('translationScience').textContent = translation.science || '';
+            document.getElementById('translationRecommendation').textContent = translation.recommendation || '';
+            document.getElementById('translationConfidence').textContent =
+                translation.confidence > 0 ? `Confidence: ${translation.confidence}%` : '';
+
+            // New translation — rate it against this frame's features
+            if (feedbackStore && translation !== shownTranslation && translation.code !== 'observing') {
+                shownTranslation = translation;
+                const context = {
+                    features: feedbackStore.frameFeatures(frame),
+                    rulesVersion: emotionEngine.RULES_VERSION,
+                    scanTime: Math.round(elapsed),
+                    dogId: activeDog ? activeDog.id : null
+                };
+                renderFeedbackRow(document.getElementById('translationFeedback'), 'Is this right?',
+                    emotionFeedbackLabels(), label => feedbackStore.rateTranslation(translation, label, context));
             }
+        }
 
-            // Posture display
-            const postureEl = document.getElementById('rtPosture');
-            if (postureEl) postureEl.textContent = emotionAssess.posture || '--';
+        // Posture display
+        const postureEl = document.getElementById('rtPosture');
+        if (postureEl) postureEl.textContent = emotionAssess.posture || '--';
 
-            // Detected Signals panel
-            const sigEl = document.getElementById('signalsContent');
-            if (sigEl && emotionAssess.detectedSignals && emotionAssess.detectedSignals.length > 0) {
-                document.getElementById('signalsPanel').style.display = 'block';
-                let sigHtml = '';
-                emotionAssess.detectedSignals.forEach(s => {
-                    const iconMap = { posture: '\u{1F9CD}', movement: '\u{1F3C3}', pattern: '\u{1F50D}', audio: '\u{1F50A}' };
-                    const icon = iconMap[s.type] || '?';
-                    sigHtml += `<div class="signal-item"><span class="sig-icon">${icon}</span><div><div class="sig-signal">${s.signal}</div><div class="sig-detail">${s.detail}</div></div></div>`;
-                });
-                sigEl.innerHTML = sigHtml;
-            }
+        // Detected Signals panel
+        const sigEl = document.getElementById('signalsContent');
+        if (sigEl && emotionAssess.detectedSignals && emotionAssess.detectedSignals.length > 0) {
+            document.getElementById('signalsPanel').style.display = 'block';
+            let sigHtml = '';
+            emotionAssess.detectedSignals.forEach(s => {
+                const iconMap = { posture: '\u{1F9CD}', movement: '\u{1F3C3}', pattern: '\u{1F50D}', audio: '\u{1F50A}' };
+                const icon = iconMap[s.type] || '?';
+                sigHtml += `<div class="signal-item"><span class="sig-icon">${icon}</span><div><div class="sig-signal">${s.signal}</div><div class="sig-detail">${s.detail}</div></div></div>`;
+            });
+            sigEl.innerHTML = sigHtml;
+        }
 
-            // Needs panel
-            const needsEl = document.getElementById('needsContent');
-            if (needsEl && emotionAssess.needs && emotionAssess.needs.length > 0) {
-                document.getElementById('needsPanel').style.display = 'block';
-                let needHtml = '';
-                emotionAssess.needs.forEach(n => {
-                    const urgClass = n.urgency === 'high' ? 'need-high' : n.urgency === 'moderate' ? 'need-mod' : 'need-low';
-                    needHtml += `<div class="need-item ${urgClass}"><div class="need-title">${n.need} <span class="need-urg">${n.urgency.toUpperCase()}</span></div><div class="need-detail">${n.detail}</div><div class="need-science">${n.science}</div></div>`;
-                });
-                needsEl.innerHTML = needHtml;
-            }
+        // Needs panel
+        const needsEl = document.getElementById('needsContent');
+        if (needsEl && emotionAssess.needs && emotionAssess.needs.length > 0) {
+            document.getElementById('needsPanel').style.display = 'block';
+            let needHtml = '';
+            emotionAssess.needs.forEach(n => {
+                const urgClass = n.urgency === 'high' ? 'need-high' : n.urgency === 'moderate' ? 'need-mod' : 'need-low';
+                needHtml += `<div class="need-item ${urgClass}"><div class="need-title">${n.need} <span class="need-urg">${n.urgency.toUpperCase()}</span></div><div class="need-detail">${n.detail}</div><div class="need-science">${n.science}</div></div>`;
+            });
+            needsEl.innerHTML = needHtml;
+        }
 
-            // Confidence explanation
-            const confExpEl = document.getElementById('confidenceExplanation');
-            if (confExpEl && emotionAssess.confidenceExplanation) {
-                confExpEl.textContent = emotionAssess.confidenceExplanation;
-                confExpEl.style.display = 'block';
-            }
+        // Confidence explanation
+        const confExpEl = document.getElementById('confidenceExplanation');
+        if (confExpEl && emotionAssess.confidenceExplanation) {
+            confExpEl.textContent = emotionAssess.confidenceExplanation;
+            confExpEl.style.display = 'block';
+        }
 
-            // K9 Action display
-            updateActionPanel(emotionAssess);
+        // K9 Action display
+        updateActionPanel(emotionAssess);
 
-            // Live Scan Readings — actual measured data
-            updateScanReadings(emotionAssess, barkAssess);
+        // Live Scan Readings — actual measured data
+        updateScanReadings(emotionAssess, barkAssess);
 
-            // Live indicators
-            updateLiveIndicators(emotionAssess, barkAssess, completion);
+        // Live indicators
+        updateLiveIndicators(emotionAssess, barkAssess, completion);
 
+    } else {
+        // No dog detected
+        document.getElementById('rtEmotion').textContent = '--';
+        document.getElementById('rtConfidence').textContent = '--';
+        document.getElementById('rtIntensity').textContent = '--';
+
+        // Show what model IS seeing for debugging
+        const detected = predictions.filter(p => p.score > 0.2).map(p => `${p.class} ${Math.round(p.score * 100)}%`).join(', ');
+
+        if (barkAssess && barkAssess.isVocalizing) {
+            document.getElementById('translationMessage').textContent =
+                'I can hear your dog but can\'t see them. Move the camera closer or adjust the angle.';
+        } else if (detected) {
+            document.getElementById('translationMessage').textContent =
+                'Searching for dog... Move closer, adjust angle, or ensure good lighting. (Seeing: ' + detected + ')';
         } else {
-            // No dog detected
-            framesSinceLastDog++;
-            document.getElementById('rtEmotion').textContent = '--';
-            document.getElementById('rtConfidence').textContent = '--';
-            document.getElementById('rtIntensity').textContent = '--';
-
-            // Show what model IS seeing for debugging
-            const detected = predictions.filter(p => p.score > 0.2).map(p => `${p.class} ${Math.round(p.score * 100)}%`).join(', ');
-
-            if (barkAssess && barkAssess.isVocalizing) {
-                document.getElementById('translationMessage').textContent =
-                    'I can hear your dog but can\'t see them. Move the camera closer or adjust the angle.';
-            } else if (detected) {
-                document.getElementById('translationMessage').textContent =
-                    'Searching for dog... Move closer, adjust angle, or ensure good lighting. (Seeing: ' + detected + ')';
-            } else {
-                document.getElementById('translationMessage').textContent =
-                    'Looking for your dog... Move the camera closer and ensure good lighting.';
-            }
+            document.getElementById('translationMessage').textContent =
+                'Looking for your dog... Move the camera closer and ensure good lighting.';
         }
+    }
 
-        // Update bark status
-        updateBarkStatus(barkAssess);
-
-        // Draw chart
-        drawRealtimeChart();
+    // Update bark status
+    updateBarkStatus(barkAssess);
 
-    } catch (err) {
-        console.warn('Frame processing error:', err.message);
-    }
+    // Capture quality — camera steadiness and light level
+    updateCaptureWarning(frame.scene);
+}
 
-    if (running) requestAnimationFrame(processFrame);
+function updateCaptureWarning(scene) {
+    const el = document.getElementById('cameraWarning');
+    const warnings = [];
+    if (scene && scene.camera.shaky) warnings.push('\u{1F4F3} Camera too shaky \u2014 hold the phone still');
+    if (scene && scene.lighting.low) warnings.push('\u{1F4A1} Low light \u2014 turn on a light');
+    el.textContent = warnings.join(' \u00B7 ');
+    el.style.display = warnings.length > 0 ? 'block' : 'none';
 }
 
 // ── Reset UI Content ──
@@ -690,6 +850,11 @@ function resetUIContent() {
     document.getElementById('translationScience').textContent = '';
     document.getElementById('translationRecommendation').textContent = '';
     document.getElementById('translationConfidence').textContent = '';
+    document.getElementById('translationFeedback').style.display = 'none';
+    shownTranslation = null;
+    document.getElementById('dogTracksLive').innerHTML = '';
+    document.getElementById('dogTracksLive').style.display = 'none';
+    lastInteractionText = '';
 
     // K9 action panel
     document.getElementById('actionPrimary').textContent = 'observing';
@@ -736,6 +901,13 @@ function resetUIContent() {
     document.getElementById('scanFrames').textContent = '--';
     document.getElementById('scanDetections').textContent = '--';
     document.getElementById('scanCycles').textContent = '--';
+    document.getElementById('scanDetector').textContent = '--';
+    document.getElementById('scanFrameRate').textContent = '--';
+    document.getElementById('monitoringReport').innerHTML = '';
+    document.getElementById('alertReport').innerHTML = '';
+
+    // Key-moment clips from the last scan
+    renderKeyMoments([]);
 
     // Timer
     timerValue.textContent = '0:00';
@@ -752,11 +924,17 @@ async function startScan() {
     if (!ok) return;
 
     running = true;
+    scanGeneration++;
+    if (frameWorker) frameWorker.resetStats();
+    // Monitoring runs for hours on a phone — always in battery saver
+    const monitoring = scanMode === 'monitor';
+    detectionScheduler.setEnabled(batterySaver || monitoring);
+    monitoringSession = monitoring ? new MonitoringSession({ barkEngine }) : null;
+    alertRules.clearAll();
+    hideAlertBanner();
     frameCount = 0;
     dogDetectionCount = 0;
     energyData = [];
-    lastDogDetection = null;
-    framesSinceLastDog = 999;
     scanStartTime = performance.now();
 
     // Set scan duration from mode
@@ -765,12 +943,9 @@ async function startScan() {
     else if (scanMode === '60') scanDurationLimit = 60000;
     else scanDurationLimit = 0;
 
-    // Reset all engines
-    engine369.clearAll();
-    barkEngine.clearAll();
-    visionAnalyzer.clearAll();
-    emotionEngine.clearAll();
-    translator.clearAll();
+    // Reset all engines, then tune them to the selected dog
+    pipeline.clearAll();
+    pipeline.applyProfile(activeDog);
 
     // Initialize bark analysis
     if (micAvailable && stream) {
@@ -783,6 +958,34 @@ async function startScan() {
         }
     }
 
+    // Key-moment clips — buffer the camera so a clip can start before the moment
+    if (clipRecorder && stream) {
+        clipRecorder.clearAll();
+        clipRecorder.start(stream);
+    }
+
+    // Session recording — captures raw frame input for offline replay
+    sessionLog = null;
+    pipeline.recorder = null;
+    // Not while monitoring: the log keeps every frame and would grow for hours
+    if (recordSession && !monitoring) {
+        sessionLog = new SessionLog();
+        sessionLog.start({
+            sampleRate: barkEngine.sampleRate,
+            fftSize: barkEngine.fftSize,
+            hopSize: barkEngine.hopSize,
+            cropSize: visionAnalyzer.CROP_SIZE,
+            scanMode,
+            // Thresholds depend on the profile — replay must apply the same one
+            profile: activeDog ? { sizeClass: activeDog.sizeClass, baseline: activeDog.baseline } : null,
+            // Dog filter + the name/version the report records
+            detector: detector.info(),
+            // Replay needs this model passed in to reproduce keypoint postures
+            poseModel: pipeline.poseEstimator ? pipeline.poseEstimator.info() : null
+        });
+        pipeline.recorder = sessionLog;
+    }
+
     // Show UI elements
     document.getElementById('translationPanel').style.display = 'block';
     document.getElementById('emotionMetrics').style.display = 'grid';
@@ -797,12 +1000,14 @@ async function startScan() {
     document.getElementById('needsPanel').style.display = 'block';
     timerSection.style.display = 'block';
     modeBadge.style.display = 'inline-block';
-    modeBadge.textContent = scanDurationLimit > 0 ? `SCANNING ${scanDurationLimit / 1000}s` : 'SCANNING';
+    modeBadge.textContent = monitoring ? 'MONITORING'
+        : scanDurationLimit > 0 ? `SCANNING ${scanDurationLimit / 1000}s` : 'SCANNING';
 
     // Timer mode label
     const timerModeEl = document.getElementById('timerMode');
     if (timerModeEl) {
-        timerModeEl.textContent = scanDurationLimit > 0 ? `${scanDurationLimit / 1000}-second scan` : 'Continuous — press Stop when done';
+        timerModeEl.textContent = monitoring ? 'Monitoring — press Stop when you are back'
+            : scanDurationLimit > 0 ? `${scanDurationLimit / 1000}-second scan` : 'Continuous — press Stop when done';
     }
 
     // Hide scan mode selector during scan
@@ -812,7 +1017,9 @@ async function startScan() {
     btnStop.disabled = false;
     resultsPanel.classList.remove('active');
 
-    setStatus('Scanning... Point camera at your dog', 'scanning');
+    setStatus(monitoring
+        ? 'Monitoring... Leave the phone plugged in and pointed at your dog'
+        : 'Scanning... Point camera at your dog', 'scanning');
     processFrame();
 }
 
@@ -825,6 +1032,11 @@ function stopScan() {
 // ── Complete Scan ──
 function completeScan() {
     running = false;
+    scanGeneration++;
+    document.getElementById('cameraWarning').style.display = 'none';
+
+    // Finish clips before the camera stops (clips still in post-roll are cut short)
+    const clipsReady = clipRecorder && clipRecorder.isActive ? clipRecorder.stop() : Promise.resolve([]);
 
     if (stream) {
         stream.getTracks().forEach(t => t.stop());
@@ -834,20 +1046,14 @@ function completeScan() {
     if (!video.paused) video.pause();
     ctx.clearRect(0, 0, overlay.width, overlay.height);
 
-    // Get final reports before cleanup
-    const emotionReport = emotionEngine.fullAnalysis();
-    const barkReport = barkEngine.fullAnalysis();
-    const translationReport = translator.fullReport();
-    const energyReport = engine369.fullReport();
-    const visionSummary = visionAnalyzer.getSummary();
-
-    // ── SCAN REPORT AGENT ──
-    // Post-process all raw data for coherence and accuracy.
-    // This filters contradictory actions, validates emotions,
-    // and ensures the report matches what the camera actually saw.
-    const agentReport = reportAgent.analyze(
-        emotionReport, barkReport, energyReport, visionSummary
-    );
+    // Get final reports before cleanup (includes the Scan Report Agent pass)
+    const results = pipeline.complete();
+    results.dog = activeDog;
+    results.energyTimeline = energyData.slice(-ENERGY_CHART_POINTS).map(d => d.energy);
+    results.frameRate = detectionScheduler.getReport();
+    results.monitoring = monitoringSession ? monitoringSession.fullReport() : null;
+    results.alerts = alertsEnabled ? alertRules.getHits() : null;
+    monitoringSession = null;
 
     // Clean up bark engine
     barkEngine.destroy();
@@ -860,15 +1066,100 @@ function completeScan() {
     // Show scan mode selector again
     document.getElementById('scanModeSelector').style.display = 'block';
 
-    // Build report
     const elapsed = (performance.now() - scanStartTime) / 1000;
+
+    // Close the session recording
+    pipeline.recorder = null;
+    if (sessionLog) {
+        sessionLog.finish({ durationMs: Math.round(elapsed * 1000), frameCount, dogDetectionCount });
+    }
+    document.getElementById('btnSaveSessionLog').style.display = sessionLog && !sessionLog.isEmpty ? 'inline-block' : 'none';
+
+    const timestamp = Date.now();
+    renderScanResults(results, elapsed, frameCount, dogDetectionCount, {
+        timestamp,
+        scanMode,
+        dog: activeDog
+    });
+    showKeyMomentsWhenReady(clipsReady, timestamp);
+    setStatus('Analysis complete!', 'ready');
+
+    webhookClient.send('scan-complete', webhookClient.scanPayload(results, {
+        timestamp,
+        durationSec: elapsed,
+        frames: frameCount,
+        detections: dogDetectionCount,
+        scanMode,
+        dog: activeDog
+    }));
+
+    // Persist to scan history (async — never blocks the report)
+    if (historyStore) {
+        const saved = historyStore.save(results, {
+            timestamp,
+            durationSec: elapsed,
+            frames: frameCount,
+            detections: dogDetectionCount,
+            scanMode,
+            dog: activeDog
+        });
+        Promise.all([saved, clipsReady])
+            .then(([scanId, clips]) => clips.length > 0 ? historyStore.saveClips(scanId, clips) : null)
+            .catch(err => console.warn('Could not save scan to history:', err));
+    }
+
+    // Teach the dog's profile what this scan looked like
+    if (profileStore && activeDog) {
+        profileStore.learnFromScan(activeDog.id, pipeline.getBaselineSamples())
+            .then(updated => {
+                if (updated && activeDog && activeDog.id === updated.id) activeDog = updated;
+                return loadDogProfiles();
+            })
+            .catch(err => console.warn('Could not update dog baseline:', err));
+    }
+}
+
+// ── Render Scan Results ──
+// Shared by live scans, session replay and saved scans
+// meta: { timestamp, scanMode, dog } — carried into report exports
+function renderScanResults(results, elapsed, frames, detections, meta = {}) {
+    const { emotionReport, barkReport, translationReport, energyReport, agentReport } = results;
+    currentReport = {
+        results,
+        meta: { ...meta, durationSec: elapsed, frames, detections }
+    };
+    document.getElementById('btnReanalyze').style.display = meta.imported ? 'inline-block' : 'none';
+    renderKeyMoments([]); // clips arrive separately (live scan / saved scan)
+
+    // Energy chart — redrawn from the report so saved/imported scans show what the scan showed
+    const chartSection = document.getElementById('chartSection');
+    if (results.energyTimeline && results.energyTimeline.length >= 2) {
+        energyData = results.energyTimeline.map(energy => ({ energy }));
+        chartSection.style.display = 'block';
+        drawRealtimeChart();
+    } else {
+        chartSection.style.display = 'none';
+    }
+
+    // Build report
     document.getElementById('scanDurationDisplay').textContent = `${elapsed.toFixed(0)}s`;
-    document.getElementById('scanFrames').textContent = frameCount;
-    document.getElementById('scanDetections').textContent = dogDetectionCount;
+    document.getElementById('scanFrames').textContent = frames;
+    document.getElementById('scanDetections').textContent = detections;
     document.getElementById('scanCycles').textContent = energyReport.totalCycles;
+    document.getElementById('scanDetector').textContent = results.detector
+        ? `${results.detector.name} ${results.detector.version}` +
+          (results.poseModel ? ` · Pose: ${results.poseModel.name} ${results.poseModel.version}` : '')
+        : '--';
+    document.getElementById('scanFrameRate').textContent = results.frameRate
+        ? `${results.frameRate.effectiveFps} fps` +
+          (results.frameRate.mode === 'battery-saver' ? ` · Battery saver (${formatTimeAtRate(results.frameRate)})` : '')
+        : '--';
 
     // Render human-friendly report using agent-validated data
-    renderFriendlyReport(emotionReport, translationReport, barkReport, energyReport, elapsed, agentReport);
+    renderMonitoringReport(results.monitoring);
+    renderAlertLog(results.alerts);
+    renderFriendlyReport(emotionReport, translationReport, barkReport, energyReport, elapsed, agentReport, results.dog);
+    renderStateFeedback(results, meta);
 
     // ── Override live panels with agent-validated data ──
     // The Detected Signals panel still shows last frame's raw data.
@@ -881,7 +1172,7 @@ function completeScan() {
                 agentReport.filteredSignals.forEach(s => {
                     const iconMap = { posture: '\u{1F9CD}', movement: '\u{1F3C3}', pattern: '\u{1F50D}', audio: '\u{1F50A}', vision: '\u{1F4F7}' };
                     const icon = iconMap[s.type] || '\u{1F50E}';
-                    sigHtml += `<div class="signal-item"><span class="sig-icon">${icon}</span><div><div class="sig-signal">${s.signal}</div><div class="sig-detail">${s.detail}</div></div></div>`;
+                    sigHtml += `<div class="signal-item"><span class="sig-icon">${icon}</span><div><div class="sig-signal">${escapeHtml(s.signal)}</div><div class="sig-detail">${escapeHtml(s.detail)}</div></div></div>`;
                 });
                 sigEl.innerHTML = sigHtml;
             } else {
@@ -903,11 +1194,23 @@ function completeScan() {
     if (toggleBtn) toggleBtn.textContent = 'Show Detailed Data';
 
     resultsPanel.classList.add('active');
-    setStatus('Analysis complete!', 'ready');
 }
 
 // ── Human-Friendly Report ──
-function renderFriendlyReport(emotionReport, translationReport, barkReport, energyReport, elapsed, agentReport) {
+// Scan quality factors and what to do differently next time
+function renderQualitySection(quality) {
+    const levelText = { good: 'Good', fair: 'Fair', poor: 'Poor', insufficient: 'Not enough data' };
+    let html = `<div class="friendly-section">
+        <div class="friendly-section-title"><span class="fs-icon">\u{1F4F7}</span> Scan Quality: ${levelText[quality.level]} (${quality.score}/100)</div>`;
+    quality.guidance.forEach(tip => {
+        html += `<div class="friendly-item caution"><div class="friendly-item-text">${escapeHtml(tip)}</div></div>`;
+    });
+    const factors = quality.factors.map(f => `${f.label}: ${f.value}`).join(' \u00B7 ');
+    html += `<div class="friendly-item info"><div class="friendly-item-text">${escapeHtml(factors)}</div></div>`;
+    return html + '</div>';
+}
+
+function renderFriendlyReport(emotionReport, translationReport, barkReport, energyReport, elapsed, agentReport, dog) {
     const el = document.getElementById('friendlyReport');
     if (!el) return;
 
@@ -945,6 +1248,18 @@ function renderFriendlyReport(emotionReport, translationReport, barkReport, ener
         mood.sub = agentReport.behaviorState.description;
     }
 
+    // Scan quality gate — too little data: no reading at all, only what to change
+    // (reports saved before quality scoring have none, and render as before)
+    const quality = agentReport ? agentReport.quality : null;
+    if (quality && !quality.sufficient) {
+        el.innerHTML = `<div class="friendly-report-header">
+            <div class="friendly-mood-emoji">\u{1F4F7}</div>
+            <div class="friendly-mood-text">Not enough to go on</div>
+            <div class="friendly-mood-sub">No reading this time \u2014 ${escapeHtml(quality.reasons.join(' and '))}. Try again with the tips below.</div>
+        </div>` + renderQualitySection(quality);
+        return;
+    }
+
     // Wellbeing color
     const wbColor = wellbeing >= 65 ? '#7cb342' : wellbeing <= 35 ? '#f44336' : '#ffc107';
     const wbText = wellbeing >= 65 ? 'Good' : wellbeing <= 35 ? 'Needs attention' : 'Mixed';
@@ -955,6 +1270,7 @@ function renderFriendlyReport(emotionReport, translationReport, barkReport, ener
         sit: 'Sit',
         down: 'Down',
         crouch: 'Crouch',
+        'play-bow': 'Play Bow',
         unknown: 'Not detected'
     };
     const postureDesc = {
@@ -962,6 +1278,7 @@ function renderFriendlyReport(emotionReport, translationReport, barkReport, ener
         sit: 'Your dog was in a sit position \u2014 hindquarters on the ground, front upright.',
         down: 'Your dog was in a down position \u2014 lying on the ground, settled.',
         crouch: 'Your dog was crouched low \u2014 could be a play bow, showing submission, or feeling cautious.',
+        'play-bow': 'Your dog was in a play bow \u2014 front end down, rear end up, inviting play.',
         unknown: 'Could not determine your dog\'s position clearly.'
     };
 
@@ -972,10 +1289,16 @@ function renderFriendlyReport(emotionReport, translationReport, barkReport, ener
     let html = '';
 
     // ── Header: Big mood summary ──
+    const photo = dog ? photoSrc(dog.photo) : null;
+    const dogChip = dog
+        ? `<div class="friendly-dog-chip">${photo ? `<img class="dog-avatar" src="${photo}" alt="">` : '\u{1F415}'} ${escapeHtml(dog.name)}</div>`
+        : '';
     html += `<div class="friendly-report-header">
+        ${dogChip}
         <div class="friendly-mood-emoji">${mood.emoji}</div>
         <div class="friendly-mood-text">${mood.text}</div>
-        <div class="friendly-mood-sub">${mood.sub}</div>
+        <div class="friendly-mood-sub">${escapeHtml(mood.sub)}</div>
+        ${quality && quality.level === 'poor' ? '<div class="friendly-quality-note">Tentative \u2014 the scan quality was low, so take this reading with a grain of salt.</div>' : ''}
     </div>`;
 
     // ── Quick Stats ──
@@ -983,28 +1306,37 @@ function renderFriendlyReport(emotionReport, translationReport, barkReport, ener
         <div class="fqs-item"><div class="fqs-val" style="color:${wbColor}">${wellbeing}%</div><div class="fqs-label">Well-being</div></div>
         <div class="fqs-item"><div class="fqs-val">${stability}%</div><div class="fqs-label">Stability</div></div>
         <div class="fqs-item"><div class="fqs-val">${Math.round(elapsed)}s</div><div class="fqs-label">Scan Time</div></div>
+        ${quality ? `<div class="fqs-item"><div class="fqs-val">${quality.score}</div><div class="fqs-label">Scan Quality</div></div>` : ''}
     </div>`;
 
+    // ── Scan Quality ── (only when there's something to improve)
+    if (quality && quality.level !== 'good') html += renderQualitySection(quality);
+
+    // ── Multi-Dog: one card per dog + dog-to-dog signals ──
+    if (agentReport && agentReport.multiDog) {
+        html += renderMultiDogSections(agentReport.multiDog);
+    }
+
     // ── What We Observed ──
     html += `<div class="friendly-section">
         <div class="friendly-section-title"><span class="fs-icon">\u{1F50D}</span> What We Observed</div>`;
 
     html += `<div class="friendly-item info">
-        <div class="friendly-item-title">Position: ${postureText[posture] || posture}</div>
+        <div class="friendly-item-title">Position: ${escapeHtml(postureText[posture] || posture)}</div>
         <div class="friendly-item-text">${postureDesc[posture] || postureDesc.unknown}</div>
     </div>`;
 
     html += `<div class="friendly-item info">
         <div class="friendly-item-title">Activity Level: ${actText}</div>
-        <div class="friendly-item-text">Movement speed averaged ${movement.avgSpeed} (${movement.energyLevel} energy).</div>
+        <div class="friendly-item-text">Movement speed averaged ${movement.avgSpeed} (${escapeHtml(movement.energyLevel)} energy).</div>
     </div>`;
 
     // Vision insights from pixel analysis (if available from agent)
     if (agentReport && agentReport.visionInsights) {
         agentReport.visionInsights.forEach(insight => {
-            html += `<div class="friendly-item info">
-                <div class="friendly-item-title">${insight.title}</div>
-                <div class="friendly-item-text">${insight.detail}</div>
+            html += `<div class="friendly-item ${insight.caution ? 'caution' : 'info'}">
+                <div class="friendly-item-title">${escapeHtml(insight.title)}</div>
+                <div class="friendly-item-text">${escapeHtml(insight.detail)}</div>
             </div>`;
         });
     }
@@ -1035,19 +1367,19 @@ function renderFriendlyReport(emotionReport, translationReport, barkReport, ener
         // Summary of the scientific basis
         if (agentReport.behaviorState && agentReport.behaviorState.scienceSummary) {
             html += `<div class="friendly-item info">
-                <div class="friendly-item-title">Why we determined: ${agentReport.behaviorState.label}</div>
-                <div class="friendly-item-text">${agentReport.behaviorState.scienceSummary}</div>
+                <div class="friendly-item-title">Why we determined: ${escapeHtml(agentReport.behaviorState.label)}</div>
+                <div class="friendly-item-text">${escapeHtml(agentReport.behaviorState.scienceSummary)}</div>
             </div>`;
         }
 
         // Individual evidence items
         agentReport.evidenceChain.forEach(ev => {
             html += `<div class="evidence-item">
-                <div class="evidence-observation">\u{1F50D} ${ev.observation}</div>
-                <div class="evidence-measurement">\u{1F4CF} Measured: ${ev.measurement}</div>
-                <div class="evidence-study">\u{1F4D6} ${ev.studyEvidence}</div>
-                <div class="evidence-citation">${ev.citation}</div>
-                <div class="evidence-conclusion">\u{2192} ${ev.conclusion}</div>
+                <div class="evidence-observation">\u{1F50D} ${escapeHtml(ev.observation)}</div>
+                <div class="evidence-measurement">\u{1F4CF} Measured: ${escapeHtml(ev.measurement)}</div>
+                <div class="evidence-study">\u{1F4D6} ${escapeHtml(ev.studyEvidence)}</div>
+                <div class="evidence-citation">${escapeHtml(ev.citation)}</div>
+                <div class="evidence-conclusion">\u{2192} ${escapeHtml(ev.conclusion)}</div>
             </div>`;
         });
 
@@ -1063,7 +1395,7 @@ function renderFriendlyReport(emotionReport, translationReport, barkReport, ener
         html += `<div class="friendly-section">
             <div class="friendly-section-title"><span class="fs-icon">\u{1F415}</span> K9 Actions Detected</div>
             <div class="friendly-item info">
-                <div class="friendly-item-title">Primary Action: ${(actionSummary.primary || 'observing').replace(/-/g, ' ').toUpperCase()}</div>
+                <div class="friendly-item-title">Primary Action: ${escapeHtml((actionSummary.primary || 'observing').replace(/-/g, ' ').toUpperCase())}</div>
                 <div class="friendly-item-text">${actionSummary.totalUniqueActions} different actions were detected during the scan.</div>
             </div>
             <div class="action-report-grid">`;
@@ -1143,8 +1475,8 @@ function renderFriendlyReport(emotionReport, translationReport, barkReport, ener
             if (!agentReport && pct < 8) return; // 8% threshold for raw data
             const desc = actionDescriptions[action] || action.replace(/-/g, ' ');
             html += `<div class="action-report-item">
-                <div class="action-report-name">${action.replace(/-/g, ' ')}</div>
-                <div class="action-report-desc">${desc}</div>
+                <div class="action-report-name">${escapeHtml(action.replace(/-/g, ' '))}</div>
+                <div class="action-report-desc">${escapeHtml(desc)}</div>
                 <div class="action-report-count">Detected ${pct}% of scan</div>
             </div>`;
         });
@@ -1198,7 +1530,7 @@ function renderFriendlyReport(emotionReport, translationReport, barkReport, ener
                 };
                 html += `<div class="friendly-item ${dominantVocal[0] === 'growl' ? 'urgent' : 'caution'}">
                     <div class="friendly-item-title">${vocalNames[dominantVocal[0]] || 'Vocalizations detected'}</div>
-                    <div class="friendly-item-text">Detected ${dominantVocal[1]} frames of ${dominantVocal[0]} during the scan.</div>
+                    <div class="friendly-item-text">Detected ${dominantVocal[1]} frames of ${escapeHtml(dominantVocal[0])} during the scan.</div>
                 </div>`;
             }
         }
@@ -1222,9 +1554,9 @@ function renderFriendlyReport(emotionReport, translationReport, barkReport, ener
         needs.forEach(n => {
             const cls = n.urgency === 'high' ? 'urgent' : n.urgency === 'moderate' ? 'caution' : 'positive';
             html += `<div class="friendly-item ${cls}">
-                <div class="friendly-item-title">${n.need} ${n.urgency === 'high' ? '\u{203C}\u{FE0F}' : n.urgency === 'moderate' ? '\u{2757}' : '\u{2705}'}</div>
-                <div class="friendly-item-text">${n.detail}</div>
-                ${n.science ? `<div class="need-science-note">\u{1F4D6} ${n.science}</div>` : ''}
+                <div class="friendly-item-title">${escapeHtml(n.need)} ${n.urgency === 'high' ? '\u{203C}\u{FE0F}' : n.urgency === 'moderate' ? '\u{2757}' : '\u{2705}'}</div>
+                <div class="friendly-item-text">${escapeHtml(n.detail)}</div>
+                ${n.science ? `<div class="need-science-note">\u{1F4D6} ${escapeHtml(n.science)}</div>` : ''}
             </div>`;
         });
         html += '</div>';
@@ -1235,8 +1567,8 @@ function renderFriendlyReport(emotionReport, translationReport, barkReport, ener
         html += `<div class="friendly-section">
             <div class="friendly-section-title"><span class="fs-icon">\u{1F4AC}</span> If Your Dog Could Talk</div>
             <div class="friendly-item positive">
-                <div class="friendly-item-title" style="font-size:16px;color:#e8c547;">"${translationReport.dominantMessage}"</div>
-                <div class="friendly-item-text">${translationReport.communicationSummary || ''}</div>
+                <div class="friendly-item-title" style="font-size:16px;color:#e8c547;">"${escapeHtml(translationReport.dominantMessage)}"</div>
+                <div class="friendly-item-text">${escapeHtml(translationReport.communicationSummary)}</div>
             </div>
         </div>`;
     }
@@ -1257,7 +1589,7 @@ function renderFriendlyReport(emotionReport, translationReport, barkReport, ener
             .forEach(([emo, pct]) => {
                 if (pct > 0) {
                     html += `<div class="friendly-meter">
-                        <div class="friendly-meter-label">${emo}</div>
+                        <div class="friendly-meter-label">${escapeHtml(emo)}</div>
                         <div class="friendly-meter-bar"><div class="friendly-meter-fill" style="width:${pct}%;background:${emoColors[emo] || '#888'}"></div></div>
                         <div class="friendly-meter-val">${pct}%</div>
                     </div>`;
@@ -1280,7 +1612,7 @@ function renderEmotionReport(report) {
     <div class="section-title">EMOTIONAL STATE ANALYSIS</div>
     <div class="emotion-summary-card ${wellbeingLevel}">
         <div class="emotion-header">
-            <div class="emotion-title">DOMINANT: ${(report.dominantEmotion || 'unknown').toUpperCase()}</div>
+            <div class="emotion-title">DOMINANT: ${escapeHtml((report.dominantEmotion || 'unknown').toUpperCase())}</div>
             <div class="emotion-badge ${wellbeingLevel}">${wellbeingLabel}</div>
         </div>
         <div class="score-grid">
@@ -1303,7 +1635,7 @@ function renderEmotionReport(report) {
             .sort((a, b) => b[1] - a[1])
             .forEach(([emotion, pct]) => {
                 if (pct > 0) {
-                    html += `<div class="emotion-bar-label"><span>${emotion}</span><span>${pct}%</span></div>
+                    html += `<div class="emotion-bar-label"><span>${escapeHtml(emotion)}</span><span>${pct}%</span></div>
                     <div class="emotion-bar"><div class="emotion-bar-fill" style="width:${pct}%;background:${emotionBarColors[emotion] || '#888'}"></div></div>`;
                 }
             });
@@ -1311,7 +1643,7 @@ function renderEmotionReport(report) {
     }
 
     html += `<div style="margin-top:12px;font-size:11px;color:#888;">
-        Movement: ${report.movement.energyLevel} energy | Emotion changes: ${report.emotionChanges} | Duration: ${report.duration}s
+        Movement: ${escapeHtml(report.movement.energyLevel)} energy | Emotion changes: ${report.emotionChanges} | Duration: ${report.duration}s
     </div></div>`;
 
     document.getElementById('emotionResultsSection').innerHTML = html;
@@ -1326,9 +1658,9 @@ function renderTranslationReport(report) {
     } else {
         html += `<div class="translation-card">
             <div style="font-size:13px;font-weight:600;margin-bottom:8px;">Primary Message</div>
-            <div style="font-size:16px;font-weight:700;color:#e8c547;margin-bottom:8px;">"${report.dominantMessage}"</div>
-            <div style="font-size:11px;color:#aaa;font-style:italic;margin-bottom:12px;">${report.dominantScience || ''}</div>
-            <div style="font-size:12px;color:#ccc;line-height:1.6;margin-bottom:12px;">${report.communicationSummary}</div>`;
+            <div style="font-size:16px;font-weight:700;color:#e8c547;margin-bottom:8px;">"${escapeHtml(report.dominantMessage)}"</div>
+            <div style="font-size:11px;color:#aaa;font-style:italic;margin-bottom:12px;">${escapeHtml(report.dominantScience)}</div>
+            <div style="font-size:12px;color:#ccc;line-height:1.6;margin-bottom:12px;">${escapeHtml(report.communicationSummary)}</div>`;
 
         if (report.communicationBreakdown) {
             const bd = report.communicationBreakdown;
@@ -1346,8 +1678,8 @@ function renderTranslationReport(report) {
             html += '<div style="font-size:11px;color:#888;margin:8px 0;letter-spacing:1px;">RECENT TRANSLATIONS</div>';
             report.recentTranslations.forEach(t => {
                 html += `<div class="translation-entry">
-                    <div class="t-msg">"${t.message}"</div>
-                    <div class="t-meta"><span>${t.code}</span><span>${t.confidence}% confidence</span></div>
+                    <div class="t-msg">"${escapeHtml(t.message)}"</div>
+                    <div class="t-meta"><span>${escapeHtml(t.code)}</span><span>${t.confidence}% confidence</span></div>
                 </div>`;
             });
         }
@@ -1364,8 +1696,8 @@ function renderBarkReport(report) {
         <div class="bark-item"><div class="b-label">Bark Rate</div><div class="b-val">${report.barks.rate}/min</div></div>
         <div class="bark-item"><div class="b-label">Avg Frequency</div><div class="b-val">${report.barks.avgFrequency} Hz</div></div>
         <div class="bark-item"><div class="b-label">Avg Duration</div><div class="b-val">${report.barks.avgDuration}ms</div></div>
-        <div class="bark-item"><div class="b-label">Dominant Type</div><div class="b-val">${report.barks.dominantType}</div></div>
-        <div class="bark-item"><div class="b-label">Intensity</div><div class="b-val">${report.vocalizations.intensity}</div></div>
+        <div class="bark-item"><div class="b-label">Dominant Type</div><div class="b-val">${escapeHtml(report.barks.dominantType)}</div></div>
+        <div class="bark-item"><div class="b-label">Intensity</div><div class="b-val">${escapeHtml(report.vocalizations.intensity)}</div></div>
     </div>`;
 
     // Bark type distribution
@@ -1375,7 +1707,7 @@ function renderBarkReport(report) {
         Object.entries(report.barks.typeDistribution).forEach(([type, count]) => {
             const color = type === 'aggressive' ? 'red' : type === 'anxiety' ? 'orange' :
                           type === 'play' ? 'green' : type === 'alert' ? 'amber' : 'blue';
-            html += `<span class="ind-tag ${color}">${type}: ${count}</span>`;
+            html += `<span class="ind-tag ${color}">${escapeHtml(type)}: ${count}</span>`;
         });
         html += '</div></div>';
     }
@@ -1385,7 +1717,7 @@ function renderBarkReport(report) {
         html += '<div style="margin-top:12px;font-size:11px;color:#888;">BARK LOG (last 20)</div>';
         report.barkLog.slice(-10).forEach(b => {
             html += `<div style="font-size:11px;padding:4px 8px;background:#2d2d1a;border-radius:4px;margin-top:4px;display:flex;justify-content:space-between;">
-                <span style="color:#ff8a65;font-weight:600;">${b.type.toUpperCase()}</span>
+                <span style="color:#ff8a65;font-weight:600;">${escapeHtml(b.type.toUpperCase())}</span>
                 <span style="color:#888;">${b.freq}Hz | ${b.duration}ms | ${b.time}s</span>
             </div>`;
         });
@@ -1405,7 +1737,7 @@ function renderEnergyReport(report) {
         <div class="energy-item"><div class="e-label">Avg Energy</div><div class="e-val">${report.energy.average}</div></div>
         <div class="energy-item"><div class="e-label">Peak Energy</div><div class="e-val">${report.energy.peak}</div></div>
         <div class="energy-item"><div class="e-label">Total Energy</div><div class="e-val">${report.energy.total}</div></div>
-        <div class="energy-item"><div class="e-label">Trend</div><div class="e-val">${report.energy.trend}</div></div>
+        <div class="energy-item"><div class="e-label">Trend</div><div class="e-val">${escapeHtml(report.energy.trend)}</div></div>
         <div class="energy-item"><div class="e-label">Completed Cycles</div><div class="e-val">${report.totalCycles}</div></div>
         <div class="energy-item"><div class="e-label">369 Alignment</div><div class="e-val">${report.alignment.ratio}%</div></div>
     </div>`;
@@ -1414,7 +1746,7 @@ function renderEnergyReport(report) {
     if (report.patterns && report.patterns.detected) {
         html += `<div style="margin-top:12px;font-size:11px;color:#aaa;">
             <strong style="color:#d4a017;">369 Pattern Detected</strong><br>
-            Dominant phase: ${report.patterns.dominantPhase} |
+            Dominant phase: ${escapeHtml(report.patterns.dominantPhase)} |
             Creation: ${report.patterns.distribution.creation} |
             Harmony: ${report.patterns.distribution.harmony} |
             Completion: ${report.patterns.distribution.completion}
@@ -1439,6 +1771,8 @@ btnFlip.addEventListener('click', async () => {
             facingMode = facingMode === 'user' ? 'environment' : 'user';
             await startCamera();
         }
+        // Keep buffering clips from the new camera
+        if (clipRecorder && clipRecorder.isActive && stream) clipRecorder.start(stream);
         // Re-init bark engine with new stream
         if (micAvailable && stream) {
             try {
@@ -1450,6 +1784,15 @@ btnFlip.addEventListener('click', async () => {
     }
 });
 
+// ── Detector Selector ──
+const detectorSelect = document.getElementById('detectorSelect');
+detectorSelect.innerHTML = Object.entries(DogDetector.BACKENDS)
+    .map(([id, b]) => `<option value="${id}">${b.label}</option>`).join('');
+detectorSelect.addEventListener('change', () => {
+    if (running) return;
+    loadModels(detectorSelect.value);
+});
+
 // ── Scan Mode Selector ──
 document.querySelectorAll('.scan-mode-btn').forEach(btn => {
     btn.addEventListener('click', () => {
@@ -1459,6 +1802,10 @@ document.querySelectorAll('.scan-mode-btn').forEach(btn => {
     });
 });
 
+document.getElementById('batterySaverToggle').addEventListener('change', function() {
+    batterySaver = this.checked;
+});
+
 // ── Detail Toggle ──
 document.getElementById('btnToggleDetail').addEventListener('click', function() {
     const detailEl = document.getElementById('technicalDetail');
@@ -1498,6 +1845,892 @@ document.getElementById('btnNewScan').addEventListener('click', () => {
     startScan();
 });
 
+// ── Report Export ──
+document.getElementById('btnPrintReport').addEventListener('click', () => {
+    if (!currentReport) return;
+    const html = reportExport.toHTML(currentReport.results, currentReport.meta);
+    // Print from a separate window so the printout is the clean report, not the app.
+    // The print dialog's "Save as PDF" gives the PDF.
+    const win = window.open('', '_blank');
+    if (!win) {
+        setStatus('Pop-up blocked — downloading the printable report instead.', 'error');
+        downloadFile(reportExport.filename(currentReport.meta, 'html'), html, 'text/html');
+        return;
+    }
+    win.document.write(html);
+    win.document.close();
+    win.focus();
+    win.print();
+});
+
+document.getElementById('btnExportHTML').addEventListener('click', () => {
+    if (!currentReport) return;
+    downloadFile(reportExport.filename(currentReport.meta, 'html'),
+        reportExport.toHTML(currentReport.results, currentReport.meta), 'text/html');
+});
+
+document.getElementById('btnExportJSON').addEventListener('click', () => {
+    if (!currentReport) return;
+    downloadFile(reportExport.filename(currentReport.meta, 'json'),
+        JSON.stringify(reportExport.toJSON(currentReport.results, currentReport.meta), null, 2), 'application/json');
+});
+
+// ── Report Import ──
+// Opens an exported JSON report. The engine reports are shown exactly as
+// exported; "Re-analyze" re-runs the current ScanReportAgent rules over them.
+document.getElementById('btnImportReport').addEventListener('click', () => {
+    if (running) return;
+    document.getElementById('reportFileInput').click();
+});
+
+document.getElementById('reportFileInput').addEventListener('change', function() {
+    const file = this.files[0];
+    this.value = '';
+    if (!file) return;
+
+    const reader = new FileReader();
+    reader.onload = () => {
+        try {
+            const { results, meta } = ScanReportExport.parse(reader.result);
+            resetUIContent();
+            document.getElementById('signalsPanel').style.display = 'block';
+            document.getElementById('btnSaveSessionLog').style.display = 'none';
+            renderScanResults(results, meta.durationSec, meta.frames, meta.detections, {
+                timestamp: meta.timestamp,
+                scanMode: meta.scanMode,
+                dog: meta.dog,
+                imported: true
+            });
+            setStatus('Viewing imported report from ' + new Date(meta.timestamp).toLocaleString(), 'ready');
+        } catch (err) {
+            console.error('Report import failed:', err);
+            setStatus('Could not open report: ' + err.message, 'error');
+        }
+    };
+    reader.onerror = () => setStatus('Could not read report file.', 'error');
+    reader.readAsText(file);
+});
+
+document.getElementById('btnReanalyze').addEventListener('click', () => {
+    if (!currentReport) return;
+    const { results, meta } = currentReport;
+    const before = results.agentReport && results.agentReport.behaviorState
+        ? results.agentReport.behaviorState.label : null;
+
+    const updated = reportAgent.reanalyze(results);
+    renderScanResults(updated, meta.durationSec, meta.frames, meta.detections, meta);
+
+    const after = updated.agentReport.behaviorState.label;
+    setStatus(before && before !== after
+        ? `Re-analyzed with current rules — behavior state changed: ${before} \u2192 ${after}`
+        : 'Re-analyzed with current rules — behavior state unchanged.', 'ready');
+});
+
+// ── Separation Monitoring Report ──
+function renderMonitoringReport(monitoring) {
+    const el = document.getElementById('monitoringReport');
+    if (!monitoring) {
+        el.innerHTML = '';
+        return;
+    }
+    const { assessment, totals } = monitoring;
+    const levelClass = { none: 'positive', mild: 'caution', moderate: 'caution', severe: 'urgent' }[assessment.level] || 'info';
+
+    let html = `<div class="friendly-section">
+        <div class="friendly-section-title"><span class="fs-icon">\u{1F3E0}</span> While You Were Away</div>
+        <div class="friendly-item ${levelClass}">
+            <div class="friendly-item-title">${escapeHtml(assessment.label)}</div>
+            <div class="friendly-item-text">${escapeHtml(assessment.summary)}</div>
+        </div>
+        <div class="friendly-item info">
+            <div class="friendly-item-title">${monitoring.durationMin} minutes monitored</div>
+            <div class="friendly-item-text">${totals.barks} bark${totals.barks !== 1 ? 's' : ''}, ${totals.whineMin} min whining,
+                ${totals.howlMin} min howling, ${totals.pacingMin} min pacing. In view ${totals.visiblePct}% of the time.</div>
+        </div>`;
+
+    if (monitoring.episodes.length > 0) {
+        const rows = monitoring.episodes.slice(-10).map(e =>
+            `${e.startMin}–${e.endMin} min: ${escapeHtml(e.signals.join(', '))}${e.barks > 0 ? ` (${e.barks} barks)` : ''}`
+        ).join('<br>');
+        html += `<div class="friendly-item caution">
+            <div class="friendly-item-title">Distress episodes: ${monitoring.episodeCount}</div>
+            <div class="friendly-item-text">${rows}${monitoring.episodeCount > 10 ? '<br>Last 10 shown.' : ''}</div>
+        </div>`;
+    }
+
+    monitoring.evidenceChain.forEach(ev => {
+        html += `<div class="evidence-item">
+            <div class="evidence-observation">\u{1F50D} ${escapeHtml(ev.observation)}</div>
+            <div class="evidence-measurement">\u{1F4CF} Measured: ${escapeHtml(ev.measurement)}</div>
+            <div class="evidence-study">\u{1F4D6} ${escapeHtml(ev.studyEvidence)}</div>
+            <div class="evidence-citation">${escapeHtml(ev.citation)}</div>
+            <div class="evidence-conclusion">\u{2192} ${escapeHtml(ev.conclusion)}</div>
+        </div>`;
+    });
+
+    monitoring.recommendations.forEach(r => {
+        html += `<div class="friendly-item info"><div class="friendly-item-text">${escapeHtml(r)}</div></div>`;
+    });
+    monitoring.caveats.forEach(c => {
+        html += `<div class="friendly-item info"><div class="friendly-item-text">${escapeHtml(c)}</div></div>`;
+    });
+    el.innerHTML = html + '</div>';
+}
+
+// ── Alerts ──
+function loadAlertRules() {
+    try {
+        const saved = JSON.parse(localStorage.getItem(ALERT_RULES_KEY));
+        if (Array.isArray(saved)) return saved;
+    } catch (err) {
+        console.warn('Could not read saved alert rules:', err.message);
+    }
+    return AlertRules.DEFAULT_RULES;
+}
+
+function raiseAlert(hit, frame) {
+    const text = `${hit.label} (at ${formatTimer(hit.scanTime)})`;
+    const banner = document.getElementById('alertBanner');
+    banner.textContent = '\u{1F514} ' + text;
+    banner.style.display = 'block';
+
+    if (navigator.vibrate) navigator.vibrate([200, 100, 200]);
+    if (typeof Notification !== 'undefined' && Notification.permission === 'granted') {
+        try {
+            new Notification(activeDog ? `${activeDog.name}: alert` : 'Dog alert', { body: text, tag: hit.ruleId });
+        } catch (err) {
+            // Some mobile browsers only allow notifications from a service worker
+            console.warn('Notification failed:', err.message);
+        }
+    }
+    if (sessionLog) sessionLog.recordAlert(hit);
+    if (webhookClient.wants('alert')) {
+        webhookClient.send('alert', webhookClient.alertPayload(hit, frame, {
+            dog: activeDog,
+            behaviorState: pipeline.behaviorSnapshot()
+        }));
+    }
+}
+
+function hideAlertBanner() {
+    document.getElementById('alertBanner').style.display = 'none';
+}
+
+function renderAlertLog(alerts) {
+    const el = document.getElementById('alertReport');
+    if (!alerts || alerts.length === 0) {
+        el.innerHTML = '';
+        return;
+    }
+    let html = `<div class="friendly-section">
+        <div class="friendly-section-title"><span class="fs-icon">\u{1F514}</span> Alerts During the Scan</div>`;
+    alerts.forEach(a => {
+        html += `<div class="friendly-item caution">
+            <div class="friendly-item-title">${escapeHtml(a.label)}</div>
+            <div class="friendly-item-text">At ${formatTimer(a.scanTime)} — condition held ${Math.round(a.heldMs / 1000)} s.</div>
+        </div>`;
+    });
+    el.innerHTML = html + '</div>';
+}
+
+// Rules editor — thresholds and durations of each rule; changes save immediately
+function renderAlertRules() {
+    const el = document.getElementById('alertRulesList');
+    el.innerHTML = alertRules.getRules().map(rule => {
+        const numeric = rule.op === '>' || rule.op === '<';
+        return `<div class="history-item${rule.enabled ? ' caution' : ''}">
+            <div class="history-item-main">
+                <label class="history-item-title"><input type="checkbox" data-rule="${escapeHtml(rule.id)}" data-field="enabled"${rule.enabled ? ' checked' : ''}>
+                    ${escapeHtml(alertRules.describe(rule))}</label>
+                <div class="history-item-meta alert-rule-fields">
+                    ${numeric ? `<label>${escapeHtml(alertRules.METRICS[rule.metric].label)} ${rule.op}
+                        <input type="number" min="0" data-rule="${escapeHtml(rule.id)}" data-field="value" value="${rule.value}"></label>` : ''}
+                    <label>for <input type="number" min="1" data-rule="${escapeHtml(rule.id)}" data-field="forSec" value="${Math.round(rule.forMs / 1000)}"> s</label>
+                </div>
+            </div>
+        </div>`;
+    }).join('');
+}
+
+document.getElementById('alertRulesList').addEventListener('change', (e) => {
+    const input = e.target;
+    if (!input.dataset || !input.dataset.rule) return;
+    const rules = alertRules.getRules();
+    const rule = rules.find(r => r.id === input.dataset.rule);
+    if (!rule) return;
+
+    if (input.dataset.field === 'enabled') rule.enabled = input.checked;
+    else if (input.dataset.field === 'value') rule.value = Number(input.value) || 0;
+    else if (input.dataset.field === 'forSec') rule.forMs = Math.max(1, Number(input.value) || 1) * 1000;
+
+    alertRules.setRules(rules);
+    localStorage.setItem(ALERT_RULES_KEY, JSON.stringify(alertRules.getRules()));
+    renderAlertRules();
+});
+
+document.getElementById('alertsToggle').addEventListener('change', function() {
+    alertsEnabled = this.checked;
+    // Ask while we still have the tap — browsers block permission prompts outside a user gesture
+    if (alertsEnabled && typeof Notification !== 'undefined' && Notification.permission === 'default') {
+        Notification.requestPermission().catch(err => console.warn('Notification permission failed:', err.message));
+    }
+});
+
+document.getElementById('btnAlertRules').addEventListener('click', () => {
+    if (running) return;
+    renderAlertRules();
+    document.getElementById('alertRulesOverlay').classList.add('active');
+});
+
+document.getElementById('btnCloseAlertRules').addEventListener('click', () => {
+    document.getElementById('alertRulesOverlay').classList.remove('active');
+});
+
+document.getElementById('btnResetAlertRules').addEventListener('click', () => {
+    alertRules.setRules(AlertRules.DEFAULT_RULES);
+    localStorage.removeItem(ALERT_RULES_KEY);
+    renderAlertRules();
+});
+
+document.getElementById('alertBanner').addEventListener('click', hideAlertBanner);
+
+// ── Webhook ──
+function renderWebhookSettings(status) {
+    const config = webhookClient.getConfig();
+    document.getElementById('webhookUrl').value = config.url;
+    document.getElementById('webhookSecret').value = config.secret;
+    document.getElementById('webhookEnabled').checked = config.enabled;
+    document.getElementById('webhookEventAlert').checked = config.events.alert;
+    document.getElementById('webhookEventScan').checked = config.events['scan-complete'];
+    const queued = webhookClient.pending;
+    document.getElementById('webhookStatus').textContent = status ||
+        (queued > 0 ? `${queued} event${queued === 1 ? '' : 's'} waiting to send` : '');
+}
+
+function saveWebhookSettings() {
+    webhookClient.setConfig({
+        url: document.getElementById('webhookUrl').value,
+        secret: document.getElementById('webhookSecret').value,
+        enabled: document.getElementById('webhookEnabled').checked,
+        events: {
+            alert: document.getElementById('webhookEventAlert').checked,
+            'scan-complete': document.getElementById('webhookEventScan').checked
+        }
+    });
+}
+
+document.getElementById('btnWebhook').addEventListener('click', () => {
+    if (running) return;
+    renderWebhookSettings();
+    document.getElementById('webhookOverlay').classList.add('active');
+});
+
+document.getElementById('btnCloseWebhook').addEventListener('click', () => {
+    document.getElementById('webhookOverlay').classList.remove('active');
+});
+
+document.getElementById('btnSaveWebhook').addEventListener('click', () => {
+    saveWebhookSettings();
+    renderWebhookSettings('Saved');
+    webhookClient.flush();
+});
+
+document.getElementById('btnTestWebhook').addEventListener('click', async () => {
+    saveWebhookSettings();
+    renderWebhookSettings('Sending...');
+    const result = await webhookClient.sendTest();
+    renderWebhookSettings(result.ok ? `Test delivered (HTTP ${result.status})` : `Test failed: ${result.error}`);
+});
+
+// Events queued offline (or left from the last visit) go out when the connection is back
+window.addEventListener('online', () => webhookClient.flush());
+webhookClient.flush();
+
+// ── Multi-Dog Report Sections ──
+function renderMultiDogSections(multiDog) {
+    const primary = multiDog.dogs.find(d => d.primary) || multiDog.dogs[0];
+    let html = `<div class="friendly-section">
+        <div class="friendly-section-title"><span class="fs-icon">\u{1F415}</span> ${multiDog.dogCount} Dogs in This Scan</div>
+        <div class="friendly-dog-grid">`;
+
+    multiDog.dogs.forEach(d => {
+        const moodClass = POSITIVE_EMOTIONS.includes(d.emotion) ? 'positive'
+            : URGENT_EMOTIONS.includes(d.emotion) ? 'urgent'
+            : CAUTION_EMOTIONS.includes(d.emotion) ? 'caution' : 'info';
+        const actions = d.topActions.length > 0 ? d.topActions.map(a => a.replace(/-/g, ' ')).join(', ') : 'no clear actions';
+        html += `<div class="friendly-item ${moodClass}">
+            <div class="friendly-dog-label">${escapeHtml(d.label)}${d.primary ? ' · main report' : ''}</div>
+            <div class="friendly-item-title">${escapeHtml(d.emotion.charAt(0).toUpperCase() + d.emotion.slice(1))}${d.behaviorState.label ? ' — ' + escapeHtml(d.behaviorState.label) : ''}</div>
+            <div class="friendly-item-text">${d.translation ? '\u201C' + escapeHtml(d.translation) + '\u201D<br>' : ''}Seen: ${escapeHtml(actions)}. Well-being ${d.wellbeing}%, confidence ${d.confidence}%.</div>
+        </div>`;
+    });
+
+    html += `</div>
+        <div class="friendly-item info">
+            <div class="friendly-item-text">The rest of this report covers ${escapeHtml(primary.label)}. ${escapeHtml(multiDog.audioNote)}</div>
+        </div>
+    </div>`;
+
+    // ── Between the Dogs ──
+    html += `<div class="friendly-section">
+        <div class="friendly-section-title"><span class="fs-icon">\u{1F43E}</span> Between the Dogs</div>`;
+    multiDog.interactions.forEach(i => {
+        const cls = i.type === 'play-bow' ? 'positive' : 'info';
+        html += `<div class="friendly-item ${cls}">
+            <div class="friendly-item-title">${escapeHtml(i.signal)}</div>
+            <div class="friendly-item-text">${escapeHtml(i.detail)}</div>
+            ${i.science ? `<div class="evidence-citation">${escapeHtml(i.science)}</div>` : ''}
+        </div>`;
+    });
+    multiDog.proximity.forEach(p => {
+        html += `<div class="friendly-item info">
+            <div class="friendly-item-title">${escapeHtml(p.dogs.join(' & '))}: close together ${p.closePct}% of the time</div>
+            <div class="friendly-item-text">Average distance about ${p.avgDistance} body lengths apart.</div>
+        </div>`;
+    });
+    if (multiDog.interactions.length === 0 && multiDog.proximity.length === 0) {
+        html += `<div class="friendly-item info"><div class="friendly-item-text">The dogs were not in frame together long enough to read interactions.</div></div>`;
+    }
+    html += '</div>';
+    return html;
+}
+
+// ── Key-Moment Clips ──
+const KEY_MOMENT_LABELS = {
+    growling: 'Growl',
+    'play-bow': 'Play bow',
+    freeze: 'Freeze',
+    lunging: 'Lunge',
+    startled: 'Startle'
+};
+
+// Render once the clips resolve — unless another report has replaced this one
+function showKeyMomentsWhenReady(clipsPromise, timestamp) {
+    const report = currentReport;
+    clipsPromise
+        .then(clips => {
+            if (currentReport === report) renderKeyMoments(clips, timestamp);
+        })
+        .catch(err => console.warn('Could not load key-moment clips:', err));
+}
+
+function renderKeyMoments(clips, timestamp) {
+    const el = document.getElementById('keyMomentsSection');
+    clipUrls.forEach(url => URL.revokeObjectURL(url));
+    clipUrls = [];
+    if (clips.length === 0) {
+        el.innerHTML = '';
+        return;
+    }
+
+    const stamp = new Date(timestamp || Date.now()).toISOString().slice(0, 19).replace(/[:T]/g, '-');
+    const showDog = clips.some(c => c.dogId > 1);
+    let html = `<div class="friendly-section">
+        <div class="friendly-section-title"><span class="fs-icon">\u{1F3AC}</span> Key Moments on Video</div>`;
+
+    clips.forEach(clip => {
+        const url = URL.createObjectURL(clip.blob);
+        clipUrls.push(url);
+        const label = KEY_MOMENT_LABELS[clip.action] || clip.action;
+        const cls = clip.action === 'play-bow' ? 'positive' : 'caution';
+        const dogText = showDog ? ` · Dog ${clip.dogId}` : '';
+        // Filename carries the label — downloaded clips double as classifier test data
+        const ext = clip.mimeType.includes('mp4') ? 'mp4' : 'webm';
+        const filename = `clip-${stamp}-${clip.action}-dog${clip.dogId}-${Math.round(clip.scanTime / 1000)}s.${ext}`;
+        const alsoSeen = clip.moments.slice(1)
+            .map(m => `${(KEY_MOMENT_LABELS[m.action] || m.action).toLowerCase()} at ${(m.offsetMs / 1000).toFixed(1)}s`);
+
+        html += `<div class="friendly-item ${cls}">
+            <div class="friendly-item-title">${label} at ${formatTimer(clip.scanTime)}${dogText}</div>
+            <video class="key-moment-video" src="${url}" controls playsinline preload="metadata"></video>
+            <div class="friendly-item-text">${escapeHtml(clip.desc || '')}. The moment is ${(clip.preRollMs / 1000).toFixed(1)}s into the clip.${alsoSeen.length > 0 ? ' Also in this clip: ' + alsoSeen.join(', ') + '.' : ''}</div>
+            <a class="btn btn-secondary key-moment-download" href="${url}" download="${filename}">Download clip</a>
+        </div>`;
+    });
+
+    html += '</div>';
+    el.innerHTML = html;
+}
+
+// ── Session Recording & Replay ──
+document.getElementById('recordSessionToggle').addEventListener('change', function() {
+    recordSession = this.checked;
+});
+
+document.getElementById('btnSaveSessionLog').addEventListener('click', () => {
+    if (!sessionLog || sessionLog.isEmpty) return;
+    const stamp = new Date().toISOString().replace(/[:.]/g, '-');
+    downloadFile(`session-log-${stamp}.json`, JSON.stringify(sessionLog.serialize()), 'application/json');
+});
+
+document.getElementById('btnReplay').addEventListener('click', () => {
+    if (running) return;
+    document.getElementById('sessionLogInput').click();
+});
+
+document.getElementById('sessionLogInput').addEventListener('change', function() {
+    const file = this.files[0];
+    this.value = '';
+    if (!file) return;
+
+    setStatus('Replaying session log...', 'loading');
+    const reader = new FileReader();
+    reader.onload = () => {
+        try {
+            // Sessions recorded with the pose model replay with the same one
+            const results = new SessionReplay({ poseEstimator: pipeline.poseEstimator }).run(reader.result);
+            resetUIContent();
+            document.getElementById('signalsPanel').style.display = 'block';
+            document.getElementById('btnSaveSessionLog').style.display = 'none';
+            renderScanResults(results, results.durationMs / 1000, results.frameCount, results.dogDetectionCount, {
+                scanMode: 'replay'
+            });
+            setStatus(results.truncated
+                ? 'Replay complete — log was truncated, report covers the recorded part only.'
+                : 'Replay complete!', 'ready');
+        } catch (err) {
+            console.error('Session replay failed:', err);
+            setStatus('Replay failed: ' + err.message, 'error');
+        }
+    };
+    reader.onerror = () => setStatus('Could not read session log file.', 'error');
+    reader.readAsText(file);
+});
+
+// ── Scan History ──
+const POSITIVE_EMOTIONS = ['happy', 'playful', 'calm', 'curious'];
+const URGENT_EMOTIONS = ['fearful', 'aggressive'];
+const CAUTION_EMOTIONS = ['anxious', 'stressed', 'sad'];
+
+async function renderHistoryList() {
+    const listEl = document.getElementById('historyList');
+    if (!historyStore) {
+        listEl.innerHTML = '<div class="history-empty">Scan history needs IndexedDB, which this browser does not provide.</div>';
+        return;
+    }
+
+    // Date inputs are local calendar days — include the whole "to" day
+    const fromVal = document.getElementById('historyFrom').value;
+    const toVal = document.getElementById('historyTo').value;
+    const from = fromVal ? new Date(fromVal + 'T00:00:00').getTime() : null;
+    const to = toVal ? new Date(toVal + 'T23:59:59.999').getTime() : null;
+
+    const dogVal = document.getElementById('historyDog').value;
+    const dogId = dogVal ? Number(dogVal) : null;
+
+    let scans;
+    try {
+        scans = await historyStore.list({ from, to, dogId });
+    } catch (err) {
+        console.warn('Could not load scan history:', err);
+        listEl.innerHTML = '<div class="history-empty">Could not load scan history: ' + escapeHtml(err.message) + '</div>';
+        return;
+    }
+
+    if (scans.length === 0) {
+        listEl.innerHTML = '<div class="history-empty">' +
+            (from || to || dogId ? 'No scans match this filter.' : 'No saved scans yet. Completed scans appear here automatically.') +
+            '</div>';
+        return;
+    }
+
+    // Group by calendar day (newest first)
+    let html = '';
+    let currentDay = null;
+    scans.forEach(scan => {
+        const date = new Date(scan.timestamp);
+        const day = date.toLocaleDateString(undefined, { weekday: 'short', year: 'numeric', month: 'short', day: 'numeric' });
+        if (day !== currentDay) {
+            html += `<div class="history-day">${day}</div>`;
+            currentDay = day;
+        }
+
+        const sum = scan.summary || {};
+        const emotion = sum.emotion || 'unknown';
+        const moodClass = POSITIVE_EMOTIONS.includes(emotion) ? 'positive'
+            : URGENT_EMOTIONS.includes(emotion) ? 'urgent'
+            : CAUTION_EMOTIONS.includes(emotion) ? 'caution' : '';
+        const time = date.toLocaleTimeString(undefined, { hour: '2-digit', minute: '2-digit' });
+        const barkText = sum.barks > 0 ? ` · ${sum.barks} vocalization${sum.barks !== 1 ? 's' : ''}` : '';
+        const dogText = scan.dog ? `${escapeHtml(scan.dog.name)} · ` : '';
+        const dogCountText = sum.dogCount > 1 ? ` · ${sum.dogCount} dogs` : '';
+
+        html += `<div class="history-item ${moodClass}">
+            <div class="history-item-main">
+                <div class="history-item-title">${emotion.charAt(0).toUpperCase() + emotion.slice(1)}${sum.behaviorLabel ? ' — ' + sum.behaviorLabel : ''}</div>
+                <div class="history-item-meta">${dogText}${time} · ${Math.round(scan.durationSec)}s scan${dogCountText}${barkText}</div>
+            </div>
+            <div class="history-item-actions">
+                <button class="btn btn-secondary" data-action="view" data-id="${scan.id}">View</button>
+                <button class="btn btn-danger" data-action="delete" data-id="${scan.id}">Delete</button>
+            </div>
+        </div>`;
+    });
+    listEl.innerHTML = html;
+}
+
+async function viewSavedScan(id) {
+    try {
+        const scan = await historyStore.get(id);
+        if (!scan) return;
+
+        document.getElementById('historyOverlay').classList.remove('active');
+        document.getElementById('signalsPanel').style.display = 'block';
+        document.getElementById('btnSaveSessionLog').style.display = 'none';
+        renderScanResults(scan, scan.durationSec, scan.frames, scan.detections, {
+            timestamp: scan.timestamp,
+            scanMode: scan.scanMode,
+            dog: scan.dog
+        });
+        showKeyMomentsWhenReady(historyStore.getClips(id), scan.timestamp);
+        setStatus('Viewing saved scan from ' + new Date(scan.timestamp).toLocaleString(), 'ready');
+    } catch (err) {
+        console.warn('Could not open saved scan:', err);
+        setStatus('Could not open saved scan: ' + err.message, 'error');
+    }
+}
+
+document.getElementById('btnHistory').addEventListener('click', () => {
+    if (running) return;
+    document.getElementById('historyOverlay').classList.add('active');
+    renderHistoryList();
+});
+
+document.getElementById('btnCloseHistory').addEventListener('click', () => {
+    document.getElementById('historyOverlay').classList.remove('active');
+});
+
+['historyFrom', 'historyTo', 'historyDog'].forEach(id => {
+    document.getElementById(id).addEventListener('change', renderHistoryList);
+});
+
+document.getElementById('btnHistoryClearFilter').addEventListener('click', () => {
+    document.getElementById('historyFrom').value = '';
+    document.getElementById('historyTo').value = '';
+    document.getElementById('historyDog').value = '';
+    renderHistoryList();
+});
+
+document.getElementById('historyList').addEventListener('click', async (e) => {
+    const btn = e.target.closest('button[data-action]');
+    if (!btn) return;
+    const id = Number(btn.dataset.id);
+
+    if (btn.dataset.action === 'view') {
+        viewSavedScan(id);
+    } else if (btn.dataset.action === 'delete') {
+        if (!confirm('Delete this saved scan?')) return;
+        try {
+            await historyStore.delete(id);
+        } catch (err) {
+            console.warn('Could not delete saved scan:', err);
+        }
+        renderHistoryList();
+    }
+});
+
+// ── Owner Feedback ──
+
+// Thumbs up / thumbs down, then a "what was it really?" picker.
+// onRate(label) saves the rating — label is null for thumbs up.
+function renderFeedbackRow(el, prompt, labels, onRate) {
+    const options = Object.entries(labels).map(([value, text]) => `<option value="${value}">${text}</option>`).join('');
+    el.innerHTML = `<span>${prompt}</span>
+        <button class="feedback-btn" data-verdict="up" title="Yes, that's right">\u{1F44D}</button>
+        <button class="feedback-btn" data-verdict="down" title="No — pick what it really was">\u{1F44E}</button>
+        <select class="dog-select" style="display:none;"><option value="">What was it really?</option>${options}</select>
+        <span class="feedback-thanks"></span>`;
+    el.style.display = 'flex';
+
+    const select = el.querySelector('select');
+    const rate = (label) => {
+        el.querySelectorAll('button, select').forEach(c => { c.disabled = true; });
+        onRate(label)
+            .then(() => { el.querySelector('.feedback-thanks').textContent = 'Thanks — saved'; })
+            .catch(err => {
+                console.warn('Could not save feedback:', err);
+                el.querySelector('.feedback-thanks').textContent = 'Could not save';
+            });
+    };
+    el.querySelector('[data-verdict="up"]').addEventListener('click', () => rate(null));
+    el.querySelector('[data-verdict="down"]').addEventListener('click', () => { select.style.display = 'inline-block'; });
+    select.addEventListener('change', () => { if (select.value) rate(select.value); });
+}
+
+function emotionFeedbackLabels() {
+    const labels = {};
+    feedbackStore.EMOTIONS.forEach(e => { labels[e] = e.charAt(0).toUpperCase() + e.slice(1); });
+    return labels;
+}
+
+function renderStateFeedback(results, meta) {
+    const el = document.getElementById('stateFeedback');
+    const behavior = results.agentReport && results.agentReport.behaviorState;
+    if (!feedbackStore || !behavior) {
+        el.style.display = 'none';
+        return;
+    }
+    renderFeedbackRow(el, `Was \u201C${escapeHtml(behavior.label)}\u201D right?`, feedbackStore.BEHAVIOR_STATES,
+        label => feedbackStore.rateBehavior(results, label, {
+            scanTimestamp: meta.timestamp,
+            dogId: meta.dog ? meta.dog.id : null
+        }));
+}
+
+async function renderAccuracy() {
+    const listEl = document.getElementById('accuracyList');
+    if (!feedbackStore) {
+        listEl.innerHTML = '<div class="history-empty">Feedback needs IndexedDB, which this browser does not provide.</div>';
+        return;
+    }
+
+    let records;
+    try {
+        records = await feedbackStore.list();
+    } catch (err) {
+        console.warn('Could not load feedback:', err);
+        listEl.innerHTML = '<div class="history-empty">Could not load feedback: ' + escapeHtml(err.message) + '</div>';
+        return;
+    }
+
+    // Rules version filter — keep the current choice if it still exists
+    const rulesEl = document.getElementById('accuracyRules');
+    const selected = rulesEl.value;
+    const all = feedbackStore.accuracy(records);
+    rulesEl.innerHTML = '<option value="">All versions</option>' + all.rulesVersions
+        .map(v => `<option value="${v == null ? 'none' : v}">${v == null ? 'Unversioned' : 'v' + v}</option>`).join('');
+    rulesEl.value = [...rulesEl.options].some(o => o.value === selected) ? selected : '';
+
+    const filter = rulesEl.value === '' ? {} : { rulesVersion: rulesEl.value === 'none' ? null : Number(rulesEl.value) };
+    const acc = feedbackStore.accuracy(records, filter);
+    if (acc.total === 0) {
+        listEl.innerHTML = '<div class="history-empty">No feedback yet. Rate translations with \u{1F44D} / \u{1F44E} during a scan, or the behavior state on a report.</div>';
+        return;
+    }
+
+    const section = (title, rows, nameOf) => {
+        if (rows.length === 0) return '';
+        let html = `<div class="history-day">${title}</div>`;
+        rows.forEach(r => {
+            const codes = Object.entries(r.codes).length > 1
+                ? Object.entries(r.codes).map(([code, c]) => `${code} ${c.correct}/${c.rated}`).join(' · ')
+                : '';
+            const confusions = r.confusions.length > 0
+                ? 'When wrong it was really: ' + r.confusions.map(c => `${nameOf(c.label)} (${c.count})`).join(', ')
+                : '';
+            html += `<div class="accuracy-row">
+                <div class="accuracy-row-head"><span>${nameOf(r.label)}</span><span>${r.accuracy}% · ${r.correct}/${r.rated}</span></div>
+                <div class="accuracy-bar"><div class="accuracy-bar-fill" style="width:${r.accuracy}%"></div></div>
+                <div class="accuracy-row-meta">${[codes, confusions].filter(Boolean).join('<br>')}</div>
+            </div>`;
+        });
+        return html;
+    };
+    const emotionName = (e) => e.charAt(0).toUpperCase() + e.slice(1);
+    listEl.innerHTML =
+        section('Translations — by emotion', acc.translation, emotionName) +
+        section('Behavior state', acc.behavior, s => feedbackStore.BEHAVIOR_STATES[s] || s);
+}
+
+document.getElementById('btnAccuracy').addEventListener('click', () => {
+    if (running) return;
+    document.getElementById('accuracyOverlay').classList.add('active');
+    renderAccuracy();
+});
+
+document.getElementById('btnCloseAccuracy').addEventListener('click', () => {
+    document.getElementById('accuracyOverlay').classList.remove('active');
+});
+
+document.getElementById('accuracyRules').addEventListener('change', renderAccuracy);
+
+document.getElementById('btnExportFeedback').addEventListener('click', async () => {
+    if (!feedbackStore) return;
+    try {
+        const records = await feedbackStore.list();
+        const stamp = new Date().toISOString().replace(/[:.]/g, '-');
+        downloadFile(`feedback-${stamp}.json`, JSON.stringify(records, null, 2), 'application/json');
+    } catch (err) {
+        console.warn('Could not export feedback:', err);
+    }
+});
+
+document.getElementById('btnClearFeedback').addEventListener('click', async () => {
+    if (!feedbackStore || !confirm('Delete all feedback? Accuracy starts over.')) return;
+    try {
+        await feedbackStore.clear();
+    } catch (err) {
+        console.warn('Could not clear feedback:', err);
+    }
+    renderAccuracy();
+});
+
+// ── Dog Profiles ──
+const ACTIVE_DOG_KEY = 'microsenses-active-dog';
+
+async function loadDogProfiles() {
+    if (!profileStore) return;
+    try {
+        dogProfiles = await profileStore.list();
+    } catch (err) {
+        console.warn('Could not load dog profiles:', err);
+        dogProfiles = [];
+    }
+
+    // Restore the last selected dog across reloads
+    const savedId = activeDog ? activeDog.id : Number(localStorage.getItem(ACTIVE_DOG_KEY));
+    activeDog = dogProfiles.find(d => d.id === savedId) || null;
+
+    const options = dogProfiles.map(d => `<option value="${d.id}">${escapeHtml(d.name)}</option>`).join('');
+    const dogSelect = document.getElementById('dogSelect');
+    dogSelect.innerHTML = '<option value="">Unnamed dog (no profile)</option>' + options;
+    dogSelect.value = activeDog ? String(activeDog.id) : '';
+
+    const historyDog = document.getElementById('historyDog');
+    const historyDogVal = historyDog.value;
+    historyDog.innerHTML = '<option value="">All dogs</option>' + options;
+    historyDog.value = dogProfiles.some(d => String(d.id) === historyDogVal) ? historyDogVal : '';
+
+    updateDogSelectPhoto();
+}
+
+function selectDog(id) {
+    activeDog = dogProfiles.find(d => d.id === id) || null;
+    if (activeDog) localStorage.setItem(ACTIVE_DOG_KEY, String(activeDog.id));
+    else localStorage.removeItem(ACTIVE_DOG_KEY);
+    document.getElementById('dogSelect').value = activeDog ? String(activeDog.id) : '';
+    updateDogSelectPhoto();
+}
+
+function updateDogSelectPhoto() {
+    const img = document.getElementById('dogSelectPhoto');
+    if (activeDog && activeDog.photo) {
+        img.src = activeDog.photo;
+        img.style.display = 'block';
+    } else {
+        img.removeAttribute('src');
+        img.style.display = 'none';
+    }
+}
+
+// One line on what the profile has learned so far
+function describeBaseline(baseline) {
+    if (!baseline || !baseline.scans) return 'No scans yet — using size-class defaults';
+    const parts = [`${baseline.scans} scan${baseline.scans !== 1 ? 's' : ''}`];
+    if (baseline.barkPitch) parts.push(`bark ~${Math.round(baseline.barkPitch.mean)} Hz (${baseline.barkPitch.samples} barks)`);
+    if (baseline.aspectRatio) parts.push(`resting shape learned (${baseline.aspectRatio.samples} frames)`);
+    if (baseline.motion) parts.push(`resting motion learned (${baseline.motion.samples} frames)`);
+    return parts.join(' · ');
+}
+
+function renderProfileList() {
+    const listEl = document.getElementById('profileList');
+    if (!profileStore) {
+        listEl.innerHTML = '<div class="history-empty">Dog profiles need IndexedDB, which this browser does not provide.</div>';
+        document.getElementById('profileForm').style.display = 'none';
+        return;
+    }
+    if (dogProfiles.length === 0) {
+        listEl.innerHTML = '<div class="history-empty">No dogs yet. Add one below — each dog gets its own baseline.</div>';
+        return;
+    }
+
+    listEl.innerHTML = dogProfiles.map(d => {
+        const size = profileStore.SIZE_CLASSES[d.sizeClass] || profileStore.SIZE_CLASSES.medium;
+        const details = [d.breed ? escapeHtml(d.breed) : '', size.label, d.ageYears ? `${d.ageYears} yr` : '']
+            .filter(Boolean).join(' · ');
+        return `<div class="history-item${activeDog && activeDog.id === d.id ? ' positive' : ''}">
+            ${d.photo ? `<img class="dog-avatar" src="${d.photo}" alt="">` : ''}
+            <div class="history-item-main">
+                <div class="history-item-title">${escapeHtml(d.name)}</div>
+                <div class="history-item-meta">${details}</div>
+                <div class="history-item-meta">${describeBaseline(d.baseline)}</div>
+            </div>
+            <div class="history-item-actions">
+                <button class="btn btn-secondary" data-action="edit" data-id="${d.id}">Edit</button>
+                <button class="btn btn-danger" data-action="delete" data-id="${d.id}">Delete</button>
+            </div>
+        </div>`;
+    }).join('');
+}
+
+function resetProfileForm(dog) {
+    document.getElementById('profileFormTitle').textContent = dog ? `Edit ${dog.name}` : 'Add a Dog';
+    document.getElementById('profileId').value = dog ? dog.id : '';
+    document.getElementById('profileName').value = dog ? dog.name : '';
+    document.getElementById('profileBreed').value = dog ? dog.breed || '' : '';
+    document.getElementById('profileSize').value = dog ? dog.sizeClass : 'medium';
+    document.getElementById('profileAge').value = dog && dog.ageYears != null ? dog.ageYears : '';
+    document.getElementById('profilePhoto').value = '';
+}
+
+document.getElementById('dogSelect').addEventListener('change', function() {
+    selectDog(this.value ? Number(this.value) : null);
+});
+
+document.getElementById('btnManageDogs').addEventListener('click', () => {
+    if (running) return;
+    resetProfileForm(null);
+    renderProfileList();
+    document.getElementById('profileOverlay').classList.add('active');
+});
+
+document.getElementById('btnCloseProfiles').addEventListener('click', () => {
+    document.getElementById('profileOverlay').classList.remove('active');
+});
+
+document.getElementById('btnResetProfileForm').addEventListener('click', () => resetProfileForm(null));
+
+document.getElementById('btnSaveProfile').addEventListener('click', async () => {
+    const idVal = document.getElementById('profileId').value;
+    const existing = idVal ? dogProfiles.find(d => d.id === Number(idVal)) : null;
+    const ageVal = document.getElementById('profileAge').value;
+    const photoFile = document.getElementById('profilePhoto').files[0];
+
+    try {
+        const profile = {
+            name: document.getElementById('profileName').value,
+            breed: document.getElementById('profileBreed').value.trim(),
+            sizeClass: document.getElementById('profileSize').value,
+            ageYears: ageVal ? Number(ageVal) : null,
+            photo: photoFile ? await profileStore.readPhoto(photoFile) : (existing ? existing.photo : null)
+        };
+        if (existing) profile.id = existing.id;
+
+        const id = await profileStore.save(profile);
+        await loadDogProfiles();
+        // First dog added becomes the selected one
+        if (!existing && !activeDog) selectDog(id);
+        resetProfileForm(null);
+        renderProfileList();
+    } catch (err) {
+        console.warn('Could not save dog profile:', err);
+        setStatus('Could not save dog profile: ' + err.message, 'error');
+    }
+});
+
+document.getElementById('profileList').addEventListener('click', async (e) => {
+    const btn = e.target.closest('button[data-action]');
+    if (!btn) return;
+    const dog = dogProfiles.find(d => d.id === Number(btn.dataset.id));
+    if (!dog) return;
+
+    if (btn.dataset.action === 'edit') {
+        resetProfileForm(dog);
+    } else if (btn.dataset.action === 'delete') {
+        if (!confirm(`Delete ${dog.name}'s profile and learned baseline? Saved scans are kept.`)) return;
+        try {
+            await profileStore.delete(dog.id);
+        } catch (err) {
+            console.warn('Could not delete dog profile:', err);
+        }
+        if (activeDog && activeDog.id === dog.id) selectDog(null);
+        await loadDogProfiles();
+        resetProfileForm(null);
+        renderProfileList();
+    }
+});
+
 // ── Resume AudioContext on any user interaction ──
 // Mobile browsers suspend AudioContext aggressively. Any tap/click resumes it.
 ['click', 'touchstart'].forEach(evt => {
@@ -1511,4 +2744,6 @@ document.getElementById('btnNewScan').addEventListener('click', () => {
 });
 
 // ── Init ──
+loadDogProfiles();
 loadModels();
+loadPoseModel();
@@ -16,6 +16,14 @@
    - Demand bark: persistent, single note
    - Aggressive bark: low pitch, prolonged
 
+   Audio path:
+   Microphone → AudioWorklet (bark-worklet.js) → one feature
+   frame (rms, spectrum, onset) per HOP_SIZE samples → this
+   engine, as the frames arrive. Analysis runs at the hop rate
+   (~47/s at 48 kHz), not at the video frame rate, so a slow
+   detector no longer drops or stretches barks. All durations
+   are set in ms and converted to hops.
+
    References:
    - Pongrácz et al. (2005) - Acoustic parameters of dog barks
    - Yin & McCowan (2004) - Bark classification
@@ -23,29 +31,46 @@
    - Faragó et al. (2010) - Bark meaning research
    ============================================ */
 
+var ModuleRegistry = ModuleRegistry || require('./module-registry.js');
+
 class BarkAnalysisEngine {
-    constructor() {
+    /**
+     * @param {object} options - { createAudioContext } factory returning an
+     *   AudioContext-compatible object (for headless use with a fake context),
+     *   { workletUrl } path of bark-worklet.js, { hopSize } samples per analysis frame
+     */
+    constructor(options = {}) {
+        this.createAudioContext = options.createAudioContext || null;
+        this.workletUrl = options.workletUrl || 'js/bark-worklet.js?v=3';
+
         // Audio nodes
         this.audioContext = null;
-        this.analyserNode = null;
         this.sourceNode = null;
+        this.workletNode = null;
         this.muteGain = null;
-        this.scriptProcessor = null;
 
         // Buffers
         this.fftSize = 4096;
-        this.timeDomainBuffer = null;
         this.frequencyBuffer = null;
-
-        // Ring buffer for sustained analysis (2 seconds)
-        this.ringBuffer = null;
-        this.ringBufferSize = 96000;
-        this.ringBufferWritePos = 0;
-        this.ringBufferFilled = false;
+        this.SPECTRUM_MAX_FREQ = 3000; // nothing above this feeds the spectral analysis
 
         // State
         this.isActive = false;
-        this.sampleRate = 48000;
+
+        // Analysis frame = one worklet hop. 1024 samples ≈ 21 ms at 48 kHz
+        this.HOP_SIZE = options.hopSize || 1024;
+        this.setHop(48000, this.HOP_SIZE);
+
+        // Audio clock (ms) of the current hop, and of the hop before the
+        // first one — scan time = audioTimeMs − audioStartMs
+        this.audioTimeMs = 0;
+        this.audioStartMs = null;
+        this.lastOnsetMs = null;
+        this.ONSET_LOOKBACK_MS = 150; // RMS over a 4096-sample window lags the onset by up to ~85 ms
+
+        // Hops analyzed since the last captureAudioFrames() (session recording)
+        this.capturedFrames = [];
+        this.MAX_CAPTURED_FRAMES = 300;
 
         // Sound activity detection
         this.isSoundActive = false;
@@ -58,43 +83,68 @@ class BarkAnalysisEngine {
         this.currentBark = null;
         this.barkHistory = [];
         this.maxBarkHistory = 100;
+        // Whole-scan bark totals — barkHistory only keeps the latest barks
+        this.barkTotals = { count: 0, freqSum: 0, durationSum: 0, types: {} };
 
         // Vocalization classification
         this.vocalizationType = 'silent'; // silent, bark, growl, whine, howl, yelp
         this.vocalizationHistory = [];
-        this.maxVocalizationHistory = 300;
+        this.VOCAL_HISTORY_MS = 10000;
 
         // Frequency tracking
         this.dominantFreqHistory = [];
         this.baselineEstablished = false;
         this.baselineRMS = null;
         this.baselineFrames = [];
-        this.BASELINE_FRAMES = 90; // 3 seconds
+        this.BASELINE_MS = 3000;
+        this.BASELINE_QUIET_MS = 1000; // this much quiet audio is enough
 
         // Spectral tracking
         this.spectralHistory = [];
 
         // Timeline for report
         this.timeline = [];
-        this.timelineWindowFrames = 30;
+        this.TIMELINE_WINDOW_MS = 1000;
+        this.MAX_TIMELINE_POINTS = 600;     // coarser steps past this
+        this.timelineStride = 1;            // TIMELINE_WINDOW_MS per entry
 
         // Configuration — Dog-specific frequency ranges
         this.DOG_FREQ_MIN = 80;     // Low growl
         this.DOG_FREQ_MAX = 2000;   // High bark
-        this.BARK_FREQ_MIN = 160;   // Low bark
         this.BARK_FREQ_MAX = 2000;  // High bark
-        this.GROWL_FREQ_MAX = 300;  // Growl ceiling
-        this.WHINE_FREQ_MIN = 300;  // Whine floor
-        this.HOWL_FREQ_MIN = 150;
-        this.HOWL_FREQ_MAX = 780;
+
+        // Pitch thresholds for a medium-size reference dog. Smaller dogs
+        // vocalize higher, larger dogs lower (Riede & Fitch, 1999 — vocal
+        // tract length tracks body size), so these are scaled per dog by
+        // applyProfile(). The search range above stays fixed.
+        this.BASE_PITCH = {
+            BARK_FREQ_MIN: 160,         // Low bark
+            GROWL_FREQ_MAX: 300,        // Growl ceiling
+            WHINE_FREQ_MIN: 300,        // Whine floor
+            HOWL_FREQ_MIN: 150,
+            HOWL_FREQ_MAX: 780,
+            YELP_FREQ_MIN: 800,
+            HIGH_BARK_FREQ_MIN: 600,    // Play/alert bark
+            LOW_BARK_FREQ_MAX: 300,     // Aggressive bark
+            ANXIETY_BARK_FREQ_MIN: 500  // Long high bark
+        };
+        this.REFERENCE_BARK_PITCH = 500; // Hz — typical medium-dog bark
+        this.SIZE_PITCH_SCALE = { toy: 1.6, small: 1.3, medium: 1.0, large: 0.85, giant: 0.7 };
+        this.MIN_PITCH_BASELINE_BARKS = 10;
+        this._setPitchScale(1);
 
         // Detection thresholds — tuned to detect real dog sounds on phone mics
         this.VAD_THRESHOLD = 0.02;  // Sound activity (lowered from 0.025)
         this.BARK_ONSET_THRESHOLD = 0.06; // Sharp onset for bark detection (lowered from 0.10)
-        this.BARK_MIN_DURATION = 2;  // Min frames for a bark (~66ms)
-        this.BARK_MAX_DURATION = 15; // Max frames for single bark (~500ms)
-        this.GROWL_MIN_DURATION = 20; // Growl must be sustained
-        this.HOWL_MIN_DURATION = 35;  // Howl is long sustained
+        this.BARK_MIN_MS = 65;       // Min duration for a bark
+        this.BARK_MAX_MS = 500;      // Max duration for a single bark
+        this.GROWL_MIN_MS = 660;     // Growl must be sustained
+        this.HOWL_MIN_MS = 1160;     // Howl is long sustained
+        this.WHINE_MIN_MS = 260;
+        this.YELP_MAX_MS = 100;
+        this.SILENCE_HANG_MS = 100;  // Silence this long ends a sound event
+        this.ONSET_WINDOW_MS = 130;  // Onset sharpness: largest RMS rise over this window...
+        this.ONSET_STEP_MS = 33;     // ...measured across steps this long
         this.MIN_VOCALIZATION_RMS = 0.03; // Minimum RMS to classify as any dog vocalization (lowered from 0.04)
 
         // Current sound event tracking (for duration-based classification)
@@ -102,7 +152,7 @@ class BarkAnalysisEngine {
 
         // Inter-bark interval tracking (Pongrácz et al., 2005)
         // IBI is the most scientifically validated bark parameter
-        this.lastBarkEndTime = 0;
+        this.lastBarkEndMs = null;
         this.interBarkIntervals = [];
         this.maxIBIHistory = 50;
 
@@ -116,7 +166,9 @@ class BarkAnalysisEngine {
         this.destroy();
 
         try {
-            this.audioContext = new (window.AudioContext || window.webkitAudioContext)();
+            this.audioContext = this.createAudioContext
+                ? this.createAudioContext()
+                : new (window.AudioContext || window.webkitAudioContext)();
 
             // CRITICAL: On mobile browsers (iOS/Android), AudioContext starts
             // in "suspended" state and produces ZERO audio data until resumed.
@@ -126,29 +178,34 @@ class BarkAnalysisEngine {
                 console.log('AudioContext resumed from suspended state');
             }
 
-            this.sampleRate = this.audioContext.sampleRate;
+            if (!this.audioContext.audioWorklet) {
+                throw new Error('AudioWorklet is not supported in this browser');
+            }
+            await this.audioContext.audioWorklet.addModule(this.workletUrl);
 
-            this.analyserNode = this.audioContext.createAnalyser();
-            this.analyserNode.fftSize = this.fftSize;
-            this.analyserNode.smoothingTimeConstant = 0.2;
+            this.setHop(this.audioContext.sampleRate, this.HOP_SIZE);
 
             this.sourceNode = this.audioContext.createMediaStreamSource(stream);
+            this.workletNode = new AudioWorkletNode(this.audioContext, 'bark-features', {
+                numberOfInputs: 1,
+                numberOfOutputs: 1,
+                channelCount: 1,
+                processorOptions: {
+                    fftSize: this.fftSize,
+                    hopSize: this.hopSize,
+                    maxFreq: this.SPECTRUM_MAX_FREQ
+                }
+            });
+            this.workletNode.port.onmessage = (e) => this._onWorkletMessage(e.data);
 
+            // The worklet only runs while pulled by the destination — muted
             this.muteGain = this.audioContext.createGain();
             this.muteGain.gain.value = 0;
 
-            this.scriptProcessor = this.audioContext.createScriptProcessor(4096, 1, 1);
-            this.scriptProcessor.onaudioprocess = (e) => {
-                const input = e.inputBuffer.getChannelData(0);
-                this._fillRingBuffer(input);
-            };
-
-            this.sourceNode.connect(this.analyserNode);
-            this.analyserNode.connect(this.scriptProcessor);
-            this.scriptProcessor.connect(this.muteGain);
+            this.sourceNode.connect(this.workletNode);
+            this.workletNode.connect(this.muteGain);
             this.muteGain.connect(this.audioContext.destination);
 
-            this._allocateBuffers();
             this.isActive = true;
 
             // Track current RMS for diagnostic display
@@ -156,7 +213,7 @@ class BarkAnalysisEngine {
             this.lastEffectiveThreshold = 0;
 
             console.log('BarkAnalysis: AudioContext state=' + this.audioContext.state +
-                        ', sampleRate=' + this.sampleRate);
+                        ', sampleRate=' + this.sampleRate + ', hop=' + this.hopSize);
         } catch (err) {
             console.error('BarkAnalysis initAudioContext failed:', err);
             this.destroy();
@@ -164,36 +221,27 @@ class BarkAnalysisEngine {
         }
     }
 
-    _allocateBuffers() {
-        this.timeDomainBuffer = new Float32Array(this.fftSize);
-        this.frequencyBuffer = new Float32Array(this.analyserNode.frequencyBinCount);
-        this.ringBuffer = new Float32Array(this.ringBufferSize);
-        this.ringBufferWritePos = 0;
-        this.ringBufferFilled = false;
-    }
-
-    _fillRingBuffer(samples) {
-        for (let i = 0; i < samples.length; i++) {
-            this.ringBuffer[this.ringBufferWritePos] = samples[i];
-            this.ringBufferWritePos++;
-            if (this.ringBufferWritePos >= this.ringBufferSize) {
-                this.ringBufferWritePos = 0;
-                this.ringBufferFilled = true;
-            }
-        }
+    /**
+     * Set the analysis frame size. Live scans use the AudioContext's rate
+     * and HOP_SIZE; replay sets the recording's values.
+     *
+     * @param {number} sampleRate - Hz
+     * @param {number} hopSize - samples per analysis frame
+     */
+    setHop(sampleRate, hopSize) {
+        this.sampleRate = sampleRate;
+        this.hopSize = hopSize;
+        this.hopMs = (hopSize / sampleRate) * 1000;
     }
 
     destroy() {
-        if (this.scriptProcessor) {
-            this.scriptProcessor.onaudioprocess = null;
-            try { this.scriptProcessor.disconnect(); } catch (e) {}
+        if (this.workletNode) {
+            this.workletNode.port.onmessage = null;
+            try { this.workletNode.disconnect(); } catch (e) {}
         }
         if (this.sourceNode) {
             try { this.sourceNode.disconnect(); } catch (e) {}
         }
-        if (this.analyserNode) {
-            try { this.analyserNode.disconnect(); } catch (e) {}
-        }
         if (this.muteGain) {
             try { this.muteGain.disconnect(); } catch (e) {}
         }
@@ -202,10 +250,9 @@ class BarkAnalysisEngine {
         }
 
         this.audioContext = null;
-        this.analyserNode = null;
         this.sourceNode = null;
+        this.workletNode = null;
         this.muteGain = null;
-        this.scriptProcessor = null;
         this.isActive = false;
     }
 
@@ -213,6 +260,7 @@ class BarkAnalysisEngine {
         this.barkEvents = [];
         this.currentBark = null;
         this.barkHistory = [];
+        this.barkTotals = { count: 0, freqSum: 0, durationSum: 0, types: {} };
         this.vocalizationType = 'silent';
         this.vocalizationHistory = [];
         this.dominantFreqHistory = [];
@@ -221,35 +269,156 @@ class BarkAnalysisEngine {
         this.baselineFrames = [];
         this.spectralHistory = [];
         this.timeline = [];
+        this.timelineStride = 1;
         this.soundFrameCount = 0;
         this.silenceFrameCount = 0;
         this.totalFrameCount = 0;
         this.currentEventFrames = 0;
         this.isSoundActive = false;
-        this.lastBarkEndTime = 0;
+        this.lastBarkEndMs = null;
         this.interBarkIntervals = [];
         this.tonalityHistory = [];
-        if (this.ringBuffer) this.ringBuffer.fill(0);
-        this.ringBufferWritePos = 0;
-        this.ringBufferFilled = false;
+        this.audioTimeMs = 0;
+        this.audioStartMs = null;
+        this.lastOnsetMs = null;
+        this.capturedFrames = [];
     }
 
-    // ── Real-time Processing ──
+    // ── Per-Dog Profile ──
+
+    /**
+     * Scale pitch thresholds for a specific dog. Uses the learned bark
+     * pitch once enough barks are on record, otherwise the size class.
+     *
+     * @param {object|null} profile - Dog profile ({ sizeClass, baseline }), or null to reset
+     */
+    applyProfile(profile) {
+        let scale = 1;
+        if (profile) {
+            const pitch = profile.baseline && profile.baseline.barkPitch;
+            if (pitch && pitch.samples >= this.MIN_PITCH_BASELINE_BARKS) {
+                scale = pitch.mean / this.REFERENCE_BARK_PITCH;
+            } else if (this.SIZE_PITCH_SCALE[profile.sizeClass]) {
+                scale = this.SIZE_PITCH_SCALE[profile.sizeClass];
+            }
+        }
+        this._setPitchScale(Math.max(0.5, Math.min(2, scale)));
+    }
 
-    processAudioFrame() {
-        if (!this.isActive || !this.analyserNode) return;
+    /**
+     * This scan's contribution to the dog's learned baseline.
+     * Only short events count — those are barks proper, not growls/whines.
+     *
+     * @returns {object|null} { barkPitch: { mean, samples } }
+     */
+    getBaselineSample() {
+        const barks = this.barkHistory.filter(b => b.durationMs <= this.BARK_MAX_MS && b.avgFreq > 0);
+        if (barks.length < 3) return null;
+        return {
+            barkPitch: {
+                mean: barks.reduce((s, b) => s + b.avgFreq, 0) / barks.length,
+                samples: barks.length
+            }
+        };
+    }
 
-        // Re-check AudioContext state — mobile browsers can re-suspend
+    _setPitchScale(scale) {
+        this.pitchScale = scale;
+        Object.entries(this.BASE_PITCH).forEach(([key, hz]) => {
+            this[key] = Math.round(hz * scale);
+        });
+    }
+
+    // ── Real-time Processing ──
+
+    /**
+     * Called once per video frame on live scans. Hops are analyzed as
+     * the worklet posts them — this only wakes an AudioContext the
+     * browser re-suspended (mobile browsers do this).
+     */
+    keepAlive() {
         if (this.audioContext && this.audioContext.state === 'suspended') {
             this.audioContext.resume();
         }
+    }
 
-        this.totalFrameCount++;
+    /**
+     * Whether the latest hop is a dog sound — not silence or ambient noise.
+     * Cheap enough to check on every display frame.
+     *
+     * @returns {boolean}
+     */
+    isVocalizing() {
+        return this.isSoundActive &&
+            this.vocalizationType !== 'silent' &&
+            this.vocalizationType !== 'ambient';
+    }
+
+    /**
+     * Barks that ended after an audio time — for callers that keep their
+     * own running counts past the maxBarkHistory cap. Poll at least every
+     * few seconds, or barks drop out of the history before they are seen.
+     *
+     * @param {number} ms - Audio time (ms); -Infinity for all kept barks
+     * @returns {Array} Bark records, oldest first
+     */
+    barksSince(ms) {
+        return this.barkHistory.filter(b => b.endMs > ms);
+    }
 
-        this.analyserNode.getFloatTimeDomainData(this.timeDomainBuffer);
-        this.analyserNode.getFloatFrequencyData(this.frequencyBuffer);
+    _onWorkletMessage(frame) {
+        if (!this.isActive || !frame || frame.type !== 'hop') return;
+        this._processHop(frame);
 
-        const rms = this._computeRMS(this.timeDomainBuffer);
+        this.capturedFrames.push({ t: frame.t, rms: frame.rms, spectrum: frame.spectrum, onset: frame.onset });
+        if (this.capturedFrames.length > this.MAX_CAPTURED_FRAMES) this.capturedFrames.shift();
+    }
+
+    /**
+     * Process recorded audio instead of live worklet frames. Used by
+     * session replay — the frames hold exactly what the live worklet
+     * produced, so classification is identical.
+     *
+     * Call setHop() with the recording's values first.
+     *
+     * @param {Array|object} frames - captureAudioFrames() output, or a single
+     *   { rms, spectrum } from logs recorded before the worklet
+     */
+    processRecordedFrame(frames) {
+        if (!frames) return;
+        (Array.isArray(frames) ? frames : [frames]).forEach(frame => this._processHop(frame));
+    }
+
+    /**
+     * Hops analyzed since the last call, for session recording.
+     * Spectra only reach SPECTRUM_MAX_FREQ — nothing above that feeds
+     * the spectral analysis, so they replay exactly.
+     *
+     * @returns {Array} [{ t, rms, spectrum: Float32Array, onset }]
+     */
+    captureAudioFrames() {
+        const frames = this.capturedFrames;
+        this.capturedFrames = [];
+        return frames;
+    }
+
+    _processHop(frame) {
+        if (!this.frequencyBuffer || this.frequencyBuffer.length !== this.fftSize / 2) {
+            this.frequencyBuffer = new Float32Array(this.fftSize / 2);
+        }
+        this.frequencyBuffer.fill(-Infinity);
+        this.frequencyBuffer.set(frame.spectrum.subarray(0, this.frequencyBuffer.length));
+
+        // Recordings made before the worklet carry no clock — one hop each
+        this.audioTimeMs = frame.t != null ? frame.t : (this.totalFrameCount + 1) * this.hopMs;
+        if (this.audioStartMs == null) this.audioStartMs = this.audioTimeMs - this.hopMs;
+        if (frame.onset != null) this.lastOnsetMs = frame.onset;
+
+        this._processSpectrum(frame.rms);
+    }
+
+    _processSpectrum(rms) {
+        this.totalFrameCount++;
         this.lastRMS = rms; // Store for diagnostic display
 
         // Establish environmental baseline (first 3 seconds)
@@ -260,8 +429,9 @@ class BarkAnalysisEngine {
             if (rms < 0.08) {
                 this.baselineFrames.push(rms);
             }
-            // Need at least 30 good frames (1 second) OR 90 total frames passed
-            if (this.baselineFrames.length >= 30 || this.totalFrameCount >= this.BASELINE_FRAMES) {
+            // Need 1 second of good frames OR 3 seconds passed
+            if (this.baselineFrames.length >= this._frames(this.BASELINE_QUIET_MS) ||
+                this.totalFrameCount >= this._frames(this.BASELINE_MS)) {
                 if (this.baselineFrames.length > 0) {
                     this.baselineRMS = this.baselineFrames.reduce((a, b) => a + b, 0) / this.baselineFrames.length;
                 } else {
@@ -294,14 +464,14 @@ class BarkAnalysisEngine {
             // Analyze spectral content
             const spectral = this._analyzeSpectralContent();
             this.spectralHistory.push(spectral);
-            if (this.spectralHistory.length > this.maxVocalizationHistory) {
+            if (this.spectralHistory.length > this._frames(this.VOCAL_HISTORY_MS)) {
                 this.spectralHistory.shift();
             }
 
             // Track dominant frequency
             const dominantFreq = this._findDominantFrequency();
             this.dominantFreqHistory.push({ freq: dominantFreq, rms, time: this.totalFrameCount });
-            if (this.dominantFreqHistory.length > this.maxVocalizationHistory) {
+            if (this.dominantFreqHistory.length > this._frames(this.VOCAL_HISTORY_MS)) {
                 this.dominantFreqHistory.shift();
             }
 
@@ -313,7 +483,7 @@ class BarkAnalysisEngine {
 
         } else {
             this.silenceFrameCount++;
-            if (this.silenceFrameCount > 3) {
+            if (this.silenceFrameCount > this._frames(this.SILENCE_HANG_MS)) {
                 // End any current bark
                 if (this.currentBark) {
                     this._finalizeBark();
@@ -330,26 +500,33 @@ class BarkAnalysisEngine {
             rms,
             isActive: this.isSoundActive
         });
-        if (this.vocalizationHistory.length > this.maxVocalizationHistory) {
+        if (this.vocalizationHistory.length > this._frames(this.VOCAL_HISTORY_MS)) {
             this.vocalizationHistory.shift();
         }
 
         // Build timeline entry every ~1 second
-        if (this.totalFrameCount % this.timelineWindowFrames === 0) {
+        if (this.totalFrameCount % (this._frames(this.TIMELINE_WINDOW_MS) * this.timelineStride) === 0) {
             const assess = this._quickAssess();
             this.timeline.push({
-                timeSeconds: Math.round(this.totalFrameCount / 30),
+                timeSeconds: Math.round(this._scanMs() / 1000),
                 vocalization: assess.currentType,
                 intensity: assess.intensity,
-                barkCount: this.barkHistory.length
+                barkCount: this.barkTotals.count
             });
+
+            // Past the cap, double the step and keep the entries that fall
+            // on it — a long monitoring session keeps an even timeline
+            if (this.timeline.length > this.MAX_TIMELINE_POINTS) {
+                this.timelineStride *= 2;
+                this.timeline = this.timeline.filter((e, i) => i % 2 === 1);
+            }
         }
     }
 
     // ── Quick Real-time Assessment ──
 
     _quickAssess() {
-        const recentVocals = this.vocalizationHistory.slice(-30);
+        const recentVocals = this.vocalizationHistory.slice(-this._frames(1000));
         const activeFrames = recentVocals.filter(v => v.isActive).length;
         const intensity = activeFrames > 0
             ? Math.round((recentVocals.filter(v => v.isActive).reduce((s, v) => s + v.rms, 0) / activeFrames) * 100)
@@ -357,16 +534,16 @@ class BarkAnalysisEngine {
 
         // Count recent bark types
         const recentBarks = this.barkHistory.filter(
-            b => b.endFrame > this.totalFrameCount - 90 // Last 3 seconds
+            b => b.endMs > this.audioTimeMs - 3000 // Last 3 seconds
         );
 
         // Bark rate (barks per minute)
-        const barkWindow = Math.min(this.totalFrameCount, 900); // Last 30 seconds
+        const barkWindow = Math.min(this._scanMs(), 30000); // Last 30 seconds
         const windowBarks = this.barkHistory.filter(
-            b => b.endFrame > this.totalFrameCount - barkWindow
+            b => b.endMs > this.audioTimeMs - barkWindow
         );
         const barkRate = barkWindow > 0
-            ? Math.round(windowBarks.length * (30 / barkWindow) * 60)
+            ? Math.round((windowBarks.length / barkWindow) * 60000)
             : 0;
 
         // Dominant bark type in recent history
@@ -399,13 +576,8 @@ class BarkAnalysisEngine {
         const lastBark = this.barkHistory.length > 0 ? this.barkHistory[this.barkHistory.length - 1] : null;
         const lastPitchContour = lastBark ? lastBark.pitchContour || 'flat' : 'flat';
 
-        // Only report as vocalizing if it's an actual dog sound, not ambient noise
-        const isDogSound = this.isSoundActive &&
-            this.vocalizationType !== 'silent' &&
-            this.vocalizationType !== 'ambient';
-
         return {
-            isVocalizing: isDogSound,
+            isVocalizing: this.isVocalizing(),
             currentType: this.vocalizationType,
             dominantType,
             intensity: Math.min(100, intensity),
@@ -423,7 +595,7 @@ class BarkAnalysisEngine {
             _threshold: this.lastEffectiveThreshold || 0,
             _baselineRMS: this.baselineRMS || 0,
             _audioState: this.audioContext ? this.audioContext.state : 'none',
-            _totalBarks: this.barkHistory.length
+            _totalBarks: this.barkTotals.count
         };
     }
 
@@ -463,18 +635,18 @@ class BarkAnalysisEngine {
         // Classification logic based on acoustic research
         // Order: check sustained sounds first (growl/whine/howl need duration),
         // then check transient sounds (bark/yelp need onset sharpness)
-        if (inDogRange && dominantFreq < this.GROWL_FREQ_MAX && spectralTilt > 0.2 && soundDuration > this.GROWL_MIN_DURATION && rms > 0.05) {
+        if (inDogRange && dominantFreq < this.GROWL_FREQ_MAX && spectralTilt > 0.2 && soundDuration > this._frames(this.GROWL_MIN_MS) && rms > 0.05) {
             this.vocalizationType = 'growl';
-        } else if (inDogRange && dominantFreq > this.WHINE_FREQ_MIN && soundDuration > 8 && rms > 0.04) {
+        } else if (inDogRange && dominantFreq > this.WHINE_FREQ_MIN && soundDuration > this._frames(this.WHINE_MIN_MS) && rms > 0.04) {
             // Whine: high-frequency sustained sound — relaxed spectral tilt requirement
             this.vocalizationType = 'whine';
         } else if (inDogRange && dominantFreq >= this.HOWL_FREQ_MIN && dominantFreq <= this.HOWL_FREQ_MAX
-            && soundDuration > this.HOWL_MIN_DURATION && this._isFrequencyModulated() && rms > 0.05) {
+            && soundDuration > this._frames(this.HOWL_MIN_MS) && this._isFrequencyModulated() && rms > 0.05) {
             this.vocalizationType = 'howl';
         } else if (inDogRange && onset > 0.08 && rms > this.BARK_ONSET_THRESHOLD) {
             // Bark: sharp onset with sufficient volume (onset lowered from 0.2 to 0.08)
             this.vocalizationType = 'bark';
-        } else if (inDogRange && onset > 0.15 && soundDuration < 3 && dominantFreq > 800 && rms > 0.06) {
+        } else if (inDogRange && onset > 0.15 && soundDuration < this._frames(this.YELP_MAX_MS) && dominantFreq > this.YELP_FREQ_MIN && rms > 0.06) {
             this.vocalizationType = 'yelp';
         } else if (inDogRange && rms > this.BARK_ONSET_THRESHOLD) {
             // Fallback: loud sound in dog frequency range — classify as bark
@@ -486,14 +658,15 @@ class BarkAnalysisEngine {
     }
 
     _computeOnsetSharpness() {
-        if (this.vocalizationHistory.length < 5) return 0;
-        const recent = this.vocalizationHistory.slice(-5);
-        const rmsValues = recent.map(v => v.rms);
+        const count = this._frames(this.ONSET_WINDOW_MS) + 1;
+        if (this.vocalizationHistory.length < count) return 0;
+        const rmsValues = this.vocalizationHistory.slice(-count).map(v => v.rms);
 
-        // Onset = how quickly RMS increased
+        // Onset = how quickly RMS increased (per ONSET_STEP_MS, whatever the hop)
+        const step = this._frames(this.ONSET_STEP_MS);
         let maxRise = 0;
-        for (let i = 1; i < rmsValues.length; i++) {
-            maxRise = Math.max(maxRise, rmsValues[i] - rmsValues[i - 1]);
+        for (let i = step; i < rmsValues.length; i++) {
+            maxRise = Math.max(maxRise, rmsValues[i] - rmsValues[i - step]);
         }
         return maxRise;
     }
@@ -516,9 +689,14 @@ class BarkAnalysisEngine {
                            this.vocalizationType === 'howl';
         if (isDogVocal) {
             if (!this.currentBark) {
+                // Start at the worklet's onset when it falls just before this hop
+                const onset = this.lastOnsetMs;
+                const fromOnset = onset != null && onset <= this.audioTimeMs &&
+                    this.audioTimeMs - onset <= this.ONSET_LOOKBACK_MS;
+                this.lastOnsetMs = null;
                 this.currentBark = {
                     startFrame: this.totalFrameCount,
-                    endFrame: null,
+                    startMs: fromOnset ? onset : this.audioTimeMs,
                     peakRMS: rms,
                     frequencies: [dominantFreq],
                     rmsValues: [rms],
@@ -537,8 +715,9 @@ class BarkAnalysisEngine {
     _finalizeBark() {
         if (!this.currentBark) return;
 
-        this.currentBark.endFrame = this.totalFrameCount;
-        const duration = this.currentBark.endFrame - this.currentBark.startFrame;
+        const endMs = this.audioTimeMs;
+        const durationMs = Math.round(endMs - this.currentBark.startMs);
+        const hops = this.totalFrameCount - this.currentBark.startFrame;
         const avgFreq = this.currentBark.frequencies.reduce((a, b) => a + b, 0) / this.currentBark.frequencies.length;
 
         // Use the last known vocalization type to inform classification
@@ -556,11 +735,11 @@ class BarkAnalysisEngine {
             barkType = 'anxiety'; // Whines map to anxiety
         } else if (lastVocalType === 'howl') {
             barkType = 'anxiety'; // Howls indicate distress/loneliness
-        } else if (duration <= this.BARK_MAX_DURATION) {
-            if (avgFreq > 600) {
+        } else if (durationMs <= this.BARK_MAX_MS) {
+            if (avgFreq > this.HIGH_BARK_FREQ_MIN) {
                 if (this.currentBark.peakRMS > 0.15) barkType = 'alert';
                 else barkType = 'play';
-            } else if (avgFreq < 300) {
+            } else if (avgFreq < this.LOW_BARK_FREQ_MAX) {
                 barkType = 'aggressive';
             } else {
                 const recentBarks = this.barkHistory.slice(-5);
@@ -569,16 +748,15 @@ class BarkAnalysisEngine {
                 barkType = isRepetitive ? 'demand' : 'alert';
             }
         } else {
-            if (avgFreq < 300) barkType = 'aggressive';
-            else if (avgFreq > 500) barkType = 'anxiety';
+            if (avgFreq < this.LOW_BARK_FREQ_MAX) barkType = 'aggressive';
+            else if (avgFreq > this.ANXIETY_BARK_FREQ_MIN) barkType = 'anxiety';
             else barkType = 'alert';
         }
 
         const bark = {
-            startFrame: this.currentBark.startFrame,
-            endFrame: this.currentBark.endFrame,
-            duration,
-            durationMs: Math.round((duration / 30) * 1000),
+            startMs: this.currentBark.startMs,
+            endMs,
+            durationMs,
             avgFreq: Math.round(avgFreq),
             peakRMS: Math.round(this.currentBark.peakRMS * 1000) / 1000,
             type: barkType
@@ -586,8 +764,8 @@ class BarkAnalysisEngine {
 
         // Inter-bark interval (IBI) — Pongrácz et al. (2005)
         // Time between end of last bark and start of this bark
-        if (this.lastBarkEndTime > 0) {
-            const ibi = Math.round(((this.currentBark.startFrame - this.lastBarkEndTime) / 30) * 1000);
+        if (this.lastBarkEndMs != null) {
+            const ibi = Math.round(this.currentBark.startMs - this.lastBarkEndMs);
             if (ibi > 0 && ibi < 10000) { // Reasonable range
                 bark.interBarkInterval = ibi;
                 this.interBarkIntervals.push(ibi);
@@ -596,12 +774,12 @@ class BarkAnalysisEngine {
                 }
             }
         }
-        this.lastBarkEndTime = this.currentBark.endFrame;
+        this.lastBarkEndMs = endMs;
 
         // Tonality estimation (harmonic-to-noise ratio approximation)
         // Tonal barks have concentrated spectral energy; noisy barks have spread energy
         if (this.spectralHistory.length > 0) {
-            const recentSpectral = this.spectralHistory.slice(-duration);
+            const recentSpectral = this.spectralHistory.slice(-hops);
             const avgMidRatio = recentSpectral.reduce((s, sp) => s + sp.midRatio, 0) / recentSpectral.length;
             // Higher mid ratio with low spread = more tonal
             bark.tonality = Math.min(1, avgMidRatio * 2);
@@ -626,6 +804,11 @@ class BarkAnalysisEngine {
         if (this.barkHistory.length > this.maxBarkHistory) {
             this.barkHistory.shift();
         }
+        const totals = this.barkTotals;
+        totals.count++;
+        totals.freqSum += bark.avgFreq;
+        totals.durationSum += bark.durationMs;
+        totals.types[bark.type] = (totals.types[bark.type] || 0) + 1;
 
         this.currentBark = null;
     }
@@ -693,27 +876,22 @@ class BarkAnalysisEngine {
     // ── Full Post-Scan Analysis ──
 
     fullAnalysis() {
-        const fps = 30;
-        const totalDuration = this.totalFrameCount / fps;
-        const soundDuration = this.soundFrameCount / fps;
+        const totalDuration = (this.totalFrameCount * this.hopMs) / 1000;
+        const soundDuration = (this.soundFrameCount * this.hopMs) / 1000;
         const soundRatio = this.totalFrameCount > 0
             ? Math.round((this.soundFrameCount / this.totalFrameCount) * 100) : 0;
 
-        // Bark type distribution
-        const barkTypeCount = {};
-        this.barkHistory.forEach(b => {
-            barkTypeCount[b.type] = (barkTypeCount[b.type] || 0) + 1;
-        });
+        // Bark type distribution — whole scan, not just the kept history
+        const totals = this.barkTotals;
+        const barkTypeCount = { ...totals.types };
 
         // Average bark frequency and duration
-        const avgBarkFreq = this.barkHistory.length > 0
-            ? Math.round(this.barkHistory.reduce((s, b) => s + b.avgFreq, 0) / this.barkHistory.length) : 0;
-        const avgBarkDuration = this.barkHistory.length > 0
-            ? Math.round(this.barkHistory.reduce((s, b) => s + b.durationMs, 0) / this.barkHistory.length) : 0;
+        const avgBarkFreq = totals.count > 0 ? Math.round(totals.freqSum / totals.count) : 0;
+        const avgBarkDuration = totals.count > 0 ? Math.round(totals.durationSum / totals.count) : 0;
 
         // Bark rate
         const barkRate = totalDuration > 0
-            ? Math.round((this.barkHistory.length / totalDuration) * 60 * 10) / 10 : 0;
+            ? Math.round((totals.count / totalDuration) * 60 * 10) / 10 : 0;
 
         // Dominant bark type
         let dominantBarkType = 'none';
@@ -754,7 +932,7 @@ class BarkAnalysisEngine {
             soundRatio,
             baselineEstablished: this.baselineEstablished,
             barks: {
-                total: this.barkHistory.length,
+                total: totals.count,
                 rate: barkRate,
                 avgFrequency: avgBarkFreq,
                 avgDuration: avgBarkDuration,
@@ -769,7 +947,7 @@ class BarkAnalysisEngine {
             },
             timeline: this.timeline,
             barkLog: this.barkHistory.slice(-20).map(b => ({
-                time: Math.round(b.startFrame / fps * 10) / 10,
+                time: Math.round((b.startMs - this.audioStartMs) / 100) / 10,
                 type: b.type,
                 freq: b.avgFreq,
                 duration: b.durationMs,
@@ -780,13 +958,15 @@ class BarkAnalysisEngine {
 
     // ── Utility ──
 
-    _computeRMS(buffer) {
-        let sum = 0;
-        for (let i = 0; i < buffer.length; i++) {
-            sum += buffer[i] * buffer[i];
-        }
-        return Math.sqrt(sum / buffer.length);
+    // Duration in ms → whole hops (at least one)
+    _frames(ms) {
+        return Math.max(1, Math.round(ms / this.hopMs));
+    }
+
+    // Audio time since the first analyzed hop
+    _scanMs() {
+        return this.audioStartMs == null ? 0 : this.audioTimeMs - this.audioStartMs;
     }
 }
 
-window.BarkAnalysisEngine = BarkAnalysisEngine;
+ModuleRegistry.expose('BarkAnalysisEngine', BarkAnalysisEngine, typeof module !== 'undefined' ? module : null);
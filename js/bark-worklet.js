@@ -0,0 +1,197 @@
+/* ============================================
+   BARK WORKLET — Audio-Thread Feature Extraction
+
+   Runs inside the AudioWorklet (audio rendering thread) and
+   turns the microphone stream into one feature frame per
+   fixed hop, no matter how fast the video pipeline runs:
+
+   - rms: over the last fftSize samples
+   - spectrum: dB magnitudes up to maxFreq, computed the way
+     an AnalyserNode does (Blackman window, 0.2 smoothing),
+     so BarkAnalysisEngine's thresholds are unchanged
+   - onset: audio time (ms) of a sharp energy rise inside
+     the hop, to the 128-sample render quantum and then the
+     first sample over the rise level — bark starts and
+     inter-bark intervals come from this, not from the hop
+
+   Frames are posted to the main thread as
+     { type: 'hop', t, rms, spectrum, onset }
+   with t the audio time (ms) at the end of the hop.
+
+   Loaded with audioWorklet.addModule(). Node: CommonJS
+   module so the feature math can be run headless.
+   ============================================ */
+
+const BarkWorkletBase = typeof AudioWorkletProcessor !== 'undefined' ? AudioWorkletProcessor : class {};
+
+class BarkWorkletProcessor extends BarkWorkletBase {
+    /**
+     * @param {object} options - { processorOptions: { fftSize, hopSize, maxFreq, sampleRate } }
+     *   sampleRate only needed outside the AudioWorklet (headless use/testing)
+     */
+    constructor(options = {}) {
+        super();
+        const opts = options.processorOptions || {};
+        this.fftSize = opts.fftSize || 4096;
+        this.hopSize = opts.hopSize || 1024;
+        this.rate = typeof sampleRate !== 'undefined' ? sampleRate : (opts.sampleRate || 48000);
+        const binWidth = this.rate / this.fftSize;
+        this.bins = Math.min(this.fftSize / 2, Math.floor((opts.maxFreq || 3000) / binWidth) + 1);
+
+        // AnalyserNode defaults the engine was tuned against
+        this.SMOOTHING = 0.2;
+
+        // Onset — short-term RMS jumps above the recent level
+        this.ONSET_RATIO = 3;           // quantum RMS this many times the running level
+        this.ONSET_MIN_RMS = 0.03;      // ignore rises in near-silence (BarkAnalysisEngine.MIN_VOCALIZATION_RMS)
+        this.ONSET_LEVEL_ALPHA = 0.05;  // running level ≈ last 20 quanta (~55 ms)
+        this.ONSET_REFRACTORY_MS = 60;  // one onset per bark
+
+        // Sliding window of the last fftSize samples
+        this.window = new Float32Array(this.fftSize);
+        this.writePos = 0;
+        this.sinceHop = 0;
+        this.samplesSeen = 0;
+
+        this.level = 0;
+        this.lastOnsetMs = -Infinity;
+        this.pendingOnset = null;
+
+        // FFT scratch + analyser state
+        this.blackman = BarkWorkletProcessor._blackman(this.fftSize);
+        this.re = new Float32Array(this.fftSize);
+        this.im = new Float32Array(this.fftSize);
+        this.smoothed = new Float32Array(this.fftSize / 2);
+    }
+
+    process(inputs) {
+        const input = inputs[0] && inputs[0][0];
+        if (input) this.push(input).forEach(frame => this.port.postMessage(frame, [frame.spectrum.buffer]));
+        return true;
+    }
+
+    /**
+     * Feed one block of samples.
+     *
+     * @param {Float32Array} samples
+     * @returns {Array} Feature frames for every hop completed in the block
+     */
+    push(samples) {
+        this._detectOnset(samples);
+
+        const frames = [];
+        for (let i = 0; i < samples.length; i++) {
+            this.window[this.writePos] = samples[i];
+            this.writePos = (this.writePos + 1) % this.fftSize;
+            this.samplesSeen++;
+            if (++this.sinceHop >= this.hopSize) {
+                this.sinceHop = 0;
+                frames.push(this._featureFrame());
+            }
+        }
+        return frames;
+    }
+
+    // ── Onset ──
+
+    // Block RMS against the running level; the onset is placed at the
+    // first sample over the rise level, so it is sample-accurate
+    _detectOnset(samples) {
+        let sum = 0;
+        for (let i = 0; i < samples.length; i++) sum += samples[i] * samples[i];
+        const rms = Math.sqrt(sum / samples.length);
+
+        const startMs = (this.samplesSeen / this.rate) * 1000;
+        if (rms >= this.ONSET_MIN_RMS && rms > this.ONSET_RATIO * this.level &&
+            startMs - this.lastOnsetMs >= this.ONSET_REFRACTORY_MS) {
+            const rise = Math.max(this.ONSET_MIN_RMS, this.ONSET_RATIO * this.level);
+            let offset = 0;
+            while (offset < samples.length - 1 && Math.abs(samples[offset]) < rise) offset++;
+            this.lastOnsetMs = startMs + (offset / this.rate) * 1000;
+            if (this.pendingOnset == null) this.pendingOnset = this.lastOnsetMs;
+        }
+        this.level += this.ONSET_LEVEL_ALPHA * (rms - this.level);
+    }
+
+    // ── Features ──
+
+    _featureFrame() {
+        const n = this.fftSize;
+        let sumSq = 0;
+        for (let i = 0; i < n; i++) {
+            const v = this.window[(this.writePos + i) % n];
+            sumSq += v * v;
+            this.re[i] = v * this.blackman[i];
+            this.im[i] = 0;
+        }
+        BarkWorkletProcessor._fft(this.re, this.im);
+
+        // Same as AnalyserNode.getFloatFrequencyData
+        const spectrum = new Float32Array(this.bins);
+        for (let k = 0; k < n / 2; k++) {
+            const mag = Math.hypot(this.re[k], this.im[k]) / n;
+            this.smoothed[k] = this.SMOOTHING * this.smoothed[k] + (1 - this.SMOOTHING) * mag;
+            if (k < this.bins) spectrum[k] = 20 * Math.log10(this.smoothed[k]);
+        }
+
+        const frame = {
+            type: 'hop',
+            t: (this.samplesSeen / this.rate) * 1000,
+            rms: Math.sqrt(sumSq / n),
+            spectrum,
+            onset: this.pendingOnset
+        };
+        this.pendingOnset = null;
+        return frame;
+    }
+
+    // ── Utility ──
+
+    static _blackman(n) {
+        const w = new Float32Array(n);
+        for (let i = 0; i < n; i++) {
+            w[i] = 0.42 - 0.5 * Math.cos((2 * Math.PI * i) / n) + 0.08 * Math.cos((4 * Math.PI * i) / n);
+        }
+        return w;
+    }
+
+    // In-place iterative radix-2 FFT (length must be a power of two)
+    static _fft(re, im) {
+        const n = re.length;
+        for (let i = 1, j = 0; i < n; i++) {
+            let bit = n >> 1;
+            for (; j & bit; bit >>= 1) j ^= bit;
+            j ^= bit;
+            if (i < j) {
+                [re[i], re[j]] = [re[j], re[i]];
+                [im[i], im[j]] = [im[j], im[i]];
+            }
+        }
+        for (let len = 2; len <= n; len <<= 1) {
+            const ang = (-2 * Math.PI) / len;
+            const wr = Math.cos(ang);
+            const wi = Math.sin(ang);
+            for (let i = 0; i < n; i += len) {
+                let cr = 1;
+                let ci = 0;
+                for (let k = 0; k < len / 2; k++) {
+                    const a = i + k;
+                    const b = a + len / 2;
+                    const tr = re[b] * cr - im[b] * ci;
+                    const ti = re[b] * ci + im[b] * cr;
+                    re[b] = re[a] - tr;
+                    im[b] = im[a] - ti;
+                    re[a] += tr;
+                    im[a] += ti;
+                    const next = cr * wr - ci * wi;
+                    ci = cr * wi + ci * wr;
+                    cr = next;
+                }
+            }
+        }
+    }
+}
+
+// AudioWorklet: registered processor. Node: CommonJS module (headless use/testing).
+if (typeof registerProcessor !== 'undefined') registerProcessor('bark-features', BarkWorkletProcessor);
+if (typeof module !== 'undefined' && module.exports) module.exports = BarkWorkletProcessor;
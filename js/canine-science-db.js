@@ -10,10 +10,12 @@
    recognized journals. No assumptions — only evidence.
    ============================================ */
 
+var ModuleRegistry = ModuleRegistry || require('./module-registry.js');
+
 class CanineScienceDB {
     constructor() {
         // ═══════════════════════════════════════════
-        // STUDY DATABASE — 25+ peer-reviewed papers
+        // STUDY DATABASE — 30+ peer-reviewed papers
         // ═══════════════════════════════════════════
 
         this.studies = {
@@ -122,6 +124,13 @@ class CanineScienceDB {
                 journal: 'Behavioural Processes, 125, 106-113',
                 finding: 'Play bows serve multiple functions: initiating play sequences, maintaining play during pauses, and signaling after accidental rough play. They are more frequent before and after escalated play, confirming their metacommunicative function.'
             },
+            horowitz2009play: {
+                authors: 'Horowitz, A.',
+                year: 2009,
+                title: 'Attention to attention in domestic dog (Canis familiaris) dyadic play',
+                journal: 'Animal Cognition, 12(1), 107-118',
+                finding: 'In dog-dog play, play signals such as the play bow are sent almost exclusively when the partner is facing the signaler. When the partner is not attending, dogs first use attention-getting behaviors (approaching, nudging, barking). Chasing, approaching and play bows form a coordinated, partner-directed sequence.'
+            },
             rooney2001: {
                 authors: 'Rooney, N.J., Bradshaw, J.W.S., Robinson, I.H.',
                 year: 2001,
@@ -164,6 +173,13 @@ class CanineScienceDB {
                 journal: 'Journal of Veterinary Behavior, 18, 49-55',
                 finding: 'Calming/appeasement signals (head turning, lip licking, yawning, sniffing) are significantly more frequent during stressful interactions. Their ABSENCE during rest confirms the dog is not experiencing social stress.'
             },
+            rugaas2006: {
+                authors: 'Rugaas, T.',
+                year: 2006,
+                title: 'On Talking Terms with Dogs: Calming Signals (2nd ed.)',
+                journal: 'Dogwise Publishing',
+                finding: 'Describes calming signals — yawning, lip/nose licking, turning away, sniffing, freezing — that dogs use to calm themselves and others when uneasy. A yawn or lick out of context (not tired, no food) indicates the dog is coping with mild stress.'
+            },
             bremhorst2021: {
                 authors: 'Bremhorst, A., Sutter, N.A., Wurbel, H., Mills, D.S., Riemer, S.',
                 year: 2021,
@@ -205,6 +221,48 @@ class CanineScienceDB {
                 title: 'Inside of a Dog: What Dogs See, Smell, and Know',
                 journal: 'Scribner',
                 finding: 'Dogs experience the world primarily through olfaction but use body posture, movement speed, and vocalizations as primary communication channels. Head tilting indicates active auditory processing — the dog is physically adjusting ear position to better localize or discriminate sounds.'
+            },
+            lund1999: {
+                authors: 'Lund, J.D., Jørgensen, M.C.',
+                year: 1999,
+                title: 'Behaviour patterns and time course of activity in dogs with separation problems',
+                journal: 'Applied Animal Behaviour Science, 63(3), 219-236',
+                finding: 'Video recordings of dogs with separation problems left alone at home showed vocalization, destruction and restlessness concentrated at the start of the absence, most of it within the first 30 minutes after the owner left.'
+            },
+            flannigan2001: {
+                authors: 'Flannigan, G., Dodman, N.H.',
+                year: 2001,
+                title: 'Risk factors and behaviors associated with separation anxiety in dogs',
+                journal: 'Journal of the American Veterinary Medical Association, 219(4), 460-466',
+                finding: 'The most common signs in dogs diagnosed with separation anxiety were destructive behavior, excessive vocalization and house soiling occurring when the dog was left alone.'
+            },
+            palestrini2010: {
+                authors: 'Palestrini, C., Minero, M., Cannas, S., Rossi, E., Frank, D.',
+                year: 2010,
+                title: 'Video analysis of dogs with separation-related behaviors',
+                journal: 'Applied Animal Behaviour Science, 124(1-2), 61-67',
+                finding: 'Filmed alone, dogs with separation-related behavior vocalized more and spent more time oriented to the door the owner left through than control dogs, with the behavior most intense shortly after departure.'
+            },
+            sherman2008: {
+                authors: 'Sherman, B.L., Mills, D.S.',
+                year: 2008,
+                title: 'Canine anxieties and phobias: an update on separation anxiety and noise aversions',
+                journal: 'Veterinary Clinics of North America: Small Animal Practice, 38(5), 1081-1106',
+                finding: 'Separation anxiety is recognized by distress behaviors — vocalization, destruction, elimination, pacing, salivation — shown when the dog is separated from its attachment figure. Recording the dog while alone is recommended to confirm the problem and to follow the response to behavior modification.'
+            },
+            rishniw2012: {
+                authors: 'Rishniw, M., Ljungvall, I., Porciello, F., Häggström, J., Ohad, D.G.',
+                year: 2012,
+                title: 'Sleeping respiratory rates in apparently healthy adult dogs',
+                journal: 'Research in Veterinary Science, 93(2), 965-969',
+                finding: 'Owners counted sleeping respiratory rates at home in healthy adult dogs: nearly all were under 30 breaths/min, most well under. A sleeping rate above 30 is unusual in a healthy dog.'
+            },
+            ohad2013: {
+                authors: 'Ohad, D.G., Rishniw, M., Ljungvall, I., Porciello, F., Häggström, J.',
+                year: 2013,
+                title: 'Sleeping and resting respiratory rates in dogs with subclinical heart disease',
+                journal: 'Journal of the American Veterinary Medical Association, 243(6), 839-843',
+                finding: 'Dogs with heart disease but no heart failure still had sleeping and resting rates mostly below 30 breaths/min, so a rising resting rate is an early sign of congestive heart failure worth a veterinary check.'
             }
         };
 
@@ -327,13 +385,51 @@ class CanineScienceDB {
             },
 
             // ── TAIL EVIDENCE ──
+            'tail-wag-asymmetry': {
+                observation: 'Tail wag biased to one side',
+                studies: ['quaranta2007', 'siniscalchi2013'],
+                evidence: 'Quaranta et al. (2007) showed wag amplitude is lateralized by emotion: wider swings to the dog\'s right toward its owner (approach, positive), to the left toward an unfamiliar dominant dog (withdrawal, negative). Siniscalchi et al. (2013) found other dogs respond to the bias — left-biased wags raised heart rate and anxiety behaviors in watching dogs, right-biased wags did not.',
+                conclusion: 'The side the tail swings wider to indicates emotional valence — right = positive, left = negative.'
+            },
+            'tail-tucked': {
+                observation: 'Tail carried low or tucked',
+                studies: ['beerda1998', 'schilder2004'],
+                evidence: 'A lowered or tucked tail is one of the most consistent canine stress indicators. Beerda et al. (1998) list it with lowered body posture among acute stress signs; Schilder & van der Borg (2004) observed low tail carriage alongside other fear behaviors in dogs under aversive training.',
+                conclusion: 'A tucked tail indicates fear, stress, or appeasement — not relaxation.'
+            },
             'tail-wag': {
                 observation: 'Tail wagging detected',
                 studies: ['quaranta2007', 'siniscalchi2013', 'leonetti2024'],
-                evidence: 'Quaranta et al. (2007) discovered tail wag lateralization: right-biased wagging = positive emotion, left-biased = negative/uncertainty. Leonetti et al. (2024) confirmed that wag speed correlates with arousal level. Note: camera-based detection cannot determine wag direction, only presence and speed.',
+                evidence: 'Quaranta et al. (2007) discovered tail wag lateralization: right-biased wagging = positive emotion, left-biased = negative/uncertainty. Leonetti et al. (2024) confirmed that wag speed correlates with arousal level. Note: wag direction can only be measured when the dog faces toward or away from the camera — from the side only presence and speed are visible.',
                 conclusion: 'Tail wagging indicates emotional arousal — generally positive but direction matters (not detectable from camera).'
             },
 
+            // ── HEAD / FACIAL EVIDENCE ──
+            'ears-pinned': {
+                observation: 'Ears pinned back against the head',
+                studies: ['flint2018', 'beerda1998'],
+                evidence: 'Flint et al. (2018) list ears held back among the fear behaviors puppies show to novel stimuli, alongside lowered posture and freezing. Beerda et al. (1998) observed lowered, backward ear positions with low body posture under acute stress.',
+                conclusion: 'Pinned ears indicate fear, appeasement, or stress.'
+            },
+            'panting': {
+                observation: 'Panting detected',
+                studies: ['beerda1998'],
+                evidence: 'Panting is the dog\'s main way of shedding heat, so after exercise or in warm weather it carries no emotional meaning. Beerda et al. (1998) found oral behaviors increase under acute stress; panting in a resting dog with no heat or exertion to explain it is read the same way.',
+                conclusion: 'Panting at rest, without heat or exercise, suggests stress — panting after activity is normal.'
+            },
+            'yawning': {
+                observation: 'Yawning detected',
+                studies: ['rugaas2006', 'mariti2017', 'beerda1998'],
+                evidence: 'Rugaas (2006) describes the out-of-context yawn as a calming signal a dog uses when uneasy. Mariti et al. (2017) found yawning among the appeasement signals that become more frequent during stressful interactions, and Beerda et al. (1998) recorded increased oral behaviors under acute stress.',
+                conclusion: 'Yawning when not tired indicates the dog is coping with mild stress.'
+            },
+            'lip-licking': {
+                observation: 'Lip licking detected',
+                studies: ['rugaas2006', 'mariti2017', 'beerda1998'],
+                evidence: 'Quick tongue flicks over the lips or nose are among the most common calming signals (Rugaas, 2006). Mariti et al. (2017) measured more lip licking in stressful interactions, and Beerda et al. (1998) found it rose with salivary cortisol after aversive stimuli.',
+                conclusion: 'Lip licking with no food present indicates appeasement or mild stress.'
+            },
+
             // ── TENSION/TREMBLING EVIDENCE ──
             'body-tension': {
                 observation: 'Body tension/trembling detected',
@@ -341,6 +437,12 @@ class CanineScienceDB {
                 evidence: 'Schilder & van der Borg (2004) documented trembling as a reliable stress indicator. Flint et al. (2018) distinguished fear-freeze (rigid tension) from calm stillness (relaxed musculature). Body tension without macro movement suggests the dog is experiencing stress, cold, or medical discomfort.',
                 conclusion: 'Body tension indicates stress, fear, cold, or medical issue — further assessment needed.'
             },
+            'trembling': {
+                observation: 'Trembling episodes detected',
+                studies: ['beerda1998', 'schilder2004'],
+                evidence: 'Beerda et al. (1998) recorded trembling among the acute stress responses that accompanied rising salivary cortisol, and Schilder & van der Borg (2004) list trembling/shivering with low posture and tucked tail as reliable stress indicators across contexts. Cold, pain, nausea, age and excitement also make dogs tremble, so the setting matters.',
+                conclusion: 'Sustained trembling while otherwise still suggests fear or stress — rule out cold, pain or illness, and see a vet if it has no obvious cause.'
+            },
 
             // ── SLEEP/REST EVIDENCE ──
             'sleep-pattern': {
@@ -350,6 +452,20 @@ class CanineScienceDB {
                 conclusion: 'Sustained stillness in lying position is consistent with genuine sleep — an essential health behavior.'
             },
 
+            // ── RESPIRATION EVIDENCE ──
+            'respiration-rate': {
+                observation: 'Resting respiratory rate measured',
+                studies: ['rishniw2012', 'ohad2013', 'kis2014'],
+                evidence: 'Rishniw et al. (2012) found healthy adult dogs almost always breathe under 30 times a minute while asleep, and Ohad et al. (2013) found the same in dogs with heart disease that had not progressed to heart failure. Kis et al. (2014) list a regular breathing rhythm among the markers of canine sleep.',
+                conclusion: 'A resting breathing rate in the normal range, consistent with a relaxed dog.'
+            },
+            'respiration-abnormal': {
+                observation: 'Resting respiratory rate outside the normal range',
+                studies: ['rishniw2012', 'ohad2013'],
+                evidence: 'Sleeping respiratory rates above 30 breaths/min are uncommon in healthy dogs (Rishniw et al., 2012), and Ohad et al. (2013) recommend owners count resting rates at home because a rise is an early sign of congestive heart failure. Heat, a recent run or a dream can raise one reading — a rate that stays high on repeat checks is the concern.',
+                conclusion: 'Count the resting breathing rate again later; if it stays outside the range, show this report to your veterinarian.'
+            },
+
             // ── STRESS EVIDENCE ──
             'stress-pattern': {
                 observation: 'Stress behavior pattern detected',
@@ -358,6 +474,32 @@ class CanineScienceDB {
                 conclusion: 'Multiple concurrent stress indicators provide strong evidence of negative emotional state.'
             },
 
+            // ── SEPARATION EVIDENCE ──
+            'separation-vocalization': {
+                observation: 'Vocalizing while left alone',
+                studies: ['flannigan2001', 'palestrini2010', 'yin2004'],
+                evidence: 'Excessive vocalization when the owner is absent is one of the three most common signs of separation anxiety (Flannigan & Dodman, 2001). Palestrini et al. (2010) found dogs with separation-related behavior vocalized more when filmed alone than control dogs, and Yin & McCowan (2004) showed isolation barks are acoustically distinct — higher pitched and more tonal than disturbance barks.',
+                conclusion: 'Repeated barking, whining or howling while alone is a core sign of separation distress.'
+            },
+            'separation-pacing': {
+                observation: 'Pacing or restless while left alone',
+                studies: ['sherman2008', 'beerda1999'],
+                evidence: 'Sherman & Mills (2008) list pacing and restlessness among the distress behaviors of separation anxiety. Beerda et al. (1999) found repetitive locomotion rises with chronic stress in dogs under spatial and social restriction.',
+                conclusion: 'Sustained pacing while alone indicates the dog is not coping with the absence.'
+            },
+            'separation-time-course': {
+                observation: 'Distress concentrated early in the absence',
+                studies: ['lund1999', 'palestrini2010'],
+                evidence: 'Lund & Jørgensen (1999) found most separation-problem behavior within the first 30 minutes after the owner left, and Palestrini et al. (2010) saw it most intense shortly after departure. Distress front-loaded after departure fits separation anxiety better than a response to a passing noise.',
+                conclusion: 'The timing of distress episodes matches the pattern reported for separation-related problems.'
+            },
+            'separation-settled': {
+                observation: 'Settled while left alone',
+                studies: ['sherman2008', 'beerda1998'],
+                evidence: 'Separation anxiety is defined by distress shown in the owner\'s absence (Sherman & Mills, 2008). Beerda et al. (1998) found stressed dogs vocalize, pace and show oral behaviors; a dog that stays quiet and still for most of the absence shows none of these signs.',
+                conclusion: 'No sustained distress was seen while the dog was alone.'
+            },
+
             // ── MULTI-MODAL EVIDENCE ──
             'multi-modal-calm': {
                 observation: 'Multiple signals converge on calm state',
@@ -387,6 +529,7 @@ class CanineScienceDB {
         const hasTension = measurements.hasTension || false;
         const framesAnalyzed = measurements.framesAnalyzed || 0;
         const pixelBodyState = measurements.pixelBodyState || 'unknown';
+        const fromKeypoints = measurements.postureSource === 'keypoints';
 
         // ── POSTURE EVIDENCE ──
         if (posture === 'down') {
@@ -397,9 +540,12 @@ class CanineScienceDB {
             const sig = this.signalEvidence[key];
             chain.push({
                 observation: sig.observation,
-                measurement: `Bounding box aspect ratio > 1.5 (horizontal body orientation) sustained over ${framesAnalyzed} frames`,
+                measurement: fromKeypoints
+                    ? `Pose keypoints: withers and hips both low over the ground line, across ${framesAnalyzed} frames`
+                    : `Bounding box aspect ratio > 1.5 (horizontal body orientation) sustained over ${framesAnalyzed} frames`,
                 studyEvidence: sig.evidence,
                 citation: this._citationsFor(sig.studies),
+                studies: sig.studies.slice(),
                 conclusion: sig.conclusion
             });
         } else if (posture === 'stand' && stillness > 10 && !hasVocalization) {
@@ -409,15 +555,19 @@ class CanineScienceDB {
                 measurement: `Standing posture with stillness score ${stillness} (movement below ${6} px/frame noise floor)`,
                 studyEvidence: sig.evidence,
                 citation: this._citationsFor(sig.studies),
+                studies: sig.studies.slice(),
                 conclusion: sig.conclusion
             });
         } else if (posture === 'crouch') {
             const sig = this.signalEvidence['posture-crouch'];
             chain.push({
                 observation: sig.observation,
-                measurement: 'Rapid height decrease detected in bounding box — body lowered significantly',
+                measurement: fromKeypoints
+                    ? 'Pose keypoints: withers and hips both lowered, neither on the ground'
+                    : 'Rapid height decrease detected in bounding box — body lowered significantly',
                 studyEvidence: sig.evidence,
                 citation: this._citationsFor(sig.studies),
+                studies: sig.studies.slice(),
                 conclusion: sig.conclusion
             });
         }
@@ -430,6 +580,7 @@ class CanineScienceDB {
                 measurement: `Movement speed averaged ${avgSpeed.toFixed(1)} px/frame — below noise floor for ${Math.round(stillness)} consecutive analysis windows`,
                 studyEvidence: sig.evidence,
                 citation: this._citationsFor(sig.studies),
+                studies: sig.studies.slice(),
                 conclusion: sig.conclusion
             });
         } else if (measurements.pacing > 3) {
@@ -439,6 +590,7 @@ class CanineScienceDB {
                 measurement: `${measurements.pacing} direction reversals detected in horizontal movement`,
                 studyEvidence: sig.evidence,
                 citation: this._citationsFor(sig.studies),
+                studies: sig.studies.slice(),
                 conclusion: sig.conclusion
             });
         } else if (measurements.bouncing > 2) {
@@ -448,6 +600,7 @@ class CanineScienceDB {
                 measurement: `${measurements.bouncing} vertical oscillations with variable speed detected`,
                 studyEvidence: sig.evidence,
                 citation: this._citationsFor(sig.studies),
+                studies: sig.studies.slice(),
                 conclusion: sig.conclusion
             });
         } else if (avgSpeed > 12) {
@@ -457,6 +610,7 @@ class CanineScienceDB {
                 measurement: `Average movement speed: ${avgSpeed.toFixed(1)} px/frame`,
                 studyEvidence: sig.evidence,
                 citation: this._citationsFor(sig.studies),
+                studies: sig.studies.slice(),
                 conclusion: sig.conclusion
             });
         }
@@ -470,6 +624,7 @@ class CanineScienceDB {
                     measurement: 'Microphone detected no dog vocalizations during the scan period',
                     studyEvidence: sig.evidence,
                     citation: this._citationsFor(sig.studies),
+                    studies: sig.studies.slice(),
                     conclusion: sig.conclusion
                 });
             }
@@ -489,6 +644,7 @@ class CanineScienceDB {
                     measurement: `Pitch: ${measurements.barkPitch || 0}Hz | Rate: ${measurements.barkRate || 0}/min | Type: ${measurements.barkType || 'unknown'}`,
                     studyEvidence: sig.evidence,
                     citation: this._citationsFor(sig.studies),
+                    studies: sig.studies.slice(),
                     conclusion: sig.conclusion
                 });
             } else if (vocalType === 'growl') {
@@ -498,6 +654,7 @@ class CanineScienceDB {
                     measurement: `Growling detected — low-frequency sustained vocalization`,
                     studyEvidence: sig.evidence,
                     citation: this._citationsFor(sig.studies),
+                    studies: sig.studies.slice(),
                     conclusion: sig.conclusion
                 });
             } else if (vocalType === 'whine') {
@@ -507,6 +664,7 @@ class CanineScienceDB {
                     measurement: `Whining detected — high-frequency sustained vocalization`,
                     studyEvidence: sig.evidence,
                     citation: this._citationsFor(sig.studies),
+                    studies: sig.studies.slice(),
                     conclusion: sig.conclusion
                 });
             } else if (vocalType === 'howl') {
@@ -516,6 +674,7 @@ class CanineScienceDB {
                     measurement: `Howling detected — long, modulated vocalization`,
                     studyEvidence: sig.evidence,
                     citation: this._citationsFor(sig.studies),
+                    studies: sig.studies.slice(),
                     conclusion: sig.conclusion
                 });
             }
@@ -526,9 +685,12 @@ class CanineScienceDB {
             const sig = this.signalEvidence['play-bow'];
             chain.push({
                 observation: sig.observation,
-                measurement: `${measurements.playBows} play bow(s) detected — sudden front-end drop with rear elevation`,
+                measurement: posture === 'play-bow' && fromKeypoints
+                    ? 'Pose keypoints: withers low, hips high — front end down with rear elevated'
+                    : `${measurements.playBows} play bow(s) detected — sudden front-end drop with rear elevation`,
                 studyEvidence: sig.evidence,
                 citation: this._citationsFor(sig.studies),
+                studies: sig.studies.slice(),
                 conclusion: sig.conclusion
             });
         }
@@ -541,6 +703,81 @@ class CanineScienceDB {
                 measurement: `Oscillating motion detected in body edge zones via pixel analysis (wag score: ${measurements.tailWagScore || 0})`,
                 studyEvidence: sig.evidence,
                 citation: this._citationsFor(sig.studies),
+                studies: sig.studies.slice(),
+                conclusion: sig.conclusion
+            });
+        }
+
+        // ── TAIL ASYMMETRY / CARRIAGE EVIDENCE ──
+        const wagBias = measurements.tailWagBias;
+        if (wagBias != null && Math.abs(wagBias) >= 0.1) {
+            const sig = this.signalEvidence['tail-wag-asymmetry'];
+            const side = wagBias > 0 ? 'right' : 'left';
+            chain.push({
+                observation: sig.observation,
+                measurement: `Wag amplitude biased ${Math.round(Math.abs(wagBias) * 100)}% to the dog's ${side} (${measurements.tailWagBiasSamples || 0} wag windows, dog facing toward/away from camera)`,
+                studyEvidence: sig.evidence,
+                citation: this._citationsFor(sig.studies),
+                studies: sig.studies.slice(),
+                conclusion: sig.conclusion
+            });
+        }
+        if (measurements.tailCarriage === 'tucked') {
+            const sig = this.signalEvidence['tail-tucked'];
+            chain.push({
+                observation: sig.observation,
+                measurement: measurements.tailSource === 'keypoints'
+                    ? 'Tail keypoints: tip below the base and pointing forward under the body'
+                    : 'Tail motion concentrated in the lowest part of the body crop',
+                studyEvidence: sig.evidence,
+                citation: this._citationsFor(sig.studies),
+                studies: sig.studies.slice(),
+                conclusion: sig.conclusion
+            });
+        }
+
+        // ── HEAD / FACIAL EVIDENCE ──
+        if (measurements.headEarCarriage === 'pinned') {
+            const sig = this.signalEvidence['ears-pinned'];
+            chain.push({
+                observation: sig.observation,
+                measurement: 'Ear keypoints: ears barely raised above the nose line — folded back against the skull',
+                studyEvidence: sig.evidence,
+                citation: this._citationsFor(sig.studies),
+                studies: sig.studies.slice(),
+                conclusion: sig.conclusion
+            });
+        }
+        if (measurements.headPantingShare >= 20) {
+            const sig = this.signalEvidence['panting'];
+            chain.push({
+                observation: sig.observation,
+                measurement: `Rhythmic mouth opening in ${measurements.headPantingShare}% of head frames${measurements.stillness > 10 ? ' while the dog was still' : ''}`,
+                studyEvidence: sig.evidence,
+                citation: this._citationsFor(sig.studies),
+                studies: sig.studies.slice(),
+                conclusion: sig.conclusion
+            });
+        }
+        if (measurements.headYawns > 0) {
+            const sig = this.signalEvidence['yawning'];
+            chain.push({
+                observation: sig.observation,
+                measurement: `${measurements.headYawns} yawn(s) — wide mouth opening held ~1-5 seconds`,
+                studyEvidence: sig.evidence,
+                citation: this._citationsFor(sig.studies),
+                studies: sig.studies.slice(),
+                conclusion: sig.conclusion
+            });
+        }
+        if (measurements.headLipLicks > 0) {
+            const sig = this.signalEvidence['lip-licking'];
+            chain.push({
+                observation: sig.observation,
+                measurement: `${measurements.headLipLicks} lip lick(s) — brief muzzle motion with the mouth closed and head still`,
+                studyEvidence: sig.evidence,
+                citation: this._citationsFor(sig.studies),
+                studies: sig.studies.slice(),
                 conclusion: sig.conclusion
             });
         }
@@ -553,6 +790,23 @@ class CanineScienceDB {
                 measurement: `Pixel-level micro-vibration detected without macro movement — tension score: ${measurements.tensionScore || 0}%`,
                 studyEvidence: sig.evidence,
                 citation: this._citationsFor(sig.studies),
+                studies: sig.studies.slice(),
+                conclusion: sig.conclusion
+            });
+        }
+
+        // ── TREMBLING EVIDENCE ──
+        if (measurements.tremblingEpisodes > 0) {
+            const sig = this.signalEvidence['trembling'];
+            const camera = measurements.tremblingCameraChecked
+                ? 'background checked — not camera shake'
+                : 'too little background in view to rule out camera shake';
+            chain.push({
+                observation: sig.observation,
+                measurement: `${measurements.tremblingEpisodes} episode${measurements.tremblingEpisodes > 1 ? 's' : ''} of whole-body ~${measurements.tremblingHz} Hz micro-motion, ${measurements.tremblingSec} s in total (longest ${measurements.tremblingLongestSec} s) — ${camera}`,
+                studyEvidence: sig.evidence,
+                citation: this._citationsFor(sig.studies),
+                studies: sig.studies.slice(),
                 conclusion: sig.conclusion
             });
         }
@@ -565,6 +819,7 @@ class CanineScienceDB {
                 measurement: `Lying down + stillness score ${stillness} + silent + pixel state: ${pixelBodyState}`,
                 studyEvidence: sig.evidence,
                 citation: this._citationsFor(sig.studies),
+                studies: sig.studies.slice(),
                 conclusion: sig.conclusion
             });
         }
@@ -577,6 +832,23 @@ class CanineScienceDB {
                 measurement: `${chain.length} independent signal sources all indicate calm/resting state`,
                 studyEvidence: sig.evidence,
                 citation: this._citationsFor(sig.studies),
+                studies: sig.studies.slice(),
+                conclusion: sig.conclusion
+            });
+        }
+
+        // ── RESPIRATION EVIDENCE ──
+        if (measurements.respirationRate) {
+            const sig = this.signalEvidence[measurements.respirationFlag ? 'respiration-abnormal' : 'respiration-rate'];
+            const limit = measurements.respirationFlag === 'elevated'
+                ? ` — above ${measurements.respirationLimit}/min for a ${state} dog`
+                : measurements.respirationFlag === 'low' ? ` — below ${measurements.respirationLimit}/min` : '';
+            chain.push({
+                observation: sig.observation,
+                measurement: `${measurements.respirationRate} breaths/min from the chest's rise and fall (spectral peak, ${measurements.respirationQuality}% signal quality, ${measurements.respirationSec} s measured)${limit}`,
+                studyEvidence: sig.evidence,
+                citation: this._citationsFor(sig.studies),
+                studies: sig.studies.slice(),
                 conclusion: sig.conclusion
             });
         }
@@ -589,11 +861,13 @@ class CanineScienceDB {
             if (measurements.restlessness > 5) indicators.push('restlessness');
             if (hasVocalization && (vocalType === 'whine' || vocalType === 'bark')) indicators.push('vocalization');
             if (hasTension) indicators.push('body tension');
+            if (measurements.headYawns > 0 || measurements.headLipLicks > 0) indicators.push('calming signals');
             chain.push({
                 observation: sig.observation,
                 measurement: `Stress indicators detected: ${indicators.join(', ')}`,
                 studyEvidence: sig.evidence,
                 citation: this._citationsFor(sig.studies),
+                studies: sig.studies.slice(),
                 conclusion: sig.conclusion
             });
         }
@@ -644,4 +918,4 @@ class CanineScienceDB {
     }
 }
 
-window.CanineScienceDB = CanineScienceDB;
+ModuleRegistry.expose('CanineScienceDB', CanineScienceDB, typeof module !== 'undefined' ? module : null);
@@ -24,14 +24,21 @@
    4. Include behavioral context and recommended response
    ============================================ */
 
+var ModuleRegistry = ModuleRegistry || require('./module-registry.js');
+
 class CanineTranslator {
     constructor() {
         // Translation history
         this.translationHistory = [];
         this.maxHistory = 100;
         this.lastTranslation = null;
-        this.lastTranslationTime = 0;
-        this.TRANSLATION_COOLDOWN = 60; // Min frames between new translations (~2 seconds)
+        this.lastTranslationTime = -Infinity;
+        this.TRANSLATION_COOLDOWN_MS = 2000; // Min time between new translations
+
+        // Frame clock (ms) — report times are relative to the first frame
+        this.FRAME_MS = 1000 / 30;           // fallback step when no timestamp is given
+        this.startTime = null;
+        this.now = 0;
     }
 
     /**
@@ -39,15 +46,19 @@ class CanineTranslator {
      * @param {object} emotion - DogEmotionEngine assessment
      * @param {object} bark - BarkAnalysisEngine quick assessment
      * @param {object} engine369 - Engine369 completion data
+     * @param {number} timestamp - monotonic frame time (ms); omitted = 30fps clock
      * @returns {object} Translation result
      */
-    translate(emotion, bark, engine369) {
+    translate(emotion, bark, engine369, timestamp) {
+        const now = timestamp != null ? timestamp
+            : (this.startTime == null ? 0 : this.now + this.FRAME_MS);
+        if (this.startTime == null) this.startTime = now;
+        this.now = now;
+
         if (!emotion || emotion.confidence < 10) {
             return this._observingState();
         }
 
-        const frameCount = this.translationHistory.length;
-
         // Build context from all inputs
         const context = {
             emotion: emotion.primary,
@@ -85,15 +96,15 @@ class CanineTranslator {
 
         // Rate-limit translations to prevent flickering
         const shouldUpdate = !this.lastTranslation ||
-            frameCount - this.lastTranslationTime > this.TRANSLATION_COOLDOWN ||
+            now - this.lastTranslationTime > this.TRANSLATION_COOLDOWN_MS ||
             translation.message !== this.lastTranslation.message;
 
         if (shouldUpdate) {
             this.lastTranslation = translation;
-            this.lastTranslationTime = frameCount;
+            this.lastTranslationTime = now;
             this.translationHistory.push({
                 ...translation,
-                frame: frameCount,
+                frameTime: now,
                 timestamp: Date.now()
             });
             if (this.translationHistory.length > this.maxHistory) {
@@ -528,7 +539,7 @@ class CanineTranslator {
                 message: t.message,
                 confidence: t.confidence,
                 code: t.code,
-                time: Math.round(t.frame / 30 * 10) / 10
+                time: Math.round((t.frameTime - this.startTime) / 100) / 10
             })),
             codeCounts
         };
@@ -556,8 +567,10 @@ class CanineTranslator {
     clearAll() {
         this.translationHistory = [];
         this.lastTranslation = null;
-        this.lastTranslationTime = 0;
+        this.lastTranslationTime = -Infinity;
+        this.startTime = null;
+        this.now = 0;
     }
 }
 
-window.CanineTranslator = CanineTranslator;
+ModuleRegistry.expose('CanineTranslator', CanineTranslator, typeof module !== 'undefined' ? module : null);
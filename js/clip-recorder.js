@@ -0,0 +1,227 @@
+/* ============================================
+   CLIP RECORDER — Video of Key Behavioral Moments
+
+   Keeps a rolling in-memory recording of the camera stream
+   so that when a notable action is flagged (growl, play bow,
+   freeze, lunge, startle) the clip can START a few seconds
+   BEFORE the moment — an owner can show a trainer what the
+   dog actually did, and every clip is a labeled example for
+   checking the action classifiers.
+
+   Rolling buffer:
+   MediaRecorder chunks after the first are not playable on
+   their own (the container header is only in the first), so
+   the buffer is a set of overlapping recorders instead. A new
+   recorder starts every PRE_ROLL_MS and the two newest are
+   kept — the older one always holds at least PRE_ROLL_MS of
+   history.
+
+   On a moment:
+   - The older recorder is kept running for POST_ROLL_MS more,
+     then stopped → one standalone clip
+   - Moments that land while a clip is still recording are
+     added to that clip rather than starting another
+   - Per-action cooldown + MAX_CLIPS cap per scan keep a
+     restless dog from filling memory
+   ============================================ */
+
+var ModuleRegistry = ModuleRegistry || require('./module-registry.js');
+
+class ClipRecorder {
+    /**
+     * @param {object} options - { createRecorder(stream, options), now() } —
+     *   injectable MediaRecorder factory and clock (headless use/testing)
+     */
+    constructor(options = {}) {
+        this.PRE_ROLL_MS = 3000;            // history kept before a moment
+        this.POST_ROLL_MS = 3000;           // recording continued after it
+        this.EVENT_COOLDOWN_MS = 10000;     // same action can't start a new clip sooner
+        this.MAX_CLIPS = 10;                // per scan
+        this.VIDEO_BITS_PER_SECOND = 1000000;
+
+        // First supported type wins
+        this.MIME_TYPES = ['video/webm;codecs=vp9', 'video/webm;codecs=vp8', 'video/webm', 'video/mp4'];
+
+        this.createRecorder = options.createRecorder ||
+            ((stream, recorderOptions) => new MediaRecorder(stream, recorderOptions));
+        this.now = options.now || (() => performance.now());
+
+        this.stream = null;
+        this.mimeType = '';
+        this.segments = [];
+        this.clips = [];
+        this.clipsStarted = 0;
+        this.lastMoment = {};
+        this.rotateTimer = null;
+    }
+
+    static isSupported() {
+        return typeof MediaRecorder !== 'undefined';
+    }
+
+    get isActive() {
+        return this.stream !== null;
+    }
+
+    /**
+     * Start buffering a stream. Calling again with a new stream (camera
+     * flip) finishes clips in progress and continues on the new one.
+     *
+     * @param {MediaStream} stream
+     */
+    start(stream) {
+        if (this.stream) this._stopSegments();
+        this.stream = stream;
+        this.mimeType = this._pickMimeType();
+        this._startSegment();
+        this.rotateTimer = setInterval(() => this._rotate(), this.PRE_ROLL_MS);
+    }
+
+    /**
+     * Flag a key moment. Starts a clip, or joins the clip already recording.
+     *
+     * @param {object} moment - { action, desc, dogId, scanTime } — copied onto the clip
+     * @returns {boolean} Whether the moment is in a clip
+     */
+    trigger(moment) {
+        if (!this.stream) return false;
+        const now = this.now();
+
+        const open = this.segments.find(s => s.capture && !s.stopping);
+        if (open) {
+            open.capture.moments.push({ ...moment, offsetMs: Math.round(now - open.startedAt) });
+            this.lastMoment[moment.action] = now;
+            return true;
+        }
+
+        const last = this.lastMoment[moment.action];
+        if (last != null && now - last < this.EVENT_COOLDOWN_MS) return false;
+        if (this.clipsStarted >= this.MAX_CLIPS) return false;
+
+        // Oldest rolling recorder = most history before the moment
+        const segment = this.segments.find(s => !s.capture && !s.stopping);
+        if (!segment) return false;
+
+        this.lastMoment[moment.action] = now;
+        this.clipsStarted++;
+        segment.capture = {
+            moment,
+            eventAt: now,
+            moments: [{ ...moment, offsetMs: Math.round(now - segment.startedAt) }]
+        };
+        segment.timer = setTimeout(() => this._stopSegment(segment), this.POST_ROLL_MS);
+        return true;
+    }
+
+    /**
+     * Stop buffering. Clips still in their post-roll are cut short and kept.
+     *
+     * @returns {Promise<Array>} Clips, oldest first:
+     *   { action, desc, dogId, scanTime, moments, recordedAt, preRollMs, durationMs, mimeType, blob }
+     */
+    async stop() {
+        const pending = this._stopSegments();
+        this.stream = null;
+        await Promise.all(pending);
+        return this.clips.slice().sort((a, b) => a.recordedAt - b.recordedAt);
+    }
+
+    clearAll() {
+        this._stopSegments();
+        this.stream = null;
+        this.segments = [];
+        this.clips = [];
+        this.clipsStarted = 0;
+        this.lastMoment = {};
+    }
+
+    // ── Rolling Buffer ──
+
+    _rotate() {
+        if (!this.stream) return;
+        this._startSegment();
+
+        // Keep the two newest rolling recorders; recorders holding a clip run on
+        const rolling = this.segments.filter(s => !s.capture && !s.stopping);
+        rolling.slice(0, -2).forEach(s => this._stopSegment(s));
+    }
+
+    _startSegment() {
+        let recorder;
+        try {
+            recorder = this.createRecorder(this.stream, {
+                mimeType: this.mimeType || undefined,
+                videoBitsPerSecond: this.VIDEO_BITS_PER_SECOND
+            });
+        } catch (err) {
+            console.warn('Clip recorder could not start:', err);
+            return;
+        }
+
+        const segment = { recorder, chunks: [], startedAt: this.now(), capture: null, stopping: false, timer: null };
+        segment.done = new Promise(resolve => {
+            recorder.ondataavailable = (e) => {
+                if (e.data && e.data.size > 0) segment.chunks.push(e.data);
+            };
+            recorder.onstop = () => {
+                this._finishSegment(segment);
+                resolve();
+            };
+            recorder.onerror = (e) => console.warn('Clip recorder error:', e.error || e);
+        });
+
+        try {
+            recorder.start();
+        } catch (err) {
+            console.warn('Clip recorder could not start:', err);
+            return;
+        }
+        this.segments.push(segment);
+    }
+
+    _stopSegment(segment) {
+        if (segment.stopping) return segment.done;
+        segment.stopping = true;
+        clearTimeout(segment.timer);
+        if (segment.capture) segment.capture.stoppedAt = this.now();
+        // Already inactive = the track ended under it; onstop has fired or will
+        if (segment.recorder.state !== 'inactive') segment.recorder.stop();
+        return segment.done;
+    }
+
+    _stopSegments() {
+        clearInterval(this.rotateTimer);
+        this.rotateTimer = null;
+        return this.segments.slice().map(s => this._stopSegment(s));
+    }
+
+    // Rolling segments are dropped; a segment holding a moment becomes a clip
+    _finishSegment(segment) {
+        const index = this.segments.indexOf(segment);
+        if (index === -1) return;
+        this.segments.splice(index, 1);
+        if (!segment.capture || segment.chunks.length === 0) return;
+
+        const { moment, eventAt, moments } = segment.capture;
+        const stoppedAt = segment.capture.stoppedAt || this.now();
+        const mimeType = segment.recorder.mimeType || this.mimeType || 'video/webm';
+        this.clips.push({
+            ...moment,
+            moments,
+            recordedAt: segment.startedAt,
+            preRollMs: Math.round(eventAt - segment.startedAt),
+            durationMs: Math.round(stoppedAt - segment.startedAt),
+            mimeType,
+            blob: new Blob(segment.chunks, { type: mimeType })
+        });
+    }
+
+    // ── Utility ──
+
+    _pickMimeType() {
+        if (typeof MediaRecorder === 'undefined' || !MediaRecorder.isTypeSupported) return '';
+        return this.MIME_TYPES.find(type => MediaRecorder.isTypeSupported(type)) || '';
+    }
+}
+
+ModuleRegistry.expose('ClipRecorder', ClipRecorder, typeof module !== 'undefined' ? module : null);
@@ -0,0 +1,172 @@
+/* ============================================
+   DETECTION SCHEDULER — Adaptive Frame Rate (Battery Saver)
+
+   Decides which display frames run detection. A normal scan
+   runs every frame the detector can keep up with; in battery
+   saver mode detection drops to a low rate while nothing is
+   happening and comes back the moment something does:
+
+   - active: every frame — the dog is moving, or vocalizing
+   - search: 5 fps — no dog in view
+   - still:  4 fps — the dog has been still (emotion-engine
+     stillness pattern high AND pixel motion in the 'very-still'
+     band) and silent for STILL_HOLD_MS
+
+   Any motion or vocalization ramps straight back to active.
+   So does a tremor-band rhythm (DogVisionAnalyzer trembling):
+   trembling barely registers as pixel motion, and at the still
+   rate it can't be measured at all (TremorAnalyzer.MIN_FPS).
+   Vocalization is checked on every display frame, not only the
+   detected ones — the bark engine runs continuously on the audio
+   thread and isn't throttled.
+
+   Time spent at each rate and the effective detection fps go
+   into the scan report (getReport()).
+   ============================================ */
+
+var ModuleRegistry = ModuleRegistry || require('./module-registry.js');
+
+class DetectionScheduler {
+    /**
+     * @param {object} options - { enabled } — battery saver on (default off: every frame)
+     */
+    constructor(options = {}) {
+        // Detection rates (fps); null = every display frame
+        this.RATES = { full: null, active: null, search: 5, still: 4 };
+        // 4 fps: a still dog missed by one detection keeps its track (DogTracker.MAX_MISSED_MS)
+
+        this.STILL_HOLD_MS = 3000;      // still this long before dropping to the still rate
+        this.STILLNESS_MIN = 15;        // DogEmotionEngine "very still" pattern score
+        this.STILL_MOTION_MAX = 0.012;  // DogVisionAnalyzer 'very-still' overall motion
+        this.TICK_SLACK_MS = 4;         // display frames don't land exactly on the interval
+
+        this.enabled = !!options.enabled;
+        this.clearAll();
+    }
+
+    clearAll() {
+        this.rate = this.enabled ? 'active' : 'full';
+        this.startTime = null;
+        this.now = null;
+        this.lastRun = null;
+        this.stillSince = null;
+        this.framesAnalyzed = 0;
+        this.timeAtRate = {};
+        this.switches = 0;
+    }
+
+    /**
+     * Turn battery saver on or off. Resets the scan's timing, so call before a scan.
+     *
+     * @param {boolean} enabled
+     */
+    setEnabled(enabled) {
+        this.enabled = !!enabled;
+        this.clearAll();
+    }
+
+    /**
+     * Called on every display frame. Does not start a detection —
+     * call markRun() when one is actually submitted.
+     *
+     * @param {number} now - Frame time (ms, performance.now())
+     * @param {boolean} vocalizing - The bark engine hears the dog right now
+     * @returns {boolean} Whether this frame should run detection
+     */
+    isDue(now, vocalizing) {
+        this._advance(now);
+        if (this.enabled && vocalizing) {
+            this.stillSince = null;
+            this._setRate('active');
+        }
+
+        const fps = this.RATES[this.rate];
+        if (!fps || this.lastRun == null) return true;
+        return now - this.lastRun >= 1000 / fps - this.TICK_SLACK_MS;
+    }
+
+    /**
+     * @param {number} now - Frame time of the detection just submitted
+     */
+    markRun(now) {
+        this.lastRun = now;
+    }
+
+    /**
+     * Feed one analyzed frame to pick the next rate.
+     *
+     * @param {object} frame - ScanPipeline.processFrame() output
+     * @param {number} now - The frame's time (ms)
+     */
+    update(frame, now) {
+        this._advance(now);
+        this.framesAnalyzed++;
+        if (!this.enabled) return;
+
+        const vocalizing = !!(frame.barkAssess && frame.barkAssess.isVocalizing);
+        if (!frame.dog) {
+            this.stillSince = null;
+            this._setRate(vocalizing ? 'active' : 'search');
+            return;
+        }
+
+        const patterns = (frame.emotionAssess && frame.emotionAssess.patterns) || {};
+        const px = frame.pixelData;
+        const still = !vocalizing &&
+            (patterns.stillness || 0) >= this.STILLNESS_MIN &&
+            !!px && px.overallMotion < this.STILL_MOTION_MAX &&
+            !(px.trembling && px.trembling.frequency > 0);
+
+        if (!still) {
+            this.stillSince = null;
+            this._setRate('active');
+            return;
+        }
+        if (this.stillSince == null) this.stillSince = now;
+        if (now - this.stillSince >= this.STILL_HOLD_MS) this._setRate('still');
+        else if (this.rate === 'search') this._setRate('active');
+    }
+
+    /**
+     * @returns {object} { mode, rates, timeAtRate, effectiveFps, framesAnalyzed,
+     *   durationSec, switches } — rates in fps (null = every frame), time in seconds
+     */
+    getReport() {
+        const durationMs = this.startTime != null ? this.now - this.startTime : 0;
+        const timeAtRate = {};
+        Object.entries(this.timeAtRate).forEach(([rate, ms]) => {
+            timeAtRate[rate] = Math.round(ms / 100) / 10;
+        });
+        const rates = {};
+        Object.keys(this.timeAtRate).forEach(rate => { rates[rate] = this.RATES[rate]; });
+
+        return {
+            mode: this.enabled ? 'battery-saver' : 'full',
+            rates,
+            timeAtRate,
+            effectiveFps: durationMs > 0 ? Math.round((this.framesAnalyzed / durationMs) * 10000) / 10 : 0,
+            framesAnalyzed: this.framesAnalyzed,
+            durationSec: Math.round(durationMs / 100) / 10,
+            switches: this.switches
+        };
+    }
+
+    // ── Internal ──
+
+    // Time since the last call counts toward the rate in force during it
+    _advance(now) {
+        if (this.startTime == null) this.startTime = now;
+        if (this.now != null && now > this.now) {
+            this.timeAtRate[this.rate] = (this.timeAtRate[this.rate] || 0) + (now - this.now);
+        }
+        if (this.now == null || now > this.now) this.now = now;
+    }
+
+    _setRate(rate) {
+        if (rate === this.rate) return;
+        this.rate = rate;
+        this.switches++;
+    }
+}
+
+ModuleRegistry.expose('DetectionScheduler', DetectionScheduler, typeof module !== 'undefined' ? module : null);
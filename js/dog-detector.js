@@ -0,0 +1,285 @@
+/* ============================================
+   DOG DETECTOR — Pluggable Detection Backends
+
+   Everything downstream (tracker, engines, reports) only
+   needs boxes: [{ bbox: [x, y, w, h], class, score }].
+   A detector turns a video frame into those boxes and
+   decides which of them are dogs.
+
+   Backends (DogDetector.create(id)):
+   - coco-ssd:      COCO-SSD, mobilenet_v2 base — the default
+   - coco-ssd-lite: COCO-SSD, lite_mobilenet_v2 base — faster,
+                    less accurate; for slow phones
+   - custom:        a locally hosted TF.js dog model
+                    (models/dog-detector/) — see CustomDogDetector
+   - mock:          scripted boxes, no model — UI and pipeline
+                    testing without a dog in front of the camera
+
+   Each scan report records the detector's { id, name, version }
+   so results from different models are never mixed up.
+   Where Web Workers allow it the model itself runs in the
+   FrameWorker; the main-thread instance then only selects
+   dogs and reports its identity (adopt()).
+   ============================================ */
+
+var ModuleRegistry = ModuleRegistry || require('./module-registry.js');
+
+class DogDetector {
+    constructor(options = {}) {
+        this.options = options;
+        this.id = 'base';
+        this.name = 'Detector';
+        this.version = '';
+        this.loaded = false;
+
+        // Which boxes count as dogs
+        this.DOG_CLASSES = ['dog'];
+        this.DOG_MIN_SCORE = 0.15;
+        this.ANIMAL_FALLBACK = [];
+        this.FALLBACK_MIN_SCORE = 0.25;
+    }
+
+    /**
+     * Create a backend by id.
+     * @param {string} id - Key of DogDetector.BACKENDS
+     * @param {object} options - Backend options
+     * @returns {DogDetector}
+     */
+    static create(id, options = {}) {
+        const backend = DogDetector.BACKENDS[id];
+        if (!backend) throw new Error(`Unknown detector "${id}"`);
+        return new backend.Detector({ ...backend.options, ...options });
+    }
+
+    /**
+     * Load the model. Resolves to the detector itself.
+     * @returns {Promise<DogDetector>}
+     */
+    async load() {
+        this.loaded = true;
+        return this;
+    }
+
+    /**
+     * Detect objects in a frame.
+     * @param {HTMLVideoElement|HTMLCanvasElement} source
+     * @returns {Promise<Array>} [{ bbox: [x, y, w, h], class, score }]
+     */
+    async detect(source) {
+        return [];
+    }
+
+    /**
+     * Filter a frame's detections down to dogs.
+     * @param {Array} predictions - detect() output
+     * @returns {Array}
+     */
+    selectDogs(predictions) {
+        let dogs = predictions.filter(p => this.DOG_CLASSES.includes(p.class) && p.score > this.DOG_MIN_SCORE);
+
+        // If no direct dog detection, check animal fallbacks
+        if (dogs.length === 0) {
+            const animalFallback = predictions.filter(p => this.ANIMAL_FALLBACK.includes(p.class) && p.score > this.FALLBACK_MIN_SCORE);
+            if (animalFallback.length > 0) {
+                dogs = animalFallback;
+            }
+        }
+        return dogs;
+    }
+
+    /**
+     * @returns {object} { id, name, version } — recorded in scan reports
+     */
+    info() {
+        return { id: this.id, name: this.name, version: this.version };
+    }
+
+    /**
+     * Dog-selection settings — loading a model can change them (custom
+     * model metadata), so a worker-hosted model sends them back.
+     * @returns {object}
+     */
+    selectionSettings() {
+        return {
+            DOG_CLASSES: this.DOG_CLASSES.slice(),
+            DOG_MIN_SCORE: this.DOG_MIN_SCORE,
+            ANIMAL_FALLBACK: this.ANIMAL_FALLBACK.slice(),
+            FALLBACK_MIN_SCORE: this.FALLBACK_MIN_SCORE
+        };
+    }
+
+    /**
+     * Stand in for the same backend loaded in the FrameWorker: take its
+     * name, version and dog selection. detect() then runs in the worker,
+     * never on this instance.
+     * @param {object} loaded - { info, selection } from FrameWorkerHost.load()
+     */
+    adopt(loaded) {
+        this.name = loaded.info.name;
+        this.version = loaded.info.version;
+        Object.assign(this, loaded.selection);
+        this.loaded = true;
+        this.remote = true;
+    }
+
+    dispose() {
+        this.loaded = false;
+    }
+}
+
+// ── COCO-SSD ──
+
+class CocoSsdDetector extends DogDetector {
+    /**
+     * @param {object} options - { base: 'mobilenet_v2' | 'lite_mobilenet_v2' }
+     */
+    constructor(options = {}) {
+        super(options);
+        this.base = options.base || 'mobilenet_v2';
+        this.id = this.base === 'lite_mobilenet_v2' ? 'coco-ssd-lite' : 'coco-ssd';
+        this.name = 'COCO-SSD ' + this.base;
+        this.PACKAGE_VERSION = '2.2.3'; // matches the coco-ssd <script> tag in index.html
+        this.version = this.PACKAGE_VERSION;
+        this.model = null;
+
+        // Accept "dog" class at lower threshold (0.15)
+        // Also accept other animals at a higher threshold — COCO-SSD
+        // sometimes confuses breeds (small dogs get labelled "cat")
+        this.ANIMAL_FALLBACK = ['cat', 'bear', 'horse', 'cow', 'sheep'];
+    }
+
+    async load() {
+        if (typeof cocoSsd === 'undefined') throw new Error('COCO-SSD library is not loaded');
+        this.model = await cocoSsd.load({ base: this.base });
+        this.version = cocoSsd.version || this.PACKAGE_VERSION;
+        this.loaded = true;
+        return this;
+    }
+
+    detect(source) {
+        return this.model.detect(source);
+    }
+
+    dispose() {
+        if (this.model) this.model.dispose();
+        this.model = null;
+        super.dispose();
+    }
+}
+
+// ── Custom Dog Model ──
+//
+// A TF.js graph model exported from the TensorFlow Object Detection
+// API (outputs detection_boxes / detection_scores / detection_classes,
+// boxes normalized [ymin, xmin, ymax, xmax]). Next to model.json,
+// metadata.json describes it:
+//   { "name", "version", "labels": { "1": "dog" }, "minScore" }
+
+class CustomDogDetector extends DogDetector {
+    /**
+     * @param {object} options - { modelUrl } (default models/dog-detector/model.json)
+     */
+    constructor(options = {}) {
+        super(options);
+        this.id = 'custom';
+        this.name = 'Custom dog model';
+        this.version = 'unknown';
+        this.modelUrl = options.modelUrl || 'models/dog-detector/model.json';
+        this.labels = { 1: 'dog' };
+        this.MAX_DETECTIONS = 10;
+        this.model = null;
+    }
+
+    async load() {
+        if (typeof tf === 'undefined') throw new Error('TensorFlow.js is not loaded');
+
+        const metaUrl = this.modelUrl.replace(/[^/]*$/, 'metadata.json');
+        const res = await fetch(metaUrl);
+        if (!res.ok) throw new Error(`Custom model metadata not found (${metaUrl})`);
+        const meta = await res.json();
+        if (meta.name) this.name = meta.name;
+        if (meta.version) this.version = String(meta.version);
+        if (meta.labels) this.labels = meta.labels;
+        if (meta.minScore != null) this.DOG_MIN_SCORE = meta.minScore;
+
+        this.model = await tf.loadGraphModel(this.modelUrl);
+        this.loaded = true;
+        return this;
+    }
+
+    async detect(source) {
+        const width = source.videoWidth || source.width;
+        const height = source.videoHeight || source.height;
+        const input = tf.tidy(() => tf.browser.fromPixels(source).expandDims(0));
+        let outputs;
+        try {
+            outputs = await this.model.executeAsync(input,
+                ['detection_boxes', 'detection_scores', 'detection_classes']);
+        } finally {
+            input.dispose();
+        }
+
+        const [boxes, scores, classes] = await Promise.all(outputs.map(t => t.data()));
+        outputs.forEach(t => t.dispose());
+
+        const predictions = [];
+        for (let i = 0; i < Math.min(scores.length, this.MAX_DETECTIONS); i++) {
+            const [ymin, xmin, ymax, xmax] = boxes.slice(i * 4, i * 4 + 4);
+            predictions.push({
+                bbox: [xmin * width, ymin * height, (xmax - xmin) * width, (ymax - ymin) * height],
+                class: this.labels[classes[i]] || String(classes[i]),
+                score: scores[i]
+            });
+        }
+        return predictions;
+    }
+
+    dispose() {
+        if (this.model) this.model.dispose();
+        this.model = null;
+        super.dispose();
+    }
+}
+
+// ── Mock ──
+
+class MockDetector extends DogDetector {
+    /**
+     * @param {object} options - { frames } — predictions to return, one array
+     *   per detect() call (looped), or a function (frameIndex, source) → predictions.
+     *   Default: one dog drifting slowly across the frame.
+     */
+    constructor(options = {}) {
+        super(options);
+        this.id = 'mock';
+        this.name = 'Mock detector';
+        this.version = '1';
+        this.frames = options.frames || null;
+        this.frameIndex = 0;
+    }
+
+    async detect(source) {
+        const i = this.frameIndex++;
+        if (typeof this.frames === 'function') return this.frames(i, source);
+        if (Array.isArray(this.frames)) {
+            return this.frames.length > 0 ? this.frames[i % this.frames.length] : [];
+        }
+
+        const width = (source && (source.videoWidth || source.width)) || 640;
+        const height = (source && (source.videoHeight || source.height)) || 480;
+        const w = width * 0.35;
+        const h = height * 0.4;
+        const drift = Math.sin(i / 90) * width * 0.2;
+        return [{ bbox: [(width - w) / 2 + drift, height * 0.4, w, h], class: 'dog', score: 0.9 }];
+    }
+}
+
+// Backend registry — label is what the detector picker shows
+DogDetector.BACKENDS = {
+    'coco-ssd': { label: 'Standard (COCO-SSD)', Detector: CocoSsdDetector, options: { base: 'mobilenet_v2' } },
+    'coco-ssd-lite': { label: 'Lite — faster, for slow phones', Detector: CocoSsdDetector, options: { base: 'lite_mobilenet_v2' } },
+    custom: { label: 'Custom dog model', Detector: CustomDogDetector, options: {} },
+    mock: { label: 'Mock (testing)', Detector: MockDetector, options: {} }
+};
+
+ModuleRegistry.expose('DogDetector', DogDetector, typeof module !== 'undefined' ? module : null);
@@ -6,19 +6,28 @@
 
    Detection Sources (what we CAN detect from bounding box + audio):
    1. Movement speed, direction, acceleration
-   2. Posture estimation (standing/sitting/lying) via aspect ratio
+   2. Posture estimation (standing/sitting/lying) via aspect ratio,
+      or from keypoints when a DogPoseEstimator model is loaded
    3. Movement patterns (pacing, spinning, bouncing, stillness)
    4. Size changes (approaching/retreating)
    5. Vertical position shifts (jumping, crouching, play bows)
    6. Vocalization type, pitch, rate, inter-bark intervals
    7. Combined audio-visual correlation
+   8. Tail carriage and wag-side bias (DogTailAnalyzer, via pixel
+      analysis) — wag side only when the dog faces toward/away
+   9. Ear carriage, open mouth, panting, yawns and lip licks
+      (DogHeadAnalyzer, via pixel analysis) — ears need keypoints
+
+   Box positions are tracked in scene coordinates: the camera's
+   running offset (SceneMotionAnalyzer, via detection.camera) is
+   subtracted first, so a handheld phone drifting or jittering
+   doesn't register as the dog moving, pacing or bouncing.
 
    What we CANNOT detect (honest limitation):
-   - Tail position/wag direction (too small in bounding box)
-   - Ear position (requires pose estimation model)
+   - Tail wag direction from a side view (wag plane faces the camera)
+   - Ear position without a pose model (pixels alone can't find the ears)
    - Facial expression (no dog face landmark model exists in browser)
    - Eye state (whale eye, squinting)
-   - Lip licking, yawning (calming signals too subtle)
    - Hackles raised (fur detail not visible)
 
    Scientific Basis:
@@ -33,12 +42,41 @@
    - Faragó et al. (2014) - Cross-modal emotion detection
    ============================================ */
 
+var ModuleRegistry = ModuleRegistry || require('./module-registry.js');
+
 class DogEmotionEngine {
     constructor() {
+        // Bump whenever the _assessEmotion / action rules change. Owner
+        // feedback is recorded against it, so accuracy can be compared
+        // before and after a rule change.
+        this.RULES_VERSION = 4;   // 2: tail valence (wag-side bias, carriage); 3: head signals; 4: real-time windows
+
         this.frameHistory = [];
-        this.maxHistoryFrames = 300;
         this.emotionHistory = [];
-        this.maxEmotionHistory = 300;
+
+        // Timing — histories and windows are real time (frame timestamps,
+        // ms), so a pattern means the same at 5 fps on a phone as at
+        // 30 fps on a laptop. Box speeds are px per REFERENCE_FRAME_MS
+        // (one 30fps frame), keeping the pixel thresholds as tuned.
+        this.REFERENCE_FRAME_MS = 1000 / 30;
+        this.HISTORY_MS = 10000;            // live frame / movement / emotion windows
+        this.POSTURE_HISTORY_MS = 3000;
+        this.ACTION_HISTORY_MS = 20000;
+        this.MAX_HISTORY_ENTRIES = 1200;    // memory bound at very high frame rates
+        this.ACTION_WARMUP_MS = 650;
+        this.PATTERN_WARMUP_MS = 320;
+        this.CONFIDENCE_WARMUP_MS = 1000;
+        this.MAX_TIMELINE_POINTS = 600;     // report timelines; coarser steps past this
+        this.MAX_FRAME_GAP_MS = 1000;       // report weighting: longer gaps (out of view, stalls) count as this much
+        this.startTime = null;              // first frame's timestamp
+        this.now = 0;                       // current frame's timestamp
+        this.framesProcessed = 0;
+
+        // Whole-scan totals and timelines for fullAnalysis() — the
+        // histories are short live windows, the report covers the scan.
+        // Each frame counts for the time since the previous one, so the
+        // battery saver's slow stretches aren't outweighed by fast ones
+        this.scan = this._emptyScan();
 
         // Current state
         this.primaryEmotion = 'observing';
@@ -56,9 +94,17 @@ class DogEmotionEngine {
         // sit = hindquarters on ground, front up
         // down = lying on ground (sphinx or flat)
         // crouch = lowered body (play bow, fear, submission)
+        // play-bow = front down, rear up (keypoints only)
         this.postureHistory = [];
         this.currentPosture = 'unknown';
 
+        // Keypoint pose (fed from DogPoseEstimator each frame, when a
+        // model is loaded) — overrides the aspect-ratio posture when confident
+        this.pose = null;
+        this.POSE_MIN_CONFIDENCE = 50;
+        this.postureSource = 'aspect-ratio';
+        this.keypointPostureFrames = 0;
+
         // Detected signals (for explanation)
         this.detectedSignals = [];
 
@@ -67,11 +113,24 @@ class DogEmotionEngine {
 
         // EMA smoothing for bounding box (filters COCO-SSD jitter)
         this.smoothedBox = null;
+        // Camera's running offset — boxes are smoothed and tracked without it
+        this.cameraOffset = { x: 0, y: 0 };
         this.EMA_ALPHA = 0.3; // Lower = more smoothing (0.3 = strong filter)
 
         // Movement noise floor — anything below this is treated as zero
         this.MOVEMENT_NOISE_FLOOR = 6; // pixels per frame
 
+        // Bounding box aspect ratio at or above which the dog is "down".
+        // 1.5 suits an average build; applyProfile() moves it per dog
+        // (a standing dachshund is wider than a lying whippet).
+        this.DEFAULT_DOWN_ASPECT_RATIO = 1.5;
+        this.DOWN_ASPECT_RATIO = this.DEFAULT_DOWN_ASPECT_RATIO;
+
+        // Aspect ratios seen while the dog was still, per posture —
+        // this scan's contribution to the dog's learned baseline
+        this.restingAspectRatios = { stand: [], down: [] };
+        this.MIN_RESTING_AR_SAMPLES = 30;
+
         // Behavioral pattern counters
         this.patterns = {
             pacing: 0,
@@ -86,17 +145,29 @@ class DogEmotionEngine {
             crouching: 0,
             postureChanges: 0,
             restlessness: 0,
-            tailWagLikely: 0
+            tailWagLikely: 0,
+            panting: 0,
+            yawns: 0,           // calming signals seen in the last CALMING_WINDOW_MS
+            lipLicks: 0
         };
 
+        // Yawns / lip licks from DogHeadAnalyzer, with their timestamps
+        this.headEvents = [];
+        this.CALMING_WINDOW_MS = 30000;
+
         // ── K9 Action Detection System ──
         // Tracks current and historical actions
         this.currentAction = 'observing';
         this.activeActions = [];       // All currently detected actions
-        this.actionHistory = [];       // Timeline of actions
-        this.maxActionHistory = 600;
+        this.actionHistory = [];       // Timeline of actions (last ACTION_HISTORY_MS)
         this.actionCounts = {};        // Count of each action detected
 
+        // Key moments — notable actions worth showing a trainer. Flagged
+        // on the frame they START (clip capture), not every frame they last
+        this.KEY_MOMENT_ACTIONS = ['growling', 'play-bow', 'freeze', 'lunging', 'startled'];
+        this.keyMoments = [];
+        this.lastActionNames = [];
+
         // ── 369 Energy State (fed from Engine369 each frame) ──
         this.energyState = null;
 
@@ -120,17 +191,107 @@ class DogEmotionEngine {
         this.pixelAnalysis = data;
     }
 
-    processFrame(detection, barkData) {
-        if (!detection || !detection.box) return this._defaultAssessment();
+    /**
+     * Set keypoint pose from DogPoseEstimator (null when no model or no
+     * crop). Its posture replaces the aspect-ratio guess THIS frame.
+     */
+    setPose(pose) {
+        this.pose = pose;
+    }
+
+    /**
+     * The dog was out of view and is back (DogTracker revived its track),
+     * possibly somewhere else entirely. Box smoothing and frame-to-frame
+     * movement start over from the next box instead of reading the jump
+     * as motion; emotion history and pattern counts are kept.
+     */
+    resumeAfterGap() {
+        this.smoothedBox = null;
+        this.frameHistory = [];
+    }
+
+    // ── Per-Dog Profile ──
+
+    /**
+     * Adapt posture thresholds to a specific dog's learned build.
+     * The "down" threshold sits midway between the dog's typical
+     * standing and lying aspect ratios once both are known.
+     *
+     * @param {object|null} profile - Dog profile ({ baseline }), or null to reset
+     */
+    applyProfile(profile) {
+        const ar = profile && profile.baseline ? profile.baseline.aspectRatio : null;
+        let threshold = this.DEFAULT_DOWN_ASPECT_RATIO;
+
+        if (ar && ar.stand && ar.down && ar.down > ar.stand) {
+            threshold = (ar.stand + ar.down) / 2;
+        } else if (ar && ar.stand) {
+            // Never call a dog "down" at its own normal standing shape
+            threshold = Math.max(threshold, ar.stand * 1.25);
+        }
+        this.DOWN_ASPECT_RATIO = Math.max(1.1, Math.min(2.6, threshold));
+    }
+
+    /**
+     * This scan's contribution to the dog's learned baseline:
+     * median aspect ratio while still, per posture, with the number
+     * of frames behind each (a scan spent lying down says little
+     * about the dog's standing shape).
+     *
+     * @returns {object|null} { aspectRatio: { stand, down, standSamples, downSamples, samples } }
+     */
+    getBaselineSample() {
+        const median = (values) => {
+            if (values.length < this.MIN_RESTING_AR_SAMPLES) return null;
+            const sorted = [...values].sort((a, b) => a - b);
+            return sorted[Math.floor(sorted.length / 2)];
+        };
+        const stand = median(this.restingAspectRatios.stand);
+        const down = median(this.restingAspectRatios.down);
+        if (stand == null && down == null) return null;
+
+        const standSamples = stand != null ? this.restingAspectRatios.stand.length : 0;
+        const downSamples = down != null ? this.restingAspectRatios.down.length : 0;
+        return {
+            aspectRatio: { stand, down, standSamples, downSamples, samples: standSamples + downSamples }
+        };
+    }
 
-        const rawBox = detection.box;
-        const now = Date.now();
+    /**
+     * Analyze one frame of one dog.
+     *
+     * @param {object} detection - { box, confidence, camera } — camera is
+     *   SceneMotionAnalyzer camera output ({ offsetX, offsetY }), optional
+     * @param {object|null} barkData - BarkAnalysisEngine._quickAssess() output
+     * @param {number} timestamp - monotonic frame time (ms); omitted = 30fps clock
+     * @returns {object} Emotion assessment for this frame
+     */
+    processFrame(detection, barkData, timestamp) {
+        if (!detection || !detection.box) return this._defaultAssessment();
 
-        // Apply EMA smoothing to bounding box to filter COCO-SSD jitter
+        if (detection.camera) {
+            this.cameraOffset = { x: detection.camera.offsetX, y: detection.camera.offsetY };
+        }
+        const rawBox = {
+            x: detection.box.x - this.cameraOffset.x,
+            y: detection.box.y - this.cameraOffset.y,
+            width: detection.box.width,
+            height: detection.box.height
+        };
+        const now = timestamp != null ? timestamp
+            : (this.startTime == null ? 0 : this.now + this.REFERENCE_FRAME_MS);
+        const elapsed = this.startTime == null ? this.REFERENCE_FRAME_MS : now - this.now;
+        if (this.startTime == null) this.startTime = now;
+        this.now = now;
+        this.framesProcessed++;
+
+        // Apply EMA smoothing to bounding box to filter COCO-SSD jitter.
+        // EMA_ALPHA is per reference frame; a slower frame gets a larger step.
         if (!this.smoothedBox) {
             this.smoothedBox = { x: rawBox.x, y: rawBox.y, width: rawBox.width, height: rawBox.height };
         } else {
-            const a = this.EMA_ALPHA;
+            const steps = Math.max(0, elapsed) / this.REFERENCE_FRAME_MS;
+            const a = 1 - Math.pow(1 - this.EMA_ALPHA, steps);
             this.smoothedBox.x = a * rawBox.x + (1 - a) * this.smoothedBox.x;
             this.smoothedBox.y = a * rawBox.y + (1 - a) * this.smoothedBox.y;
             this.smoothedBox.width = a * rawBox.width + (1 - a) * this.smoothedBox.width;
@@ -150,18 +311,22 @@ class DogEmotionEngine {
         };
 
         this.frameHistory.push(frameData);
-        if (this.frameHistory.length > this.maxHistoryFrames) {
-            this.frameHistory.shift();
-        }
+        this._prune(this.frameHistory, this.HISTORY_MS);
 
-        // Estimate posture from aspect ratio
+        // Estimate posture (keypoints when available, else aspect ratio)
         this._estimatePosture();
 
         // Compute movement metrics
         const movement = this._computeMovement();
+        movement.timestamp = now;
         this.movementHistory.push(movement);
-        if (this.movementHistory.length > this.maxHistoryFrames) {
-            this.movementHistory.shift();
+        this._prune(this.movementHistory, this.HISTORY_MS);
+
+        // Sample resting aspect ratio for the per-dog baseline
+        if (movement.magnitude === 0 && this.restingAspectRatios[this.currentPosture]) {
+            const samples = this.restingAspectRatios[this.currentPosture];
+            samples.push(frameData.aspectRatio);
+            if (samples.length > 600) samples.shift();
         }
 
         // Detect behavioral patterns
@@ -184,14 +349,13 @@ class DogEmotionEngine {
 
         // Store emotion
         this.emotionHistory.push({
-            time: this.frameHistory.length,
+            timestamp: now,
             emotion: emotion.primary,
             confidence: emotion.confidence,
             intensity: emotion.intensity
         });
-        if (this.emotionHistory.length > this.maxEmotionHistory) {
-            this.emotionHistory.shift();
-        }
+        this._prune(this.emotionHistory, this.HISTORY_MS);
+        this._accumulateScan(emotion, movement, Math.min(this.MAX_FRAME_GAP_MS, Math.max(0, elapsed)));
 
         this.primaryEmotion = emotion.primary;
         this.secondaryEmotion = emotion.secondary;
@@ -201,6 +365,7 @@ class DogEmotionEngine {
         // Add actions to emotion return
         emotion.currentAction = this.currentAction;
         emotion.activeActions = [...this.activeActions];
+        emotion.keyMoments = [...this.keyMoments];
 
         return emotion;
     }
@@ -225,24 +390,48 @@ class DogEmotionEngine {
     //   significantly from a known standing state).
     //
     // CROUCH: Rapid height decrease — play bow, fear, or submission
+    //
+    // KEYPOINTS: When a DogPoseEstimator model is loaded its posture
+    // (stand/sit/down/crouch/play-bow from withers and hip heights)
+    // is used instead — the box heuristics only run without it.
 
     _estimatePosture() {
         if (this.frameHistory.length < 5) return;
 
         const curr = this.frameHistory[this.frameHistory.length - 1];
 
-        // Use AVERAGED aspect ratio over last 8 frames for stability
-        const windowSize = Math.min(8, this.frameHistory.length);
-        const recentFrames = this.frameHistory.slice(-windowSize);
+        // Keypoints see which end of the dog is down — no guessing needed
+        const pose = this.pose;
+        const fromKeypoints = !!(pose && pose.posture && pose.confidence >= this.POSE_MIN_CONFIDENCE);
+        const posture = fromKeypoints ? pose.posture : this._estimatePostureFromBox(curr);
+
+        // Track posture changes
+        const prevPosture = this.currentPosture;
+        this.currentPosture = posture;
+        this.postureSource = fromKeypoints ? 'keypoints' : 'aspect-ratio';
+        if (fromKeypoints) this.keypointPostureFrames++;
+
+        this.postureHistory.push({ posture, source: this.postureSource, timestamp: curr.timestamp });
+        this._prune(this.postureHistory, this.POSTURE_HISTORY_MS);
+
+        if (prevPosture !== posture && prevPosture !== 'unknown') {
+            this.patterns.postureChanges++;
+        }
+    }
+
+    // Aspect ratio + pixel hint — used when no keypoint posture is available
+    _estimatePostureFromBox(curr) {
+        // Use AVERAGED aspect ratio over the last ~270 ms for stability
+        const recentFrames = this._recent(this.frameHistory, 270);
         const avgAR = recentFrames.reduce((s, f) => s + f.aspectRatio, 0) / recentFrames.length;
 
         let posture = 'stand'; // DEFAULT for all upright dogs
 
-        // Only two reliable AR-based classifications:
+        // Only two reliable AR-based classifications (1.5 = DOWN_ASPECT_RATIO default):
         // DOWN: AR >= 1.5 — bounding box is clearly wider than tall (dog is lying)
         // STAND: AR < 1.5 — dog is upright (could be standing or sitting, but we
         //   default to "stand" because we CANNOT reliably distinguish them)
-        if (avgAR >= 1.5) {
+        if (avgAR >= this.DOWN_ASPECT_RATIO) {
             posture = 'down';
         }
         // "stand" is already the default — no explicit else needed
@@ -251,11 +440,12 @@ class DogEmotionEngine {
         // If we previously had a wider bounding box (standing from side view, AR > 1.0)
         // and the AR dropped significantly (by 0.3+) AND is now between 0.5-0.9,
         // the dog likely transitioned from standing to sitting.
-        if (posture === 'stand' && this.postureHistory.length >= 10) {
-            const prev10 = this.frameHistory.slice(-10);
-            if (prev10.length >= 10) {
-                const olderAR = prev10.slice(0, 5).reduce((s, f) => s + f.aspectRatio, 0) / 5;
-                const newerAR = prev10.slice(-5).reduce((s, f) => s + f.aspectRatio, 0) / 5;
+        if (posture === 'stand' && this._span(this.postureHistory) >= 320) {
+            const prev10 = this._recent(this.frameHistory, 330);
+            if (prev10.length >= 4) {
+                const half = Math.floor(prev10.length / 2);
+                const olderAR = prev10.slice(0, half).reduce((s, f) => s + f.aspectRatio, 0) / half;
+                const newerAR = prev10.slice(-half).reduce((s, f) => s + f.aspectRatio, 0) / half;
                 // Clear AR drop from wider (>1.0) to narrower (<0.85) = likely sat down
                 if (olderAR > 1.0 && newerAR < 0.85 && (olderAR - newerAR) > 0.3) {
                     posture = 'sit';
@@ -263,11 +453,11 @@ class DogEmotionEngine {
             }
         }
 
-        // Check for crouch — rapid decrease in height
-        if (this.frameHistory.length >= 8) {
-            const prev8 = this.frameHistory.slice(-8);
+        // Check for crouch — rapid decrease in height (within ~270 ms)
+        const prev8 = this._recent(this.frameHistory, 270, 2);
+        if (this._span(this.frameHistory) >= 250) {
             const heightRatio = curr.box.height / Math.max(1, prev8[0].box.height);
-            if (heightRatio < 0.6 && prev8[0].aspectRatio < 1.5) {
+            if (heightRatio < 0.6 && prev8[0].aspectRatio < this.DOWN_ASPECT_RATIO) {
                 posture = 'crouch';
             }
         }
@@ -298,16 +488,7 @@ class DogEmotionEngine {
             }
         }
 
-        // Track posture changes
-        const prevPosture = this.currentPosture;
-        this.currentPosture = posture;
-
-        this.postureHistory.push({ posture, timestamp: curr.timestamp });
-        if (this.postureHistory.length > 90) this.postureHistory.shift();
-
-        if (prevPosture !== posture && prevPosture !== 'unknown') {
-            this.patterns.postureChanges++;
-        }
+        return posture;
     }
 
     // ── Comprehensive K9 Action Classification ──
@@ -317,22 +498,20 @@ class DogEmotionEngine {
         this.activeActions = [];
 
         // ── WARM-UP GATE ──
-        // Skip action classification for the first 20 frames.
+        // Skip action classification for the first ACTION_WARMUP_MS.
         // EMA bounding box smoothing needs ~7 frames to stabilize, and
-        // stillness detection needs ~30 frames to build confidence.
+        // stillness detection needs ~1 s to build confidence.
         // Early frames produce bounding box jitter that creates phantom
         // actions like "trotting" and "restless" on a perfectly still dog.
-        if (this.frameHistory.length < 20) {
+        if (this._span(this.frameHistory) < this.ACTION_WARMUP_MS) {
             this.currentAction = 'observing';
             return;
         }
 
         const actions = [];
         const speed = movement.speed;
-        const avgSpeed = this.movementHistory.length > 0
-            ? this.movementHistory.slice(-15).reduce((s, m) => s + m.speed, 0) / Math.min(15, this.movementHistory.length)
-            : 0;
-        const recentMoves = this.movementHistory.slice(-20);
+        const avgSpeed = this._avgSpeed(500);
+        const recentMoves = this._recent(this.movementHistory, 670);
         const curr = this.frameHistory[this.frameHistory.length - 1];
         const hasPrev = this.frameHistory.length >= 2;
         const prev = hasPrev ? this.frameHistory[this.frameHistory.length - 2] : null;
@@ -376,6 +555,10 @@ class DogEmotionEngine {
                     }
                     actions.push({ action: 'freezing-fearful', category: 'stress', desc: 'Fear freeze — crouched and completely still' });
                     break;
+                case 'play-bow':
+                    // A held bow is still an invitation — keypoints saw front down, rear up
+                    actions.push({ action: 'play-bow', category: 'play', desc: 'Play bow! Front down, rear up — universal "let\'s play!" invitation' });
+                    break;
             }
 
             // Still dogs can still vocalize
@@ -487,7 +670,7 @@ class DogEmotionEngine {
                     actions.push({ action: 'getting-up', category: 'transition', desc: 'Getting up from lying down' });
                 } else if (prevP.posture === 'sit' && currP.posture === 'stand') {
                     actions.push({ action: 'standing-up', category: 'transition', desc: 'Standing up from sit' });
-                } else if (currP.posture === 'crouch') {
+                } else if (currP.posture === 'crouch' || currP.posture === 'play-bow') {
                     actions.push({ action: 'lowering-body', category: 'transition', desc: 'Dropping into a crouch or play bow' });
                 }
             }
@@ -519,10 +702,11 @@ class DogEmotionEngine {
             actions.push({ action: 'backing-up', category: 'spatial', desc: 'Slowly backing away' });
         }
 
-        // Following / tracking — require sustained movement
-        if (recentMoves.length >= 10 && avgSpeed > 3) {
-            const sameDir = recentMoves.slice(-10).filter(m => m.direction === movement.direction && m.speed > 4).length;
-            if (sameDir >= 7) {
+        // Following / tracking — require sustained movement (~330 ms)
+        const trackMoves = this._recent(this.movementHistory, 330, 3);
+        if (this._span(this.movementHistory) >= 320 && avgSpeed > 3) {
+            const sameDir = trackMoves.filter(m => m.direction === movement.direction && m.speed > 4).length;
+            if (sameDir >= 0.7 * trackMoves.length) {
                 actions.push({ action: 'following', category: 'spatial', desc: 'Moving in a consistent direction — following or tracking something' });
             }
         }
@@ -531,7 +715,7 @@ class DogEmotionEngine {
         // PLAY ACTIONS — Require real movement
         // ═══════════════════════════════════════════
 
-        if (this.patterns.playBows > 0 && !isStill) {
+        if (this.patterns.playBows > 0 && (!isStill || this.currentPosture === 'play-bow')) {
             actions.push({ action: 'play-bow', category: 'play', desc: 'Play bow! Front down, rear up — universal "let\'s play!" invitation' });
         }
 
@@ -570,18 +754,20 @@ class DogEmotionEngine {
             actions.push({ action: 'head-tilting', category: 'attention', desc: 'Tilting head — processing a sound or trying to understand' });
         }
 
-        // Alert freeze — sudden stop after real movement
-        if (this.movementHistory.length >= 6) {
-            const prev6speeds = this.movementHistory.slice(-6).map(m => m.speed);
-            if (prev6speeds[0] > 8 && prev6speeds[1] > 8 && prev6speeds[4] < 1 && prev6speeds[5] < 1) {
+        // Alert freeze — sudden stop after real movement (~200 ms)
+        const prev6speeds = this._recent(this.movementHistory, 200, 4).map(m => m.speed);
+        if (prev6speeds.length >= 4 && this._span(this.movementHistory) >= 180) {
+            const n = prev6speeds.length;
+            if (prev6speeds[0] > 8 && prev6speeds[1] > 8 && prev6speeds[n - 2] < 1 && prev6speeds[n - 1] < 1) {
                 actions.push({ action: 'freeze', category: 'attention', desc: 'Alert freeze — suddenly stopped and locked on something' });
             }
         }
 
-        // Startle — sudden movement after stillness
-        if (this.movementHistory.length >= 5) {
-            const prev5speeds = this.movementHistory.slice(-5).map(m => m.speed);
-            if (prev5speeds[0] < 1 && prev5speeds[1] < 1 && prev5speeds[3] > 12) {
+        // Startle — sudden movement after stillness (~170 ms)
+        const prev5speeds = this._recent(this.movementHistory, 170, 4).map(m => m.speed);
+        if (prev5speeds.length >= 4 && this._span(this.movementHistory) >= 150) {
+            const n = prev5speeds.length;
+            if (prev5speeds[0] < 1 && prev5speeds[1] < 1 && prev5speeds[n - 2] > 12) {
                 actions.push({ action: 'startled', category: 'attention', desc: 'Startle response — reacted suddenly to something' });
             }
         }
@@ -605,9 +791,9 @@ class DogEmotionEngine {
         }
 
         // Settling sequence
-        if (this.postureHistory.length >= 5) {
-            const recent5p = this.postureHistory.slice(-5);
-            const wasStanding = recent5p.slice(0, 3).some(p => p.posture === 'stand');
+        const recent5p = this._recent(this.postureHistory, 170, 3);
+        if (recent5p.length >= 3 && this._span(this.postureHistory) >= 150) {
+            const wasStanding = recent5p.slice(0, -2).some(p => p.posture === 'stand');
             const nowDown = recent5p[recent5p.length - 1].posture === 'down';
             if (wasStanding && nowDown && this.patterns.spinning > 0) {
                 actions.push({ action: 'nesting', category: 'pattern', desc: 'Nesting — circling before lying down to find a comfortable spot' });
@@ -696,9 +882,14 @@ class DogEmotionEngine {
         this.currentAction = primary.action;
         this.activeActions = actions;
 
+        // Key moments that began this frame
+        this.keyMoments = actions.filter(a =>
+            this.KEY_MOMENT_ACTIONS.includes(a.action) && !this.lastActionNames.includes(a.action));
+        this.lastActionNames = actions.map(a => a.action);
+
         // Track action history
-        this.actionHistory.push({ action: primary.action, time: this.frameHistory.length });
-        if (this.actionHistory.length > this.maxActionHistory) this.actionHistory.shift();
+        this.actionHistory.push({ action: primary.action, timestamp: this.now });
+        this._prune(this.actionHistory, this.ACTION_HISTORY_MS);
 
         // Count actions
         actions.forEach(a => {
@@ -709,9 +900,7 @@ class DogEmotionEngine {
     // ── Signal Detection ──
 
     _buildSignalList(movement, barkData) {
-        const avgSpeed = this.movementHistory.length > 0
-            ? this.movementHistory.slice(-30).reduce((s, m) => s + m.speed, 0) / Math.min(30, this.movementHistory.length)
-            : 0;
+        const avgSpeed = this._avgSpeed(1000);
 
         // Posture signal (K9 terminology)
         if (this.currentPosture !== 'unknown') {
@@ -719,13 +908,14 @@ class DogEmotionEngine {
                 stand: 'Stand — dog is upright on all fours, alert and ready',
                 sit: 'Sit — hindquarters on ground, attentive or waiting',
                 down: 'Down — lying on the ground, resting or settled',
-                crouch: 'Crouch — lowered body, could be play bow, submission, or fear'
+                crouch: 'Crouch — lowered body, could be play bow, submission, or fear',
+                'play-bow': 'Play bow — front end down, rear end up, inviting play'
             };
             this.detectedSignals.push({
                 type: 'posture',
                 signal: `Position: ${this.currentPosture.toUpperCase()}`,
                 detail: postureLabels[this.currentPosture] || 'Unknown posture',
-                source: 'bounding box aspect ratio'
+                source: this.postureSource === 'keypoints' ? 'keypoint pose estimation' : 'bounding box aspect ratio'
             });
         }
 
@@ -782,10 +972,32 @@ class DogEmotionEngine {
             if (px.tailWagScore >= 5) {
                 this.detectedSignals.push({ type: 'vision', signal: 'Tail wagging detected', detail: `Oscillating motion in body edges — wag score: ${px.tailWagScore}`, source: 'pixel motion analysis' });
             }
+            if (px.tail && px.tail.carriage === 'tucked') {
+                this.detectedSignals.push({ type: 'vision', signal: 'Tail tucked', detail: 'Tail held low or between the hind legs — fear, stress, or appeasement', source: px.tail.source === 'keypoints' ? 'tail keypoints' : 'tail motion position' });
+            } else if (px.tail && px.tail.carriage === 'high') {
+                this.detectedSignals.push({ type: 'vision', signal: 'Tail held high', detail: 'Tail carried above the back line — aroused, confident, or alert', source: px.tail.source === 'keypoints' ? 'tail keypoints' : 'tail motion position' });
+            }
+            if (px.tail && px.tail.wagBias != null && Math.abs(px.tail.wagBias) >= 0.1) {
+                const right = px.tail.wagBias > 0;
+                this.detectedSignals.push({ type: 'vision', signal: `Wag biased to the ${right ? 'right' : 'left'}`, detail: right ? 'Wider swings to the dog\'s right — associated with positive, approach emotions' : 'Wider swings to the dog\'s left — associated with negative, withdrawal emotions', source: 'tail wag amplitude asymmetry' });
+            }
+            if (px.head && px.head.earCarriage === 'pinned') {
+                this.detectedSignals.push({ type: 'vision', signal: 'Ears pinned back', detail: 'Ears flattened against the head — fear, appeasement, or submission', source: 'ear keypoints' });
+            } else if (px.head && px.head.earCarriage === 'erect') {
+                this.detectedSignals.push({ type: 'vision', signal: 'Ears erect', detail: 'Ears raised and forward — attention on something', source: 'ear keypoints' });
+            }
+            if (px.head && px.head.panting) {
+                this.detectedSignals.push({ type: 'vision', signal: 'Panting', detail: this.patterns.stillness > 10 ? 'Rhythmic open-mouth breathing while still — heat or stress' : 'Rhythmic open-mouth breathing while active — exertion or excitement', source: 'mouth open/close rhythm' });
+            } else if (px.head && px.head.mouth === 'open') {
+                this.detectedSignals.push({ type: 'vision', signal: 'Mouth open', detail: 'Relaxed open mouth — often a loose, content dog', source: 'muzzle darkness' });
+            }
             // Tension: require high score after noise floor subtraction
             if (px.tensionScore > 50) {
                 this.detectedSignals.push({ type: 'vision', signal: 'Body tension detected', detail: `Widespread micro-vibration without major movement — tension: ${px.tensionScore}%`, source: 'pixel micro-vibration analysis' });
             }
+            if (px.trembling && px.trembling.active) {
+                this.detectedSignals.push({ type: 'vision', signal: 'Trembling', detail: `Whole body oscillating at ~${px.trembling.frequency} Hz across ${px.trembling.regions} zones, background steady — fear, stress, cold or pain`, source: 'tremor-band spectral analysis' });
+            }
             if (px.headActivity === 'active') {
                 this.detectedSignals.push({ type: 'vision', signal: 'Active head movement', detail: 'Head region moving more than body — looking around or scanning', source: 'pixel zone analysis' });
             }
@@ -802,6 +1014,14 @@ class DogEmotionEngine {
             }
         }
 
+        // Calming signals (DogHeadAnalyzer events over the recent window)
+        if (this.patterns.yawns > 0) {
+            this.detectedSignals.push({ type: 'pattern', signal: 'Yawning (calming signal)', detail: `${this.patterns.yawns} yawn${this.patterns.yawns > 1 ? 's' : ''} in the last 30s — out of context, a sign of unease (Rugaas, 2006)`, source: 'long wide mouth opening' });
+        }
+        if (this.patterns.lipLicks > 0) {
+            this.detectedSignals.push({ type: 'pattern', signal: 'Lip licking (calming signal)', detail: `${this.patterns.lipLicks} lick${this.patterns.lipLicks > 1 ? 's' : ''} in the last 30s — appeasement or mild stress (Rugaas, 2006)`, source: 'brief muzzle motion, mouth closed' });
+        }
+
         // Audio signals
         if (barkData && barkData.isVocalizing) {
             this.detectedSignals.push({ type: 'audio', signal: `${barkData.currentType} detected`, detail: `Frequency: ${barkData.dominantFreq}Hz | Intensity: ${barkData.intensity}% | Rate: ${barkData.barkRate}/min`, source: 'microphone spectral analysis' });
@@ -828,12 +1048,16 @@ class DogEmotionEngine {
         const rawDy = curr.centerY - prev.centerY;
         const rawMagnitude = Math.sqrt(rawDx * rawDx + rawDy * rawDy);
 
+        // Per-reference-frame scale — a 5 fps frame covers ~6 reference frames
+        const dt = Math.max(this.REFERENCE_FRAME_MS / 4, curr.timestamp - prev.timestamp);
+        const perRef = this.REFERENCE_FRAME_MS / dt;
+
         // Apply noise floor — suppress COCO-SSD bounding box jitter
-        const magnitude = rawMagnitude < this.MOVEMENT_NOISE_FLOOR ? 0 : rawMagnitude;
-        const dx = magnitude === 0 ? 0 : rawDx;
-        const dy = magnitude === 0 ? 0 : rawDy;
+        const magnitude = rawMagnitude < this.MOVEMENT_NOISE_FLOOR ? 0 : rawMagnitude * perRef;
+        const dx = magnitude === 0 ? 0 : rawDx * perRef;
+        const dy = magnitude === 0 ? 0 : rawDy * perRef;
 
-        const sizeChange = (curr.area - prev.area) / Math.max(1, prev.area);
+        const sizeChange = (curr.area - prev.area) / Math.max(1, prev.area) * perRef;
         const aspectChange = curr.aspectRatio - prev.aspectRatio;
 
         // Acceleration (change in speed)
@@ -851,10 +1075,10 @@ class DogEmotionEngine {
             }
         }
 
-        // Vertical oscillation (increased thresholds to filter noise)
+        // Vertical oscillation over the last ~200 ms (increased thresholds to filter noise)
         let verticalOscillation = 0;
-        if (this.frameHistory.length >= 6) {
-            const recent6 = this.frameHistory.slice(-6);
+        const recent6 = this._recent(this.frameHistory, 200, 3);
+        if (recent6.length >= 3 && this._span(this.frameHistory) >= 180) {
             const yValues = recent6.map(f => f.centerY);
             let oscillations = 0;
             for (let i = 2; i < yValues.length; i++) {
@@ -866,10 +1090,10 @@ class DogEmotionEngine {
             verticalOscillation = oscillations;
         }
 
-        // Edge oscillation (possible tail wag indicator)
+        // Edge oscillation over the last ~270 ms (possible tail wag indicator)
         let edgeOscillation = 0;
-        if (this.frameHistory.length >= 8) {
-            const recent8 = this.frameHistory.slice(-8);
+        const recent8 = this._recent(this.frameHistory, 270, 3);
+        if (recent8.length >= 3 && this._span(this.frameHistory) >= 250) {
             const rightEdges = recent8.map(f => f.box.x + f.box.width);
             let osc = 0;
             for (let i = 2; i < rightEdges.length; i++) {
@@ -895,10 +1119,11 @@ class DogEmotionEngine {
     }
 
     _detectPatterns(movement) {
-        if (this.frameHistory.length < 10) return;
+        if (this._span(this.frameHistory) < this.PATTERN_WARMUP_MS) return;
 
-        const recentFrames = this.frameHistory.slice(-30);
-        const recentMovements = this.movementHistory.slice(-30);
+        // Patterns look back over the last second
+        const recentFrames = this._recent(this.frameHistory, 1000);
+        const recentMovements = this._recent(this.movementHistory, 1000);
 
         // ── Pacing Detection ──
         let directionChanges = 0;
@@ -910,15 +1135,15 @@ class DogEmotionEngine {
         this.patterns.pacing = directionChanges > 3 ? directionChanges : 0;
 
         // ── Spinning Detection ──
-        if (recentMovements.length >= 12) {
-            const dirs = recentMovements.slice(-12).map(m => m.direction);
+        const spinMoves = this._recent(this.movementHistory, 400, 4);
+        if (this._span(this.movementHistory) >= 380) {
+            const dirs = spinMoves.map(m => m.direction);
             const uniqueDirs = new Set(dirs.filter(d => d !== 'still'));
             this.patterns.spinning = uniqueDirs.size >= 4 ? 1 : 0;
         }
 
         // ── Bouncing Detection ──
-        const recentBounces = recentMovements.slice(-15);
-        const totalBounce = recentBounces.reduce((s, m) => s + m.verticalOscillation, 0);
+        const totalBounce = this._perReferenceSum(this._recent(this.movementHistory, 500), 'verticalOscillation', 500);
         // Threshold raised from 3 to 6 to require real bouncing
         this.patterns.bouncing = totalBounce > 6 ? totalBounce : 0;
 
@@ -945,15 +1170,17 @@ class DogEmotionEngine {
         this.patterns.headTilts = aspectChanges > 2 ? aspectChanges : 0;
 
         // ── Play Bow Detection ──
-        if (recentMovements.length >= 5) {
-            const recent5 = recentMovements.slice(-5);
+        // Keypoints see the bow itself; otherwise infer it from a sudden drop
+        if (this.postureSource === 'keypoints') {
+            this.patterns.playBows = this.currentPosture === 'play-bow' ? 1 : 0;
+        } else if (this._span(this.movementHistory) >= 150) {
+            const recent5 = this._recent(this.movementHistory, 170, 2);
             const dropDown = recent5.some(m => m.dy > 10 && m.sizeChange > 0.02);
             this.patterns.playBows = dropDown ? 1 : 0;
         }
 
         // ── Tail Wag Estimation ──
-        const recentEdge = recentMovements.slice(-10);
-        const totalEdgeOsc = recentEdge.reduce((s, m) => s + (m.edgeOscillation || 0), 0);
+        const totalEdgeOsc = this._perReferenceSum(this._recent(this.movementHistory, 330), 'edgeOscillation', 330);
         // Threshold raised from 3 to 6 to filter bounding box jitter
         this.patterns.tailWagLikely = totalEdgeOsc > 6 ? totalEdgeOsc : 0;
 
@@ -964,6 +1191,16 @@ class DogEmotionEngine {
 
         // ── Crouching ──
         this.patterns.crouching = this.currentPosture === 'crouch' ? 1 : 0;
+
+        // ── Calming Signals (DogHeadAnalyzer) ──
+        // Panting while it lasts; yawns and lip licks over the recent window
+        const head = this.pixelAnalysis ? this.pixelAnalysis.head : null;
+        if (head && head.yawn) this.headEvents.push({ type: 'yawn', timestamp: this.now });
+        if (head && head.lipLick) this.headEvents.push({ type: 'lip-lick', timestamp: this.now });
+        this.headEvents = this._recent(this.headEvents, this.CALMING_WINDOW_MS);
+        this.patterns.panting = head && head.panting ? 1 : 0;
+        this.patterns.yawns = this.headEvents.filter(e => e.type === 'yawn').length;
+        this.patterns.lipLicks = this.headEvents.filter(e => e.type === 'lip-lick').length;
     }
 
     _computeVariance(arr) {
@@ -972,6 +1209,47 @@ class DogEmotionEngine {
         return arr.reduce((s, v) => s + (v - mean) * (v - mean), 0) / arr.length;
     }
 
+    // ── Time Windows ──
+
+    // Entries from the last `ms`. Each frame stands for the reference
+    // interval around its timestamp, so at 30fps a 500 ms window holds
+    // exactly 15 frames. `minCount` widens the window on slow devices for
+    // detectors that compare first vs last samples.
+    _recent(history, ms, minCount = 0) {
+        const cutoff = this.now - ms + this.REFERENCE_FRAME_MS / 2;
+        let i = history.length;
+        while (i > 0 && history[i - 1].timestamp > cutoff) i--;
+        return history.slice(Math.max(0, Math.min(i, history.length - minCount)));
+    }
+
+    // Drop entries older than `ms` (and bound memory at very high frame rates)
+    _prune(history, ms) {
+        const cutoff = this.now - ms + this.REFERENCE_FRAME_MS / 2;
+        let drop = 0;
+        while (drop < history.length && history[drop].timestamp <= cutoff) drop++;
+        drop = Math.max(drop, history.length - this.MAX_HISTORY_ENTRIES);
+        if (drop > 0) history.splice(0, drop);
+    }
+
+    // Time covered by a history, counting the current frame's interval
+    _span(history) {
+        if (history.length === 0) return 0;
+        return this.now - history[0].timestamp + this.REFERENCE_FRAME_MS;
+    }
+
+    _avgSpeed(ms) {
+        const moves = this._recent(this.movementHistory, ms);
+        return moves.length > 0 ? moves.reduce((s, m) => s + m.speed, 0) / moves.length : 0;
+    }
+
+    // Sum of a per-frame count over a window, rescaled to what a 30fps
+    // camera would have summed — counts don't shrink on a slow device
+    _perReferenceSum(entries, key, ms) {
+        if (entries.length === 0) return 0;
+        const sum = entries.reduce((s, m) => s + (m[key] || 0), 0);
+        return Math.round(sum * (ms / this.REFERENCE_FRAME_MS) / entries.length);
+    }
+
     // ── Emotion Assessment ──
 
     _assessEmotion(movement, barkData) {
@@ -981,9 +1259,7 @@ class DogEmotionEngine {
             alert: 0, sad: 0, curious: 0
         };
 
-        const avgSpeed = this.movementHistory.length > 0
-            ? this.movementHistory.slice(-30).reduce((s, m) => s + m.speed, 0) / Math.min(30, this.movementHistory.length)
-            : 0;
+        const avgSpeed = this._avgSpeed(1000);
 
         // ── Posture-based scoring (K9 positions) ──
         // A STANDING dog is alert/watchful — this is NOT a resting position.
@@ -1009,6 +1285,10 @@ class DogEmotionEngine {
                 scores.playful += 15; // Could be play bow
                 scores.stressed += 10;
                 break;
+            case 'play-bow':
+                scores.playful += 30; // Keypoints confirmed front down, rear up
+                scores.excited += 10;
+                break;
         }
 
         // ── Movement-based scoring ──
@@ -1247,6 +1527,33 @@ class DogEmotionEngine {
                 scores.playful += 5;
             }
 
+            // Tail valence — right-biased wag positive, left-biased or
+            // tucked negative (Quaranta 2007; Siniscalchi 2013)
+            if (px.tail && px.tail.valence != null) {
+                const v = px.tail.valence;
+                if (v > 0) {
+                    scores.happy += Math.round(20 * v);
+                    scores.calm += Math.round(5 * v);
+                } else {
+                    scores.anxious += Math.round(15 * -v);
+                    scores.fearful += Math.round(10 * -v);
+                    scores.happy = Math.round(scores.happy * (1 + v * 0.5));
+                }
+            }
+            if (px.tail && px.tail.carriage === 'high') {
+                scores.alert += 8;
+                scores.excited += 5;
+            }
+
+            // Ears — pinned back = fear/appeasement, erect = attention
+            if (px.head && px.head.earCarriage === 'pinned') {
+                scores.fearful += 15;
+                scores.anxious += 10;
+            } else if (px.head && px.head.earCarriage === 'erect') {
+                scores.alert += 10;
+                scores.curious += 5;
+            }
+
             // Body tension (trembling without macro movement) → stressed/anxious/fearful
             if (px.tensionScore > 60) {
                 scores.stressed += 20;
@@ -1267,6 +1574,13 @@ class DogEmotionEngine {
                 scores.fearful += 8;
             }
 
+            // Sustained whole-body tremor (camera shake already excluded) → fearful/anxious
+            if (px.trembling && px.trembling.active) {
+                scores.fearful += 12;
+                scores.anxious += 10;
+                scores.calm = Math.round(scores.calm * 0.6);
+            }
+
             // Very still at pixel level = truly calm or resting
             // Thresholds raised to account for camera noise (noise floor ~0.005-0.01)
             if (px.overallMotion < 0.008 && px.microVibration < 0.06) {
@@ -1308,6 +1622,25 @@ class DogEmotionEngine {
             }
         }
 
+        // ── Calming signals / oral stress behaviors (Rugaas 2006; Beerda 1998) ──
+        // Yawns and lip licks out of context = the dog is uneasy
+        const calming = this.patterns.yawns + this.patterns.lipLicks;
+        if (calming > 0) {
+            scores.anxious += Math.min(30, 10 * calming);
+            scores.stressed += Math.min(20, 6 * calming);
+            scores.calm = Math.round(scores.calm * 0.8);
+        }
+        // Panting while still = stress or heat; while moving = exertion / excitement
+        if (this.patterns.panting > 0) {
+            if (this.patterns.stillness > 10) {
+                scores.stressed += 10;
+                scores.anxious += 5;
+            } else {
+                scores.excited += 8;
+                scores.playful += 5;
+            }
+        }
+
         // ── RESTING STATE PROTECTION ──
         // When posture, stillness, and silence ALL unambiguously say the dog
         // is resting, this MUST be respected. Camera noise, 369 energy artifacts,
@@ -1335,8 +1668,8 @@ class DogEmotionEngine {
         }
 
         // ── Temporal patterns ──
-        if (this.emotionHistory.length > 30) {
-            const recent = this.emotionHistory.slice(-30);
+        if (this._span(this.emotionHistory) >= 1020) {
+            const recent = this._recent(this.emotionHistory, 1000);
             const emotionChanges = new Set(recent.map(e => e.emotion)).size;
             if (emotionChanges > 5) { scores.anxious += 10; scores.stressed += 10; }
             if (emotionChanges <= 2) { scores.calm += 10; }
@@ -1345,7 +1678,7 @@ class DogEmotionEngine {
         // ── TEMPORAL MOMENTUM ──
         // Give a stability bonus to the current emotion to prevent flickering.
         // Reduced from 12 to 8 to prevent locking into wrong emotions early.
-        if (this.emotionHistory.length > 5) {
+        if (this._span(this.emotionHistory) >= 180) {
             const lastEmotion = this.emotionHistory[this.emotionHistory.length - 1].emotion;
             if (scores[lastEmotion] !== undefined) {
                 scores[lastEmotion] += 8; // Stability bonus (reduced from 12)
@@ -1367,8 +1700,9 @@ class DogEmotionEngine {
         const hasPatterns = Object.values(this.patterns).some(v => v > 0);
 
         // Reduce confidence if limited data
-        if (this.frameHistory.length < 30) {
-            confidence = Math.round(confidence * (this.frameHistory.length / 30));
+        const observedMs = this._span(this.frameHistory);
+        if (observedMs < this.CONFIDENCE_WARMUP_MS) {
+            confidence = Math.round(confidence * (observedMs / this.CONFIDENCE_WARMUP_MS));
         }
 
         // Boost or penalize based on data sources
@@ -1408,14 +1742,14 @@ class DogEmotionEngine {
             bodyArea: currFrame ? Math.round(currFrame.area) : 0,
             aspectRatio: currFrame ? Math.round(currFrame.aspectRatio * 100) / 100 : 0,
             sizeChangeRate: Math.round((movement.sizeChange || 0) * 10000) / 100,
-            centerX: currFrame ? Math.round(currFrame.centerX) : 0,
-            centerY: currFrame ? Math.round(currFrame.centerY) : 0,
+            centerX: currFrame ? Math.round(currFrame.centerX + this.cameraOffset.x) : 0,
+            centerY: currFrame ? Math.round(currFrame.centerY + this.cameraOffset.y) : 0,
             verticalMotion: Math.round((movement.dy || 0) * 10) / 10,
             horizontalMotion: Math.round((movement.dx || 0) * 10) / 10,
             verticalOscillation: movement.verticalOscillation || 0,
             edgeOscillation: movement.edgeOscillation || 0,
             acceleration: Math.round((movement.acceleration || 0) * 10) / 10,
-            framesAnalyzed: this.frameHistory.length,
+            framesAnalyzed: this.framesProcessed,
             stillnessScore: this.patterns.stillness,
             activePatterns: Object.entries(this.patterns).filter(([k, v]) => v > 0).map(([k]) => k),
             // Pixel-level vision data
@@ -1594,85 +1928,111 @@ class DogEmotionEngine {
         }
     }
 
+    // ── Whole-Scan Totals ──
+
+    _emptyScan() {
+        return {
+            timeMs: 0,
+            emotionMs: {},
+            confidenceMs: 0,        // confidence × ms, for the time-weighted mean
+            intensityMs: 0,
+            speedMs: 0,
+            emotionChanges: 0,
+            lastEmotion: null,
+            postureFrames: {},
+            actionFrames: {},       // frames each action was the primary one
+            timelineStepMs: 1000,
+            lastSlot: -1,
+            timeline: [],
+            actionTimeline: []
+        };
+    }
+
+    // Add this frame (standing for dt ms) to the scan totals and, once
+    // per timeline step, to the report timelines
+    _accumulateScan(emotion, movement, dt) {
+        const scan = this.scan;
+        const count = (counts, key) => { counts[key] = (counts[key] || 0) + 1; };
+        count(scan.postureFrames, this.currentPosture);
+        count(scan.actionFrames, this.currentAction);
+        scan.timeMs += dt;
+        scan.emotionMs[emotion.primary] = (scan.emotionMs[emotion.primary] || 0) + dt;
+        scan.confidenceMs += emotion.confidence * dt;
+        scan.intensityMs += emotion.intensity * dt;
+        scan.speedMs += movement.speed * dt;
+        if (scan.lastEmotion != null && emotion.primary !== scan.lastEmotion) scan.emotionChanges++;
+        scan.lastEmotion = emotion.primary;
+
+        const slot = Math.floor((this.now - this.startTime) / scan.timelineStepMs);
+        if (slot === scan.lastSlot) return;
+        scan.lastSlot = slot;
+        scan.timeline.push({ timestamp: this.now, emotion: emotion.primary, confidence: emotion.confidence });
+        scan.actionTimeline.push({ timestamp: this.now, action: this.currentAction });
+
+        // Past the cap, double the step and keep the first entry of each
+        // new step — a long scan keeps an even timeline from start to end
+        if (scan.timeline.length > this.MAX_TIMELINE_POINTS) {
+            scan.timelineStepMs *= 2;
+            scan.timeline = this._firstPerStep(scan.timeline, scan.timelineStepMs);
+            scan.actionTimeline = this._firstPerStep(scan.actionTimeline, scan.timelineStepMs);
+            scan.lastSlot = Math.floor((this.now - this.startTime) / scan.timelineStepMs);
+        }
+    }
+
     // ── Full Analysis Report ──
 
     fullAnalysis() {
-        if (this.frameHistory.length < 10) {
+        if (this.framesProcessed < 10) {
             return this._insufficientData();
         }
 
-        const fps = 30;
-        const duration = this.frameHistory.length / fps;
-
-        const emotionCounts = {};
-        this.emotionHistory.forEach(e => {
-            emotionCounts[e.emotion] = (emotionCounts[e.emotion] || 0) + 1;
-        });
+        // Scan time from the frame clock, whatever rate frames arrived at
+        const duration = (this.now - this.startTime + this.REFERENCE_FRAME_MS) / 1000;
+        const scan = this.scan;
+        const totalMs = Math.max(1, scan.timeMs);
 
         let dominantEmotion = 'calm';
-        let maxCount = 0;
-        Object.entries(emotionCounts).forEach(([emotion, count]) => {
-            if (count > maxCount) { maxCount = count; dominantEmotion = emotion; }
+        let maxMs = 0;
+        Object.entries(scan.emotionMs).forEach(([emotion, ms]) => {
+            if (ms > maxMs) { maxMs = ms; dominantEmotion = emotion; }
         });
 
-        const total = this.emotionHistory.length;
         const emotionPercentages = {};
-        Object.entries(emotionCounts).forEach(([emotion, count]) => {
-            emotionPercentages[emotion] = Math.round((count / total) * 100);
+        Object.entries(scan.emotionMs).forEach(([emotion, ms]) => {
+            emotionPercentages[emotion] = Math.round((ms / totalMs) * 100);
         });
 
-        const avgConfidence = total > 0
-            ? Math.round(this.emotionHistory.reduce((s, e) => s + e.confidence, 0) / total) : 0;
-        const avgIntensity = total > 0
-            ? Math.round(this.emotionHistory.reduce((s, e) => s + e.intensity, 0) / total) : 0;
+        const avgConfidence = Math.round(scan.confidenceMs / totalMs);
+        const avgIntensity = Math.round(scan.intensityMs / totalMs);
 
-        let emotionChanges = 0;
-        for (let i = 1; i < this.emotionHistory.length; i++) {
-            if (this.emotionHistory[i].emotion !== this.emotionHistory[i - 1].emotion) {
-                emotionChanges++;
-            }
-        }
-        const stabilityScore = Math.max(0, 100 - Math.round((emotionChanges / Math.max(1, total)) * 200));
+        const emotionChanges = scan.emotionChanges;
+        const stabilityScore = Math.max(0, 100 - Math.round((emotionChanges / this.framesProcessed) * 200));
 
         const positiveEmotions = ['happy', 'playful', 'calm', 'curious', 'excited'];
         const negativeEmotions = ['anxious', 'stressed', 'fearful', 'aggressive', 'sad'];
         let positiveTime = 0;
         let negativeTime = 0;
-        this.emotionHistory.forEach(e => {
-            if (positiveEmotions.includes(e.emotion)) positiveTime++;
-            if (negativeEmotions.includes(e.emotion)) negativeTime++;
+        Object.entries(scan.emotionMs).forEach(([emotion, ms]) => {
+            if (positiveEmotions.includes(emotion)) positiveTime += ms;
+            if (negativeEmotions.includes(emotion)) negativeTime += ms;
         });
 
-        const wellbeingScore = total > 0
-            ? Math.round(((positiveTime - negativeTime * 0.5) / total) * 100 + 50) : 50;
-
-        const avgSpeed = this.movementHistory.length > 0
-            ? this.movementHistory.reduce((s, m) => s + m.speed, 0) / this.movementHistory.length : 0;
+        const wellbeingScore = Math.round(((positiveTime - negativeTime * 0.5) / totalMs) * 100 + 50);
 
-        // Posture summary
-        const postureCounts = {};
-        this.postureHistory.forEach(p => {
-            postureCounts[p.posture] = (postureCounts[p.posture] || 0) + 1;
-        });
+        const avgSpeed = scan.speedMs / totalMs;
 
         // Action summary — top actions detected during scan
         const sortedActions = Object.entries(this.actionCounts)
             .sort((a, b) => b[1] - a[1]);
         const topActions = sortedActions.slice(0, 20);
 
-        // Determine the most frequent primary action
-        let primaryAction = 'observing';
-        if (this.actionHistory.length > 0) {
-            const actionFreq = {};
-            this.actionHistory.forEach(a => {
-                actionFreq[a.action] = (actionFreq[a.action] || 0) + 1;
-            });
-            primaryAction = Object.entries(actionFreq).sort((a, b) => b[1] - a[1])[0][0];
-        }
+        // The most frequent primary action
+        const primaryAction = Object.entries(scan.actionFrames).sort((a, b) => b[1] - a[1])[0][0];
 
         return {
             duration: Math.round(duration * 10) / 10,
-            framesAnalyzed: this.frameHistory.length,
+            framesAnalyzed: this.framesProcessed,
+            rulesVersion: this.RULES_VERSION,
             dominantEmotion,
             currentEmotion: this.primaryEmotion,
             emotionDistribution: emotionPercentages,
@@ -1684,7 +2044,10 @@ class DogEmotionEngine {
             patterns: { ...this.patterns },
             posture: {
                 current: this.currentPosture,
-                distribution: postureCounts
+                distribution: { ...scan.postureFrames },
+                // 'keypoints' when the pose model decided the current posture
+                source: this.postureSource,
+                keypointFrames: this.keypointPostureFrames
             },
             movement: {
                 avgSpeed: Math.round(avgSpeed * 10) / 10,
@@ -1692,8 +2055,8 @@ class DogEmotionEngine {
             },
             needs: [...this.currentNeeds],
             detectedSignals: [...this.detectedSignals],
-            timeline: this.emotionHistory.filter((e, i) => i % 30 === 0).map(e => ({
-                time: Math.round(e.time / 30 * 10) / 10,
+            timeline: scan.timeline.map(e => ({
+                time: this._scanSeconds(e.timestamp),
                 emotion: e.emotion,
                 confidence: e.confidence
             })),
@@ -1702,8 +2065,8 @@ class DogEmotionEngine {
                 allDetected: { ...this.actionCounts },
                 topActions: topActions,
                 totalUniqueActions: sortedActions.length,
-                timeline: this.actionHistory.filter((a, i) => i % 30 === 0).map(a => ({
-                    time: Math.round(a.time / 30 * 10) / 10,
+                timeline: scan.actionTimeline.map(a => ({
+                    time: this._scanSeconds(a.timestamp),
                     action: a.action
                 }))
             }
@@ -1712,6 +2075,22 @@ class DogEmotionEngine {
 
     // ── Utilities ──
 
+    // First entry of each stepMs of scan time (report timelines)
+    _firstPerStep(history, stepMs) {
+        let lastSlot = -1;
+        return history.filter(e => {
+            const slot = Math.floor((e.timestamp - this.startTime) / stepMs);
+            if (slot === lastSlot) return false;
+            lastSlot = slot;
+            return true;
+        });
+    }
+
+    // Seconds since the first frame, to 0.1 s
+    _scanSeconds(timestamp) {
+        return Math.round((timestamp - this.startTime) / 100) / 10;
+    }
+
     _defaultAssessment() {
         return {
             primary: 'observing',
@@ -1727,7 +2106,8 @@ class DogEmotionEngine {
             dataQuality: 'none',
             needs: [],
             currentAction: 'observing',
-            activeActions: []
+            activeActions: [],
+            keyMoments: []
         };
     }
 
@@ -1736,7 +2116,7 @@ class DogEmotionEngine {
             duration: 0, framesAnalyzed: 0, dominantEmotion: 'unknown',
             currentEmotion: 'unknown', emotionDistribution: {},
             confidence: 0, intensity: 0, stability: 0, wellbeing: 50,
-            emotionChanges: 0, patterns: {}, posture: { current: 'unknown', distribution: {} },
+            emotionChanges: 0, patterns: {}, posture: { current: 'unknown', distribution: {}, source: 'aspect-ratio', keypointFrames: 0 },
             movement: { avgSpeed: 0, energyLevel: 'none' },
             needs: [], detectedSignals: [], timeline: [],
             actionSummary: { primary: 'observing', allDetected: {}, timeline: [] }
@@ -1751,7 +2131,11 @@ class DogEmotionEngine {
         this.sizeHistory = [];
         this.postureHistory = [];
         this.currentPosture = 'unknown';
+        this.pose = null;
+        this.postureSource = 'aspect-ratio';
+        this.keypointPostureFrames = 0;
         this.smoothedBox = null;
+        this.cameraOffset = { x: 0, y: 0 };
         this.detectedSignals = [];
         this.currentNeeds = [];
         this.primaryEmotion = 'observing';
@@ -1762,18 +2146,27 @@ class DogEmotionEngine {
             pacing: 0, spinning: 0, bouncing: 0, stillness: 0,
             approaching: 0, retreating: 0, headTilts: 0, playBows: 0,
             jumping: 0, crouching: 0, postureChanges: 0, restlessness: 0,
-            tailWagLikely: 0
+            tailWagLikely: 0, panting: 0, yawns: 0, lipLicks: 0
         };
+        this.headEvents = [];
+        this.startTime = null;
+        this.now = 0;
+        this.framesProcessed = 0;
+        this.scan = this._emptyScan();
         // Reset K9 action state
         this.currentAction = 'observing';
         this.activeActions = [];
         this.actionHistory = [];
         this.actionCounts = {};
+        this.keyMoments = [];
+        this.lastActionNames = [];
         // Reset 369 energy state
         this.energyState = null;
         // Reset pixel analysis state
         this.pixelAnalysis = null;
+        // Per-dog baseline samples (the applied profile itself is kept)
+        this.restingAspectRatios = { stand: [], down: [] };
     }
 }
 
-window.DogEmotionEngine = DogEmotionEngine;
+ModuleRegistry.expose('DogEmotionEngine', DogEmotionEngine, typeof module !== 'undefined' ? module : null);
@@ -0,0 +1,367 @@
+/* ============================================
+   DOG HEAD ANALYZER — Ears, Mouth & Calming Signals
+
+   Rugaas' calming signals and Beerda's acute stress markers
+   live in the head: lip licking, yawning, panting, ears
+   pinned back. Body motion alone can't see any of them.
+
+   Head region:
+   - Keypoints (DogPoseEstimator): around the nose and ears
+   - Pixels only: the top-row zone (_computeHeadActivity's
+     zones) that moves most — heads move more than backs
+
+   What is measured:
+   - Ear carriage (keypoints only): ear height over the nose,
+     per head length — erect / neutral / pinned back
+   - Mouth open/closed: share of dark pixels (mouth cavity)
+     in the muzzle area, against this dog's closed-mouth level
+   - Panting: mouth open most of PANT_WINDOW_MS with rhythmic
+     motion in the muzzle area
+   - Yawn: one wide opening lasting YAWN_MIN_MS-YAWN_MAX_MS,
+     closed before and after, not while panting
+   - Lip lick: a short burst of muzzle motion with the mouth
+     closed and the rest of the head still
+
+   Yawns and lip licks are events — reported on the frame they
+   end. Pixel-only mouth reading is coarse (grayscale 64×64);
+   a dark muzzle or a shadow under the chin can read as open.
+   ============================================ */
+
+var ModuleRegistry = ModuleRegistry || require('./module-registry.js');
+
+class DogHeadAnalyzer {
+    constructor() {
+        this.CROP_SIZE = 64;                // DogVisionAnalyzer.CROP_SIZE
+        this.GRID_COLS = 3;                 // DogVisionAnalyzer zone grid
+        this.MOTION_THRESHOLD = 0.04;       // same camera-noise floor as DogVisionAnalyzer
+        this.MIN_KEYPOINT_SCORE = 0.3;      // DogPoseEstimator.MIN_KEYPOINT_SCORE
+        this.HEAD_WINDOW = 30;              // frames of top-zone motion used to find the head
+        this.WARMUP_FRAMES = 15;            // closed-mouth level needs this many frames
+
+        // Ear carriage — ear height above the nose, per nose→ear distance
+        this.EAR_ERECT_RISE = 0.5;
+        this.EAR_PINNED_RISE = 0.1;
+
+        // Mouth — dark-pixel share above the closed-mouth level
+        this.DARK_SIGMA = 1.0;              // darker than head mean − 1σ = "dark"
+        this.MOUTH_OPEN_DELTA = 0.08;
+        this.YAWN_DELTA = 0.18;             // a yawn opens much wider than panting
+
+        // Panting
+        this.PANT_WINDOW_MS = 2000;
+        this.PANT_MIN_OPEN_SHARE = 0.6;
+        this.PANT_MIN_REVERSALS = 6;        // ≥ 1.5 breaths/s of muzzle motion
+
+        // Yawn
+        this.YAWN_MIN_MS = 800;
+        this.YAWN_MAX_MS = 5000;
+
+        // Lip lick
+        this.LICK_MIN_MS = 100;
+        this.LICK_MAX_MS = 700;
+        this.LICK_MOTION = 0.06;            // mean muzzle frame difference
+        this.HEAD_STILL = 0.03;             // rest of the head below this = head still
+
+        this.FRAME_MS = 1000 / 30;          // clock when no timestamp is given
+        this._resetState();
+    }
+
+    /**
+     * Analyze one crop's head region.
+     *
+     * @param {Float32Array|null} crop - CROP_SIZE² grayscale pixels (0-1)
+     * @param {Array} zones - DogVisionAnalyzer._computeZoneMotion() output for this crop
+     * @param {object} context - { box, pose, timestamp } (all optional)
+     * @returns {object} { located, source, earCarriage, mouth, mouthOpenness,
+     *   panting, yawn, lipLick } — yawn / lipLick are true on the frame the event ends
+     */
+    analyze(crop, zones, context = {}) {
+        if (!crop || crop.length !== this.CROP_SIZE * this.CROP_SIZE) return this._defaultResult();
+
+        const prev = this.prevCrop;
+        this.prevCrop = crop;
+        this.frame++;
+        const t = context.timestamp != null ? context.timestamp : this.frame * this.FRAME_MS;
+        if (!prev) return this._defaultResult();
+
+        // ── Locate the head ──
+        const head = this._keypointHead(context.pose, context.box) || this._pixelHead(zones);
+        const mouthStats = this._mouthStats(crop, prev, head);
+
+        // ── Mouth open/closed, against the closed-mouth level ──
+        const openness = mouthStats.darkShare;
+        if (this.closedLevel == null) this.closedLevel = openness;
+        const delta = openness - this.closedLevel;
+        const ready = this.frame > this.WARMUP_FRAMES;
+        const open = ready && delta > this.MOUTH_OPEN_DELTA;
+        // Track the closed level: fall quickly, rise slowly (and only while closed)
+        if (openness < this.closedLevel) this.closedLevel = 0.5 * this.closedLevel + 0.5 * openness;
+        else if (!open) this.closedLevel += 0.01 * (openness - this.closedLevel);
+
+        this.history.push({ t, open, mouthMotion: mouthStats.mouthMotion });
+        while (this.history.length > 0 && t - this.history[0].t > this.PANT_WINDOW_MS) this.history.shift();
+
+        const panting = ready && this._isPanting();
+        const yawn = ready && this._trackYawn(open, delta, panting, t);
+        const lipLick = ready && this._trackLick(open, mouthStats, t);
+        const earCarriage = head.source === 'keypoints' ? this._earCarriage(context.pose) : 'unknown';
+
+        const result = {
+            located: true,
+            source: head.source,
+            earCarriage,
+            mouth: ready ? (open ? 'open' : 'closed') : 'unknown',
+            mouthOpenness: Math.round(Math.max(0, delta) * 100) / 100,
+            panting,
+            yawn,
+            lipLick
+        };
+        this._accumulate(result);
+        return result;
+    }
+
+    // ── Head Region ──
+
+    // Head box around nose + ears, muzzle box around the nose (crop px)
+    _keypointHead(pose, box) {
+        if (!pose || !box || !pose.keypoints) return null;
+        const kps = pose.keypoints;
+        const nose = this._visible(kps.nose);
+        const ears = [this._visible(kps.leftEar), this._visible(kps.rightEar)].filter(Boolean);
+        if (!nose || ears.length === 0) return null;
+
+        const toCrop = (kp) => ({
+            x: ((kp.x - box.x) / Math.max(1, box.width)) * this.CROP_SIZE,
+            y: ((kp.y - box.y) / Math.max(1, box.height)) * this.CROP_SIZE
+        });
+        const n = toCrop(nose);
+        const e = ears.map(toCrop);
+        const ex = e.reduce((s, p) => s + p.x, 0) / e.length;
+        const ey = e.reduce((s, p) => s + p.y, 0) / e.length;
+        const length = Math.max(4, Math.hypot(n.x - ex, n.y - ey));
+
+        const xs = [n.x, ...e.map(p => p.x)];
+        const ys = [n.y, ...e.map(p => p.y)];
+        const pad = length * 0.5;
+        return {
+            source: 'keypoints',
+            region: this._clampRegion(Math.min(...xs) - pad, Math.max(...xs) + pad, Math.min(...ys) - pad, Math.max(...ys) + pad),
+            mouth: this._clampRegion(n.x - length * 0.5, n.x + length * 0.5, n.y - length * 0.25, n.y + length * 0.6)
+        };
+    }
+
+    // Top-row zone with the most motion over the window; lower half = muzzle
+    _pixelHead(zones) {
+        const top = (zones || []).filter(z => z.row === 0);
+        this.topMotion.push(top.map(z => z.motion));
+        if (this.topMotion.length > this.HEAD_WINDOW) this.topMotion.shift();
+
+        const sums = new Array(this.GRID_COLS).fill(0);
+        this.topMotion.forEach(m => m.forEach((v, col) => { sums[col] += v; }));
+        const best = sums.indexOf(Math.max(...sums));
+        const col = sums[best] > 0 ? best : 1;
+
+        const w = Math.floor(this.CROP_SIZE / this.GRID_COLS);
+        const x0 = col * w;
+        return {
+            source: 'pixels',
+            region: { x0, x1: x0 + w, y0: 0, y1: w },
+            mouth: { x0, x1: x0 + w, y0: Math.floor(w / 2), y1: w }
+        };
+    }
+
+    // Dark share + motion inside the muzzle; motion in the rest of the head
+    _mouthStats(crop, prev, head) {
+        const size = this.CROP_SIZE;
+        const r = head.region;
+        const m = head.mouth;
+
+        let sum = 0;
+        let sumSq = 0;
+        let n = 0;
+        let headDiff = 0;
+        let headN = 0;
+        for (let y = r.y0; y < r.y1; y++) {
+            for (let x = r.x0; x < r.x1; x++) {
+                const v = crop[y * size + x];
+                sum += v;
+                sumSq += v * v;
+                n++;
+                const inMouth = x >= m.x0 && x < m.x1 && y >= m.y0 && y < m.y1;
+                if (!inMouth) {
+                    headDiff += Math.abs(v - prev[y * size + x]);
+                    headN++;
+                }
+            }
+        }
+        const mean = n > 0 ? sum / n : 0;
+        const std = n > 0 ? Math.sqrt(Math.max(0, sumSq / n - mean * mean)) : 0;
+        const darkBelow = mean - this.DARK_SIGMA * std;
+
+        let dark = 0;
+        let mouthDiff = 0;
+        let mouthN = 0;
+        for (let y = m.y0; y < m.y1; y++) {
+            for (let x = m.x0; x < m.x1; x++) {
+                const v = crop[y * size + x];
+                if (v < darkBelow) dark++;
+                mouthDiff += Math.abs(v - prev[y * size + x]);
+                mouthN++;
+            }
+        }
+
+        return {
+            darkShare: mouthN > 0 ? dark / mouthN : 0,
+            mouthMotion: mouthN > 0 ? mouthDiff / mouthN : 0,
+            headMotion: headN > 0 ? headDiff / headN : 0
+        };
+    }
+
+    // ── Mouth Events ──
+
+    _isPanting() {
+        const h = this.history;
+        if (h.length < 10 || h[h.length - 1].t - h[0].t < this.PANT_WINDOW_MS * 0.8) return false;
+        const openShare = h.filter(s => s.open).length / h.length;
+        if (openShare < this.PANT_MIN_OPEN_SHARE) return false;
+
+        // Rhythmic muzzle motion — direction reversals above noise
+        let reversals = 0;
+        let dir = 0;
+        for (let i = 1; i < h.length; i++) {
+            const step = h[i].mouthMotion - h[i - 1].mouthMotion;
+            if (Math.abs(step) < this.MOTION_THRESHOLD / 4) continue;
+            const d = step > 0 ? 1 : -1;
+            if (dir !== 0 && d !== dir) reversals++;
+            dir = d;
+        }
+        return reversals >= this.PANT_MIN_REVERSALS;
+    }
+
+    // One wide, slow opening between closed mouths = yawn (reported on closing)
+    _trackYawn(open, delta, panting, t) {
+        if (open) {
+            if (!this.openEpisode) this.openEpisode = { start: t, peak: delta, panting };
+            this.openEpisode.peak = Math.max(this.openEpisode.peak, delta);
+            this.openEpisode.panting = this.openEpisode.panting || panting;
+            return false;
+        }
+        const ep = this.openEpisode;
+        this.openEpisode = null;
+        if (!ep) return false;
+        const duration = t - ep.start;
+        return ep.peak >= this.YAWN_DELTA && !ep.panting &&
+            duration >= this.YAWN_MIN_MS && duration <= this.YAWN_MAX_MS;
+    }
+
+    // Short muzzle-only motion burst with the mouth closed = lip lick (reported on ending)
+    _trackLick(open, stats, t) {
+        const burst = !open && stats.mouthMotion > this.LICK_MOTION && stats.headMotion < this.HEAD_STILL;
+        if (burst) {
+            if (this.lickStart == null) this.lickStart = t;
+            return false;
+        }
+        const start = this.lickStart;
+        this.lickStart = null;
+        if (start == null) return false;
+        const duration = t - start;
+        return duration >= this.LICK_MIN_MS && duration <= this.LICK_MAX_MS;
+    }
+
+    // ── Ears ──
+
+    // Frame-pixel keypoints — the crop is squashed, so heights are measured in the frame
+    _earCarriage(pose) {
+        const kps = pose.keypoints;
+        const nose = this._visible(kps.nose);
+        const ears = [this._visible(kps.leftEar), this._visible(kps.rightEar)].filter(Boolean);
+        if (!nose || ears.length === 0) return 'unknown';
+
+        const rises = ears.map(ear => {
+            const length = Math.hypot(nose.x - ear.x, nose.y - ear.y);
+            return length > 0 ? (nose.y - ear.y) / length : 0;
+        });
+        const rise = rises.reduce((s, r) => s + r, 0) / rises.length;
+        if (rise >= this.EAR_ERECT_RISE) return 'erect';
+        if (rise <= this.EAR_PINNED_RISE) return 'pinned';
+        return 'neutral';
+    }
+
+    // ── Summary for Report ──
+
+    _accumulate(result) {
+        const s = this.summary;
+        s.frames++;
+        s.sources[result.source] = (s.sources[result.source] || 0) + 1;
+        if (result.earCarriage !== 'unknown') {
+            s.ears[result.earCarriage] = (s.ears[result.earCarriage] || 0) + 1;
+        }
+        if (result.mouth !== 'unknown') s.mouthFrames++;
+        if (result.mouth === 'open') s.openFrames++;
+        if (result.panting) s.pantingFrames++;
+        if (result.yawn) s.yawns++;
+        if (result.lipLick) s.lipLicks++;
+    }
+
+    /**
+     * @returns {object} { framesAnalyzed, source, earCarriage, earDistribution,
+     *   mouthOpenShare, pantingShare, yawns, lipLicks } — shares are % of frames
+     *   with a mouth reading
+     */
+    getSummary() {
+        const s = this.summary;
+        const top = (counts) => {
+            const entries = Object.entries(counts).sort((a, b) => b[1] - a[1]);
+            return entries.length > 0 ? entries[0][0] : null;
+        };
+        const pct = (count) => s.mouthFrames > 0 ? Math.round((count / s.mouthFrames) * 100) : 0;
+        return {
+            framesAnalyzed: s.frames,
+            source: top(s.sources),
+            earCarriage: top(s.ears) || 'unknown',
+            earDistribution: { ...s.ears },
+            mouthOpenShare: pct(s.openFrames),
+            pantingShare: pct(s.pantingFrames),
+            yawns: s.yawns,
+            lipLicks: s.lipLicks
+        };
+    }
+
+    _defaultResult() {
+        return {
+            located: false, source: null, earCarriage: 'unknown', mouth: 'unknown',
+            mouthOpenness: 0, panting: false, yawn: false, lipLick: false
+        };
+    }
+
+    _resetState() {
+        this.prevCrop = null;
+        this.frame = 0;
+        this.topMotion = [];
+        this.history = [];
+        this.closedLevel = null;
+        this.openEpisode = null;
+        this.lickStart = null;
+        this.summary = {
+            frames: 0, sources: {}, ears: {}, mouthFrames: 0, openFrames: 0,
+            pantingFrames: 0, yawns: 0, lipLicks: 0
+        };
+    }
+
+    clearAll() {
+        this._resetState();
+    }
+
+    // ── Utility ──
+
+    _clampRegion(x0, x1, y0, y1) {
+        const clamp = (v) => Math.max(0, Math.min(this.CROP_SIZE, Math.round(v)));
+        return { x0: clamp(x0), x1: clamp(x1), y0: clamp(y0), y1: clamp(y1) };
+    }
+
+    _visible(kp) {
+        return kp && kp.score >= this.MIN_KEYPOINT_SCORE ? kp : null;
+    }
+}
+
+ModuleRegistry.expose('DogHeadAnalyzer', DogHeadAnalyzer, typeof module !== 'undefined' ? module : null);
@@ -0,0 +1,283 @@
+/* ============================================
+   DOG INTERACTION ANALYZER — Dog-to-Dog Signals
+
+   When more than one dog is tracked, watches every pair
+   for the social signals that only exist BETWEEN dogs:
+
+   - Approach:  one dog closes the distance to the other
+                while the other stays roughly in place
+   - Chase:     both dogs moving fast in the same direction,
+                one following the other
+   - Play bow:  a play bow while another dog is close —
+                a bow is directed at a partner (Bekoff, 1995;
+                Horowitz, 2009)
+   - Proximity: how much of the scan the dogs spent close
+                together
+
+   Distances are measured in "body lengths" (mean box width
+   of the pair) so the thresholds hold at any camera distance.
+   Windows, speeds and cooldowns use frame timestamps, so they
+   hold at any detection rate too.
+   ============================================ */
+
+var ModuleRegistry = ModuleRegistry || require('./module-registry.js');
+
+class DogInteractionAnalyzer {
+    constructor() {
+        this.HISTORY_MS = 1000;             // per-pair history
+        this.CLOSE_DISTANCE = 1.0;          // body lengths — "together"
+        this.FRAME_MS = 1000 / 30;          // fallback step when no timestamp is given
+        this.MAX_GAP_MS = 500;              // longer gaps don't count toward time together
+
+        // Approach: distance shrinks by this much over the window,
+        // and one dog does most of the moving
+        this.APPROACH_WINDOW_MS = 300;
+        this.APPROACH_MIN_CLOSING = 0.75;   // body lengths
+        this.APPROACH_MOVER_SHARE = 0.7;
+
+        // Chase: both dogs fast and heading the same way
+        this.CHASE_WINDOW_MS = 330;
+        this.CHASE_MIN_SPEED = 1.8;         // body lengths per second
+        this.CHASE_MIN_ALIGNMENT = 0.7;     // cosine between headings
+        this.CHASE_MIN_SHARE = 0.8;         // of the steps in the window
+
+        // Play bow counts as directed if a partner is this close
+        this.PLAY_BOW_MAX_DISTANCE = 3.0;   // body lengths
+
+        // Minimum time between two events of the same kind for a pair
+        this.EVENT_COOLDOWN_MS = 1000;
+        // Event log cap — the most recent are kept; groups count the whole scan
+        this.MAX_EVENTS = 200;
+
+        this.frame = 0;
+        this.now = 0;
+        this.pairs = {};
+        this.events = [];
+        this.groups = {};   // 'type:from:to' → { type, from, to, count }
+    }
+
+    clearAll() {
+        this.frame = 0;
+        this.now = 0;
+        this.pairs = {};
+        this.events = [];
+        this.groups = {};
+    }
+
+    /**
+     * Update with this frame's tracked dogs.
+     *
+     * @param {Array} dogs - [{ id, bbox, emotionAssess }]
+     * @param {number} timestamp - monotonic frame time (ms); omitted = 30fps clock
+     * @returns {Array} Interaction events that fired this frame
+     */
+    update(dogs, timestamp) {
+        this.frame++;
+        this.now = timestamp != null ? timestamp : this.frame * this.FRAME_MS;
+        const fired = [];
+        if (dogs.length < 2) return fired;
+
+        for (let i = 0; i < dogs.length; i++) {
+            for (let j = i + 1; j < dogs.length; j++) {
+                const pair = this._pair(dogs[i].id, dogs[j].id);
+                const [dogA, dogB] = dogs[i].id === pair.ids[0] ? [dogs[i], dogs[j]] : [dogs[j], dogs[i]];
+                const a = this._center(dogA.bbox);
+                const b = this._center(dogB.bbox);
+                const bodyLength = Math.max(1, (dogA.bbox[2] + dogB.bbox[2]) / 2);
+                const distance = Math.hypot(a.x - b.x, a.y - b.y) / bodyLength;
+
+                // Time this frame stands for — since the pair's last frame
+                const prev = pair.history[pair.history.length - 1];
+                const dt = prev && prev.frame === this.frame - 1
+                    ? Math.min(this.MAX_GAP_MS, this.now - prev.t) : this.FRAME_MS;
+
+                pair.history.push({ frame: this.frame, t: this.now, a, b, bodyLength, distance });
+                while (this.now - pair.history[0].t > this.HISTORY_MS - this.FRAME_MS / 2) pair.history.shift();
+
+                pair.framesTogether++;
+                pair.msTogether += dt;
+                pair.distanceSum += distance;
+                pair.minDistance = Math.min(pair.minDistance, distance);
+                if (distance <= this.CLOSE_DISTANCE) {
+                    pair.closeFrames++;
+                    pair.closeMs += dt;
+                }
+
+                const approach = this._detectApproach(pair);
+                if (approach) fired.push(this._emit(pair, 'approach', approach.from, approach.to, this.now));
+
+                const chase = this._detectChase(pair);
+                if (chase) fired.push(this._emit(pair, 'chase', chase.from, chase.to, this.now));
+            }
+        }
+
+        // Directed play bows — the bowing dog's nearest partner within range
+        dogs.forEach(dog => {
+            const actions = dog.emotionAssess && dog.emotionAssess.activeActions;
+            if (!actions || !actions.some(a => a.action === 'play-bow')) return;
+
+            let target = null;
+            let targetDist = this.PLAY_BOW_MAX_DISTANCE;
+            dogs.forEach(other => {
+                if (other.id === dog.id) return;
+                const last = this._pair(dog.id, other.id).history.slice(-1)[0];
+                if (last && last.distance <= targetDist) {
+                    target = other;
+                    targetDist = last.distance;
+                }
+            });
+            if (target) {
+                const pair = this._pair(dog.id, target.id);
+                if (this._cooledDown(pair, 'play-bow')) {
+                    fired.push(this._emit(pair, 'play-bow', dog.id, target.id, this.now));
+                }
+            }
+        });
+
+        return fired;
+    }
+
+    // ── Pair Signals ──
+
+    _detectApproach(pair) {
+        const h = pair.history;
+        if (!this._cooledDown(pair, 'approach')) return null;
+
+        const end = h[h.length - 1];
+        const recent = h.filter(e => end.t - e.t <= this.APPROACH_WINDOW_MS + this.FRAME_MS / 2);
+        const start = recent[0];
+        if (end.t - start.t < this.APPROACH_WINDOW_MS - this.FRAME_MS / 2) return null; // not enough history yet
+        if (end.frame - start.frame !== recent.length - 1) return null; // pair not seen continuously
+        if (start.distance - end.distance < this.APPROACH_MIN_CLOSING) return null;
+
+        // Who moved? Displacement of each dog over the window
+        const moveA = Math.hypot(end.a.x - start.a.x, end.a.y - start.a.y);
+        const moveB = Math.hypot(end.b.x - start.b.x, end.b.y - start.b.y);
+        const total = moveA + moveB;
+        if (total === 0) return null;
+
+        if (moveA / total >= this.APPROACH_MOVER_SHARE) return { from: pair.ids[0], to: pair.ids[1] };
+        if (moveB / total >= this.APPROACH_MOVER_SHARE) return { from: pair.ids[1], to: pair.ids[0] };
+        return null; // Both closing in — mutual approach, not one dog approaching
+    }
+
+    _detectChase(pair) {
+        const h = pair.history;
+        const end = h[h.length - 1];
+        if (end.t - h[0].t < this.CHASE_WINDOW_MS || !this._cooledDown(pair, 'chase')) return null;
+
+        // Steps (frame-to-frame moves) ending inside the window
+        let first = h.length - 1;
+        while (first > 1 && end.t - h[first - 1].t < this.CHASE_WINDOW_MS - this.FRAME_MS / 2) first--;
+        const steps = h.length - first;
+
+        let chaseFrames = 0;
+        let aLeads = 0;
+        for (let k = first; k < h.length; k++) {
+            const prev = h[k - 1];
+            const cur = h[k];
+            if (cur.frame - prev.frame !== 1) continue;
+            const va = { x: cur.a.x - prev.a.x, y: cur.a.y - prev.a.y };
+            const vb = { x: cur.b.x - prev.b.x, y: cur.b.y - prev.b.y };
+            const seconds = Math.max(1, cur.t - prev.t) / 1000;
+            const speedA = Math.hypot(va.x, va.y) / cur.bodyLength / seconds;
+            const speedB = Math.hypot(vb.x, vb.y) / cur.bodyLength / seconds;
+            if (speedA < this.CHASE_MIN_SPEED || speedB < this.CHASE_MIN_SPEED) continue;
+
+            const alignment = (va.x * vb.x + va.y * vb.y) / (Math.hypot(va.x, va.y) * Math.hypot(vb.x, vb.y));
+            if (alignment < this.CHASE_MIN_ALIGNMENT) continue;
+
+            chaseFrames++;
+            // The leader is ahead along the shared heading
+            const heading = { x: va.x + vb.x, y: va.y + vb.y };
+            if ((cur.a.x - cur.b.x) * heading.x + (cur.a.y - cur.b.y) * heading.y > 0) aLeads++;
+        }
+
+        if (steps < 2 || chaseFrames < this.CHASE_MIN_SHARE * steps) return null;
+        return aLeads * 2 >= chaseFrames
+            ? { from: pair.ids[1], to: pair.ids[0] }   // b chases a
+            : { from: pair.ids[0], to: pair.ids[1] };
+    }
+
+    // ── Report ──
+
+    /**
+     * @returns {object} { pairs, events, groups, counts } — events are the
+     *   last MAX_EVENTS; groups ({ type, from, to, count }) and counts cover
+     *   the whole scan
+     */
+    fullReport() {
+        const groups = Object.values(this.groups).map(g => ({ ...g }));
+        const counts = { approach: 0, chase: 0, 'play-bow': 0 };
+        groups.forEach(g => { counts[g.type] += g.count; });
+
+        const pairs = Object.values(this.pairs).map(p => ({
+            dogs: p.ids.slice(),
+            framesTogether: p.framesTogether,
+            closeFrames: p.closeFrames,
+            secondsTogether: Math.round(p.msTogether / 100) / 10,
+            closePct: p.msTogether > 0 ? Math.round((p.closeMs / p.msTogether) * 100) : 0,
+            minDistance: Math.round(p.minDistance * 100) / 100,
+            avgDistance: p.framesTogether > 0 ? Math.round((p.distanceSum / p.framesTogether) * 100) / 100 : 0
+        }));
+
+        return {
+            pairs,
+            events: this.events.slice(),
+            groups,
+            counts
+        };
+    }
+
+    // ── Utility ──
+
+    _pair(idA, idB) {
+        const ids = idA < idB ? [idA, idB] : [idB, idA];
+        const key = ids.join('-');
+        if (!this.pairs[key]) {
+            this.pairs[key] = {
+                ids,
+                history: [],
+                framesTogether: 0,
+                closeFrames: 0,
+                msTogether: 0,
+                closeMs: 0,
+                distanceSum: 0,
+                minDistance: Infinity,
+                lastEvent: {}
+            };
+        }
+        return this.pairs[key];
+    }
+
+    _cooledDown(pair, type) {
+        const last = pair.lastEvent[type];
+        return last == null || this.now - last >= this.EVENT_COOLDOWN_MS - this.FRAME_MS / 2;
+    }
+
+    _emit(pair, type, from, to, timestamp) {
+        pair.lastEvent[type] = this.now;
+        const last = pair.history[pair.history.length - 1];
+        const event = {
+            type,
+            from,
+            to,
+            frame: this.frame,
+            t: timestamp,
+            distance: last ? Math.round(last.distance * 100) / 100 : null
+        };
+        this.events.push(event);
+        if (this.events.length > this.MAX_EVENTS) this.events.shift();
+
+        const key = `${type}:${from}:${to}`;
+        if (!this.groups[key]) this.groups[key] = { type, from, to, count: 0 };
+        this.groups[key].count++;
+        return event;
+    }
+
+    _center(bbox) {
+        return { x: bbox[0] + bbox[2] / 2, y: bbox[1] + bbox[3] / 2 };
+    }
+}
+
+ModuleRegistry.expose('DogInteractionAnalyzer', DogInteractionAnalyzer, typeof module !== 'undefined' ? module : null);
@@ -0,0 +1,258 @@
+/* ============================================
+   DOG POSE ESTIMATOR — Canine Keypoints → Posture
+
+   The bounding box aspect ratio can only tell "lying" from
+   "upright". A stand and a sit from the front produce the same
+   tall box, and a play bow looks like any other crouch.
+   Keypoints settle it: where the withers and hips sit above
+   the ground line says which end of the dog is down.
+
+   Keypoints (frame pixels, with a 0-1 score each):
+   nose, leftEar, rightEar, withers, hips, four paws,
+   tailBase, tailTip
+
+   Posture from keypoint geometry (side or three-quarter view):
+   Withers and hip heights above the ground line (lowest
+   visible paw, else the box bottom), in units of the
+   withers→hips distance so the dog's size doesn't matter.
+   - stand:    both ends high
+   - sit:      hips on the ground, withers high
+   - down:     both ends low
+   - crouch:   both ends lowered, neither on the ground
+   - play-bow: withers low, hips high
+   Head-on and tail-on views fold the body onto itself — no
+   posture is given and the engines fall back to aspect ratio.
+
+   The model runs on the CROP_SIZE grayscale crop that
+   DogVisionAnalyzer already extracts, so recorded sessions
+   carry everything needed to re-run it. With no model loaded
+   estimate() returns null.
+
+   Model: none ships with the app, so pose is opt-in. Supply a
+   TF.js graph model outputting one heatmap per keypoint
+   [1, H, W, K], served from the app's origin (e.g.
+   models/dog-pose/model.json). Next to model.json,
+   metadata.json describes it:
+     { "name", "version", "inputSize", "keypoints": [names in output order] }
+   Open the app once with ?poseModel=models/dog-pose/model.json
+   to use it (remembered; ?poseModel=off forgets it). Tail
+   facing — and with it wag-side valence — needs the model too.
+   ============================================ */
+
+var ModuleRegistry = ModuleRegistry || require('./module-registry.js');
+
+class DogPoseEstimator {
+    /**
+     * @param {object} options - { modelUrl } of the model.json to load (none by default),
+     *   { model } — an already loaded keypoint model (headless use/testing):
+     *   { estimate(crop, cropSize) → [{ name, x, y, score }] } with x, y 0-1 across the crop
+     */
+    constructor(options = {}) {
+        this.KEYPOINTS = ['nose', 'leftEar', 'rightEar', 'withers', 'hips',
+            'frontLeftPaw', 'frontRightPaw', 'rearLeftPaw', 'rearRightPaw', 'tailBase', 'tailTip'];
+        this.PAWS = ['frontLeftPaw', 'frontRightPaw', 'rearLeftPaw', 'rearRightPaw'];
+        this.CROP_SIZE = 64;                // DogVisionAnalyzer.CROP_SIZE
+
+        // Keypoints below this score are treated as not visible
+        this.MIN_KEYPOINT_SCORE = 0.3;
+
+        // Posture thresholds — heights above the ground line in
+        // withers→hips lengths
+        this.HIGH_HEIGHT = 0.8;             // that end of the body is up
+        this.LOW_HEIGHT = 0.45;             // that end of the body is down
+        this.SIT_HEIGHT_GAP = 0.5;          // withers this much above hips = sit
+        this.BOW_HEIGHT_GAP = 0.35;         // hips this much above withers = play bow
+        this.BOW_MIN_HIPS_HEIGHT = 0.6;
+
+        // Withers→hips distance below this share of the box diagonal =
+        // facing the camera (or away) — geometry is meaningless
+        this.MIN_BODY_LENGTH = 0.2;
+
+        this.modelUrl = options.modelUrl || null;
+        this.model = options.model || null;
+        this.name = options.model ? 'Injected pose model' : 'Dog pose model';
+        this.version = options.model ? '1' : 'unknown';
+        this.inputSize = this.CROP_SIZE;
+        this.outputKeypoints = this.KEYPOINTS.slice();
+    }
+
+    get isLoaded() {
+        return this.model !== null;
+    }
+
+    /**
+     * Load the TF.js keypoint model. Resolves to the estimator itself.
+     * @returns {Promise<DogPoseEstimator>}
+     */
+    async load() {
+        if (this.model) return this;
+        if (!this.modelUrl) throw new Error('No pose model configured');
+        if (typeof tf === 'undefined') throw new Error('TensorFlow.js is not loaded');
+
+        const metaUrl = this.modelUrl.replace(/[^/]*$/, 'metadata.json');
+        const res = await fetch(metaUrl);
+        if (!res.ok) throw new Error(`Pose model metadata not found (${metaUrl})`);
+        const meta = await res.json();
+        if (meta.name) this.name = meta.name;
+        if (meta.version) this.version = String(meta.version);
+        if (meta.inputSize) this.inputSize = meta.inputSize;
+        if (Array.isArray(meta.keypoints)) this.outputKeypoints = meta.keypoints;
+
+        const graph = await tf.loadGraphModel(this.modelUrl);
+        this.model = { estimate: (crop) => this._estimateHeatmaps(graph, crop), dispose: () => graph.dispose() };
+        return this;
+    }
+
+    /**
+     * @returns {object} { name, version } — or null with no model loaded
+     */
+    info() {
+        return this.model ? { name: this.name, version: this.version } : null;
+    }
+
+    dispose() {
+        if (this.model && this.model.dispose) this.model.dispose();
+        this.model = null;
+    }
+
+    // ── Estimation ──
+
+    /**
+     * Estimate keypoints and posture for one dog.
+     *
+     * @param {Float32Array|null} crop - DogVisionAnalyzer.captureCrop() output
+     * @param {object} box - { x, y, width, height } the crop was taken from
+     * @returns {object|null} { keypoints: { name: { x, y, score } } in frame pixels,
+     *   posture, confidence } — posture null when the view is ambiguous.
+     *   null when there is no model or no crop.
+     */
+    estimate(crop, box) {
+        if (!this.model || !crop || !box) return null;
+
+        let raw;
+        try {
+            raw = this.model.estimate(crop, this.CROP_SIZE);
+        } catch (err) {
+            console.warn('Pose estimation failed:', err);
+            return null;
+        }
+        if (!raw || raw.length === 0) return null;
+
+        // Crop coordinates → frame pixels (the crop is the box, squashed square)
+        const keypoints = {};
+        raw.forEach(kp => {
+            if (!this.KEYPOINTS.includes(kp.name)) return;
+            keypoints[kp.name] = {
+                x: box.x + kp.x * box.width,
+                y: box.y + kp.y * box.height,
+                score: kp.score
+            };
+        });
+
+        const classified = this.classifyPosture(keypoints, box);
+        return {
+            keypoints,
+            posture: classified ? classified.posture : null,
+            confidence: classified ? classified.confidence : 0
+        };
+    }
+
+    /**
+     * Posture from keypoint geometry.
+     *
+     * @param {object} keypoints - { name: { x, y, score } } in frame pixels
+     * @param {object} box - { x, y, width, height }
+     * @returns {object|null} { posture, confidence, withersHeight, hipsHeight } or null
+     */
+    classifyPosture(keypoints, box) {
+        const withers = this._visible(keypoints.withers);
+        const hips = this._visible(keypoints.hips);
+        if (!withers || !hips) return null;
+
+        const bodyLength = Math.hypot(withers.x - hips.x, withers.y - hips.y);
+        const diagonal = Math.hypot(box.width, box.height);
+        if (bodyLength < this.MIN_BODY_LENGTH * diagonal) return null;
+
+        // Ground line: lowest visible paw when at least two show
+        // (paws tucked under a lying dog are often hidden), else the box bottom
+        const paws = this.PAWS.map(name => this._visible(keypoints[name])).filter(Boolean);
+        const groundY = paws.length >= 2
+            ? Math.max(...paws.map(p => p.y))
+            : box.y + box.height;
+
+        const withersHeight = (groundY - withers.y) / bodyLength;
+        const hipsHeight = (groundY - hips.y) / bodyLength;
+
+        let posture = null;
+        if (hipsHeight - withersHeight >= this.BOW_HEIGHT_GAP && hipsHeight >= this.BOW_MIN_HIPS_HEIGHT) {
+            posture = 'play-bow';
+        } else if (withersHeight - hipsHeight >= this.SIT_HEIGHT_GAP && hipsHeight < this.LOW_HEIGHT) {
+            posture = 'sit';
+        } else if (withersHeight >= this.HIGH_HEIGHT && hipsHeight >= this.HIGH_HEIGHT) {
+            posture = 'stand';
+        } else if (withersHeight < this.LOW_HEIGHT && hipsHeight < this.LOW_HEIGHT) {
+            posture = 'down';
+        } else if (withersHeight < this.HIGH_HEIGHT && hipsHeight < this.HIGH_HEIGHT) {
+            posture = 'crouch';
+        }
+        if (!posture) return null;
+
+        // Confidence = how sure the model is of the points the call rests on
+        const used = [withers, hips, ...paws];
+        const confidence = Math.round((used.reduce((s, p) => s + p.score, 0) / used.length) * 100);
+
+        return {
+            posture,
+            confidence,
+            withersHeight: Math.round(withersHeight * 100) / 100,
+            hipsHeight: Math.round(hipsHeight * 100) / 100
+        };
+    }
+
+    // ── TF.js Heatmap Model ──
+
+    // Grayscale crop → RGB input at the model's size → peak of each heatmap
+    _estimateHeatmaps(graph, crop) {
+        const size = this.CROP_SIZE;
+        const output = tf.tidy(() => {
+            const gray = tf.tensor4d(crop, [1, size, size, 1]);
+            const rgb = tf.tile(gray, [1, 1, 1, 3]);
+            const input = this.inputSize === size
+                ? rgb
+                : tf.image.resizeBilinear(rgb, [this.inputSize, this.inputSize]);
+            return graph.execute(input);
+        });
+
+        const [, h, w, k] = output.shape;
+        const heatmaps = output.dataSync();
+        output.dispose();
+
+        const keypoints = [];
+        for (let c = 0; c < k && c < this.outputKeypoints.length; c++) {
+            let best = 0;
+            let bestScore = -Infinity;
+            for (let i = 0; i < h * w; i++) {
+                const v = heatmaps[i * k + c];
+                if (v > bestScore) {
+                    bestScore = v;
+                    best = i;
+                }
+            }
+            keypoints.push({
+                name: this.outputKeypoints[c],
+                x: ((best % w) + 0.5) / w,
+                y: (Math.floor(best / w) + 0.5) / h,
+                score: Math.max(0, Math.min(1, bestScore))
+            });
+        }
+        return keypoints;
+    }
+
+    // ── Utility ──
+
+    _visible(kp) {
+        return kp && kp.score >= this.MIN_KEYPOINT_SCORE ? kp : null;
+    }
+}
+
+ModuleRegistry.expose('DogPoseEstimator', DogPoseEstimator, typeof module !== 'undefined' ? module : null);
@@ -0,0 +1,185 @@
+/* ============================================
+   DOG PROFILE STORE — Named Dogs & Learned Baselines
+
+   A profile holds who the dog is (name, breed, size class,
+   age, photo) and what is normal for THAT dog, learned from
+   every scan attached to it:
+
+   - barkPitch:   typical bark pitch (BarkAnalysisEngine)
+   - aspectRatio: typical still standing / lying box shape
+                  (DogEmotionEngine)
+   - motion:      typical resting pixel motion (DogVisionAnalyzer)
+
+   Engines read the profile through their applyProfile() and
+   contribute through getBaselineSample(). A toy terrier and a
+   Great Dane are no longer judged against the same thresholds.
+
+   Baselines are running weighted means. Sample counts are
+   capped so the baseline keeps tracking a dog as it ages.
+   ============================================ */
+
+var ModuleRegistry = ModuleRegistry || require('./module-registry.js');
+
+class DogProfileStore {
+    /**
+     * @param {LocalDB} db - Shared database (a new LocalDB if omitted)
+     */
+    constructor(db) {
+        this.db = db || new LocalDB();
+        this.STORE = 'dogs';
+
+        this.SIZE_CLASSES = {
+            toy:    { label: 'Toy (under 5 kg)' },
+            small:  { label: 'Small (5–10 kg)' },
+            medium: { label: 'Medium (10–25 kg)' },
+            large:  { label: 'Large (25–45 kg)' },
+            giant:  { label: 'Giant (over 45 kg)' }
+        };
+
+        // Cap on accumulated sample weight — older scans fade out
+        this.MAX_SAMPLE_WEIGHT = {
+            barkPitch: 200,     // barks
+            aspectRatio: 3000,  // still frames
+            motion: 3000        // resting frames
+        };
+
+        this.PHOTO_SIZE = 160; // px — stored photos are downscaled JPEG data URLs
+    }
+
+    // ── CRUD ──
+
+    list() {
+        return this.db.getAll(this.STORE).then(dogs =>
+            dogs.sort((a, b) => a.name.localeCompare(b.name))
+        );
+    }
+
+    get(id) {
+        return this.db.get(this.STORE, id);
+    }
+
+    /**
+     * Create or update a profile. Learned baselines are preserved.
+     *
+     * @param {object} profile - { id?, name, breed, sizeClass, ageYears, photo }
+     * @returns {Promise<number>} Profile id
+     */
+    async save(profile) {
+        if (!profile.name || !profile.name.trim()) {
+            throw new Error('A dog profile needs a name');
+        }
+        const existing = profile.id != null ? await this.get(profile.id) : null;
+        const record = {
+            ...(existing || { createdAt: Date.now(), baseline: this._emptyBaseline() }),
+            ...profile,
+            name: profile.name.trim(),
+            sizeClass: this.SIZE_CLASSES[profile.sizeClass] ? profile.sizeClass : 'medium',
+            updatedAt: Date.now()
+        };
+        if (existing) record.baseline = existing.baseline;
+        if (record.id == null) delete record.id;
+        return this.db.put(this.STORE, record);
+    }
+
+    delete(id) {
+        return this.db.delete(this.STORE, id);
+    }
+
+    // ── Baseline Learning ──
+
+    /**
+     * Merge one scan's engine samples into the dog's baseline.
+     *
+     * @param {number} id - Profile id
+     * @param {Array<object|null>} samples - getBaselineSample() results from each engine
+     * @returns {Promise<object|null>} Updated profile
+     */
+    async learnFromScan(id, samples) {
+        const profile = await this.get(id);
+        if (!profile) return null;
+
+        const baseline = profile.baseline || this._emptyBaseline();
+        const sample = Object.assign({}, ...samples.filter(Boolean));
+
+        if (sample.barkPitch) {
+            baseline.barkPitch = this._mergeMean(baseline.barkPitch, sample.barkPitch,
+                ['mean'], this.MAX_SAMPLE_WEIGHT.barkPitch);
+        }
+        if (sample.aspectRatio) {
+            baseline.aspectRatio = this._mergeMean(baseline.aspectRatio, sample.aspectRatio,
+                ['stand', 'down'], this.MAX_SAMPLE_WEIGHT.aspectRatio,
+                { stand: 'standSamples', down: 'downSamples' });
+        }
+        if (sample.motion) {
+            baseline.motion = this._mergeMean(baseline.motion, sample.motion,
+                ['restingOverallMotion', 'restingMicroVibration'], this.MAX_SAMPLE_WEIGHT.motion);
+        }
+        baseline.scans = (baseline.scans || 0) + 1;
+
+        profile.baseline = baseline;
+        profile.updatedAt = Date.now();
+        await this.db.put(this.STORE, profile);
+        return profile;
+    }
+
+    /**
+     * Downscale a photo file to a small square JPEG data URL.
+     * @param {File} file
+     * @returns {Promise<string>}
+     */
+    readPhoto(file) {
+        return new Promise((resolve, reject) => {
+            const img = new Image();
+            const url = URL.createObjectURL(file);
+            img.onload = () => {
+                const size = this.PHOTO_SIZE;
+                const canvas = document.createElement('canvas');
+                canvas.width = size;
+                canvas.height = size;
+                // Center-crop to square
+                const side = Math.min(img.width, img.height);
+                canvas.getContext('2d').drawImage(img,
+                    (img.width - side) / 2, (img.height - side) / 2, side, side,
+                    0, 0, size, size);
+                URL.revokeObjectURL(url);
+                resolve(canvas.toDataURL('image/jpeg', 0.8));
+            };
+            img.onerror = () => {
+                URL.revokeObjectURL(url);
+                reject(new Error('Could not read photo'));
+            };
+            img.src = url;
+        });
+    }
+
+    // ── Utility ──
+
+    _emptyBaseline() {
+        return { barkPitch: null, aspectRatio: null, motion: null, scans: 0 };
+    }
+
+    // Weighted merge of numeric fields; a null field in either side
+    // takes the other side's value without diluting it. `counts` maps a
+    // field to its own sample count ({ stand: 'standSamples' }) when it
+    // was measured on only some of the samples; other fields weigh by
+    // `samples` (as do baselines learned before per-field counts).
+    _mergeMean(prev, next, fields, maxWeight, counts = {}) {
+        const weight = (side, f) => {
+            if (!side || side[f] == null) return 0;
+            return counts[f] && side[counts[f]] != null ? side[counts[f]] : side.samples;
+        };
+
+        const merged = { samples: Math.min((prev ? prev.samples : 0) + next.samples, maxWeight) };
+        fields.forEach(f => {
+            const wPrev = weight(prev, f);
+            const wNext = weight(next, f);
+            if (wPrev === 0) merged[f] = next[f];
+            else if (wNext === 0) merged[f] = prev[f];
+            else merged[f] = (prev[f] * wPrev + next[f] * wNext) / (wPrev + wNext);
+            if (counts[f]) merged[counts[f]] = Math.min(wPrev + wNext, maxWeight);
+        });
+        return merged;
+    }
+}
+
+ModuleRegistry.expose('DogProfileStore', DogProfileStore, typeof module !== 'undefined' ? module : null);
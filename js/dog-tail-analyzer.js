@@ -0,0 +1,424 @@
+/* ============================================
+   DOG TAIL ANALYZER — Carriage & Wag Asymmetry
+
+   _detectTailWag only counts oscillations in edge zones. The
+   science says more is in the tail than "wagging or not":
+   - Quaranta et al. (2007): wags biased to the dog's RIGHT go
+     with approach / positive stimuli, LEFT-biased wags with
+     withdrawal / negative ones
+   - Siniscalchi et al. (2013): other dogs read that bias —
+     left-biased wags raise their heart rate and anxiety
+   - Carriage: a tucked tail is a stress/fear signal
+     (Beerda et al., 1998); a high tail is arousal
+
+   Tail region:
+   - Keypoints (DogPoseEstimator): box around tailBase→tailTip
+   - Pixels only: the outer strip (left or right) whose motion
+     oscillates most — the tail end of a side-on dog
+
+   Per frame the motion-weighted centroid of that region is
+   tracked. Its lateral extremes give left/right wag amplitude.
+
+   Carriage:
+   - Keypoints: tail tip height over the base; a tip pointing
+     forward along the back line and down = tucked
+   - Pixels only: where the moving tail sits vertically — only
+     known while the tail moves
+
+   Wag side is only meaningful in the DOG's frame. From behind,
+   image-right is the dog's right; head-on it is mirrored; side
+   on, the wag plane faces the camera and no bias is given.
+   Facing comes from pose keypoints — without a pose model the
+   bias stays in image terms and does not feed valence.
+   ============================================ */
+
+var ModuleRegistry = ModuleRegistry || require('./module-registry.js');
+
+class DogTailAnalyzer {
+    constructor() {
+        this.CROP_SIZE = 64;                // DogVisionAnalyzer.CROP_SIZE
+        this.MOTION_THRESHOLD = 0.04;       // same camera-noise floor as DogVisionAnalyzer
+        this.MIN_MOVING_PIXELS = 3;         // fewer = tail not moving this frame
+        this.EDGE_FRACTION = 0.25;          // pixels only: tail searched in the outer quarter
+        this.MIN_STRIP_STEP = 0.002;        // pixels only: strip motion change above noise
+        this.REGION_PADDING = 6;            // crop px around the keypoint tail
+        this.MIN_KEYPOINT_SCORE = 0.3;      // DogPoseEstimator.MIN_KEYPOINT_SCORE
+
+        // Wag measurement
+        this.WINDOW_MS = 1000;
+        this.FRAME_MS = 1000 / 30;          // clock when no timestamp is given
+        this.MIN_WAG_SWINGS = 4;            // lateral direction reversals in the window
+        this.MIN_SWING = 1.0;               // crop px — smaller reversals are jitter
+        this.MIN_BIAS = 0.1;                // |bias| below this = symmetric wag
+
+        // Carriage thresholds
+        this.HIGH_RISE = 0.3;               // keypoints: tip above base, per tail length
+        this.TUCK_FORWARD = 0.1;            // keypoints: tip forward of base, per body length
+        this.PIXEL_HIGH_CENTROID = 0.4;     // pixels: moving tail in the top 40% of the crop
+        this.PIXEL_TUCKED_CENTROID = 0.7;   // pixels: moving tail in the bottom 30%
+
+        // Valence contribution of a tucked tail (wag bias supplies the rest)
+        this.TUCKED_VALENCE = -0.6;
+
+        this.prevCrop = null;
+        this.history = [];
+        this.frame = 0;
+        this._resetSummary();
+    }
+
+    /**
+     * Analyze one crop for tail carriage and wag asymmetry.
+     *
+     * @param {Float32Array|null} crop - CROP_SIZE² grayscale pixels (0-1)
+     * @param {object} context - { box, pose, timestamp } — the crop's frame box,
+     *   the DogPoseEstimator result for this frame and the frame time in ms (optional)
+     * @returns {object} { located, source, facing, carriage, wagging, wagSwings,
+     *   imageBias, wagBias, valence } — biases -1 (left) … +1 (right);
+     *   wagBias is from the dog's point of view, null when facing is unknown;
+     *   valence -1 … +1, null when the tail gives no valence signal
+     */
+    analyze(crop, context = {}) {
+        if (!crop || crop.length !== this.CROP_SIZE * this.CROP_SIZE) return this._defaultResult();
+
+        this.frame++;
+        const t = context.timestamp != null ? context.timestamp : this.frame * this.FRAME_MS;
+        const prev = this.prevCrop;
+        this.prevCrop = crop;
+        if (!prev) return this._defaultResult();
+
+        const size = this.CROP_SIZE;
+        const keypoints = this._tailKeypoints(context.pose, context.box);
+        const strips = this._stripMotion(crop, prev);
+
+        // ── Locate the tail ──
+        let region;
+        let source;
+        if (keypoints) {
+            region = keypoints.region;
+            source = 'keypoints';
+        } else {
+            const side = this._oscillatingSide(strips);
+            const edge = Math.round(size * this.EDGE_FRACTION);
+            region = side === 'left' ? { x0: 0, x1: edge, y0: 0, y1: size }
+                : side === 'right' ? { x0: size - edge, x1: size, y0: 0, y1: size }
+                : null;
+            source = region ? 'pixels' : null;
+        }
+
+        const centroid = region ? this._motionCentroid(crop, prev, region) : null;
+        this.history.push({
+            t,
+            leftMotion: strips.left,
+            rightMotion: strips.right,
+            cx: centroid ? centroid.x : null,
+            cy: centroid ? centroid.y / size : null,
+            midline: keypoints ? keypoints.base.x : null
+        });
+        while (t - this.history[0].t > this.WINDOW_MS - this.FRAME_MS / 2) this.history.shift();
+
+        // ── Wag asymmetry ──
+        const wag = this._measureWag();
+        const facing = this._facing(context.pose, context.box);
+        let wagBias = null;
+        if (wag.wagging && wag.imageBias != null) {
+            if (facing === 'rear') wagBias = wag.imageBias;
+            else if (facing === 'front') wagBias = -wag.imageBias;
+        }
+
+        // ── Carriage ──
+        const carriage = keypoints
+            ? this._keypointCarriage(context.pose)
+            : this._pixelCarriage(wag.wagging);
+
+        const valence = this._valence(wagBias, carriage);
+        const result = {
+            located: !!region && (!!keypoints || !!centroid),
+            source,
+            facing,
+            carriage,
+            wagging: wag.wagging,
+            wagSwings: wag.swings,
+            imageBias: wag.imageBias,
+            wagBias,
+            valence
+        };
+        this._accumulate(result);
+        return result;
+    }
+
+    // ── Tail Region ──
+
+    // Tail keypoints in crop coordinates, or null when the pose doesn't show the tail
+    _tailKeypoints(pose, box) {
+        if (!pose || !box || !pose.keypoints) return null;
+        const base = this._visible(pose.keypoints.tailBase);
+        if (!base) return null;
+
+        const toCrop = (kp) => ({
+            x: ((kp.x - box.x) / Math.max(1, box.width)) * this.CROP_SIZE,
+            y: ((kp.y - box.y) / Math.max(1, box.height)) * this.CROP_SIZE
+        });
+        const b = toCrop(base);
+        const tipKp = this._visible(pose.keypoints.tailTip);
+        const t = tipKp ? toCrop(tipKp) : null;
+
+        const pad = this.REGION_PADDING;
+        const xs = t ? [b.x, t.x] : [b.x];
+        const ys = t ? [b.y, t.y] : [b.y];
+        const clamp = (v) => Math.max(0, Math.min(this.CROP_SIZE, Math.round(v)));
+        return {
+            base: b,
+            tip: t,
+            region: {
+                x0: clamp(Math.min(...xs) - pad), x1: clamp(Math.max(...xs) + pad),
+                y0: clamp(Math.min(...ys) - pad), y1: clamp(Math.max(...ys) + pad)
+            }
+        };
+    }
+
+    // Mean frame difference in the outer left/right strips
+    _stripMotion(crop, prev) {
+        const size = this.CROP_SIZE;
+        const edge = Math.round(size * this.EDGE_FRACTION);
+        let left = 0;
+        let right = 0;
+        for (let y = 0; y < size; y++) {
+            for (let x = 0; x < edge; x++) {
+                left += Math.abs(crop[y * size + x] - prev[y * size + x]);
+                const rx = size - 1 - x;
+                right += Math.abs(crop[y * size + rx] - prev[y * size + rx]);
+            }
+        }
+        const n = size * edge;
+        return { left: left / n, right: right / n };
+    }
+
+    // The strip whose motion oscillates more over the window (tail end), or null
+    _oscillatingSide(current) {
+        const series = this.history.concat([{ leftMotion: current.left, rightMotion: current.right }]);
+        if (series.length < 10) return null;
+        const left = this._countReversals(series.map(h => h.leftMotion));
+        const right = this._countReversals(series.map(h => h.rightMotion));
+        if (left === right || Math.max(left, right) < this.MIN_WAG_SWINGS) return null;
+        return left > right ? 'left' : 'right';
+    }
+
+    // Motion-weighted centroid of changed pixels inside the region (crop px)
+    _motionCentroid(crop, prev, region) {
+        const size = this.CROP_SIZE;
+        let sum = 0;
+        let sx = 0;
+        let sy = 0;
+        let moving = 0;
+        for (let y = region.y0; y < region.y1; y++) {
+            for (let x = region.x0; x < region.x1; x++) {
+                const d = Math.abs(crop[y * size + x] - prev[y * size + x]);
+                if (d < this.MOTION_THRESHOLD) continue;
+                sum += d;
+                sx += x * d;
+                sy += y * d;
+                moving++;
+            }
+        }
+        if (moving < this.MIN_MOVING_PIXELS) return null;
+        return { x: sx / sum, y: sy / sum };
+    }
+
+    // ── Wag ──
+
+    // Lateral swings of the tail centroid about its midline
+    _measureWag() {
+        const points = this.history.filter(h => h.cx != null);
+        if (points.length < 10) return { wagging: false, swings: 0, imageBias: null };
+
+        const mid = points[points.length - 1].midline != null
+            ? points[points.length - 1].midline
+            : points.reduce((s, h) => s + h.cx, 0) / points.length;
+        const offsets = points.map(h => h.cx - mid);
+
+        // Extremes between direction reversals
+        const extremes = [];
+        let dir = 0;
+        for (let i = 1; i < offsets.length; i++) {
+            const step = offsets[i] - offsets[i - 1];
+            if (Math.abs(step) < this.MIN_SWING) continue;
+            const d = step > 0 ? 1 : -1;
+            if (dir !== 0 && d !== dir) extremes.push(offsets[i - 1]);
+            dir = d;
+        }
+
+        const swings = extremes.length;
+        const right = extremes.filter(e => e > 0);
+        const left = extremes.filter(e => e < 0).map(e => -e);
+        const wagging = swings >= this.MIN_WAG_SWINGS;
+        if (!wagging || right.length === 0 || left.length === 0) {
+            return { wagging, swings, imageBias: null };
+        }
+
+        const r = right.reduce((s, e) => s + e, 0) / right.length;
+        const l = left.reduce((s, e) => s + e, 0) / left.length;
+        return { wagging, swings, imageBias: Math.round(((r - l) / (r + l)) * 100) / 100 };
+    }
+
+    // Which way the dog faces the camera — only front/rear views show the wag side
+    _facing(pose, box) {
+        if (!pose || !box || !pose.keypoints) return 'unknown';
+        const withers = this._visible(pose.keypoints.withers);
+        const hips = this._visible(pose.keypoints.hips);
+        if (!withers || !hips) return 'unknown';
+
+        // Body folded onto itself = looking along the spine
+        const foreshortened = Math.abs(withers.x - hips.x) < 0.2 * box.width;
+        if (!foreshortened) return 'side';
+        return this._visible(pose.keypoints.nose) ? 'front' : 'rear';
+    }
+
+    // ── Carriage ──
+
+    // Frame-pixel keypoints — the crop is squashed, so angles are measured in the frame
+    _keypointCarriage(pose) {
+        const base = this._visible(pose.keypoints.tailBase);
+        const tip = this._visible(pose.keypoints.tailTip);
+        if (!base || !tip) return 'unknown';
+        const dx = tip.x - base.x;
+        const dy = tip.y - base.y;
+        const length = Math.hypot(dx, dy);
+        if (length < 1) return 'unknown';
+
+        // Tip pointing down and forward along the back line (toward the withers) = tucked
+        const withers = this._visible(pose.keypoints.withers);
+        const hips = this._visible(pose.keypoints.hips);
+        if (withers && hips && dy > 0) {
+            const bx = withers.x - hips.x;
+            const by = withers.y - hips.y;
+            const bodyLength = Math.hypot(bx, by);
+            if (bodyLength > 0 && (dx * bx + dy * by) / (bodyLength * bodyLength) > this.TUCK_FORWARD) {
+                return 'tucked';
+            }
+        }
+
+        return -dy / length > this.HIGH_RISE ? 'high' : 'neutral';
+    }
+
+    _pixelCarriage(wagging) {
+        const moving = this.history.filter(h => h.cy != null);
+        if (moving.length === 0 || (!wagging && (!this._windowFull() || moving.length < this.history.length / 2))) {
+            return 'unknown';
+        }
+        const cy = moving.reduce((s, h) => s + h.cy, 0) / moving.length;
+        if (cy < this.PIXEL_HIGH_CENTROID) return 'high';
+        if (cy > this.PIXEL_TUCKED_CENTROID) return 'tucked';
+        return 'neutral';
+    }
+
+    // ── Valence ──
+
+    // Right-biased wag = positive, left-biased = negative (Quaranta 2007);
+    // tucked tail = negative. null when neither signal is present.
+    _valence(wagBias, carriage) {
+        const parts = [];
+        if (wagBias != null && Math.abs(wagBias) >= this.MIN_BIAS) parts.push(wagBias);
+        if (carriage === 'tucked') parts.push(this.TUCKED_VALENCE);
+        if (parts.length === 0) return null;
+        const v = parts.reduce((s, p) => s + p, 0);
+        return Math.round(Math.max(-1, Math.min(1, v)) * 100) / 100;
+    }
+
+    // ── Summary for Report ──
+
+    _accumulate(result) {
+        const s = this.summary;
+        s.frames++;
+        if (!result.located) return;
+        s.framesLocated++;
+        s.sources[result.source] = (s.sources[result.source] || 0) + 1;
+        s.facing[result.facing] = (s.facing[result.facing] || 0) + 1;
+        if (result.carriage !== 'unknown') {
+            s.carriage[result.carriage] = (s.carriage[result.carriage] || 0) + 1;
+        }
+        if (result.wagging) s.wagFrames++;
+        if (result.imageBias != null) s.imageBiases.push(result.imageBias);
+        if (result.wagBias != null) s.wagBiases.push(result.wagBias);
+    }
+
+    /**
+     * @returns {object} { framesLocated, wagFrames, source, carriage, carriageDistribution,
+     *   wagBias, wagBiasSamples, imageWagBias, valence }
+     */
+    getSummary() {
+        const s = this.summary;
+        const top = (counts) => {
+            const entries = Object.entries(counts).sort((a, b) => b[1] - a[1]);
+            return entries.length > 0 ? entries[0][0] : null;
+        };
+        const mean = (values) => values.length > 0
+            ? Math.round((values.reduce((a, b) => a + b, 0) / values.length) * 100) / 100
+            : null;
+
+        const carriage = top(s.carriage) || 'unknown';
+        const wagBias = mean(s.wagBiases);
+        return {
+            framesLocated: s.framesLocated,
+            wagFrames: s.wagFrames,
+            source: top(s.sources),
+            carriage,
+            carriageDistribution: { ...s.carriage },
+            wagBias,
+            wagBiasSamples: s.wagBiases.length,
+            imageWagBias: mean(s.imageBiases),
+            valence: this._valence(wagBias, carriage)
+        };
+    }
+
+    _defaultResult() {
+        return {
+            located: false, source: null, facing: 'unknown', carriage: 'unknown',
+            wagging: false, wagSwings: 0, imageBias: null, wagBias: null, valence: null
+        };
+    }
+
+    _resetSummary() {
+        this.summary = {
+            frames: 0, framesLocated: 0, wagFrames: 0,
+            sources: {}, facing: {}, carriage: {}, imageBiases: [], wagBiases: []
+        };
+    }
+
+    clearAll() {
+        this.prevCrop = null;
+        this.history = [];
+        this.frame = 0;
+        this._resetSummary();
+    }
+
+    // ── Utility ──
+
+    // History covers a whole WINDOW_MS
+    _windowFull() {
+        const h = this.history;
+        return h.length > 1 && h[h.length - 1].t - h[0].t >= this.WINDOW_MS - this.FRAME_MS * 1.5;
+    }
+
+    // Direction reversals bigger than a quarter of the mean level —
+    // a small tail is a small share of the strip, so no absolute step
+    _countReversals(values) {
+        const mean = values.reduce((a, b) => a + b, 0) / values.length;
+        const minStep = Math.max(this.MIN_STRIP_STEP, mean * 0.25);
+        let reversals = 0;
+        let dir = 0;
+        for (let i = 1; i < values.length; i++) {
+            const step = values[i] - values[i - 1];
+            if (Math.abs(step) < minStep) continue;
+            const d = step > 0 ? 1 : -1;
+            if (dir !== 0 && d !== dir) reversals++;
+            dir = d;
+        }
+        return reversals;
+    }
+
+    _visible(kp) {
+        return kp && kp.score >= this.MIN_KEYPOINT_SCORE ? kp : null;
+    }
+}
+
+ModuleRegistry.expose('DogTailAnalyzer', DogTailAnalyzer, typeof module !== 'undefined' ? module : null);
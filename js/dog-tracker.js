@@ -0,0 +1,232 @@
+/* ============================================
+   DOG TRACKER — Stable IDs Across Frames
+
+   COCO-SSD returns an unordered list of boxes every frame.
+   This tracker links each box to the same dog it belonged
+   to last frame, so every dog in the room keeps one ID (and
+   one set of engines) for the whole scan.
+
+   Association (greedy, highest score first):
+   - Box overlap (IoU) with the track's last box
+   - Fallback: center distance, scaled by box size, so a
+     fast-moving dog with little overlap stays matched
+
+   Lost detections:
+   - A track that misses a frame keeps its last box for up
+     to MAX_MISSED_MS (detection flicker, brief occlusion) —
+     real time, so a slow phone doesn't hold a lost dog longer
+   - After that it goes dormant. A dormant track is revived
+     by a new box nearby — a dog walking out of frame and
+     back keeps its ID instead of becoming "a new dog".
+     A lone dog reclaims its track wherever it comes back;
+     revived tracks are flagged so the per-dog engines start
+     over from the new box instead of reading the jump as motion
+   - Dormant tracks expire after DORMANT_MAX_MS, and at the
+     MAX_TRACKS cap a new dog replaces the dormant track with
+     the fewest hits — a misdetection that went dormant never
+     blocks a real dog from being tracked
+   ============================================ */
+
+var ModuleRegistry = ModuleRegistry || require('./module-registry.js');
+
+class DogTracker {
+    constructor() {
+        // Association thresholds
+        this.MATCH_MIN_IOU = 0.2;
+        this.MATCH_MAX_DISTANCE = 0.75;   // box diagonals — center-distance fallback
+        this.REVIVE_MAX_DISTANCE = 2.0;   // box diagonals — dormant track reclaim radius
+
+        // Persistence — keep a lost dog's last box this long (~0.5s)
+        this.MAX_MISSED_MS = 520;
+        // Dormant tracks can be revived for this long, then they're dropped
+        this.DORMANT_MAX_MS = 60000;
+        this.FRAME_MS = 1000 / 30;        // fallback step when no timestamp is given
+
+        // Hard cap on tracked dogs (each one runs its own engines)
+        this.MAX_TRACKS = 4;
+
+        this.tracks = [];
+        this.nextId = 1;
+        this.frame = 0;
+        this.now = 0;
+    }
+
+    clearAll() {
+        this.tracks = [];
+        this.nextId = 1;
+        this.frame = 0;
+        this.now = 0;
+    }
+
+    /**
+     * Match this frame's dog detections to tracks.
+     *
+     * @param {Array} detections - COCO-SSD predictions already filtered to dogs
+     * @param {number} timestamp - monotonic frame time (ms); omitted = 30fps clock
+     * @returns {Array} Visible tracks ordered by id:
+     *   { id, bbox, score, class, coasting, revived, hits, firstFrame }
+     *   `coasting` is true when the box is carried over from a missed frame,
+     *   `revived` when a dormant track was reclaimed this frame (its box
+     *   may be anywhere — nothing links it to the last one).
+     */
+    update(detections, timestamp) {
+        this.frame++;
+        this.now = timestamp != null ? timestamp : this.frame * this.FRAME_MS;
+        const dets = detections.slice()
+            .sort((a, b) => b.score - a.score)
+            .slice(0, this.MAX_TRACKS);
+        this.tracks = this.tracks.filter(t => this.now - t.lastSeen <= this.DORMANT_MAX_MS);
+        this.tracks.forEach(t => { t.revived = false; });
+
+        const active = this.tracks.filter(t => this._isVisible(t));
+        const unmatchedDets = new Set(dets.map((d, i) => i));
+        const matchedTracks = new Set();
+
+        // ── Greedy association: best pair first ──
+        const pairs = [];
+        active.forEach(track => {
+            dets.forEach((det, di) => {
+                const score = this._matchScore(track.bbox, det.bbox);
+                if (score > 0) pairs.push({ track, di, score });
+            });
+        });
+        pairs.sort((a, b) => b.score - a.score || a.track.id - b.track.id || a.di - b.di);
+        pairs.forEach(({ track, di }) => {
+            if (matchedTracks.has(track) || !unmatchedDets.has(di)) return;
+            this._assign(track, dets[di]);
+            matchedTracks.add(track);
+            unmatchedDets.delete(di);
+        });
+
+        // ── Leftover detections: revive a dormant track or start a new one ──
+        unmatchedDets.forEach(di => {
+            const det = dets[di];
+            const dormant = this.tracks.filter(t => !this._isVisible(t));
+            const visibleCount = this.tracks.length - dormant.length;
+            const revived = this._nearestDormant(dormant, det.bbox, visibleCount);
+
+            if (revived) {
+                this._assign(revived, det);
+                revived.revived = true;
+                matchedTracks.add(revived);
+                return;
+            }
+
+            // At the cap, the least-seen dormant track makes room
+            if (this.tracks.length >= this.MAX_TRACKS && dormant.length > 0) {
+                const evicted = dormant.reduce((a, b) =>
+                    (b.hits < a.hits || (b.hits === a.hits && b.lastSeen < a.lastSeen) ? b : a));
+                this.tracks.splice(this.tracks.indexOf(evicted), 1);
+            }
+            if (this.tracks.length < this.MAX_TRACKS) {
+                const track = {
+                    id: this.nextId++,
+                    bbox: det.bbox.slice(),
+                    score: det.score,
+                    class: det.class,
+                    hits: 0,
+                    missed: 0,
+                    revived: false,
+                    lastSeen: this.now,
+                    firstFrame: this.frame
+                };
+                this._assign(track, det);
+                this.tracks.push(track);
+                matchedTracks.add(track);
+            }
+        });
+
+        // ── Unmatched tracks coast on their last box ──
+        this.tracks.forEach(t => {
+            if (!matchedTracks.has(t)) t.missed++;
+        });
+
+        return this.tracks
+            .filter(t => this._isVisible(t))
+            .sort((a, b) => a.id - b.id)
+            .map(t => ({
+                id: t.id,
+                bbox: t.bbox.slice(),
+                score: t.score,
+                class: t.class,
+                coasting: t.missed > 0,
+                revived: t.revived,
+                hits: t.hits,
+                firstFrame: t.firstFrame
+            }));
+    }
+
+    /**
+     * Boxes of the tracks still visible. A track that misses the next
+     * frame keeps one of these, so a crop taken ahead of update()
+     * (FrameWorker) must cover them as well as the new detections.
+     * @returns {Array} [x, y, w, h] boxes
+     */
+    visibleBoxes() {
+        return this.tracks.filter(t => this._isVisible(t)).map(t => t.bbox.slice());
+    }
+
+    // ── Association ──
+
+    _assign(track, det) {
+        track.bbox = det.bbox.slice();
+        track.score = det.score;
+        track.class = det.class;
+        track.hits++;
+        track.missed = 0;
+        track.lastSeen = this.now;
+    }
+
+    // Seen recently enough to keep coasting on its last box
+    _isVisible(track) {
+        return this.now - track.lastSeen <= this.MAX_MISSED_MS;
+    }
+
+    // IoU when boxes overlap enough; otherwise a smaller score that
+    // falls off with center distance. 0 = no match.
+    _matchScore(a, b) {
+        const iou = this._iou(a, b);
+        if (iou >= this.MATCH_MIN_IOU) return iou;
+        const dist = this._normalizedDistance(a, b);
+        if (dist > this.MATCH_MAX_DISTANCE) return 0;
+        return this.MATCH_MIN_IOU * (1 - dist / this.MATCH_MAX_DISTANCE);
+    }
+
+    // A lone dog coming back after leaving the frame reclaims its old
+    // track whatever the distance; otherwise only nearby dormant tracks do
+    _nearestDormant(dormant, bbox, visibleCount) {
+        if (dormant.length === 0) return null;
+        if (dormant.length === 1 && visibleCount === 0) return dormant[0];
+
+        let best = null;
+        let bestDist = this.REVIVE_MAX_DISTANCE;
+        dormant.forEach(t => {
+            const dist = this._normalizedDistance(t.bbox, bbox);
+            if (dist <= bestDist) {
+                best = t;
+                bestDist = dist;
+            }
+        });
+        return best;
+    }
+
+    _iou(a, b) {
+        const x1 = Math.max(a[0], b[0]);
+        const y1 = Math.max(a[1], b[1]);
+        const x2 = Math.min(a[0] + a[2], b[0] + b[2]);
+        const y2 = Math.min(a[1] + a[3], b[1] + b[3]);
+        const inter = Math.max(0, x2 - x1) * Math.max(0, y2 - y1);
+        const union = a[2] * a[3] + b[2] * b[3] - inter;
+        return union > 0 ? inter / union : 0;
+    }
+
+    // Center distance in units of the mean box diagonal
+    _normalizedDistance(a, b) {
+        const dx = (a[0] + a[2] / 2) - (b[0] + b[2] / 2);
+        const dy = (a[1] + a[3] / 2) - (b[1] + b[3] / 2);
+        const diag = (Math.hypot(a[2], a[3]) + Math.hypot(b[2], b[3])) / 2;
+        return Math.hypot(dx, dy) / Math.max(1, diag);
+    }
+}
+
+ModuleRegistry.expose('DogTracker', DogTracker, typeof module !== 'undefined' ? module : null);
@@ -12,24 +12,54 @@
    What pixel analysis detects:
    - Micro-vibrations: tiny pixel changes = body trembling, energy
    - Tail wag: oscillating motion in edge zones
+   - Tail carriage and wag-side bias (DogTailAnalyzer)
+   - Ears, mouth, panting, yawns, lip licks (DogHeadAnalyzer)
    - Head movement: motion in top zones
    - Body tension: widespread uniform small motion
    - Overall activity: actual visible movement in the dog's body
    - Zone motion: which body part is moving most
    - Motion frequency: speed of movement changes
+   - Respiration rate: breaths/min from the center column while
+     the dog rests, by spectral peak over a 30 s window
+   - Trembling: the body zones oscillating together in the
+     tremor band (TremorAnalyzer) — episodes with duration,
+     ruled out when the background shakes the same way
+     (camera shake, from SceneMotionAnalyzer via context.scene)
+
+   Camera motion: when the background says the camera moved
+   (context.scene.camera), the previous crop is shifted by
+   whatever the box didn't follow before diffing, so a handheld
+   phone's drift isn't counted as body motion. Time the camera
+   was too shaky to trust goes into the summary.
+
+   Lighting: the previous crop is scaled by the brightness gain
+   (median over the zones) before diffing, so auto-exposure
+   drift isn't motion. A sudden global change — lights on, an
+   exposure jump; the scene's background when there is one,
+   else most zones together — would read as macro motion, so
+   that frame repeats the last result instead of entering the
+   motion statistics. Low-light time goes into the summary.
    ============================================ */
 
+var ModuleRegistry = ModuleRegistry || require('./module-registry.js');
+
 class DogVisionAnalyzer {
-    constructor() {
-        // Off-screen canvas for pixel analysis
-        this.canvas = document.createElement('canvas');
-        this.ctx = this.canvas.getContext('2d', { willReadFrequently: true });
+    /**
+     * @param {object} options - { createCanvas } factory returning a
+     *   canvas-compatible object (for headless use, e.g. node-canvas),
+     *   { tailAnalyzer, headAnalyzer, tremorAnalyzer } to supply the DogTailAnalyzer /
+     *   DogHeadAnalyzer / TremorAnalyzer
+     */
+    constructor(options = {}) {
+        // Off-screen canvas for pixel analysis — created on first capture,
+        // so crops can be analyzed (analyzeCrop) without any canvas at all
+        this.createCanvas = options.createCanvas || (() => document.createElement('canvas'));
+        this.canvas = null;
+        this.ctx = null;
 
         // Resize dog crop to 64x64 for fast analysis
         // 64x64 = 4096 pixels — enough detail, very fast computation
         this.CROP_SIZE = 64;
-        this.canvas.width = this.CROP_SIZE;
-        this.canvas.height = this.CROP_SIZE;
 
         // Frame buffers (grayscale, 0-1 range)
         this.prevFrame = null;
@@ -37,7 +67,9 @@ class DogVisionAnalyzer {
 
         // Motion history for temporal analysis
         this.motionHistory = [];
-        this.maxHistory = 90; // 3 seconds at 30fps
+        this.HISTORY_MS = 3000;
+        this.FRAME_MS = 1000 / 30; // clock when no timestamp is given
+        this.frame = 0;
 
         // Zone grid (3x3) — divides dog body into 9 regions
         // [top-left]    [top-center]    [top-right]      ← Head area
@@ -51,6 +83,112 @@ class DogVisionAnalyzer {
         this.smoothedMicroVib = 0;
         this.smoothedMacroMotion = 0;
         this.EMA_ALPHA = 0.3;
+
+        // Micro-vibration that is just camera noise (see _computeTension).
+        // applyProfile() can raise it for dogs whose coat shimmers at rest.
+        this.DEFAULT_MICRO_VIB_NOISE_FLOOR = 0.15;
+        this.MICRO_VIB_NOISE_FLOOR = this.DEFAULT_MICRO_VIB_NOISE_FLOOR;
+
+        // Motion levels while the dog is at rest — this scan's
+        // contribution to the dog's learned baseline
+        this.restingStats = { overallMotion: 0, microVibration: 0, frames: 0 };
+        this.MIN_RESTING_FRAMES = 30;
+
+        // Respiration — the center column's level (relative to the outer
+        // columns) over a long window while the dog rests, resampled to an
+        // even rate for the spectrum
+        this.RESP_WINDOW_MS = 30000;     // 30 s → 2 breaths/min resolution
+        this.RESP_MIN_MS = 15000;        // unbroken rest needed before the first estimate
+        this.RESP_SAMPLE_HZ = 10;
+        this.RESP_BAND_BPM = [6, 80];    // 80/min is still under Nyquist at the 4 fps battery-saver rate
+        this.RESP_STEP_BPM = 0.5;
+        this.RESP_UPDATE_MS = 2000;
+        this.RESP_MIN_QUALITY = 50;      // % of the band's power in the peak — below this no rate is reported
+        this.respSignal = [];
+        this.respiration = null;
+        this.respStats = { rates: {}, qualitySum: 0, estimates: 0, measuredMs: 0, lastT: null };
+
+        // Trembling — sustained this long before it counts as an episode;
+        // an episode ends after TREMOR_GAP_MS without it
+        this.TREMOR_MIN_MS = 2000;
+        this.TREMOR_GAP_MS = 1000;
+        this.MAX_TREMOR_EPISODES = 100;
+        this.tremorEpisode = null;
+        this.tremorEpisodes = [];
+        this.tremorStats = { firstT: null, lastT: null, checkedMs: 0, cameraShakeMs: 0, episodeCount: 0, totalMs: 0, longestMs: 0 };
+        this.tremorAnalyzer = options.tremorAnalyzer ||
+            new (ModuleRegistry.resolve('TremorAnalyzer', 'tremor-analyzer.js'))();
+
+        // Camera motion — the previous frame's box and camera offset, and
+        // how long the camera was checked / too shaky while this dog was in view
+        this.CAMERA_GAP_MS = 1000;      // longer gaps between frames count this much
+        this.prevCamera = null;
+        this.cameraStats = { lastT: null, checkedMs: 0, shakyMs: 0, frames: 0, compensatedFrames: 0 };
+
+        // Lighting (0-1 gray) — same thresholds as SceneMotionAnalyzer
+        this.LIGHT_CHANGE = 0.1;
+        this.LIGHT_AGREE = 0.75;
+        this.LIGHT_GAIN_MIN = 0.02;
+        this.LOW_LIGHT_LEVEL = 0.15;
+        this.LOW_LIGHT_SHARE = 50;      // % of frames before the scan counts as low-light
+        this.prevLevels = null;
+        this.exposure = 1;              // lighting gain since the dog came to rest
+        this.lightingStats = { frames: 0, levelSum: 0, lowFrames: 0, changes: 0, inChange: false };
+
+        // Tail carriage + wag asymmetry, from the same crops
+        this.tailAnalyzer = options.tailAnalyzer ||
+            new (ModuleRegistry.resolve('DogTailAnalyzer', 'dog-tail-analyzer.js'))();
+
+        // Ears, mouth and calming signals, from the head zones of the same crops
+        this.headAnalyzer = options.headAnalyzer ||
+            new (ModuleRegistry.resolve('DogHeadAnalyzer', 'dog-head-analyzer.js'))();
+    }
+
+    // ── Per-Dog Profile ──
+
+    /**
+     * Adapt the micro-vibration noise floor to the dog's typical
+     * resting motion (long or fluffy coats read as "vibration" on
+     * camera even when the dog is completely still).
+     *
+     * @param {object|null} profile - Dog profile ({ baseline }), or null to reset
+     */
+    applyProfile(profile) {
+        const motion = profile && profile.baseline ? profile.baseline.motion : null;
+        this.MICRO_VIB_NOISE_FLOOR = motion && motion.samples >= this.MIN_RESTING_FRAMES
+            ? Math.max(this.DEFAULT_MICRO_VIB_NOISE_FLOOR, Math.min(0.3, motion.restingMicroVibration))
+            : this.DEFAULT_MICRO_VIB_NOISE_FLOOR;
+    }
+
+    /**
+     * @returns {object|null} { motion: { restingOverallMotion, restingMicroVibration, samples } }
+     */
+    getBaselineSample() {
+        const r = this.restingStats;
+        if (r.frames < this.MIN_RESTING_FRAMES) return null;
+        return {
+            motion: {
+                restingOverallMotion: r.overallMotion / r.frames,
+                restingMicroVibration: r.microVibration / r.frames,
+                samples: r.frames
+            }
+        };
+    }
+
+    /**
+     * The dog was out of view and is back (DogTracker revived its track).
+     * The next crop starts a new frame-to-frame comparison rather than
+     * diffing against the crop from before the gap; respiration needs
+     * unbroken rest again.
+     */
+    resumeAfterGap() {
+        this.prevFrame = null;
+        this.currFrame = null;
+        this.prevLevels = null;
+        this.exposure = 1;
+        this.prevCamera = null;
+        this.respSignal = [];
+        this.tremorAnalyzer.clearAll();
     }
 
     /**
@@ -62,11 +200,29 @@ class DogVisionAnalyzer {
      * @returns {object} Pixel analysis results
      */
     analyze(videoElement, dogBox) {
+        return this.analyzeCrop(this.captureCrop(videoElement, dogBox), { box: dogBox });
+    }
+
+    /**
+     * Crop the dog region from the video and convert it to grayscale.
+     *
+     * @param {HTMLVideoElement} videoElement - The live video feed
+     * @param {object} dogBox - { x, y, width, height }
+     * @returns {Float32Array|null} CROP_SIZE² grayscale pixels (0-1), or null
+     */
+    captureCrop(videoElement, dogBox) {
         if (!videoElement || !dogBox || dogBox.width < 10 || dogBox.height < 10) {
-            return this._defaultResult();
+            return null;
         }
 
         try {
+            if (!this.canvas) {
+                this.canvas = this.createCanvas();
+                this.canvas.width = this.CROP_SIZE;
+                this.canvas.height = this.CROP_SIZE;
+                this.ctx = this.canvas.getContext('2d', { willReadFrequently: true });
+            }
+
             // Crop dog region from video and resize to standard size
             this.ctx.drawImage(
                 videoElement,
@@ -87,12 +243,60 @@ class DogVisionAnalyzer {
                 const b = pixels[i * 4 + 2];
                 gray[i] = (r * 0.299 + g * 0.587 + b * 0.114) / 255;
             }
+            return gray;
+
+        } catch (err) {
+            // Canvas operations can fail on some devices
+            return null;
+        }
+    }
+
+    /**
+     * Analyze a grayscale crop produced by captureCrop().
+     * Split out so recorded crops can be replayed without a video element.
+     *
+     * @param {Float32Array|null} gray - CROP_SIZE² grayscale pixels (0-1)
+     * @param {object} context - { box, pose, timestamp, scene } for tail/head localization,
+     *   event timing, camera-shake and lighting checks (optional; scene is
+     *   SceneMotionAnalyzer.analyze() output)
+     * @returns {object} Pixel analysis results
+     */
+    analyzeCrop(gray, context = {}) {
+        if (!gray || gray.length !== this.CROP_SIZE * this.CROP_SIZE) {
+            return this._defaultResult();
+        }
+
+        try {
+            const totalPixels = gray.length;
 
             this.prevFrame = this.currFrame;
             this.currFrame = gray;
+            this.frame++;
+            const t = context.timestamp != null ? context.timestamp : this.frame * this.FRAME_MS;
+
+            // ── Tail carriage / wag side ── (keeps its own frame history)
+            const tail = this.tailAnalyzer.analyze(gray, context);
+
+            // Camera motion the box didn't follow, in crop pixels (null: none)
+            const shift = this._cameraShift(context);
+            const levels = this._zoneLevels(gray);
+            const prevLevels = this.prevLevels;
+            this.prevLevels = levels;
 
             // Need two frames to compute differences
             if (!this.prevFrame) return this._defaultResult();
+            this._trackCamera(t, context.scene, !!shift);
+
+            // ── Lighting ── (a sudden global change repeats the last result)
+            const lighting = this._checkLighting(levels, prevLevels, context.scene);
+            this._trackLighting(lighting);
+            this.exposure *= lighting.gain;
+            if (lighting.change) return this._heldResult(lighting);
+
+            let prevFrame = shift ? this._shiftCrop(this.prevFrame, shift.x, shift.y) : this.prevFrame;
+            if (Math.abs(lighting.gain - 1) >= this.LIGHT_GAIN_MIN) {
+                prevFrame = prevFrame.map(v => v * lighting.gain);
+            }
 
             // ── Compute pixel-level differences ──
             const diff = new Float32Array(totalPixels);
@@ -102,7 +306,7 @@ class DogVisionAnalyzer {
             let stillPixels = 0;        // No change (background, still parts)
 
             for (let i = 0; i < totalPixels; i++) {
-                diff[i] = Math.abs(this.currFrame[i] - this.prevFrame[i]);
+                diff[i] = Math.abs(this.currFrame[i] - prevFrame[i]);
                 totalDiff += diff[i];
 
                 // NOISE FLOOR: Mobile camera sensors produce 3-8% pixel noise
@@ -142,6 +346,9 @@ class DogVisionAnalyzer {
             // ── Head activity ──
             const headActivity = this._computeHeadActivity(zones);
 
+            // ── Ears / mouth / calming signals ──
+            const head = this.headAnalyzer.analyze(gray, zones, context);
+
             // ── Motion frequency (oscillation speed) ──
             const motionFrequency = this._estimateMotionFrequency();
 
@@ -165,8 +372,10 @@ class DogVisionAnalyzer {
 
                 // Detected features
                 tailWagScore,
+                tail,
                 tensionScore,
                 headActivity,
+                head,
                 motionFrequency,
                 breathingDetected,
 
@@ -179,6 +388,8 @@ class DogVisionAnalyzer {
                 // Posture hint from pixel analysis
                 postureHint,
 
+                lighting,
+
                 // Body state interpretation
                 bodyState: this._interpretBodyState(
                     this.smoothedOverallMotion, this.smoothedMicroVib,
@@ -186,16 +397,28 @@ class DogVisionAnalyzer {
                 )
             };
 
+            // Resting motion for the per-dog baseline
+            if (result.bodyState === 'very-still' || result.bodyState === 'calm') {
+                this.restingStats.overallMotion += avgDiff;
+                this.restingStats.microVibration += microVibRatio;
+                this.restingStats.frames++;
+            }
+
+            // ── Respiration rate + trembling ── (from the zones' mean levels)
+            const steady = this._steadyLevels(levels, result.bodyState);
+            result.respiration = this._trackRespiration(steady, t, result.bodyState, head);
+            result.trembling = this._trackTrembling(steady, t, result.bodyState, context.scene);
+
             // Store history
+            result.t = t;
             this.motionHistory.push(result);
-            if (this.motionHistory.length > this.maxHistory) {
+            while (t - this.motionHistory[0].t > this.HISTORY_MS - this.FRAME_MS / 2) {
                 this.motionHistory.shift();
             }
 
             return result;
 
         } catch (err) {
-            // Canvas operations can fail on some devices
             return this._defaultResult();
         }
     }
@@ -242,11 +465,11 @@ class DogVisionAnalyzer {
     // ── Tail Wag Detection ──
     // Tail wag creates oscillating motion in left/right edge zones
     _detectTailWag(currentZones) {
-        // Require at least 25 frames of history for reliable tail wag detection.
+        // Require ~0.8 s of history for reliable tail wag detection.
         // Short windows produce false positives from random camera noise.
-        if (this.motionHistory.length < 25) return 0;
+        if (this._historySpan() < 820) return 0;
 
-        const recent = this.motionHistory.slice(-25);
+        const recent = this._recentHistory(830);
 
         // Get left and right edge zone motion over time
         const leftMotion = recent.map(r => {
@@ -288,8 +511,9 @@ class DogVisionAnalyzer {
         //
         // NOISE FLOOR: Even with a 4% still-pixel threshold, residual camera
         // noise (~10-20% of pixels) still registers as micro-vibration on mobile.
-        // Subtract 15% noise floor. Only micro-vibration ABOVE 15% is real.
-        const adjustedMicroVib = Math.max(0, microVibRatio - 0.15);
+        // Subtract 15% noise floor (MICRO_VIB_NOISE_FLOOR, per-dog adjustable).
+        // Only micro-vibration above the floor is real.
+        const adjustedMicroVib = Math.max(0, microVibRatio - this.MICRO_VIB_NOISE_FLOOR);
 
         if (adjustedMicroVib > 0.25 && macroMotionRatio < 0.05) return 90; // Severe trembling
         if (adjustedMicroVib > 0.15 && macroMotionRatio < 0.08) return 60; // Tense/shaking
@@ -316,9 +540,10 @@ class DogVisionAnalyzer {
 
     // ── Motion Frequency ──
     _estimateMotionFrequency() {
-        if (this.motionHistory.length < 10) return 0;
+        if (this._historySpan() < 320) return 0;
 
-        const recent = this.motionHistory.slice(-10).map(r => r.overallMotion);
+        const recentFrames = this._recentHistory(330);
+        const recent = recentFrames.map(r => r.overallMotion);
         const mean = recent.reduce((a, b) => a + b, 0) / recent.length;
 
         // Count zero-crossings of motion derivative
@@ -329,16 +554,17 @@ class DogVisionAnalyzer {
             }
         }
 
-        // Convert to approximate Hz (10 frames at 30fps = 0.33s)
-        return Math.round(crossings * 30 / 10);
+        // Convert to approximate Hz over the window's real duration
+        const spanMs = recentFrames[recentFrames.length - 1].t - recentFrames[0].t + this.FRAME_MS;
+        return Math.round(crossings * 1000 / spanMs);
     }
 
     // ── Breathing Detection ──
     _detectBreathing(zones) {
-        if (this.motionHistory.length < 30) return false;
+        if (this._historySpan() < 980) return false;
 
         // Body center column shows periodic expansion for breathing
-        const bodyMotion = this.motionHistory.slice(-30).map(r => {
+        const bodyMotion = this._recentHistory(1000).map(r => {
             const centerZones = r.zones.filter(z => z.col === 1);
             return centerZones.length > 0 ?
                 centerZones.reduce((s, z) => s + z.motion, 0) / centerZones.length : 0;
@@ -358,6 +584,392 @@ class DogVisionAnalyzer {
         return peaks >= 1;
     }
 
+    // ── Respiration Rate ──
+    // Breathing moves the chest and flank in the center column of the crop.
+    // Zone motion (|diff|) peaks on both the in- and the out-breath, which
+    // would read as double the rate, so the signal is the column's signed
+    // motion integrated over time — its mean level — which rises and falls
+    // once per breath. The level is taken relative to the outer columns:
+    // auto-exposure and flicker scale the whole crop, and a slow exposure
+    // swing in the breathing band would read as a rate of its own. Any real
+    // movement swamps it: movement or panting starts the window over.
+    _trackRespiration(levels, t, bodyState, head) {
+        const resting = (bodyState === 'very-still' || bodyState === 'calm') && !(head && head.panting);
+        if (!resting) {
+            this.respSignal = [];
+            this.respiration = null;
+            return null;
+        }
+
+        const center = (levels[1] + levels[4] + levels[7]) / 3;
+        const outer = (levels[0] + levels[3] + levels[6] + levels[2] + levels[5] + levels[8]) / 6;
+        this.respSignal.push({ t, v: center / Math.max(0.01, outer) });
+        while (t - this.respSignal[0].t > this.RESP_WINDOW_MS) this.respSignal.shift();
+        if (t - this.respSignal[0].t < this.RESP_MIN_MS) return null;
+        if (this.respiration && t - this.respiration.t < this.RESP_UPDATE_MS) return this.respiration;
+
+        const estimate = this._estimateRespiration(this.respSignal);
+        this.respiration = { t, ...estimate };
+
+        if (estimate.quality >= this.RESP_MIN_QUALITY) {
+            const s = this.respStats;
+            // Windows overlap — count only the time since the last estimate after the first
+            s.measuredMs += s.lastT != null && t - s.lastT <= this.RESP_UPDATE_MS * 1.5
+                ? t - s.lastT : estimate.windowSec * 1000;
+            s.lastT = t;
+            s.rates[estimate.rate] = (s.rates[estimate.rate] || 0) + 1;
+            s.qualitySum += estimate.quality;
+            s.estimates++;
+        }
+        return this.respiration;
+    }
+
+    // Mean level of each 3x3 zone, in zone order (row-major, like _computeZoneMotion)
+    _zoneLevels(gray) {
+        const zoneW = Math.floor(this.CROP_SIZE / this.GRID_COLS);
+        const zoneH = Math.floor(this.CROP_SIZE / this.GRID_ROWS);
+        const levels = new Float64Array(this.GRID_ROWS * this.GRID_COLS);
+        for (let row = 0; row < this.GRID_ROWS; row++) {
+            for (let col = 0; col < this.GRID_COLS; col++) {
+                let sum = 0;
+                for (let y = row * zoneH; y < (row + 1) * zoneH; y++) {
+                    for (let x = col * zoneW; x < (col + 1) * zoneW; x++) sum += gray[y * this.CROP_SIZE + x];
+                }
+                levels[row * this.GRID_COLS + col] = sum / (zoneW * zoneH);
+            }
+        }
+        return levels;
+    }
+
+    /**
+     * Spectral peak of the respiration signal in the breathing band.
+     *
+     * @param {Array} samples - [{ t, v }], oldest first, spanning at least RESP_MIN_MS
+     * @returns {object} { rate, quality, windowSec } — rate in breaths/min;
+     *   quality 0-100 is the share of the band's power within the peak
+     */
+    _estimateRespiration(samples) {
+        // Resample to an even grid — frame times drift and battery saver skips frames
+        const dt = 1000 / this.RESP_SAMPLE_HZ;
+        const t0 = samples[0].t;
+        const n = Math.floor((samples[samples.length - 1].t - t0) / dt) + 1;
+        const x = new Float64Array(n);
+        let j = 0;
+        for (let i = 0; i < n; i++) {
+            const ti = t0 + i * dt;
+            while (j < samples.length - 2 && samples[j + 1].t < ti) j++;
+            const a = samples[j];
+            const b = samples[j + 1];
+            const f = b.t > a.t ? Math.min(1, Math.max(0, (ti - a.t) / (b.t - a.t))) : 0;
+            x[i] = a.v + (b.v - a.v) * f;
+        }
+
+        // Remove the linear trend (exposure and lighting drift), then taper (Hann)
+        const mi = (n - 1) / 2;
+        let mx = 0;
+        for (let i = 0; i < n; i++) mx += x[i];
+        mx /= n;
+        let num = 0, den = 0;
+        for (let i = 0; i < n; i++) {
+            num += (i - mi) * (x[i] - mx);
+            den += (i - mi) * (i - mi);
+        }
+        const slope = den > 0 ? num / den : 0;
+        for (let i = 0; i < n; i++) {
+            x[i] = (x[i] - mx - slope * (i - mi)) * (0.5 - 0.5 * Math.cos(2 * Math.PI * i / (n - 1)));
+        }
+
+        // Power at each candidate rate across the band
+        const [lo, hi] = this.RESP_BAND_BPM;
+        const spectrum = [];
+        let total = 0;
+        let peak = null;
+        for (let bpm = lo; bpm <= hi; bpm += this.RESP_STEP_BPM) {
+            const w = 2 * Math.PI * (bpm / 60) / this.RESP_SAMPLE_HZ;
+            let re = 0, im = 0;
+            for (let i = 0; i < n; i++) {
+                re += x[i] * Math.cos(w * i);
+                im += x[i] * Math.sin(w * i);
+            }
+            const power = re * re + im * im;
+            spectrum.push({ bpm, power });
+            total += power;
+            if (!peak || power > peak.power) peak = { bpm, power };
+        }
+
+        // Quality: share of the band's power inside the peak's main lobe
+        // (a Hann window spreads a pure rhythm over ±2 frequency bins).
+        // A peak on the band edge is leftover drift, not a breathing rhythm.
+        const windowSec = (n - 1) * dt / 1000;
+        const lobe = 2 * 60 / windowSec;
+        let quality = 0;
+        if (total > 0 && peak.bpm > lo && peak.bpm < hi) {
+            const near = spectrum.filter(p => Math.abs(p.bpm - peak.bpm) <= lobe)
+                .reduce((sum, p) => sum + p.power, 0);
+            quality = Math.round(100 * near / total);
+        }
+
+        return { rate: Math.round(peak.bpm), quality, windowSec: Math.round(windowSec) };
+    }
+
+    // ── Trembling ──
+    // Periodic micro-motion across the body zones (TremorAnalyzer) while the
+    // dog isn't moving or wagging. The same rhythm in the background is the camera
+    // shaking, not the dog — those frames count as camera shake instead.
+    _trackTrembling(levels, t, bodyState, scene) {
+        const tremor = this.tremorAnalyzer.update(levels, t);
+        const shake = scene && scene.shake ? scene.shake : null;
+        // A camera moving too much to measure rules it out as well
+        const cameraShake = !!(shake && shake.active) || !!(scene && scene.camera && scene.camera.shaky);
+        // A wagging tail shakes the whole body in the same band
+        const moving = bodyState === 'active' || bodyState === 'very-active' || bodyState === 'wagging';
+        const on = tremor.active && !moving && !cameraShake;
+
+        const s = this.tremorStats;
+        const dt = s.lastT != null ? Math.min(t - s.lastT, this.TREMOR_GAP_MS) : 0;
+        if (s.firstT == null) s.firstT = t;
+        s.lastT = t;
+        if (tremor.checked) s.checkedMs += dt;
+        if (tremor.active && cameraShake) s.cameraShakeMs += dt;
+
+        let e = this.tremorEpisode;
+        if (on) {
+            if (!e) {
+                e = this.tremorEpisode = { start: t, lastOn: t, freqSum: 0, samples: 0, regions: 0, cameraChecked: true };
+            }
+            e.lastOn = t;
+            e.freqSum += tremor.frequency;
+            e.samples++;
+            e.regions = Math.max(e.regions, tremor.regions);
+            // Without enough background in view, camera shake couldn't be ruled out
+            if (!shake || !shake.checked) e.cameraChecked = false;
+        } else if (e && t - e.lastOn > this.TREMOR_GAP_MS) {
+            this._closeTremorEpisode(e);
+            this.tremorEpisode = e = null;
+        }
+
+        return {
+            active: on && t - e.start >= this.TREMOR_MIN_MS,
+            frequency: tremor.active ? tremor.frequency : 0,
+            regions: tremor.regions,
+            checked: tremor.checked,
+            cameraShake: tremor.active && cameraShake
+        };
+    }
+
+    _closeTremorEpisode(e) {
+        const episode = this._tremorEpisodeRecord(e);
+        if (!episode) return;
+        const s = this.tremorStats;
+        s.episodeCount++;
+        s.totalMs += e.lastOn - e.start;
+        s.longestMs = Math.max(s.longestMs, e.lastOn - e.start);
+        this.tremorEpisodes.push(episode);
+        if (this.tremorEpisodes.length > this.MAX_TREMOR_EPISODES) this.tremorEpisodes.shift();
+    }
+
+    // { startSec, durationSec, frequency, regions, cameraChecked }, or null if too short to count
+    _tremorEpisodeRecord(e) {
+        const duration = e.lastOn - e.start;
+        if (duration < this.TREMOR_MIN_MS) return null;
+        return {
+            startSec: Math.round((e.start - this.tremorStats.firstT) / 100) / 10,
+            durationSec: Math.round(duration / 100) / 10,
+            frequency: Math.round(e.freqSum / e.samples * 2) / 2,
+            regions: e.regions,
+            cameraChecked: e.cameraChecked
+        };
+    }
+
+    /**
+     * @returns {object} { checked, checkedSec, episodeCount, totalSec, longestSec,
+     *   cameraShakeSec, episodes } — an episode still going counts as ended now;
+     *   episodes holds the last MAX_TREMOR_EPISODES
+     */
+    _tremblingSummary() {
+        const s = this.tremorStats;
+        const episodes = this.tremorEpisodes.slice();
+        let count = s.episodeCount;
+        let totalMs = s.totalMs;
+        let longestMs = s.longestMs;
+        const open = this.tremorEpisode ? this._tremorEpisodeRecord(this.tremorEpisode) : null;
+        if (open) {
+            const duration = this.tremorEpisode.lastOn - this.tremorEpisode.start;
+            episodes.push(open);
+            count++;
+            totalMs += duration;
+            longestMs = Math.max(longestMs, duration);
+        }
+        return {
+            checked: s.checkedMs > 0,
+            checkedSec: Math.round(s.checkedMs / 1000),
+            episodeCount: count,
+            totalSec: Math.round(totalMs / 100) / 10,
+            longestSec: Math.round(longestMs / 100) / 10,
+            cameraShakeSec: Math.round(s.cameraShakeMs / 100) / 10,
+            episodes: episodes.slice(-this.MAX_TREMOR_EPISODES)
+        };
+    }
+
+    // ── Camera Motion ──
+
+    // Scene shift since this dog's previous frame, less the box's own move,
+    // scaled to the crop. Null when there's no camera reading or it didn't move.
+    _cameraShift(context) {
+        const camera = context.scene && context.scene.camera && context.scene.camera.checked
+            ? context.scene.camera : null;
+        const box = context.box;
+        const prev = this.prevCamera;
+        this.prevCamera = camera && box ? { x: box.x, y: box.y, offsetX: camera.offsetX, offsetY: camera.offsetY } : null;
+        if (!prev || !this.prevCamera) return null;
+
+        const camDx = camera.offsetX - prev.offsetX;
+        const camDy = camera.offsetY - prev.offsetY;
+        if (camDx === 0 && camDy === 0) return null;
+        return {
+            x: (camDx - (box.x - prev.x)) * this.CROP_SIZE / box.width,
+            y: (camDy - (box.y - prev.y)) * this.CROP_SIZE / box.height
+        };
+    }
+
+    // Crop resampled so content at (x, y) moves to (x + sx, y + sy); edges clamp
+    _shiftCrop(src, sx, sy) {
+        const n = this.CROP_SIZE;
+        const out = new Float32Array(n * n);
+        for (let y = 0; y < n; y++) {
+            const fy = Math.max(0, Math.min(n - 1, y - sy));
+            const y0 = Math.floor(fy);
+            const y1 = Math.min(n - 1, y0 + 1);
+            const wy = fy - y0;
+            for (let x = 0; x < n; x++) {
+                const fx = Math.max(0, Math.min(n - 1, x - sx));
+                const x0 = Math.floor(fx);
+                const x1 = Math.min(n - 1, x0 + 1);
+                const wx = fx - x0;
+                const top = src[y0 * n + x0] * (1 - wx) + src[y0 * n + x1] * wx;
+                const bottom = src[y1 * n + x0] * (1 - wx) + src[y1 * n + x1] * wx;
+                out[y * n + x] = top * (1 - wy) + bottom * wy;
+            }
+        }
+        return out;
+    }
+
+    _trackCamera(t, scene, compensated) {
+        const s = this.cameraStats;
+        const dt = s.lastT != null ? Math.min(t - s.lastT, this.CAMERA_GAP_MS) : 0;
+        s.lastT = t;
+        s.frames++;
+        if (compensated) s.compensatedFrames++;
+        const camera = scene && scene.camera;
+        if (!camera || !camera.checked) return;
+        s.checkedMs += dt;
+        if (camera.shaky) s.shakyMs += dt;
+    }
+
+    // ── Lighting ──
+
+    // Brightness gain since the previous crop, and whether it was a sudden
+    // global change. The scene (when it saw enough background) decides the
+    // change and low light; the crop's zones are the fallback.
+    _checkLighting(levels, prevLevels, scene) {
+        const level = levels.reduce((sum, v) => sum + v, 0) / levels.length;
+        let gain = 1;
+        let change = false;
+        if (prevLevels) {
+            const ratios = Array.from(levels, (v, i) => v / Math.max(0.01, prevLevels[i]));
+            gain = ratios.slice().sort((a, b) => a - b)[Math.floor(ratios.length / 2)];
+            const dir = Math.sign(gain - 1);
+            const agreeing = ratios.filter(r => Math.sign(r - 1) === dir && Math.abs(r - 1) > this.LIGHT_CHANGE / 2).length;
+            change = Math.abs(gain - 1) > this.LIGHT_CHANGE && agreeing >= ratios.length * this.LIGHT_AGREE;
+        }
+
+        const global = scene && scene.lighting && scene.lighting.checked ? scene.lighting : null;
+        return {
+            level: Math.round((global ? global.level : level) * 1000) / 1000,
+            gain: Math.round(gain * 1000) / 1000,
+            change: global ? global.change : change,
+            low: global ? global.low : level < this.LOW_LIGHT_LEVEL
+        };
+    }
+
+    // Zone levels at the exposure the dog's rest began with. Auto-exposure
+    // and flicker scale every zone alike; left in, a swing in the breathing
+    // or tremor band reads as the dog. Re-anchored whenever the dog moves,
+    // since the frame-to-frame gain then follows the dog as well as the light.
+    _steadyLevels(levels, bodyState) {
+        if (bodyState !== 'very-still' && bodyState !== 'calm') this.exposure = 1;
+        return levels.map(v => v / this.exposure);
+    }
+
+    _trackLighting(lighting) {
+        const s = this.lightingStats;
+        s.frames++;
+        s.levelSum += lighting.level;
+        if (lighting.low) s.lowFrames++;
+        if (lighting.change && !s.inChange) s.changes++;
+        s.inChange = lighting.change;
+    }
+
+    // The last result again, for a frame left out of the motion statistics
+    _heldResult(lighting) {
+        const last = this.motionHistory[this.motionHistory.length - 1];
+        return { ...(last || this._defaultResult()), lighting, lightingChange: true };
+    }
+
+    /**
+     * @returns {object} { avgLevel, lowLightShare, lowLight, changes } — level and
+     *   share in %; changes counts sudden lighting changes left out of the motion stats
+     */
+    _lightingSummary() {
+        const s = this.lightingStats;
+        const lowLightShare = s.frames > 0 ? Math.round(s.lowFrames / s.frames * 100) : 0;
+        return {
+            avgLevel: s.frames > 0 ? Math.round(s.levelSum / s.frames * 100) : 0,
+            lowLightShare,
+            lowLight: s.frames > 0 && lowLightShare >= this.LOW_LIGHT_SHARE,
+            changes: s.changes
+        };
+    }
+
+    /**
+     * @returns {object} { checked, checkedSec, shakySec, shakyShare, compensatedShare } —
+     *   shares in % of the checked time / analyzed frames
+     */
+    _cameraSummary() {
+        const s = this.cameraStats;
+        return {
+            checked: s.checkedMs > 0,
+            checkedSec: Math.round(s.checkedMs / 1000),
+            shakySec: Math.round(s.shakyMs / 100) / 10,
+            shakyShare: s.checkedMs > 0 ? Math.round(s.shakyMs / s.checkedMs * 100) : 0,
+            compensatedShare: s.frames > 0 ? Math.round(s.compensatedFrames / s.frames * 100) : 0
+        };
+    }
+
+    // Median resting rate over the scan's reliable estimates
+    _respirationSummary() {
+        const s = this.respStats;
+        if (s.estimates === 0) return null;
+        const rates = Object.keys(s.rates).map(Number).sort((a, b) => a - b);
+        let seen = 0;
+        let median = rates[0];
+        for (const rate of rates) {
+            seen += s.rates[rate];
+            if (seen >= s.estimates / 2) {
+                median = rate;
+                break;
+            }
+        }
+        return {
+            rate: median,
+            min: rates[0],
+            max: rates[rates.length - 1],
+            quality: Math.round(s.qualitySum / s.estimates),
+            estimates: s.estimates,
+            measuredSec: Math.round(s.measuredMs / 1000)
+        };
+    }
+
     // ── Pixel-Based Posture Estimation ──
     // Uses the actual brightness distribution of the dog crop to estimate posture.
     // A standing dog has brightness concentrated in the center.
@@ -463,6 +1075,24 @@ class DogVisionAnalyzer {
         return 'slight-motion';
     }
 
+    // ── Time Windows ──
+
+    // History entries from the last `ms` (a frame stands for the interval
+    // around its timestamp — at 30fps a 1000 ms window holds 30 frames)
+    _recentHistory(ms) {
+        const h = this.motionHistory;
+        const now = h.length > 0 ? h[h.length - 1].t : 0;
+        let i = h.length;
+        while (i > 0 && now - h[i - 1].t < ms - this.FRAME_MS / 2) i--;
+        return h.slice(i);
+    }
+
+    // Time covered by the motion history, counting the latest frame
+    _historySpan() {
+        const h = this.motionHistory;
+        return h.length > 0 ? h[h.length - 1].t - h[0].t + this.FRAME_MS : 0;
+    }
+
     // ── Summary for Report ──
     getSummary() {
         if (this.motionHistory.length < 10) {
@@ -473,6 +1103,12 @@ class DogVisionAnalyzer {
                 peakTailWag: 0,
                 avgTension: 0,
                 dominantBodyState: 'unknown',
+                tail: this.tailAnalyzer.getSummary(),
+                head: this.headAnalyzer.getSummary(),
+                respiration: this._respirationSummary(),
+                trembling: this._tremblingSummary(),
+                camera: this._cameraSummary(),
+                lighting: this._lightingSummary(),
                 totalFrames: this.motionHistory.length
             };
         }
@@ -499,6 +1135,12 @@ class DogVisionAnalyzer {
             peakTailWag: peakTail,
             avgTension: Math.round(avgTension),
             dominantBodyState: dominantState,
+            tail: this.tailAnalyzer.getSummary(),
+            head: this.headAnalyzer.getSummary(),
+            respiration: this._respirationSummary(),
+            trembling: this._tremblingSummary(),
+            camera: this._cameraSummary(),
+            lighting: this._lightingSummary(),
             totalFrames: h.length
         };
     }
@@ -506,10 +1148,10 @@ class DogVisionAnalyzer {
     _defaultResult() {
         return {
             overallMotion: 0, microVibration: 0, macroMotion: 0, stillRatio: 1,
-            zones: [], tailWagScore: 0, tensionScore: 0,
-            headActivity: 'still', motionFrequency: 0, breathingDetected: false,
+            zones: [], tailWagScore: 0, tail: null, tensionScore: 0,
+            headActivity: 'still', head: null, motionFrequency: 0, breathingDetected: false, respiration: null, trembling: null,
             pixelEnergy: 0, pixelVibration: 0, pixelFrequency: 0,
-            postureHint: null,
+            postureHint: null, lighting: null,
             bodyState: 'unknown'
         };
     }
@@ -518,10 +1160,26 @@ class DogVisionAnalyzer {
         this.prevFrame = null;
         this.currFrame = null;
         this.motionHistory = [];
+        this.frame = 0;
         this.smoothedOverallMotion = 0;
         this.smoothedMicroVib = 0;
         this.smoothedMacroMotion = 0;
+        this.restingStats = { overallMotion: 0, microVibration: 0, frames: 0 };
+        this.respSignal = [];
+        this.respiration = null;
+        this.respStats = { rates: {}, qualitySum: 0, estimates: 0, measuredMs: 0, lastT: null };
+        this.tremorEpisode = null;
+        this.tremorEpisodes = [];
+        this.tremorStats = { firstT: null, lastT: null, checkedMs: 0, cameraShakeMs: 0, episodeCount: 0, totalMs: 0, longestMs: 0 };
+        this.prevCamera = null;
+        this.cameraStats = { lastT: null, checkedMs: 0, shakyMs: 0, frames: 0, compensatedFrames: 0 };
+        this.prevLevels = null;
+        this.exposure = 1;
+        this.lightingStats = { frames: 0, levelSum: 0, lowFrames: 0, changes: 0, inChange: false };
+        this.tremorAnalyzer.clearAll();
+        this.tailAnalyzer.clearAll();
+        this.headAnalyzer.clearAll();
     }
 }
 
-window.DogVisionAnalyzer = DogVisionAnalyzer;
+ModuleRegistry.expose('DogVisionAnalyzer', DogVisionAnalyzer, typeof module !== 'undefined' ? module : null);
@@ -17,6 +17,8 @@
    Where V = vibration amplitude, F = frequency, k = 369 constant
    ============================================ */
 
+var ModuleRegistry = ModuleRegistry || require('./module-registry.js');
+
 class Engine369 {
     constructor() {
         // 369 Constants
@@ -508,4 +510,4 @@ class Engine369 {
     }
 }
 
-window.Engine369 = Engine369;
+ModuleRegistry.expose('Engine369', Engine369, typeof module !== 'undefined' ? module : null);
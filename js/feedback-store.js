@@ -0,0 +1,244 @@
+/* ============================================
+   FEEDBACK STORE — Owner-Labeled Ground Truth
+
+   The owner is the only one who knows what the dog was
+   really feeling. Each rating is one labeled example:
+
+   - translation: a live CanineTranslator message, with the
+                  frame features that produced it
+   - behavior:    the final ScanReportAgent behavior state,
+                  with the scan-level features behind it
+
+   Thumbs up = the prediction is the label. Thumbs down
+   carries the owner's correct label instead.
+
+   Every record notes the DogEmotionEngine RULES_VERSION in
+   force, so accuracy per emotion code can be compared before
+   and after a rule change to _assessEmotion.
+   ============================================ */
+
+var ModuleRegistry = ModuleRegistry || require('./module-registry.js');
+
+class FeedbackStore {
+    /**
+     * @param {LocalDB} db - Shared database (a new LocalDB if omitted)
+     */
+    constructor(db) {
+        this.db = db || new LocalDB();
+        this.STORE = 'feedback';
+
+        // Labels the owner can pick from
+        this.EMOTIONS = ['happy', 'excited', 'playful', 'calm', 'anxious', 'stressed',
+            'fearful', 'aggressive', 'alert', 'sad', 'curious'];
+        this.BEHAVIOR_STATES = {
+            sleeping: 'Sleeping / Deep Rest',
+            resting: 'Resting',
+            'alert-watching': 'Alert & Watching',
+            'calm-standing': 'Calm & Standing',
+            active: 'Active & Moving'
+        };
+    }
+
+    // ── Recording ──
+
+    /**
+     * Rate a live translation.
+     *
+     * @param {object} translation - CanineTranslator.translate() result
+     * @param {string|null} correctEmotion - null = thumbs up, else the owner's label
+     * @param {object} context - { features, rulesVersion, scanTime, dogId }
+     * @returns {Promise<number>} Feedback id
+     */
+    rateTranslation(translation, correctEmotion, context = {}) {
+        const predicted = translation.code.split('-')[0];
+        return this._save({
+            kind: 'translation',
+            predicted,
+            code: translation.code,
+            message: translation.message,
+            confidence: translation.confidence,
+            label: correctEmotion || predicted,
+            context
+        });
+    }
+
+    /**
+     * Rate a scan's final behavior state.
+     *
+     * @param {object} results - Report shown (ScanPipeline.complete() shape)
+     * @param {string|null} correctState - null = thumbs up, else the owner's label
+     * @param {object} context - { scanTimestamp, dogId }
+     * @returns {Promise<number>} Feedback id
+     */
+    rateBehavior(results, correctState, context = {}) {
+        const behavior = (results.agentReport && results.agentReport.behaviorState) || {};
+        const predicted = behavior.state || 'unknown';
+        return this._save({
+            kind: 'behavior',
+            predicted,
+            code: predicted,
+            message: behavior.label || '',
+            confidence: behavior.confidence || 0,
+            label: correctState || predicted,
+            context: {
+                ...context,
+                features: this.scanFeatures(results),
+                rulesVersion: results.emotionReport ? results.emotionReport.rulesVersion : null
+            }
+        });
+    }
+
+    _save({ kind, predicted, code, message, confidence, label, context }) {
+        return this.db.put(this.STORE, {
+            timestamp: Date.now(),
+            kind,
+            predicted,
+            code,
+            message,
+            confidence,
+            label,
+            correct: label === predicted,
+            rulesVersion: context.rulesVersion != null ? context.rulesVersion : null,
+            scanTimestamp: context.scanTimestamp || null,
+            scanTime: context.scanTime != null ? context.scanTime : null,  // ms into a live scan
+            dogId: context.dogId != null ? context.dogId : null,
+            features: context.features || null
+        });
+    }
+
+    // ── Features ──
+
+    /**
+     * Snapshot of one frame's engine inputs — what the rules saw.
+     *
+     * @param {object} frame - ScanPipeline.processFrame() result
+     * @returns {object}
+     */
+    frameFeatures(frame) {
+        const e = frame.emotionAssess || {};
+        const b = frame.barkAssess;
+        const p = frame.pixelData;
+        const m = frame.completion && frame.completion.metrics;
+        return {
+            emotion: {
+                primary: e.primary,
+                secondary: e.secondary,
+                confidence: e.confidence,
+                intensity: e.intensity,
+                scores: { ...(e.scores || {}) },
+                posture: e.posture,
+                movement: { ...(e.movement || {}) },
+                patterns: { ...(e.patterns || {}) },
+                actions: (e.activeActions || []).map(a => a.action)
+            },
+            bark: b ? {
+                isVocalizing: b.isVocalizing,
+                currentType: b.currentType,
+                dominantType: b.dominantType,
+                barkRate: b.barkRate,
+                avgPitch: b.avgPitch,
+                intensity: b.intensity
+            } : null,
+            pixel: p ? {
+                overallMotion: p.overallMotion,
+                microVibration: p.microVibration,
+                macroMotion: p.macroMotion,
+                tailWagScore: p.tailWagScore,
+                tensionScore: p.tensionScore,
+                tail: p.tail ? { carriage: p.tail.carriage, wagBias: p.tail.wagBias, valence: p.tail.valence } : null,
+                head: p.head ? { earCarriage: p.head.earCarriage, mouth: p.head.mouth, panting: p.head.panting } : null,
+                bodyState: p.bodyState
+            } : null,
+            energy: m ? { energy: m.energy, vibrationLevel: m.vibrationLevel, alignment369: m.alignment369 } : null
+        };
+    }
+
+    /**
+     * Scan-level summary the behavior state was decided from.
+     *
+     * @param {object} results - ScanPipeline.complete() shape
+     * @returns {object}
+     */
+    scanFeatures(results) {
+        const e = results.emotionReport || {};
+        const bark = results.barkReport;
+        const v = results.visionSummary;
+        return {
+            framesAnalyzed: e.framesAnalyzed || 0,
+            dominantEmotion: e.dominantEmotion,
+            emotionDistribution: { ...(e.emotionDistribution || {}) },
+            posture: e.posture ? { current: e.posture.current, distribution: { ...e.posture.distribution } } : null,
+            movement: { ...(e.movement || {}) },
+            patterns: { ...(e.patterns || {}) },
+            barks: bark && bark.barks ? bark.barks.total : 0,
+            vision: v ? {
+                avgOverallMotion: v.avgOverallMotion,
+                avgMicroVibration: v.avgMicroVibration,
+                avgTension: v.avgTension,
+                dominantBodyState: v.dominantBodyState
+            } : null
+        };
+    }
+
+    // ── Accuracy ──
+
+    list() {
+        return this.db.getAllByIndex(this.STORE, 'timestamp');
+    }
+
+    clear() {
+        return this.db.clear(this.STORE);
+    }
+
+    /**
+     * Accuracy per predicted label, from feedback records.
+     *
+     * @param {Array} records - Feedback records (list())
+     * @param {object} filter - { rulesVersion } to limit to one rule set
+     * @returns {object} { total, rulesVersions, translation: [...], behavior: [...] } —
+     *   rows { label, rated, correct, accuracy, codes: { code: { rated, correct } },
+     *   confusions: [{ label, count }] }, most-rated first
+     */
+    accuracy(records, filter = {}) {
+        const rulesVersions = [...new Set(records.map(r => r.rulesVersion))]
+            .sort((a, b) => (a == null ? Infinity : a) - (b == null ? Infinity : b)); // unversioned last
+        const rated = filter.rulesVersion !== undefined
+            ? records.filter(r => r.rulesVersion === filter.rulesVersion)
+            : records;
+
+        return {
+            total: rated.length,
+            rulesVersions,
+            translation: this._accuracyRows(rated.filter(r => r.kind === 'translation')),
+            behavior: this._accuracyRows(rated.filter(r => r.kind === 'behavior'))
+        };
+    }
+
+    _accuracyRows(records) {
+        const rows = {};
+        records.forEach(r => {
+            const row = rows[r.predicted] || (rows[r.predicted] = { label: r.predicted, rated: 0, correct: 0, codes: {}, wrongAs: {} });
+            const code = row.codes[r.code] || (row.codes[r.code] = { rated: 0, correct: 0 });
+            row.rated++;
+            code.rated++;
+            if (r.correct) {
+                row.correct++;
+                code.correct++;
+            } else {
+                row.wrongAs[r.label] = (row.wrongAs[r.label] || 0) + 1;
+            }
+        });
+
+        return Object.values(rows)
+            .map(({ wrongAs, ...row }) => ({
+                ...row,
+                accuracy: Math.round((row.correct / row.rated) * 100),
+                confusions: Object.entries(wrongAs)
+                    .map(([label, count]) => ({ label, count }))
+                    .sort((a, b) => b.count - a.count)
+            }))
+            .sort((a, b) => b.rated - a.rated || a.label.localeCompare(b.label));
+    }
+}
+
+ModuleRegistry.expose('FeedbackStore', FeedbackStore, typeof module !== 'undefined' ? module : null);
@@ -0,0 +1,146 @@
+/* ============================================
+   FRAME WORKER CLIENT — Main-Thread Side of the FrameWorker
+
+   Hands video frames to the FrameWorker (js/frame-worker.js)
+   as transferred ImageBitmaps and gets back the detections
+   and dog crops, so the main thread only runs the engines
+   and draws overlays and panels.
+
+   Frame dropping:
+   - At most MAX_IN_FLIGHT frames are with the worker. A frame
+     offered while the worker is still busy is dropped before
+     any capture — the next one offered after it finishes is
+     always the freshest video frame, never a queued old one
+   - A result that comes back more than STALE_MS after its
+     frame was captured is still analyzed (the engines need
+     every frame they were promised) but counted as late, so
+     a phone that can't keep up shows in the stats
+
+   Falls back to the main-thread detector when workers,
+   OffscreenCanvas or createImageBitmap are unavailable or
+   the worker fails to load (see isSupported()).
+   ============================================ */
+
+var ModuleRegistry = ModuleRegistry || require('./module-registry.js');
+
+class FrameWorkerClient {
+    /**
+     * @param {object} options - { url, createWorker(url), createBitmap(source) } —
+     *   injectable worker factory and frame capture (headless use/testing)
+     */
+    constructor(options = {}) {
+        this.MAX_IN_FLIGHT = 1;
+        this.STALE_MS = 500;
+
+        this.url = options.url || 'js/frame-worker.js?v=3';
+        this.createWorker = options.createWorker || (url => new Worker(url));
+        this.createBitmap = options.createBitmap || (source => createImageBitmap(source));
+
+        this.worker = null;
+        this.nextId = 1;
+        this.pending = new Map();   // message id → { resolve, reject }
+        this.inFlight = 0;
+        this.stats = { submitted: 0, processed: 0, dropped: 0, late: 0 };
+    }
+
+    static isSupported() {
+        return typeof Worker !== 'undefined' &&
+            typeof OffscreenCanvas !== 'undefined' &&
+            typeof createImageBitmap !== 'undefined';
+    }
+
+    get busy() {
+        return this.inFlight >= this.MAX_IN_FLIGHT;
+    }
+
+    /**
+     * Load a detector backend in the worker and make `detector` (a
+     * main-thread instance of the same backend) stand in for it.
+     *
+     * @param {DogDetector} detector - Not loaded; adopts the worker model's settings
+     * @returns {Promise<DogDetector>}
+     */
+    async load(detector) {
+        if (!this.worker) {
+            this.worker = this.createWorker(this.url);
+            this.worker.onmessage = (e) => this._onMessage(e.data);
+            this.worker.onerror = (e) => this._failAll(new Error(e.message || 'Frame worker error'));
+        }
+        const loaded = await this._request({ type: 'load', detectorId: detector.id });
+        detector.adopt(loaded);
+        return detector;
+    }
+
+    /**
+     * Offer one video frame. Dropped (resolves null, nothing captured)
+     * when the worker is still busy with an earlier frame.
+     *
+     * @param {HTMLVideoElement} source - The live video
+     * @param {number} timestamp - Frame time (ms, performance.now())
+     * @param {Array} boxes - ScanPipeline.trackBoxes()
+     * @returns {Promise<object|null>} { timestamp, predictions, crops, scene, frameSize } or null if dropped
+     */
+    async process(source, timestamp, boxes = []) {
+        if (this.busy) {
+            this.stats.dropped++;
+            return null;
+        }
+        this.inFlight++;
+        this.stats.submitted++;
+        try {
+            const bitmap = await this.createBitmap(source);
+            const result = await this._request({ type: 'frame', bitmap, boxes }, [bitmap]);
+            this.stats.processed++;
+            if (this._now() - timestamp > this.STALE_MS) this.stats.late++;
+            return { timestamp, predictions: result.predictions, crops: result.crops, scene: result.scene, frameSize: result.frameSize };
+        } finally {
+            this.inFlight--;
+        }
+    }
+
+    /**
+     * @returns {object} { submitted, processed, dropped, late } since the last reset
+     */
+    getStats() {
+        return { ...this.stats };
+    }
+
+    resetStats() {
+        this.stats = { submitted: 0, processed: 0, dropped: 0, late: 0 };
+    }
+
+    dispose() {
+        if (this.worker) this.worker.terminate();
+        this.worker = null;
+        this._failAll(new Error('Frame worker disposed'));
+    }
+
+    // ── Messaging ──
+
+    _request(msg, transfer = []) {
+        const id = this.nextId++;
+        return new Promise((resolve, reject) => {
+            this.pending.set(id, { resolve, reject });
+            this.worker.postMessage({ ...msg, id }, transfer);
+        });
+    }
+
+    _onMessage(msg) {
+        const entry = this.pending.get(msg.id);
+        if (!entry) return;
+        this.pending.delete(msg.id);
+        if (msg.type === 'error') entry.reject(new Error(msg.message));
+        else entry.resolve(msg);
+    }
+
+    _failAll(err) {
+        this.pending.forEach(entry => entry.reject(err));
+        this.pending.clear();
+    }
+
+    _now() {
+        return typeof performance !== 'undefined' ? performance.now() : Date.now();
+    }
+}
+
+ModuleRegistry.expose('FrameWorkerClient', FrameWorkerClient, typeof module !== 'undefined' ? module : null);
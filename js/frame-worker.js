@@ -0,0 +1,144 @@
+/* ============================================
+   FRAME WORKER — Detection + Crop Capture Off the Main Thread
+
+   Runs in a Web Worker so the two expensive steps of every
+   frame never stall the UI:
+
+   - Object detection (COCO-SSD, custom or mock backend —
+     the same DogDetector backends the main thread uses)
+   - Crop capture: drawImage + getImageData of each dog box
+     into the 64x64 grayscale crop, on an OffscreenCanvas
+   - Scene capture: the 48x36 grayscale whole-frame thumbnail
+     the SceneMotionAnalyzer checks for camera shake
+
+   Frames arrive as transferred ImageBitmaps. Crops are taken
+   for every box a track could hold this frame — the dog
+   detections plus the boxes of tracks that may coast on
+   their last box — so the main thread can run DogTracker and
+   still find a crop for each track in one round trip.
+
+   The per-dog pixel-diff analysis (analyzeCrop) stays with
+   each dog's DogVisionAnalyzer in ScanPipeline, on the main
+   thread: its state follows DogTracker IDs, which only exist
+   after this worker answers, and complete() reads it
+   synchronously; it must also run identically on replayed
+   crops. On the 64x64 crop it costs about a quarter of a
+   millisecond per dog — the stutter was the video readback
+   and detection, which are here.
+
+   Messages:
+     in:  { type: 'load', id, detectorId }
+          { type: 'frame', id, bitmap, boxes }
+     out: { type: 'loaded', id, info, selection }
+          { type: 'result', id, predictions, crops: [{ bbox, crop }], scene, frameSize }
+          { type: 'error', id, message }
+
+   Loaded with new Worker() (FrameWorkerClient). Node:
+   CommonJS module so the frame handling can be run headless.
+   ============================================ */
+
+class FrameWorkerHost {
+    /**
+     * @param {object} options - { cropper } — anything with
+     *   captureCrop(source, box) (default: a DogVisionAnalyzer on an OffscreenCanvas),
+     *   { sceneCapture } — anything with captureScene(source) (default: a
+     *   SceneMotionAnalyzer on an OffscreenCanvas)
+     */
+    constructor(options = {}) {
+        this.detector = null;
+        this.cropper = options.cropper || new DogVisionAnalyzer({
+            createCanvas: () => new OffscreenCanvas(1, 1)
+        });
+        this.sceneCapture = options.sceneCapture || new SceneMotionAnalyzer({
+            createCanvas: () => new OffscreenCanvas(1, 1)
+        });
+    }
+
+    /**
+     * Load a detector backend, replacing the current one.
+     *
+     * @param {string} detectorId - Key of DogDetector.BACKENDS
+     * @returns {Promise<object>} { info, selection } for the main-thread detector
+     */
+    async load(detectorId) {
+        const next = DogDetector.create(detectorId);
+        await next.load();
+        if (this.detector) this.detector.dispose();
+        this.detector = next;
+        return { info: next.info(), selection: next.selectionSettings() };
+    }
+
+    /**
+     * Detect dogs in one frame and crop every box a track could use.
+     *
+     * @param {ImageBitmap} bitmap - The video frame (closed when done)
+     * @param {Array} boxes - [x, y, w, h] boxes of tracks that may coast this frame
+     * @returns {Promise<object>} { predictions, crops: [{ bbox, crop }], scene, frameSize }
+     */
+    async processFrame(bitmap, boxes = []) {
+        try {
+            const predictions = await this.detector.detect(bitmap);
+            const candidates = this.detector.selectDogs(predictions).map(p => p.bbox).concat(boxes);
+
+            const seen = new Set();
+            const crops = [];
+            candidates.forEach(bbox => {
+                const key = bbox.join(',');
+                if (seen.has(key)) return;
+                seen.add(key);
+                const [x, y, width, height] = bbox;
+                crops.push({ bbox, crop: this.cropper.captureCrop(bitmap, { x, y, width, height }) });
+            });
+            const scene = this.sceneCapture.captureScene(bitmap);
+            return { predictions, crops, scene, frameSize: [bitmap.width, bitmap.height] };
+        } finally {
+            if (bitmap && bitmap.close) bitmap.close();
+        }
+    }
+
+    /**
+     * Handle one message from the main thread.
+     *
+     * @param {object} msg
+     * @returns {Promise<object>} { reply, transfer }
+     */
+    async handle(msg) {
+        try {
+            if (msg.type === 'load') {
+                const loaded = await this.load(msg.detectorId);
+                return { reply: { type: 'loaded', id: msg.id, ...loaded }, transfer: [] };
+            }
+            if (msg.type === 'frame') {
+                if (!this.detector) throw new Error('No detector loaded');
+                const { predictions, crops, scene, frameSize } = await this.processFrame(msg.bitmap, msg.boxes);
+                const transfer = crops.filter(c => c.crop).map(c => c.crop.buffer);
+                if (scene) transfer.push(scene.buffer);
+                return { reply: { type: 'result', id: msg.id, predictions, crops, scene, frameSize }, transfer };
+            }
+            throw new Error(`Unknown message "${msg.type}"`);
+        } catch (err) {
+            return { reply: { type: 'error', id: msg.id, message: err.message }, transfer: [] };
+        }
+    }
+}
+
+// Worker: load the detector backends and serve frames. Node: CommonJS module (headless use/testing).
+if (typeof window === 'undefined' && typeof importScripts === 'function') {
+    importScripts(
+        'https://cdn.jsdelivr.net/npm/@tensorflow/tfjs@4.10.0/dist/tf.min.js',
+        'https://cdn.jsdelivr.net/npm/@tensorflow-models/coco-ssd@2.2.3/dist/coco-ssd.min.js',
+        'module-registry.js?v=3',
+        'dog-detector.js?v=3',
+        'dog-tail-analyzer.js?v=3',
+        'dog-head-analyzer.js?v=3',
+        'tremor-analyzer.js?v=3',
+        'dog-vision-analyzer.js?v=3',
+        'scene-motion-analyzer.js?v=3'
+    );
+    const host = new FrameWorkerHost();
+    self.onmessage = async (e) => {
+        const { reply, transfer } = await host.handle(e.data);
+        self.postMessage(reply, transfer);
+    };
+}
+if (typeof module !== 'undefined' && module.exports) module.exports = FrameWorkerHost;
@@ -0,0 +1,146 @@
+/* ============================================
+   LOCAL DB — IndexedDB Storage
+
+   Promise-based wrapper around the app's single IndexedDB
+   database. Everything stays on the device: no server,
+   no network, survives reloads.
+
+   Object stores:
+   - scans: completed scan records (ScanHistoryStore)
+   - dogs: dog profiles + learned baselines (DogProfileStore)
+   - clips: key-moment video clips, by scan (ScanHistoryStore)
+   - feedback: owner ratings of translations/states (FeedbackStore)
+
+   Schema changes go in _upgrade(), keyed on the previous
+   version, and bump VERSION.
+   ============================================ */
+
+var ModuleRegistry = ModuleRegistry || require('./module-registry.js');
+
+class LocalDB {
+    constructor(name = 'microsenses-mini-dogs') {
+        this.name = name;
+        this.VERSION = 4;
+        this._dbPromise = null;
+    }
+
+    static isSupported() {
+        return typeof indexedDB !== 'undefined';
+    }
+
+    /**
+     * Open (and upgrade if needed) the database. Cached after first call.
+     * @returns {Promise<IDBDatabase>}
+     */
+    open() {
+        if (this._dbPromise) return this._dbPromise;
+
+        this._dbPromise = new Promise((resolve, reject) => {
+            if (!LocalDB.isSupported()) {
+                reject(new Error('IndexedDB is not available in this browser'));
+                return;
+            }
+
+            const request = indexedDB.open(this.name, this.VERSION);
+            request.onupgradeneeded = (e) => this._upgrade(request.result, e.oldVersion, request.transaction);
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+            request.onblocked = () => reject(new Error('Database upgrade blocked — close other tabs of this app'));
+        });
+
+        // Allow a retry after a failed open
+        this._dbPromise.catch(() => { this._dbPromise = null; });
+        return this._dbPromise;
+    }
+
+    // ── Schema ──
+
+    _upgrade(db, oldVersion, tx) {
+        if (oldVersion < 1) {
+            const scans = db.createObjectStore('scans', { keyPath: 'id', autoIncrement: true });
+            scans.createIndex('timestamp', 'timestamp');
+        }
+        if (oldVersion < 2) {
+            db.createObjectStore('dogs', { keyPath: 'id', autoIncrement: true });
+            tx.objectStore('scans').createIndex('dogId', 'dogId');
+        }
+        if (oldVersion < 3) {
+            const clips = db.createObjectStore('clips', { keyPath: 'id', autoIncrement: true });
+            clips.createIndex('scanId', 'scanId');
+        }
+        if (oldVersion < 4) {
+            const feedback = db.createObjectStore('feedback', { keyPath: 'id', autoIncrement: true });
+            feedback.createIndex('timestamp', 'timestamp');
+        }
+    }
+
+    // ── Basic Operations ──
+
+    async put(storeName, value) {
+        const store = await this._store(storeName, 'readwrite');
+        return this._request(store.put(value));
+    }
+
+    async get(storeName, key) {
+        const store = await this._store(storeName, 'readonly');
+        return this._request(store.get(key));
+    }
+
+    async getAll(storeName) {
+        const store = await this._store(storeName, 'readonly');
+        return this._request(store.getAll());
+    }
+
+    async delete(storeName, key) {
+        const store = await this._store(storeName, 'readwrite');
+        return this._request(store.delete(key));
+    }
+
+    async clear(storeName) {
+        const store = await this._store(storeName, 'readwrite');
+        return this._request(store.clear());
+    }
+
+    /**
+     * Read records through an index, optionally bounded by a key range.
+     *
+     * @param {string} storeName
+     * @param {string} indexName
+     * @param {IDBKeyRange|null} range
+     * @param {string} direction - 'next' (ascending) or 'prev' (descending)
+     * @returns {Promise<Array>}
+     */
+    async getAllByIndex(storeName, indexName, range = null, direction = 'next') {
+        const store = await this._store(storeName, 'readonly');
+        return new Promise((resolve, reject) => {
+            const results = [];
+            const request = store.index(indexName).openCursor(range, direction);
+            request.onsuccess = () => {
+                const cursor = request.result;
+                if (cursor) {
+                    results.push(cursor.value);
+                    cursor.continue();
+                } else {
+                    resolve(results);
+                }
+            };
+            request.onerror = () => reject(request.error);
+        });
+    }
+
+    // ── Utility ──
+
+    async _store(storeName, mode) {
+        const db = await this.open();
+        return db.transaction(storeName, mode).objectStore(storeName);
+    }
+
+    _request(request) {
+        return new Promise((resolve, reject) => {
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+    }
+}
+
+ModuleRegistry.expose('LocalDB', LocalDB, typeof module !== 'undefined' ? module : null);
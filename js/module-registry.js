@@ -0,0 +1,51 @@
+/* ============================================
+   MODULE REGISTRY — Publishing and Finding Engine Classes
+
+   Every engine file is loaded one of three ways:
+   - Browser: a <script> tag, the class becomes a global
+   - Frame worker: importScripts(), same as the browser
+   - Node: require(), the file is a CommonJS module
+     (headless use/testing)
+
+   expose() publishes a class for whichever of these loaded
+   its file; resolve() finds a sibling class the same way.
+   Each file picks the registry up with
+
+       var ModuleRegistry = ModuleRegistry || require('./module-registry.js');
+
+   — var, not const: browser scripts share one global scope,
+   so the line just re-binds the global this file published.
+   Load this file before any other engine script.
+   ============================================ */
+
+var ModuleRegistry = {
+    /**
+     * Publish a class for the environment that loaded its file.
+     *
+     * @param {string} name - Global name (browser/worker)
+     * @param {*} value - The class (or object) to publish
+     * @param {object|null} mod - The file's CommonJS module, null outside Node
+     * @returns {*} value
+     */
+    expose(name, value, mod) {
+        if (mod && mod.exports) mod.exports = value;
+        else globalThis[name] = value;
+        return value;
+    },
+
+    /**
+     * Find a sibling class: the global its file published, or its
+     * CommonJS module under Node.
+     *
+     * @param {string} name - Global name
+     * @param {string} file - File name next to this one, e.g. 'dog-tracker.js'
+     * @returns {*} The class, or null when neither is available
+     */
+    resolve(name, file) {
+        if (globalThis[name]) return globalThis[name];
+        if (typeof require === 'function') return require('./' + file);
+        return null;
+    }
+};
+
+ModuleRegistry.expose('ModuleRegistry', ModuleRegistry, typeof module !== 'undefined' ? module : null);
@@ -0,0 +1,400 @@
+/* ============================================
+   MONITORING SESSION — Hours-Long Separation Monitoring
+
+   The engines only keep the last seconds of history, so a
+   scan report describes the end of a scan. For a phone left
+   pointed at a crate for hours, this rolls every analyzed
+   frame up into bounded-memory aggregates instead:
+
+   - Per-minute summaries: barks by type, whining, howling
+     and pacing time, time in view, emotion distribution,
+     time in distress (MAX_MINUTES kept; totals cover all)
+   - Distress episodes: runs of barking, whining, howling,
+     pacing or a distressed emotion, closed after
+     EPISODE_END_MS of quiet (MAX_EPISODES kept)
+
+   fullReport() turns these into a separation-anxiety report
+   with an evidence chain from CanineScienceDB. Timing
+   follows Lund & Jørgensen (1999): separation problems show
+   mostly in the first 30 minutes after the owner leaves.
+
+   An observation aid, not a diagnosis — the report says so.
+   ============================================ */
+
+var ModuleRegistry = ModuleRegistry || require('./module-registry.js');
+
+class MonitoringSession {
+    /**
+     * @param {object} options - { barkEngine } whose barks are counted,
+     *   { scienceDB } to inject a database instance (or null for no evidence chain)
+     */
+    constructor(options = {}) {
+        this.barkEngine = options.barkEngine || null;
+        this.scienceDB = options.scienceDB !== undefined ? options.scienceDB : this._createScienceDB();
+
+        this.MINUTE_MS = 60000;
+        this.MAX_MINUTES = 24 * 60;         // a day of per-minute summaries
+        this.MAX_EPISODES = 200;
+        this.MAX_GAP_MS = 2000;             // longer frame gaps (tab hidden, stalls) count as this much
+
+        // Distress episodes
+        this.EPISODE_END_MS = 60000;        // quiet this long ends an episode
+        this.EPISODE_MIN_MS = 10000;        // shorter flurries are logged only with EPISODE_MIN_BARKS
+        this.EPISODE_MIN_BARKS = 3;
+        this.DISTRESS_EMOTIONS = ['anxious', 'stressed', 'fearful'];
+        this.DISTRESS_EMOTION_MIN_CONFIDENCE = 40;
+        this.BARKING_MIN_RECENT = 2;        // barks in BarkAnalysisEngine's 3 s window
+        this.PACING_MIN = 3;                // direction reversals (DogEmotionEngine pacing pattern)
+
+        // Report
+        this.EARLY_MS = 30 * 60000;         // Lund & Jørgensen (1999) — first 30 minutes
+        this.SETTLED_MINUTES = 5;           // this many calm minutes in a row = settled
+        this.MIN_REPORT_MS = 20 * 60000;    // shorter sessions get a caveat
+
+        this.clearAll();
+    }
+
+    clearAll() {
+        this.startTime = null;
+        this.now = null;
+        this.lastBarkEndMs = -Infinity;
+        this.frames = 0;
+
+        this.minute = null;         // the minute being filled
+        this.minutes = [];          // finished per-minute summaries
+        this.droppedMinutes = 0;
+        this.totals = this._emptyBucket();
+
+        this.episode = null;        // the episode in progress
+        this.episodes = [];
+        this.episodeCount = 0;
+        this.firstEpisodeMs = null;
+        this.earlyDistressMs = 0;
+    }
+
+    /**
+     * Feed one analyzed frame.
+     *
+     * @param {object} frame - ScanPipeline.processFrame() output
+     * @param {number} timestamp - The frame's time (ms, performance.now())
+     */
+    addFrame(frame, timestamp) {
+        if (this.startTime == null) this.startTime = timestamp;
+        const dt = this.now != null ? Math.min(this.MAX_GAP_MS, Math.max(0, timestamp - this.now)) : 0;
+        this.now = timestamp;
+        this.frames++;
+
+        const index = Math.floor((timestamp - this.startTime) / this.MINUTE_MS);
+        if (!this.minute || this.minute.minute !== index) {
+            if (this.minute) this._finishMinute();
+            this.minute = { minute: index, ...this._emptyBucket() };
+        }
+
+        const barks = this.barkEngine ? this.barkEngine.barksSince(this.lastBarkEndMs) : [];
+        if (barks.length > 0) this.lastBarkEndMs = barks[barks.length - 1].endMs;
+
+        const signals = this._distressSignals(frame);
+        const sample = {
+            dt,
+            barks,
+            vocalType: frame.barkAssess ? frame.barkAssess.currentType : 'silent',
+            pacing: signals.includes('pacing'),
+            visible: !!frame.dog,
+            emotion: frame.dog && frame.emotionAssess ? frame.emotionAssess.primary : null,
+            distress: signals.length > 0
+        };
+        this._accumulate(this.minute, sample);
+        this._accumulate(this.totals, sample);
+        if (sample.distress && timestamp - this.startTime < this.EARLY_MS) this.earlyDistressMs += dt;
+
+        this._trackEpisode(timestamp, signals, sample);
+    }
+
+    /**
+     * @returns {object} Separation-anxiety report: { durationMin, frames, totals,
+     *   emotionDistribution, minutes, droppedMinutes, episodes, episodeCount,
+     *   firstEpisodeMin, longestEpisodeMin, earlyDistressPct, settledAfterMin,
+     *   assessment, evidenceChain, recommendations, caveats }
+     */
+    fullReport() {
+        const durationMs = this.startTime != null ? this.now - this.startTime : 0;
+        const minutes = this.minutes.slice();
+        if (this.minute) minutes.push(this._summarizeBucket(this.minute));
+        const episodes = this.episodes.slice();
+        const open = this.episode && this._isEpisode(this.episode) ? this.episode : null;
+        if (open) episodes.push(this._summarizeEpisode(open));
+        const episodeCount = this.episodeCount + (open ? 1 : 0);
+        const firstEpisodeMs = this.firstEpisodeMs != null ? this.firstEpisodeMs
+            : open ? open.start - this.startTime : null;
+
+        const t = this.totals;
+        const distressPct = durationMs > 0 ? Math.round((t.distressMs / durationMs) * 100) : 0;
+        const emotionDistribution = {};
+        Object.entries(t.emotions).forEach(([emotion, ms]) => {
+            emotionDistribution[emotion] = t.visibleMs > 0 ? Math.round((ms / t.visibleMs) * 100) : 0;
+        });
+
+        const report = {
+            durationMin: this._min(durationMs),
+            frames: this.frames,
+            totals: {
+                barks: t.barks,
+                barkTypes: { ...t.barkTypes },
+                whineMin: this._min(t.whineMs),
+                howlMin: this._min(t.howlMs),
+                pacingMin: this._min(t.pacingMs),
+                distressMin: this._min(t.distressMs),
+                distressPct,
+                visiblePct: durationMs > 0 ? Math.round((t.visibleMs / durationMs) * 100) : 0
+            },
+            emotionDistribution,
+            minutes,
+            droppedMinutes: this.droppedMinutes,
+            episodes,
+            episodeCount,
+            firstEpisodeMin: firstEpisodeMs != null ? this._min(firstEpisodeMs) : null,
+            longestEpisodeMin: episodes.length > 0 ? Math.max(...episodes.map(e => e.durationMin)) : 0,
+            earlyDistressPct: t.distressMs > 0 ? Math.round((this.earlyDistressMs / t.distressMs) * 100) : 0,
+            settledAfterMin: this._settledAfter(minutes),
+            caveats: []
+        };
+
+        report.assessment = this._assess(report);
+        report.evidenceChain = this._evidenceChain(report);
+        report.recommendations = this._recommendations(report);
+        if (durationMs < this.MIN_REPORT_MS) {
+            report.caveats.push(`Only ${report.durationMin} minutes monitored — separation problems show mostly in the first 30 minutes alone (Lund & Jørgensen, 1999), so monitor at least that long.`);
+        }
+        if (report.totals.visiblePct < 50 && durationMs > 0) {
+            report.caveats.push(`The dog was in view only ${report.totals.visiblePct}% of the time — pacing and body language out of view were not measured.`);
+        }
+        if (this.droppedMinutes > 0) {
+            report.caveats.push(`Per-minute detail covers the last ${this.MAX_MINUTES / 60} hours; totals cover the whole session.`);
+        }
+        report.caveats.push('An observation aid, not a diagnosis. For separation problems, talk to your veterinarian or a certified behaviorist.');
+        return report;
+    }
+
+    // ── Aggregation ──
+
+    _emptyBucket() {
+        return { barks: 0, barkTypes: {}, whineMs: 0, howlMs: 0, pacingMs: 0, visibleMs: 0, distressMs: 0, emotions: {} };
+    }
+
+    _accumulate(bucket, sample) {
+        bucket.barks += sample.barks.length;
+        sample.barks.forEach(b => { bucket.barkTypes[b.type] = (bucket.barkTypes[b.type] || 0) + 1; });
+        if (sample.vocalType === 'whine') bucket.whineMs += sample.dt;
+        if (sample.vocalType === 'howl') bucket.howlMs += sample.dt;
+        if (sample.pacing) bucket.pacingMs += sample.dt;
+        if (sample.visible) bucket.visibleMs += sample.dt;
+        if (sample.distress) bucket.distressMs += sample.dt;
+        if (sample.emotion) bucket.emotions[sample.emotion] = (bucket.emotions[sample.emotion] || 0) + sample.dt;
+    }
+
+    _finishMinute() {
+        this.minutes.push(this._summarizeBucket(this.minute));
+        if (this.minutes.length > this.MAX_MINUTES) {
+            this.minutes.shift();
+            this.droppedMinutes++;
+        }
+    }
+
+    // Seconds, rounded — what the report and the history store keep
+    _summarizeBucket(bucket) {
+        const sec = ms => Math.round(ms / 1000);
+        const emotions = {};
+        Object.entries(bucket.emotions).forEach(([emotion, ms]) => { emotions[emotion] = sec(ms); });
+        const dominant = Object.entries(bucket.emotions).sort((a, b) => b[1] - a[1])[0];
+        return {
+            minute: bucket.minute,
+            barks: bucket.barks,
+            barkTypes: { ...bucket.barkTypes },
+            whineSec: sec(bucket.whineMs),
+            howlSec: sec(bucket.howlMs),
+            pacingSec: sec(bucket.pacingMs),
+            visibleSec: sec(bucket.visibleMs),
+            distressSec: sec(bucket.distressMs),
+            emotions,
+            dominantEmotion: dominant ? dominant[0] : null
+        };
+    }
+
+    // ── Distress Episodes ──
+
+    _distressSignals(frame) {
+        const signals = [];
+        const bark = frame.barkAssess;
+        if (bark) {
+            if (bark.currentType === 'whine') signals.push('whining');
+            if (bark.currentType === 'howl') signals.push('howling');
+            if (bark.recentBarkCount >= this.BARKING_MIN_RECENT) signals.push('barking');
+        }
+        const emotion = frame.dog ? frame.emotionAssess : null;
+        if (emotion) {
+            if (emotion.patterns && emotion.patterns.pacing > this.PACING_MIN) signals.push('pacing');
+            if (this.DISTRESS_EMOTIONS.includes(emotion.primary) &&
+                emotion.confidence >= this.DISTRESS_EMOTION_MIN_CONFIDENCE) signals.push(emotion.primary);
+        }
+        return signals;
+    }
+
+    _trackEpisode(timestamp, signals, sample) {
+        let ep = this.episode;
+        if (ep && signals.length === 0 && timestamp - ep.end > this.EPISODE_END_MS) {
+            this._closeEpisode();
+            ep = null;
+        }
+        if (signals.length > 0 && !ep) {
+            ep = this.episode = {
+                start: timestamp, end: timestamp, barks: 0,
+                whineMs: 0, howlMs: 0, pacingMs: 0, distressMs: 0, signals: {}
+            };
+        }
+        if (!ep) return;
+
+        ep.barks += sample.barks.length;
+        if (sample.vocalType === 'whine') ep.whineMs += sample.dt;
+        if (sample.vocalType === 'howl') ep.howlMs += sample.dt;
+        if (sample.pacing) ep.pacingMs += sample.dt;
+        if (signals.length > 0) {
+            ep.end = timestamp;
+            ep.distressMs += sample.dt;
+            signals.forEach(s => { ep.signals[s] = (ep.signals[s] || 0) + 1; });
+        }
+    }
+
+    _isEpisode(ep) {
+        return ep.end - ep.start >= this.EPISODE_MIN_MS || ep.barks >= this.EPISODE_MIN_BARKS;
+    }
+
+    _closeEpisode() {
+        const ep = this.episode;
+        this.episode = null;
+        if (!this._isEpisode(ep)) return;
+
+        this.episodeCount++;
+        if (this.firstEpisodeMs == null) this.firstEpisodeMs = ep.start - this.startTime;
+        this.episodes.push(this._summarizeEpisode(ep));
+        if (this.episodes.length > this.MAX_EPISODES) this.episodes.shift();
+    }
+
+    _summarizeEpisode(ep) {
+        return {
+            startMin: this._min(ep.start - this.startTime),
+            endMin: this._min(ep.end - this.startTime),
+            durationMin: this._min(ep.end - ep.start),
+            barks: ep.barks,
+            whineSec: Math.round(ep.whineMs / 1000),
+            howlSec: Math.round(ep.howlMs / 1000),
+            pacingSec: Math.round(ep.pacingMs / 1000),
+            signals: Object.entries(ep.signals).sort((a, b) => b[1] - a[1]).map(([s]) => s)
+        };
+    }
+
+    // ── Report ──
+
+    // First minute after which SETTLED_MINUTES minutes in a row had no distress
+    _settledAfter(minutes) {
+        let run = 0;
+        for (let i = 0; i < minutes.length; i++) {
+            const calm = minutes[i].distressSec === 0 && minutes[i].barks === 0;
+            run = calm ? run + 1 : 0;
+            if (run >= this.SETTLED_MINUTES) return minutes[i - run + 1].minute;
+        }
+        return null;
+    }
+
+    _assess(report) {
+        const pct = report.totals.distressPct;
+        let level = 'none';
+        if (pct >= 30) level = 'severe';
+        else if (pct >= 10) level = 'moderate';
+        else if (pct >= 2 || report.episodeCount > 0) level = 'mild';
+
+        const labels = {
+            none: 'No separation distress observed',
+            mild: 'Mild separation distress',
+            moderate: 'Moderate separation distress',
+            severe: 'Marked separation distress'
+        };
+        const parts = [`Distress signs in ${pct}% of ${report.durationMin} minutes alone`];
+        if (report.episodeCount > 0) {
+            parts.push(`${report.episodeCount} episode${report.episodeCount !== 1 ? 's' : ''}, the first ${report.firstEpisodeMin} minutes in`);
+        }
+        if (report.settledAfterMin === 0) parts.push('calm from the start');
+        else if (report.settledAfterMin != null) parts.push(`settled after about ${report.settledAfterMin} minutes`);
+        else if (report.durationMin >= this.SETTLED_MINUTES) parts.push('never settled for 5 minutes in a row');
+        return { level, label: labels[level], summary: parts.join('; ') + '.' };
+    }
+
+    _evidenceChain(report) {
+        if (!this.scienceDB) return [];
+        const chain = [];
+        const t = report.totals;
+
+        const vocalMin = t.whineMin + t.howlMin;
+        if (t.barks >= this.EPISODE_MIN_BARKS || vocalMin > 0) {
+            const types = Object.entries(t.barkTypes).sort((a, b) => b[1] - a[1]).map(([type, n]) => `${n} ${type}`);
+            chain.push(this._evidence('separation-vocalization',
+                `${t.barks} barks${types.length > 0 ? ' (' + types.join(', ') + ')' : ''}, ${t.whineMin} min whining, ${t.howlMin} min howling over ${report.durationMin} min`));
+        }
+        if (t.pacingMin > 0) {
+            chain.push(this._evidence('separation-pacing',
+                `Pacing for ${t.pacingMin} min while in view (${t.visiblePct}% of the session)`));
+        }
+        if (report.episodeCount > 0 && t.distressMin > 0 && report.earlyDistressPct >= 50) {
+            chain.push(this._evidence('separation-time-course',
+                `${report.earlyDistressPct}% of distress time in the first 30 minutes; first episode ${report.firstEpisodeMin} min after the start`));
+        }
+        if (report.assessment.level === 'none') {
+            chain.push(this._evidence('separation-settled',
+                `No distress episodes; distress signs in ${t.distressPct}% of ${report.durationMin} minutes`));
+        }
+        return chain;
+    }
+
+    _evidence(key, measurement) {
+        const sig = this.scienceDB.signalEvidence[key];
+        return {
+            observation: sig.observation,
+            measurement,
+            studyEvidence: sig.evidence,
+            citation: this.scienceDB._citationsFor(sig.studies),
+            studies: sig.studies.slice(),
+            conclusion: sig.conclusion
+        };
+    }
+
+    _recommendations(report) {
+        const level = report.assessment.level;
+        if (level === 'none') {
+            return ['Keep departures and returns low-key so being alone stays uneventful.'];
+        }
+        const recs = [
+            'Film a few more absences — Sherman & Mills (2008) recommend recordings of the dog alone to confirm a separation problem and track progress.',
+            'Practice short, calm departures that end before distress starts, and lengthen them gradually.'
+        ];
+        if (report.firstEpisodeMin != null && report.firstEpisodeMin < 5) {
+            recs.push('Distress began within minutes of being left — work on the departure routine itself (keys, shoes, door) at first.');
+        }
+        if (level === 'moderate' || level === 'severe') {
+            recs.push('Talk to your veterinarian or a certified behaviorist — separation anxiety often needs a behavior-modification plan, sometimes with medication.');
+        }
+        return recs;
+    }
+
+    // ── Utility ──
+
+    _min(ms) {
+        return Math.round(ms / 6000) / 10;
+    }
+
+    // Optional: null when the database isn't loaded
+    _createScienceDB() {
+        const ScienceDB = ModuleRegistry.resolve('CanineScienceDB', 'canine-science-db.js');
+        return ScienceDB ? new ScienceDB() : null;
+    }
+}
+
+ModuleRegistry.expose('MonitoringSession', MonitoringSession, typeof module !== 'undefined' ? module : null);
@@ -0,0 +1,153 @@
+/* ============================================
+   SCAN HISTORY STORE — Past Scans on Device
+
+   Saves every completed scan (all engine reports, the
+   agent's behavior state, duration, timestamp) to IndexedDB
+   so a dog's state can be compared across days.
+
+   Records are self-contained: a saved scan can be re-rendered
+   with exactly the same report the user saw at the time.
+   Video clips of key moments are kept in their own store
+   (one record per clip, indexed by scan) so listing history
+   never loads video into memory.
+   ============================================ */
+
+var ModuleRegistry = ModuleRegistry || require('./module-registry.js');
+
+class ScanHistoryStore {
+    /**
+     * @param {LocalDB} db - Shared database (a new LocalDB if omitted)
+     */
+    constructor(db) {
+        this.db = db || new LocalDB();
+        this.STORE = 'scans';
+        this.CLIP_STORE = 'clips';
+    }
+
+    /**
+     * Save a completed scan.
+     *
+     * @param {object} results - ScanPipeline.complete() output
+     * @param {object} meta - { timestamp, durationSec, frames, detections, scanMode, dog }
+     * @returns {Promise<number>} New record id
+     */
+    save(results, meta = {}) {
+        return this.db.put(this.STORE, this.buildRecord(results, meta));
+    }
+
+    /**
+     * Build the stored record. The agent's `raw` pass-through is dropped —
+     * it duplicates the engine reports stored alongside it.
+     */
+    buildRecord(results, meta = {}) {
+        const { emotionReport, barkReport, translationReport, energyReport, visionSummary } = results;
+        const { raw, ...agentReport } = results.agentReport || {};
+        const behavior = agentReport.behaviorState || {};
+        // Per-dog reports (multi-dog scans), each with its own agent pass
+        const dogs = results.dogs || [];
+        const emotion = agentReport.validatedEmotion
+            ? agentReport.validatedEmotion.emotion
+            : (emotionReport ? emotionReport.dominantEmotion : 'unknown');
+
+        return {
+            timestamp: meta.timestamp || Date.now(),
+            durationSec: Math.round((meta.durationSec || 0) * 10) / 10,
+            frames: meta.frames || 0,
+            detections: meta.detections || 0,
+            scanMode: meta.scanMode || 'continuous',
+            // Attached dog profile — id for lookups, name/photo so the
+            // record still reads correctly if the profile is deleted later
+            dogId: meta.dog ? meta.dog.id : null,
+            dog: meta.dog ? {
+                id: meta.dog.id,
+                name: meta.dog.name,
+                breed: meta.dog.breed || '',
+                sizeClass: meta.dog.sizeClass,
+                photo: meta.dog.photo || null
+            } : null,
+            summary: {
+                behaviorState: behavior.state || 'unknown',
+                behaviorLabel: behavior.label || '',
+                emotion,
+                confidence: emotionReport ? emotionReport.confidence || 0 : 0,
+                barks: barkReport && barkReport.barks ? barkReport.barks.total : 0,
+                dogCount: Math.max(1, dogs.length)
+            },
+            emotionReport,
+            barkReport,
+            translationReport,
+            energyReport,
+            visionSummary,
+            agentReport,
+            capture: results.capture || null,
+            dogs,
+            interactionReport: results.interactionReport || null,
+            energyTimeline: results.energyTimeline || [],
+            detector: results.detector || null,
+            poseModel: results.poseModel || null,
+            frameRate: results.frameRate || null,
+            monitoring: results.monitoring || null,
+            alerts: results.alerts || null
+        };
+    }
+
+    /**
+     * List saved scans, newest first.
+     *
+     * @param {object} filter - { from, to } as Date or epoch ms (inclusive, optional),
+     *   { dogId } to limit to one dog's scans
+     * @returns {Promise<Array>}
+     */
+    async list(filter = {}) {
+        const from = filter.from != null ? +filter.from : null;
+        const to = filter.to != null ? +filter.to : null;
+
+        let range = null;
+        if (from != null && to != null) range = IDBKeyRange.bound(from, to);
+        else if (from != null) range = IDBKeyRange.lowerBound(from);
+        else if (to != null) range = IDBKeyRange.upperBound(to);
+
+        const scans = await this.db.getAllByIndex(this.STORE, 'timestamp', range, 'prev');
+        return filter.dogId != null ? scans.filter(s => s.dogId === filter.dogId) : scans;
+    }
+
+    get(id) {
+        return this.db.get(this.STORE, id);
+    }
+
+    async delete(id) {
+        const clips = await this.getClips(id);
+        await Promise.all(clips.map(c => this.db.delete(this.CLIP_STORE, c.id)));
+        return this.db.delete(this.STORE, id);
+    }
+
+    async clear() {
+        await this.db.clear(this.CLIP_STORE);
+        return this.db.clear(this.STORE);
+    }
+
+    // ── Key-Moment Clips ──
+
+    /**
+     * Attach ClipRecorder clips to a saved scan.
+     *
+     * @param {number} scanId
+     * @param {Array} clips - ClipRecorder.stop() output
+     * @returns {Promise<Array<number>>} New clip ids
+     */
+    saveClips(scanId, clips) {
+        return Promise.all(clips.map(({ recordedAt, ...clip }) =>
+            this.db.put(this.CLIP_STORE, { ...clip, scanId })
+        ));
+    }
+
+    /**
+     * @param {number} scanId
+     * @returns {Promise<Array>} The scan's clips, in scan order
+     */
+    getClips(scanId) {
+        return this.db.getAllByIndex(this.CLIP_STORE, 'scanId', IDBKeyRange.only(scanId));
+    }
+}
+
+ModuleRegistry.expose('ScanHistoryStore', ScanHistoryStore, typeof module !== 'undefined' ? module : null);
@@ -0,0 +1,594 @@
+/* ============================================
+   SCAN PIPELINE — Per-Frame Analysis Chain
+
+   Runs one frame of detections, pixels and audio through
+   every engine in the order the live scan uses:
+
+   1. Dog selection (the DogDetector's classes) + DogTracker IDs
+   2. Bark state (live worklet hops, or the recorded hops replayed)
+   3. Background outside the dog boxes: camera shift, shake, lighting
+   Then for EACH tracked dog, with that dog's own engines:
+   4. Pixel-level vision analysis of the dog crop, and keypoint
+      pose from the same crop (when a pose model is supplied)
+   5. Emotion engine (pixel + pose + audio + bounding box)
+   6. 369 pipeline: Creation → Harmony → Completion
+   7. Canine translation
+   And across dogs:
+   8. Dog-to-dog interaction signals
+
+   The first dog tracked uses the engines passed to the
+   constructor; every other dog gets a fresh set. The
+   primary dog — whose engines the profile tunes and the
+   top-level report reads — is the first dog tracked, unless
+   it never gets confirmed (MIN_REPORT_FRAMES detections)
+   and another dog does, in which case that dog takes over
+   for the rest of the scan. Audio cannot be told apart per
+   dog, so all dogs share the bark engine, and a scan with
+   more than one dog teaches the profile no bark pitch.
+
+   complete() collects the engine reports and runs the
+   ScanReportAgent over them — once per dog, plus a
+   multi-dog section when more than one dog was seen.
+   Each dog's capture stats (how often it was detected,
+   how big, how often hidden or cut off) go with them, for
+   the agent's scan quality assessment.
+
+   Every engine gets the frame's timestamp, so windows,
+   cooldowns and report timelines are real time whatever
+   frame rate the device manages.
+
+   Shared by the live scan (app.js) and session replay
+   (session-replay.js), so identical input produces an
+   identical report.
+   ============================================ */
+
+var ModuleRegistry = ModuleRegistry || require('./module-registry.js');
+
+class ScanPipeline {
+    /**
+     * @param {object} engines - Optional engine instances
+     *   { engine369, barkEngine, visionAnalyzer, emotionEngine, translator, reportAgent,
+     *   tracker, interactionAnalyzer, sceneAnalyzer, detector, poseEstimator }. Any engine not supplied is
+     *   created fresh; the default detector is COCO-SSD (only its dog filter is used here).
+     *   poseEstimator is optional — without one, posture comes from the bounding box.
+     */
+    constructor(engines = {}) {
+        const load = ModuleRegistry.resolve;
+        this.engine369 = engines.engine369 || new (load('Engine369', 'engine-369.js'))();
+        this.barkEngine = engines.barkEngine || new (load('BarkAnalysisEngine', 'bark-analysis-engine.js'))();
+        this.visionAnalyzer = engines.visionAnalyzer || new (load('DogVisionAnalyzer', 'dog-vision-analyzer.js'))();
+        this.emotionEngine = engines.emotionEngine || new (load('DogEmotionEngine', 'dog-emotion-engine.js'))();
+        this.translator = engines.translator || new (load('CanineTranslator', 'canine-translator.js'))();
+        this.reportAgent = engines.reportAgent || new (load('ScanReportAgent', 'scan-report-agent.js'))();
+        this.tracker = engines.tracker || new (load('DogTracker', 'dog-tracker.js'))();
+        this.interactionAnalyzer = engines.interactionAnalyzer ||
+            new (load('DogInteractionAnalyzer', 'dog-interaction-analyzer.js'))();
+        this.sceneAnalyzer = engines.sceneAnalyzer ||
+            new (load('SceneMotionAnalyzer', 'scene-motion-analyzer.js'))();
+
+        // Which predictions are dogs is the detector's call — its classes
+        // and thresholds; its name and version go into the report
+        this.detector = engines.detector || load('DogDetector', 'dog-detector.js').create('coco-ssd');
+
+        // Optional DogPoseEstimator — stateless, so shared by every dog
+        this.poseEstimator = engines.poseEstimator || null;
+
+        // Dogs actually detected (not carried over) on fewer frames than
+        // this are left out of the report — a cushion misdetected as "dog"
+        this.MIN_REPORT_FRAMES = 15;
+
+        // A box within this share of the frame edge has the dog cut off
+        this.EDGE_MARGIN = 0.01;
+        this.capture = { frames: 0, firstT: null, lastT: null };
+
+        // Optional SessionLog — receives every frame's input when set
+        this.recorder = null;
+
+        // Per-dog engine sets, keyed by tracker id; the primary dog's
+        // subject for this scan (null until a dog is tracked)
+        this.subjects = new Map();
+        this.primary = null;
+        this.profile = null;
+    }
+
+    clearAll() {
+        this.engine369.clearAll();
+        this.barkEngine.clearAll();
+        this.visionAnalyzer.clearAll();
+        this.emotionEngine.clearAll();
+        this.translator.clearAll();
+        this.tracker.clearAll();
+        this.interactionAnalyzer.clearAll();
+        this.sceneAnalyzer.clearAll();
+        this.subjects = new Map();
+        this.primary = null;
+        this.capture = { frames: 0, firstT: null, lastT: null };
+    }
+
+    /**
+     * Switch detector backend. Predictions passed to processFrame()
+     * must come from this detector.
+     * @param {DogDetector} detector
+     */
+    setDetector(detector) {
+        this.detector = detector;
+    }
+
+    /**
+     * Attach a loaded DogPoseEstimator (null to go back to aspect-ratio posture).
+     * @param {DogPoseEstimator|null} poseEstimator
+     */
+    setPoseEstimator(poseEstimator) {
+        this.poseEstimator = poseEstimator;
+    }
+
+    /**
+     * Apply a dog profile's size class and learned baselines to every
+     * engine that adapts per dog. Pass null for an anonymous dog.
+     * Only the primary dog is tuned — extra dogs in frame are
+     * analyzed with default thresholds.
+     * @param {object|null} profile
+     */
+    applyProfile(profile) {
+        const { emotionEngine, visionAnalyzer } = this._primaryEngines();
+        this.profile = profile;
+        this.barkEngine.applyProfile(profile);
+        emotionEngine.applyProfile(profile);
+        visionAnalyzer.applyProfile(profile);
+    }
+
+    /**
+     * This scan's baseline samples from the primary dog's engines, for
+     * DogProfileStore.learnFromScan(). With more than one dog confirmed
+     * the barks can't be told apart, so no bark pitch is sampled.
+     * @returns {Array<object|null>}
+     */
+    getBaselineSamples() {
+        const { emotionEngine, visionAnalyzer } = this._primaryEngines();
+        const dogs = [...this.subjects.values()].filter(s => s.detections >= this.MIN_REPORT_FRAMES).length;
+        return [
+            dogs > 1 ? null : this.barkEngine.getBaselineSample(),
+            emotionEngine.getBaselineSample(),
+            visionAnalyzer.getBaselineSample()
+        ];
+    }
+
+    /**
+     * Run one frame through the full analysis chain.
+     *
+     * Live frames pass `source` (the video element): crops and the scene
+     * thumbnail are read from it, and the bark engine has already analyzed
+     * the audio hops that arrived since the last frame.
+     * Live frames from the FrameWorker pass `boxCrops` instead of `source`:
+     * crops already taken for each detection and trackBoxes() box, plus the
+     * worker's `scene` and `frameSize`.
+     * Recorded frames pass `crops` (one per tracked dog, in id order),
+     * `scene`, `frameSize` and `audio` (those hops) instead.
+     *
+     * @param {object} input - { timestamp, predictions, source },
+     *                         { timestamp, predictions, boxCrops, scene, frameSize } or
+     *                         { timestamp, predictions, crops, scene, frameSize, audio }
+     *   timestamp is a monotonic frame time in ms (performance.now() live)
+     * @returns {object} { dog, predictions, barkAssess, scene, pixelData, pose, emotionAssess,
+     *   completion, translation, dogs, interactions, keyMoments }. `scene` is the
+     *   SceneMotionAnalyzer's background motion for the frame. The top-level
+     *   dog fields are the primary dog when visible, else the lowest-id
+     *   visible dog; `dogs` holds the same fields for every visible dog.
+     *   `keyMoments` lists notable actions that began this frame: { action, desc, dogId }.
+     */
+    processFrame(input) {
+        const live = !!input.source || !!input.boxCrops;
+        const predictions = input.predictions || [];
+        this.capture.frames++;
+        if (this.capture.firstT == null) this.capture.firstT = input.timestamp;
+        this.capture.lastT = input.timestamp;
+        const tracks = this.tracker.update(this._selectDogs(predictions), input.timestamp);
+
+        // Bark audio state for this frame
+        let barkAssess = null;
+        let audioFrame = null;
+        if (live) {
+            if (this.barkEngine.isActive) {
+                // Audio is analyzed per worklet hop as it arrives — read the current state
+                this.barkEngine.keepAlive();
+                barkAssess = this.barkEngine._quickAssess();
+                const hops = this.barkEngine.captureAudioFrames();
+                if (this.recorder) audioFrame = hops;
+            }
+        } else if (input.audio) {
+            this.barkEngine.processRecordedFrame(input.audio);
+            barkAssess = this.barkEngine._quickAssess();
+        }
+
+        // Background motion outside every dog box — the camera moving
+        const sceneFrame = input.source ? this.sceneAnalyzer.captureScene(input.source) : (input.scene || null);
+        const frameSize = input.source ? [input.source.videoWidth, input.source.videoHeight] : (input.frameSize || null);
+        const scene = this.sceneAnalyzer.analyze(sceneFrame, {
+            boxes: tracks.map(t => t.bbox),
+            frameSize,
+            timestamp: input.timestamp
+        });
+        const recorded = { scene: sceneFrame, frameSize, audio: audioFrame };
+
+        const result = {
+            dog: null,
+            predictions,
+            barkAssess,
+            scene,
+            pixelData: null,
+            pose: null,
+            emotionAssess: null,
+            completion: null,
+            translation: null,
+            dogs: [],
+            interactions: [],
+            keyMoments: []
+        };
+
+        if (tracks.length === 0) {
+            this._record(input.timestamp, predictions, [], recorded);
+            return result;
+        }
+
+        const crops = [];
+        result.dogs = tracks.map((track, i) => {
+            const [bx, by, bw, bh] = track.bbox;
+            const box = { x: bx, y: by, width: bw, height: bh };
+            const subject = this._subjectFor(track.id);
+            if (!track.coasting) subject.detections++;
+            if (subject.detections === this.MIN_REPORT_FRAMES) this._confirmSubject(subject);
+            if (track.revived) {
+                subject.visionAnalyzer.resumeAfterGap();
+                subject.emotionEngine.resumeAfterGap();
+            }
+            this._countBox(subject, track.bbox, frameSize);
+
+            // FIRST: Analyze actual pixel data within this dog's bounding box
+            let crop = null;
+            if (input.source) crop = subject.visionAnalyzer.captureCrop(input.source, box);
+            else if (input.boxCrops) crop = this._cropForBox(input.boxCrops, track.bbox);
+            else if (input.crops) crop = input.crops[i] || null;
+            crops.push(crop);
+
+            const analysis = this._analyzeDog(subject, box, track.score, crop, barkAssess, scene, input.timestamp);
+            return {
+                id: track.id,
+                dog: { bbox: track.bbox, class: track.class, score: track.score, id: track.id },
+                ...analysis
+            };
+        });
+        this._record(input.timestamp, predictions, crops, recorded);
+
+        // ── Dog-to-Dog Interaction ──
+        result.interactions = this.interactionAnalyzer.update(
+            result.dogs.map(d => ({ id: d.id, bbox: d.dog.bbox, emotionAssess: d.emotionAssess })),
+            input.timestamp
+        );
+
+        // Notable actions that began this frame, on any dog (clip capture)
+        result.dogs.forEach(d => {
+            (d.emotionAssess.keyMoments || []).forEach(m => {
+                result.keyMoments.push({ action: m.action, desc: m.desc, dogId: d.id });
+            });
+        });
+
+        const focus = result.dogs.find(d => this.subjects.get(d.id) === this.primary) || result.dogs[0];
+        result.dog = focus.dog;
+        result.pixelData = focus.pixelData;
+        result.pose = focus.pose;
+        result.emotionAssess = focus.emotionAssess;
+        result.completion = focus.completion;
+        result.translation = focus.translation;
+        return result;
+    }
+
+    /**
+     * Boxes the next frame's tracks may hold besides new detections —
+     * sent to the FrameWorker so it crops them along with the detections.
+     * @returns {Array} [x, y, w, h] boxes
+     */
+    trackBoxes() {
+        return this.tracker.visibleBoxes();
+    }
+
+    // FrameWorker crop taken for exactly this box (tracks copy their box verbatim)
+    _cropForBox(boxCrops, bbox) {
+        const match = boxCrops.find(c => c.bbox.every((v, k) => v === bbox[k]));
+        return match ? match.crop : null;
+    }
+
+    // ── Per-Dog Analysis ──
+
+    // Vision → emotion → 369 → translation for one dog, on its own engines
+    _analyzeDog(subject, box, score, crop, barkAssess, scene, timestamp) {
+        const { visionAnalyzer, emotionEngine, engine369, translator } = subject;
+        subject.frames++;
+
+        // ── Keypoint Pose ── (same crop; null without a model)
+        const pose = this.poseEstimator ? this.poseEstimator.estimate(crop, box) : null;
+
+        // ── Pixel-Level Vision Analysis ──
+        // This MUST happen BEFORE emotion processing so the data is available.
+        // The pose (when there is one) locates the tail and head; the scene
+        // tells trembling apart from camera shake.
+        const pixelData = visionAnalyzer.analyzeCrop(crop, { box, pose, timestamp, scene });
+
+        // Set pixel + pose data BEFORE processing so emotion engine uses it THIS frame
+        emotionEngine.setPixelAnalysis(pixelData);
+        emotionEngine.setPose(pose);
+
+        // Process through emotion engine with pixel + audio + visual data
+        const emotionAssess = emotionEngine.processFrame(
+            { box, confidence: score, camera: scene.camera },
+            barkAssess,
+            timestamp
+        );
+
+        // ── 369 Pipeline ──
+        // Phase 3: Creation — raw input
+        //
+        // CRITICAL: Only feed REAL data to the 369 engine.
+        // - Pixel vibration from camera noise is NOT real vibration.
+        //   Only use pixel data when the dog is actually moving (bbSpeed > 3).
+        // - Ambient room audio frequency is NOT dog vocalization.
+        //   Only use audio frequency when the dog is actually vocalizing.
+        //
+        // A sleeping dog has ZERO vibration, ZERO frequency, ZERO energy.
+        const bbSpeed = emotionAssess.movement ? emotionAssess.movement.avgSpeed : 0;
+        const isReallyMoving = bbSpeed > 3; // Bounding box actually changing
+        const isActuallyVocalizing = barkAssess && barkAssess.isVocalizing;
+
+        // Only use pixel vibration when bounding box confirms real movement
+        let realVibration = bbSpeed;
+        if (isReallyMoving) {
+            const pixelVib = pixelData ? pixelData.pixelVibration : 0;
+            realVibration = Math.max(bbSpeed, pixelVib > 10 ? pixelVib : 0);
+        }
+
+        // Only use audio frequency when the dog is actually vocalizing
+        // Ambient room noise (fan, AC, traffic) is NOT dog communication
+        const realFrequency = isActuallyVocalizing
+            ? (barkAssess.dominantFreq || 0)
+            : 0;
+
+        const creation = engine369.processCreation({
+            movement: {
+                magnitude: realVibration
+            },
+            audio: {
+                dominantFreq: realFrequency
+            },
+            timestamp
+        });
+
+        // Phase 6: Harmony — analysis
+        const harmony = engine369.processHarmony(creation, emotionAssess, barkAssess);
+
+        // Phase 9: Completion — translation
+        const translationInput = {
+            communicating: (barkAssess && barkAssess.isVocalizing) ||
+                           emotionAssess.intensity > 30,
+            channel: barkAssess && barkAssess.isVocalizing ? 'combined' : 'body'
+        };
+        const completion = engine369.processCompletion(harmony, translationInput);
+
+        // Feed 369 energy/vibration/frequency back into emotion engine
+        // so next frame's emotion assessment uses micro vibration data
+        emotionEngine.setEnergyState({
+            ...completion.metrics,
+            energyTrend: completion.energyTrend
+        });
+
+        // Generate translation
+        const translation = translator.translate(emotionAssess, barkAssess, completion, timestamp);
+
+        return { pixelData, pose, emotionAssess, completion, translation };
+    }
+
+    // First dog tracked gets the pipeline's own engines; later dogs a fresh set
+    // (see _confirmSubject for when the first one turns out not to be a dog)
+    _subjectFor(id) {
+        if (this.subjects.has(id)) return this.subjects.get(id);
+
+        const primary = this.subjects.size === 0;
+        const load = ModuleRegistry.resolve;
+        const capture = { areaSum: 0, areaFrames: 0, edgeFrames: 0 };
+        const subject = primary ? {
+            id,
+            primary,
+            frames: 0,
+            detections: 0,
+            capture,
+            visionAnalyzer: this.visionAnalyzer,
+            emotionEngine: this.emotionEngine,
+            engine369: this.engine369,
+            translator: this.translator
+        } : {
+            id,
+            primary,
+            frames: 0,
+            detections: 0,
+            capture,
+            visionAnalyzer: new (load('DogVisionAnalyzer', 'dog-vision-analyzer.js'))(),
+            emotionEngine: new (load('DogEmotionEngine', 'dog-emotion-engine.js'))(),
+            engine369: new (load('Engine369', 'engine-369.js'))(),
+            translator: new (load('CanineTranslator', 'canine-translator.js'))()
+        };
+        this.subjects.set(id, subject);
+        if (primary) this.primary = subject;
+        return subject;
+    }
+
+    // A dog just reached MIN_REPORT_FRAMES detections. If the primary
+    // (first-tracked) subject never did — a misdetection tracked before
+    // the real dog showed up — this dog takes over the primary role for
+    // the rest of the scan, tuned to the current profile. The pipeline's
+    // own engines stay with the first subject until clearAll().
+    _confirmSubject(subject) {
+        const primary = this.primary;
+        if (primary === subject || primary.detections >= this.MIN_REPORT_FRAMES) return;
+
+        primary.primary = false;
+        subject.primary = true;
+        this.primary = subject;
+        subject.emotionEngine.applyProfile(this.profile);
+        subject.visionAnalyzer.applyProfile(this.profile);
+    }
+
+    // { visionAnalyzer, emotionEngine, engine369, translator } of the
+    // primary dog — the pipeline's own before any dog is tracked
+    _primaryEngines() {
+        return this.primary || this;
+    }
+
+    // Box size and frame-edge contact, for the capture stats
+    _countBox(subject, [x, y, w, h], frameSize) {
+        if (!frameSize) return;
+        const [fw, fh] = frameSize;
+        const c = subject.capture;
+        c.areaSum += (w * h) / (fw * fh);
+        c.areaFrames++;
+        const mx = fw * this.EDGE_MARGIN, my = fh * this.EDGE_MARGIN;
+        if (x <= mx || y <= my || x + w >= fw - mx || y + h >= fh - my) c.edgeFrames++;
+    }
+
+    /**
+     * How well one dog was captured, for ScanReportAgent's quality assessment.
+     *
+     * @param {object|null} subject - null: no dog was ever tracked
+     * @returns {object} { frames, dogFrames, coveragePct, avgBoxAreaPct, occludedPct, durationSec } —
+     *   occluded = carried by the tracker without a detection, or cut off at the frame edge;
+     *   avgBoxAreaPct is null when frame sizes weren't recorded
+     */
+    _captureStats(subject) {
+        const { frames, firstT, lastT } = this.capture;
+        const durationSec = frames > 1 ? Math.round((lastT - firstT) / 100) / 10 : 0;
+        if (!subject) {
+            return { frames, dogFrames: 0, coveragePct: 0, avgBoxAreaPct: null, occludedPct: 0, durationSec };
+        }
+        const c = subject.capture;
+        const hidden = (subject.frames - subject.detections) + c.edgeFrames;
+        return {
+            frames,
+            dogFrames: subject.detections,
+            coveragePct: frames > 0 ? Math.round(subject.detections / frames * 100) : 0,
+            avgBoxAreaPct: c.areaFrames > 0 ? Math.round(c.areaSum / c.areaFrames * 1000) / 10 : null,
+            occludedPct: subject.frames > 0 ? Math.min(100, Math.round(hidden / subject.frames * 100)) : 0,
+            durationSec
+        };
+    }
+
+    /**
+     * Collect every engine's final report and run the ScanReportAgent.
+     * Call before tearing down the bark engine.
+     *
+     * The top-level reports are the primary dog's. `dogs` has one
+     * entry per dog seen for at least MIN_REPORT_FRAMES; with two or more,
+     * agentReport.multiDog holds the per-dog sections and interactions.
+     *
+     * @returns {object} { emotionReport, barkReport, translationReport, energyReport,
+     *   visionSummary, agentReport, capture, dogs, interactionReport, detector, poseModel }
+     *   — capture is _captureStats() (kept so the agent can re-rate the scan later);
+     *   poseModel is the pose estimator's { name, version }, null without one
+     */
+    complete() {
+        const { emotionEngine, translator, engine369, visionAnalyzer } = this._primaryEngines();
+        const emotionReport = emotionEngine.fullAnalysis();
+        const barkReport = this.barkEngine.fullAnalysis();
+        const translationReport = translator.fullReport();
+        const energyReport = engine369.fullReport();
+        const visionSummary = visionAnalyzer.getSummary();
+
+        // ── SCAN REPORT AGENT ──
+        // Post-process all raw data for coherence and accuracy.
+        // This filters contradictory actions, validates emotions,
+        // and ensures the report matches what the camera actually saw.
+        const capture = this._captureStats(this.primary);
+        const agentReport = this.reportAgent.analyze(
+            emotionReport, barkReport, energyReport, visionSummary, capture
+        );
+
+        // ── Per-Dog Reports ──
+        const reported = [...this.subjects.values()]
+            .filter(s => s.detections >= this.MIN_REPORT_FRAMES)
+            .sort((a, b) => a.id - b.id);
+
+        const dogs = reported.map(s => {
+            const dogReport = s.primary
+                ? { emotionReport, translationReport, energyReport, visionSummary, capture, agentReport: this._withoutRaw(agentReport) }
+                : this._subjectReports(s, barkReport);
+            return { id: s.id, label: 'Dog ' + s.id, primary: s.primary, framesAnalyzed: s.frames, ...dogReport };
+        });
+
+        const ids = dogs.map(d => d.id);
+        const interactions = this.interactionAnalyzer.fullReport();
+        const interactionReport = {
+            pairs: interactions.pairs.filter(p => p.dogs.every(id => ids.includes(id))),
+            events: interactions.events.filter(e => ids.includes(e.from) && ids.includes(e.to)),
+            groups: interactions.groups.filter(g => ids.includes(g.from) && ids.includes(g.to))
+        };
+        interactionReport.counts = { approach: 0, chase: 0, 'play-bow': 0 };
+        interactionReport.groups.forEach(g => { interactionReport.counts[g.type] += g.count; });
+
+        agentReport.multiDog = dogs.length > 1
+            ? this.reportAgent.analyzeDogs(dogs, interactionReport)
+            : null;
+
+        return {
+            emotionReport, barkReport, translationReport, energyReport, visionSummary, agentReport, capture,
+            dogs, interactionReport,
+            detector: this.detector.info(),
+            poseModel: this.poseEstimator ? this.poseEstimator.info() : null
+        };
+    }
+
+    /**
+     * The Scan Report Agent's behavior state for the primary dog so far,
+     * for events raised mid-scan (alert webhooks). Reads the engines'
+     * reports without changing any state.
+     *
+     * @returns {object} { state, confidence, label, description, ... }
+     */
+    behaviorSnapshot() {
+        const { emotionEngine, engine369, visionAnalyzer } = this._primaryEngines();
+        return this.reportAgent.analyze(
+            emotionEngine.fullAnalysis(),
+            this.barkEngine.fullAnalysis(),
+            engine369.fullReport(),
+            visionAnalyzer.getSummary(),
+            this._captureStats(this.primary)
+        ).behaviorState;
+    }
+
+    _subjectReports(subject, barkReport) {
+        const emotionReport = subject.emotionEngine.fullAnalysis();
+        const translationReport = subject.translator.fullReport();
+        const energyReport = subject.engine369.fullReport();
+        const visionSummary = subject.visionAnalyzer.getSummary();
+        const capture = this._captureStats(subject);
+        const agentReport = this._withoutRaw(this.reportAgent.analyze(
+            emotionReport, barkReport, energyReport, visionSummary, capture
+        ));
+        return { emotionReport, translationReport, energyReport, visionSummary, capture, agentReport };
+    }
+
+    // Per-dog agent reports drop the raw pass-through — the dog's
+    // engine reports sit right next to it
+    _withoutRaw(agentReport) {
+        const { raw, ...rest } = agentReport;
+        return rest;
+    }
+
+    // ── Dog Selection ──
+
+    _selectDogs(predictions) {
+        return this.detector.selectDogs(predictions);
+    }
+
+    _record(timestamp, predictions, crops, { scene, frameSize, audio }) {
+        if (!this.recorder) return;
+        this.recorder.record({ t: timestamp, predictions, crops, scene, frameSize, audio });
+    }
+}
+
+ModuleRegistry.expose('ScanPipeline', ScanPipeline, typeof module !== 'undefined' ? module : null);
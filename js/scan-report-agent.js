@@ -10,6 +10,9 @@
    - Determines the TRUE behavioral state using multi-signal analysis
    - Filters contradictory actions (e.g., "resting" + "trotting")
    - Validates the emotion reading against reality
+   - Rates the scan's quality (coverage, box size, occlusion,
+     camera, light, audio, duration) and holds back conclusions
+     the data can't support — with what to do differently
    - Produces a coherent, accurate report
 
    Why this is needed:
@@ -20,10 +23,33 @@
    - The report must match what the camera actually sees
    ============================================ */
 
+var ModuleRegistry = ModuleRegistry || require('./module-registry.js');
+
 class ScanReportAgent {
-    constructor() {
+    /**
+     * @param {object} options - { scienceDB } to inject a database instance
+     *   (or null to run without evidence chains)
+     */
+    constructor(options = {}) {
         // Science database for evidence-backed determinations
-        this.scienceDB = typeof CanineScienceDB !== 'undefined' ? new CanineScienceDB() : null;
+        this.scienceDB = options.scienceDB !== undefined ? options.scienceDB : this._createScienceDB();
+
+        // Resting respiratory rate limits (breaths/min). Healthy dogs sleep
+        // under 30 (Rishniw et al., 2012); awake rest runs a little higher.
+        this.SLEEPING_RR_MAX = 30;
+        this.RESTING_RR_MAX = 35;
+        this.RESTING_RR_MIN = 8;
+
+        // Scan quality — each factor's weight in the 0-100 score. Below the
+        // floors the report draws no conclusions; below TENTATIVE_SCORE it
+        // marks them tentative and caps their confidence.
+        this.QUALITY_WEIGHTS = { coverage: 30, boxSize: 15, occlusion: 15, camera: 15, lighting: 10, audio: 5, duration: 10 };
+        this.MIN_COVERAGE = 20;             // % of frames with the dog detected
+        this.MIN_DURATION_SEC = 10;
+        this.MIN_QUALITY_SCORE = 35;
+        this.TENTATIVE_SCORE = 60;
+        this.GOOD_SCORE = 75;
+        this.TENTATIVE_CONFIDENCE_MAX = 50;
 
         // Behavioral states and their incompatible actions
         // If the dominant state is "resting", these actions are physically
@@ -72,9 +98,11 @@ class ScanReportAgent {
      * @param {object} barkReport - From barkEngine.fullAnalysis()
      * @param {object} energyReport - From engine369.fullReport()
      * @param {object} visionSummary - From visionAnalyzer.getSummary()
+     * @param {object|null} capture - From ScanPipeline._captureStats() — how well
+     *   the dog was captured; without it quality is judged on the rest
      * @returns {object} Coherent, validated report data
      */
-    analyze(emotionReport, barkReport, energyReport, visionSummary) {
+    analyze(emotionReport, barkReport, energyReport, visionSummary, capture = null) {
         // Step 1: Determine the TRUE behavioral state
         const behaviorState = this._determineBehaviorState(
             emotionReport, barkReport, visionSummary
@@ -100,19 +128,29 @@ class ScanReportAgent {
             emotionReport.detectedSignals, behaviorState
         );
 
-        // Step 6: Build vision analysis summary for the report
-        const visionInsights = this._buildVisionInsights(visionSummary, behaviorState);
+        // Step 6: Judge the resting respiratory rate against the behavioral state
+        const respiration = this._assessRespiration(visionSummary, behaviorState);
+
+        // Step 7: Build vision analysis summary for the report
+        const visionInsights = this._buildVisionInsights(visionSummary, behaviorState, respiration);
 
-        // Step 7: Build science-backed evidence chain
+        // Step 8: Build science-backed evidence chain
         const evidenceChain = this._buildEvidenceChain(
-            behaviorState, emotionReport, barkReport, visionSummary
+            behaviorState, emotionReport, barkReport, visionSummary, respiration
         );
 
-        // Step 8: Add science summary to behavioral state
+        // Step 9: Add science summary to behavioral state
         if (this.scienceDB) {
             behaviorState.scienceSummary = this.scienceDB.getScienceSummary(behaviorState.state);
         }
 
+        // Step 10: Rate the scan — poor data makes every conclusion above tentative
+        const quality = this._assessQuality(capture, emotionReport, barkReport, visionSummary);
+        if (quality.level === 'poor' || quality.level === 'insufficient') {
+            behaviorState.confidence = Math.min(behaviorState.confidence, this.TENTATIVE_CONFIDENCE_MAX);
+            behaviorState.tentative = true;
+        }
+
         return {
             behaviorState,
             filteredActions,
@@ -120,6 +158,10 @@ class ScanReportAgent {
             cleanPatterns,
             filteredSignals,
             visionInsights,
+            respiration,
+            // Dim scene — camera noise makes fine pixel measures less reliable
+            lowLight: !!(visionSummary && visionSummary.lighting && visionSummary.lighting.lowLight),
+            quality,
             evidenceChain,
             // Pass through original data for technical detail section
             raw: {
@@ -131,12 +173,152 @@ class ScanReportAgent {
         };
     }
 
+    /**
+     * Re-run the agent over a finished scan's engine reports — a saved or
+     * imported scan gets the current rules. Engine reports are unchanged.
+     *
+     * @param {object} results - { emotionReport, barkReport, energyReport, visionSummary,
+     *   capture?, dogs?, interactionReport? } (ScanPipeline.complete() shape)
+     * @returns {object} Copy of results with fresh agent reports
+     */
+    reanalyze(results) {
+        const agentReport = this.analyze(
+            results.emotionReport, results.barkReport, results.energyReport, results.visionSummary,
+            results.capture || null
+        );
+
+        const dogs = (results.dogs || []).map(d => {
+            const { raw, ...dogAgent } = this.analyze(
+                d.emotionReport, results.barkReport, d.energyReport, d.visionSummary, d.capture || null
+            );
+            return { ...d, agentReport: dogAgent };
+        });
+        agentReport.multiDog = dogs.length > 1 ? this.analyzeDogs(dogs, results.interactionReport) : null;
+
+        return { ...results, agentReport, dogs };
+    }
+
+    /**
+     * Per-dog sections and dog-to-dog interactions for a multi-dog scan.
+     *
+     * @param {Array} dogs - [{ id, label, primary, framesAnalyzed, emotionReport,
+     *   translationReport, agentReport }] from ScanPipeline.complete()
+     * @param {object} interactionReport - From DogInteractionAnalyzer.fullReport()
+     * @returns {object} { dogCount, dogs, interactions, proximity, audioNote }
+     */
+    analyzeDogs(dogs, interactionReport) {
+        const labels = {};
+        dogs.forEach(d => { labels[d.id] = d.label; });
+        const groups = this._interactionGroups(interactionReport);
+        const total = (list) => list.reduce((sum, g) => sum + g.count, 0);
+
+        const sections = dogs.map(d => {
+            const agent = d.agentReport || {};
+            const behavior = agent.behaviorState || {};
+            const actions = agent.filteredActions ? agent.filteredActions.topActions : [];
+
+            return {
+                id: d.id,
+                label: d.label,
+                primary: !!d.primary,
+                framesAnalyzed: d.framesAnalyzed,
+                behaviorState: { state: behavior.state || 'unknown', label: behavior.label || '' },
+                emotion: agent.validatedEmotion ? agent.validatedEmotion.emotion : (d.emotionReport.dominantEmotion || 'unknown'),
+                confidence: d.emotionReport.confidence || 0,
+                wellbeing: d.emotionReport.wellbeing || 0,
+                topActions: actions.slice(0, 3).map(([action]) => action),
+                translation: d.translationReport ? d.translationReport.dominantMessage : '',
+                initiated: total(groups.filter(g => g.from === d.id)),
+                received: total(groups.filter(g => g.to === d.id))
+            };
+        });
+
+        return {
+            dogCount: dogs.length,
+            dogs: sections,
+            interactions: this._buildInteractionSignals(groups, labels),
+            proximity: (interactionReport ? interactionReport.pairs || [] : []).map(p => ({
+                dogs: p.dogs.map(id => labels[id]),
+                closePct: p.closePct,
+                avgDistance: p.avgDistance
+            })),
+            audioNote: 'Sounds cannot be traced to one dog from a single microphone — ' +
+                'bark and vocalization readings are shared by every dog in this scan.'
+        };
+    }
+
+    /**
+     * Group interaction events into report signals, one per
+     * (type, from, to), with the supporting science.
+     */
+    // Whole-scan { type, from, to, count } groups. Reports saved before
+    // the analyzer kept groups only have the event log — count that.
+    _interactionGroups(interactionReport) {
+        if (!interactionReport) return [];
+        if (interactionReport.groups) return interactionReport.groups;
+
+        const groups = {};
+        (interactionReport.events || []).forEach(e => {
+            const key = `${e.type}:${e.from}:${e.to}`;
+            if (!groups[key]) groups[key] = { type: e.type, from: e.from, to: e.to, count: 0 };
+            groups[key].count++;
+        });
+        return Object.values(groups);
+    }
+
+    _buildInteractionSignals(groups, labels) {
+
+        const templates = {
+            approach: {
+                signal: (a, b) => `${a} approached ${b}`,
+                detail: 'Closed the distance while the other dog stayed put — an invitation to interact or investigate.',
+                studies: ['horowitz2009play']
+            },
+            chase: {
+                signal: (a, b) => `${a} chased ${b}`,
+                detail: 'Both dogs moving fast in the same direction, one following. Chasing is a core part of dog-dog play — check each dog\'s state above to tell play from pursuit.',
+                studies: ['horowitz2009play', 'bekoff1995']
+            },
+            'play-bow': {
+                signal: (a, b) => `${a} play-bowed at ${b}`,
+                detail: 'Play bow with the other dog close by — a play invitation directed at that dog.',
+                studies: ['bekoff1995', 'byosiere2016', 'horowitz2009play']
+            }
+        };
+
+        return groups.slice()
+            .sort((a, b) => b.count - a.count)
+            .map(g => {
+                const t = templates[g.type];
+                return {
+                    type: g.type,
+                    from: labels[g.from],
+                    to: labels[g.to],
+                    count: g.count,
+                    signal: t.signal(labels[g.from], labels[g.to]) + (g.count > 1 ? ` (${g.count}×)` : ''),
+                    detail: t.detail,
+                    science: this.scienceDB ? this.scienceDB._citationsFor(t.studies) : '',
+                    studies: t.studies.slice()
+                };
+            });
+    }
+
+    // Optional: null when the database isn't loaded
+    _createScienceDB() {
+        const ScienceDB = ModuleRegistry.resolve('CanineScienceDB', 'canine-science-db.js');
+        return ScienceDB ? new ScienceDB() : null;
+    }
+
     /**
      * Determine the TRUE behavioral state from multi-signal analysis.
      * Uses posture, stillness, speed, vocalizations, AND pixel data.
+     * A keypoint posture (pose model) is trusted more than one guessed
+     * from the bounding box, and is the only source of play-bow and a
+     * reliable crouch.
      */
     _determineBehaviorState(emotionReport, barkReport, visionSummary) {
         const posture = emotionReport.posture ? emotionReport.posture.current : 'unknown';
+        const fromKeypoints = !!emotionReport.posture && emotionReport.posture.source === 'keypoints';
         const stillness = emotionReport.patterns ? emotionReport.patterns.stillness : 0;
         const avgSpeed = emotionReport.movement ? emotionReport.movement.avgSpeed : 0;
         const hasBarks = barkReport && barkReport.barks && barkReport.barks.total > 0;
@@ -185,12 +367,33 @@ class ScanReportAgent {
             };
         }
 
+        // ── PLAY BOW ── (keypoints only)
+        // Front end down, rear end up — an invitation, whatever the speed
+        if (posture === 'play-bow') {
+            return {
+                state: 'active',
+                confidence: 88,
+                label: 'Play Bow — Inviting Play',
+                description: 'Your dog is in a play bow — front end down, rear end up. This is an invitation to play.'
+            };
+        }
+
+        // ── CROUCHED ── (keypoints only — a box height drop can't tell a crouch from a bow)
+        if (posture === 'crouch' && fromKeypoints && stillness > 5 && avgSpeed < 3) {
+            return {
+                state: 'alert-watching',
+                confidence: 78,
+                label: 'Crouched & Cautious',
+                description: 'Your dog is holding a low crouch — cautious, unsure, or showing submission.'
+            };
+        }
+
         // ── ALERT WATCHING ──
         // Standing + still + silent
         if (posture === 'stand' && stillness > 10 && avgSpeed < 3 && !hasVocalization) {
             return {
                 state: 'alert-watching',
-                confidence: 85,
+                confidence: fromKeypoints ? 90 : 85,
                 label: 'Alert & Watching',
                 description: 'Your dog is standing still and focused — watching something intently.'
             };
@@ -211,7 +414,7 @@ class ScanReportAgent {
         if (posture === 'sit' && stillness > 5 && avgSpeed < 3) {
             return {
                 state: 'resting',
-                confidence: 80,
+                confidence: fromKeypoints ? 88 : 80,
                 label: 'Sitting Calmly',
                 description: 'Your dog is sitting — attentive and at ease.'
             };
@@ -423,7 +626,107 @@ class ScanReportAgent {
      * Build vision analysis insights from the pixel analyzer summary.
      * Gate insights by behavioral state — don't report noise as observation.
      */
-    _buildVisionInsights(visionSummary, behaviorState) {
+    /**
+     * Respiratory rate from the pixel analysis, flagged when it is outside
+     * the resting range while the dog is sleeping or resting. An awake dog's
+     * rate isn't judged — activity and excitement raise it.
+     *
+     * @returns {object|null} { rate, min, max, quality, estimates, measuredSec,
+     *   state, atRest, limit, flag } — flag 'elevated', 'low' or null
+     */
+    _assessRespiration(visionSummary, behaviorState) {
+        const resp = visionSummary ? visionSummary.respiration : null;
+        if (!resp) return null;
+
+        const state = behaviorState ? behaviorState.state : 'unknown';
+        const atRest = state === 'sleeping' || state === 'resting';
+        const max = state === 'sleeping' ? this.SLEEPING_RR_MAX : this.RESTING_RR_MAX;
+        let flag = null;
+        let limit = null;
+        if (atRest && resp.rate > max) {
+            flag = 'elevated';
+            limit = max;
+        } else if (atRest && resp.rate < this.RESTING_RR_MIN) {
+            flag = 'low';
+            limit = this.RESTING_RR_MIN;
+        }
+        return { ...resp, state, atRest, limit, flag };
+    }
+
+    /**
+     * Scan quality from how well the dog was seen and heard.
+     * Each factor scores 0-100 on a linear ramp between a bad and a good
+     * value; factors with no data (no frame size, no scene, no mic) are
+     * left out of the weighted score rather than counted as bad.
+     *
+     * @returns {object} { score, level, sufficient, reasons, factors, guidance } —
+     *   level 'good', 'fair', 'poor' or 'insufficient'; reasons say why the scan
+     *   is insufficient; guidance lists what to change, weakest factor first
+     */
+    _assessQuality(capture, emotionReport, barkReport, visionSummary) {
+        const ramp = (value, bad, good) => Math.round(Math.max(0, Math.min(1, (value - bad) / (good - bad))) * 100);
+        const factors = [];
+        const add = (key, label, value, score, guidance) => {
+            factors.push({ key, label, value, score, guidance: score < this.TENTATIVE_SCORE ? guidance : null });
+        };
+
+        const duration = capture ? capture.durationSec : (emotionReport.duration || 0);
+        if (capture) {
+            add('coverage', 'Dog in view', `${capture.coveragePct}% of frames`, ramp(capture.coveragePct, 10, 70),
+                `Keep your dog in the frame — they were only detected in ${capture.coveragePct}% of the scan.`);
+            if (capture.avgBoxAreaPct != null) {
+                add('boxSize', 'Dog size in frame', `${capture.avgBoxAreaPct}% of the picture`, ramp(capture.avgBoxAreaPct, 2, 10),
+                    'Move closer — your dog was small in the picture, so fine details were lost.');
+            }
+            if (capture.dogFrames > 0) {
+                add('occlusion', 'Hidden or cut off', `${capture.occludedPct}% of the time`, ramp(capture.occludedPct, 60, 10),
+                    'Keep your dog\'s whole body in view — they were often hidden or cut off at the edge of the picture.');
+            }
+        }
+        const camera = visionSummary ? visionSummary.camera : null;
+        if (camera && camera.checked) {
+            add('camera', 'Camera steadiness', `shaky ${camera.shakyShare}% of the time`, ramp(camera.shakyShare, 60, 10),
+                'Hold the phone still or rest it on something steady.');
+        }
+        const lighting = visionSummary ? visionSummary.lighting : null;
+        if (lighting && capture && capture.dogFrames > 0) {
+            add('lighting', 'Light', `dim ${lighting.lowLightShare}% of the time`, ramp(lighting.lowLightShare, 80, 20),
+                'Turn on a light — in the dark, camera noise hides small movements.');
+        }
+        if (barkReport) {
+            const micOn = barkReport.totalDuration > 0;
+            add('audio', 'Microphone', !micOn ? 'off' : barkReport.baselineEstablished ? 'calibrated' : 'not calibrated',
+                micOn && barkReport.baselineEstablished ? 100 : 0,
+                micOn ? 'Start the scan in a quiet moment so the microphone can calibrate to the room.'
+                    : 'Allow microphone access so barks and whines are included.');
+        }
+        add('duration', 'Scan length', `${Math.round(duration)} s`, ramp(duration, 5, 30),
+            'Scan for at least 30 seconds — short scans catch only a moment.');
+
+        let weight = 0, sum = 0;
+        factors.forEach(f => {
+            weight += this.QUALITY_WEIGHTS[f.key];
+            sum += this.QUALITY_WEIGHTS[f.key] * f.score;
+        });
+        const score = weight > 0 ? Math.round(sum / weight) : 0;
+
+        const reasons = [];
+        if (capture && capture.coveragePct < this.MIN_COVERAGE) reasons.push(`your dog was detected in only ${capture.coveragePct}% of the frames`);
+        if (duration < this.MIN_DURATION_SEC) reasons.push(`the scan lasted only ${Math.round(duration)} s`);
+        if (score < this.MIN_QUALITY_SCORE && reasons.length === 0) reasons.push(`the scan quality score was ${score}/100`);
+        const sufficient = reasons.length === 0;
+
+        const level = !sufficient ? 'insufficient'
+            : score >= this.GOOD_SCORE ? 'good'
+            : score >= this.TENTATIVE_SCORE ? 'fair' : 'poor';
+        const guidance = factors
+            .filter(f => f.guidance)
+            .sort((a, b) => a.score - b.score)
+            .map(f => f.guidance);
+        return { score, level, sufficient, reasons, factors, guidance };
+    }
+
+    _buildVisionInsights(visionSummary, behaviorState, respiration) {
         if (!visionSummary || visionSummary.totalFrames < 10) {
             return null;
         }
@@ -462,6 +765,133 @@ class ScanReportAgent {
             });
         }
 
+        // Tail carriage / wag side (DogTailAnalyzer) — older saved scans have no tail summary
+        const tail = visionSummary.tail;
+        if (tail && tail.carriage !== 'unknown') {
+            const carriageText = {
+                high: 'Tail carried high — aroused, confident, or alert.',
+                neutral: 'Tail carried in a neutral position — relaxed.',
+                tucked: 'Tail held low or tucked — a stress or fear signal.'
+            };
+            insights.push({
+                type: 'tail',
+                title: `Tail Carriage: ${tail.carriage}`,
+                detail: carriageText[tail.carriage]
+            });
+        }
+        if (tail && tail.wagBias != null && Math.abs(tail.wagBias) >= 0.1) {
+            const right = tail.wagBias > 0;
+            insights.push({
+                type: 'tail',
+                title: `Wag Biased ${right ? 'Right' : 'Left'}`,
+                detail: right
+                    ? `Wider wag swings to your dog's right (${Math.round(tail.wagBias * 100)}% bias) — linked to positive, approach emotions (Quaranta et al., 2007).`
+                    : `Wider wag swings to your dog's left (${Math.round(-tail.wagBias * 100)}% bias) — linked to uncertainty or withdrawal (Quaranta et al., 2007).`
+            });
+        }
+
+        // Ears / calming signals (DogHeadAnalyzer) — older saved scans have no head summary
+        const head = visionSummary.head;
+        if (head && head.earCarriage === 'pinned') {
+            insights.push({
+                type: 'head',
+                title: 'Ears Pinned Back',
+                detail: 'Ears held flat against the head for most of the scan — a fear or appeasement signal.'
+            });
+        } else if (head && head.earCarriage === 'erect') {
+            insights.push({
+                type: 'head',
+                title: 'Ears Erect',
+                detail: 'Ears raised and forward — your dog was paying attention to something.'
+            });
+        }
+        if (head && head.pantingShare >= 20) {
+            insights.push({
+                type: 'head',
+                title: 'Panting',
+                detail: isResting
+                    ? `Panting in ${head.pantingShare}% of frames while resting — normal if warm or after exercise, otherwise a possible stress sign.`
+                    : `Panting in ${head.pantingShare}% of frames — usually exertion or excitement while active.`
+            });
+        }
+        if (head && (head.yawns > 0 || head.lipLicks > 0)) {
+            const parts = [];
+            if (head.yawns > 0) parts.push(`${head.yawns} yawn${head.yawns > 1 ? 's' : ''}`);
+            if (head.lipLicks > 0) parts.push(`${head.lipLicks} lip lick${head.lipLicks > 1 ? 's' : ''}`);
+            insights.push({
+                type: 'head',
+                title: 'Calming Signals',
+                detail: `${parts.join(' and ')} — when not tired or eating, these are signs your dog is a little uneasy (Rugaas, 2006).`
+            });
+        }
+
+        // Respiratory rate — measured only while the dog held still
+        if (respiration) {
+            const range = respiration.max > respiration.min ? ` (${respiration.min}–${respiration.max})` : '';
+            let detail = `Counted from the chest's rise and fall over ${respiration.measuredSec} s of rest${range}, ${respiration.quality}% signal quality.`;
+            if (respiration.flag === 'elevated') {
+                detail += ` That is above ${respiration.limit}/min for a ${respiration.state} dog — count again later, and if it stays high, tell your vet.`;
+            } else if (respiration.flag === 'low') {
+                detail += ` That is unusually slow — check the camera had a clear view of the chest and count again.`;
+            } else if (respiration.atRest) {
+                detail += ' Within the normal resting range.';
+            }
+            insights.push({
+                type: 'respiration',
+                title: `Breathing: ${respiration.rate} breaths/min`,
+                detail,
+                caution: !!respiration.flag
+            });
+        }
+
+        // Trembling — periodic whole-body micro-motion, camera shake already ruled out per frame
+        const trembling = visionSummary.trembling;
+        if (trembling && trembling.episodeCount > 0) {
+            const n = trembling.episodeCount;
+            let detail = `${n} episode${n > 1 ? 's' : ''} of trembling at ~${this._tremorHz(trembling)} Hz, ${trembling.totalSec} s in total (longest ${trembling.longestSec} s). ` +
+                'Fear and stress are common causes (Beerda et al., 1998; Schilder & van der Borg, 2004) — so are cold, pain and excitement.';
+            if (trembling.episodes.some(e => !e.cameraChecked)) {
+                detail += ' The dog filled most of the frame, so camera shake could not be fully ruled out.';
+            }
+            insights.push({
+                type: 'trembling',
+                title: 'Trembling Detected',
+                detail,
+                caution: true
+            });
+        }
+
+        // Camera steadiness — handheld drift is subtracted, but a shaking picture can't be trusted
+        const camera = visionSummary.camera;
+        if (camera && camera.checked && camera.shakySec >= 5) {
+            insights.push({
+                type: 'camera',
+                title: 'Camera Too Shaky',
+                detail: `The phone was moving too much for ${camera.shakySec} s (${camera.shakyShare}% of the scan). ` +
+                    'Movement was corrected for the camera\'s motion, but trembling couldn\'t be checked then — hold the phone still or rest it on something steady.',
+                caution: true
+            });
+        }
+
+        // Lighting — dim scenes are noisy; sudden changes were left out of the motion readings
+        const lighting = visionSummary.lighting;
+        if (lighting && (lighting.lowLight || lighting.changes > 0)) {
+            const parts = [];
+            if (lighting.lowLight) {
+                parts.push(`The scene was dim for ${lighting.lowLightShare}% of the scan (average brightness ${lighting.avgLevel}%). ` +
+                    'Camera noise rises in the dark, so trembling, breathing and tension readings are less reliable — turn on a light for the next scan.');
+            }
+            if (lighting.changes > 0) {
+                parts.push(`The lighting changed suddenly ${lighting.changes} time${lighting.changes > 1 ? 's' : ''} (a light switched, or the camera re-exposed) — those frames were left out of the motion readings.`);
+            }
+            insights.push({
+                type: 'lighting',
+                title: lighting.lowLight ? 'Low Light' : 'Lighting Changes',
+                detail: parts.join(' '),
+                caution: lighting.lowLight
+            });
+        }
+
         // Tension — only report if NOT resting (camera noise on still dogs = false tension)
         if (!isResting && visionSummary.avgTension > 40) {
             insights.push({
@@ -473,11 +903,20 @@ class ScanReportAgent {
 
         return insights.length > 0 ? insights : null;
     }
+
+    // Duration-weighted tremor frequency across the episodes, to the nearest 0.5 Hz
+    _tremorHz(trembling) {
+        const total = trembling.episodes.reduce((sum, e) => sum + e.durationSec, 0);
+        if (total === 0) return 0;
+        const hz = trembling.episodes.reduce((sum, e) => sum + e.frequency * e.durationSec, 0) / total;
+        return Math.round(hz * 2) / 2;
+    }
+
     /**
      * Build a science-backed evidence chain for the report.
      * Each item links a measured signal to peer-reviewed research.
      */
-    _buildEvidenceChain(behaviorState, emotionReport, barkReport, visionSummary) {
+    _buildEvidenceChain(behaviorState, emotionReport, barkReport, visionSummary, respiration) {
         if (!this.scienceDB) return [];
 
         // Gather measurements for the science database
@@ -502,8 +941,12 @@ class ScanReportAgent {
             }
         }
 
+        const tail = visionSummary ? visionSummary.tail : null;
+        const head = visionSummary ? visionSummary.head : null;
+        const trembling = visionSummary ? visionSummary.trembling : null;
         const measurements = {
             posture: posture,
+            postureSource: emotionReport.posture ? emotionReport.posture.source : 'aspect-ratio',
             stillness: patterns.stillness || 0,
             avgSpeed: avgSpeed,
             hasVocalization: hasVocalization,
@@ -515,16 +958,35 @@ class ScanReportAgent {
             tailWagScore: visionSummary ? visionSummary.peakTailWag : 0,
             hasTension: visionSummary ? visionSummary.avgTension > 40 : false,
             tensionScore: visionSummary ? visionSummary.avgTension : 0,
+            tailCarriage: tail ? tail.carriage : 'unknown',
+            tailSource: tail ? tail.source : null,
+            tailWagBias: tail ? tail.wagBias : null,
+            tailWagBiasSamples: tail ? tail.wagBiasSamples : 0,
+            headSource: head ? head.source : null,
+            headEarCarriage: head ? head.earCarriage : 'unknown',
+            headPantingShare: head ? head.pantingShare : 0,
+            headYawns: head ? head.yawns : 0,
+            headLipLicks: head ? head.lipLicks : 0,
             framesAnalyzed: emotionReport.framesAnalyzed || 0,
             pixelBodyState: visionSummary ? visionSummary.dominantBodyState : 'unknown',
             pacing: patterns.pacing || 0,
             bouncing: patterns.bouncing || 0,
             playBows: patterns.playBows || 0,
-            restlessness: patterns.restlessness || 0
+            restlessness: patterns.restlessness || 0,
+            respirationRate: respiration ? respiration.rate : 0,
+            respirationQuality: respiration ? respiration.quality : 0,
+            respirationSec: respiration ? respiration.measuredSec : 0,
+            respirationFlag: respiration ? respiration.flag : null,
+            respirationLimit: respiration ? respiration.limit : null,
+            tremblingEpisodes: trembling ? trembling.episodeCount : 0,
+            tremblingSec: trembling ? trembling.totalSec : 0,
+            tremblingLongestSec: trembling ? trembling.longestSec : 0,
+            tremblingHz: trembling ? this._tremorHz(trembling) : 0,
+            tremblingCameraChecked: trembling ? trembling.episodes.every(e => e.cameraChecked) : false
         };
 
         return this.scienceDB.getEvidenceForState(behaviorState.state, measurements);
     }
 }
 
-window.ScanReportAgent = ScanReportAgent;
+ModuleRegistry.expose('ScanReportAgent', ScanReportAgent, typeof module !== 'undefined' ? module : null);
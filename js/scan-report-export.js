@@ -0,0 +1,524 @@
+/* ============================================
+   SCAN REPORT EXPORT — Printable & Machine-Readable
+
+   Turns a finished scan (live, replayed or from history)
+   into documents that can leave the app:
+
+   - HTML: standalone, print-ready page for vets and
+     trainers. Behavior state, evidence chain with full
+     references, emotion timeline chart, bark log, needs.
+     The browser's print dialog saves it as PDF.
+   - JSON: versioned document holding the raw engine
+     reports (fullAnalysis()/fullReport() outputs) and the
+     agent's pass. parse() reads it back for re-rendering,
+     and the raw reports let a newer ScanReportAgent
+     re-analyze an old scan.
+
+   Pure string builders — no DOM access, so exports can be
+   generated headless as well.
+   ============================================ */
+
+var ModuleRegistry = ModuleRegistry || require('./module-registry.js');
+
+class ScanReportExport {
+    /**
+     * @param {object} options - { scienceDB } to inject a database instance
+     *   (or null to export short citations only)
+     */
+    constructor(options = {}) {
+        this.scienceDB = options.scienceDB !== undefined ? options.scienceDB : this._createScienceDB();
+
+        this.FORMAT = 'microsenses-scan-report';
+        this.VERSION = 1;
+
+        this.EMOTION_COLORS = {
+            happy: '#7cb342', excited: '#ff8a65', playful: '#4ecdc4', calm: '#4caf50',
+            anxious: '#ffc107', stressed: '#ff9800', fearful: '#f44336', aggressive: '#f44336',
+            alert: '#d4a017', sad: '#9e9eff', curious: '#82b1ff', observing: '#888888'
+        };
+    }
+
+    // ── JSON ──
+
+    /**
+     * Build the versioned JSON document.
+     *
+     * @param {object} results - ScanPipeline.complete() output or a ScanHistoryStore record
+     * @param {object} meta - { timestamp, durationSec, frames, detections, scanMode, dog }
+     * @returns {object} JSON-safe document
+     */
+    toJSON(results, meta = {}) {
+        const { raw, ...agentReport } = results.agentReport || {};
+        return {
+            format: this.FORMAT,
+            version: this.VERSION,
+            exportedAt: new Date().toISOString(),
+            scan: this._scanInfo(meta),
+            emotionReport: results.emotionReport || null,
+            barkReport: results.barkReport || null,
+            translationReport: results.translationReport || null,
+            energyReport: results.energyReport || null,
+            visionSummary: results.visionSummary || null,
+            agentReport,
+            capture: results.capture || null,
+            dogs: results.dogs || [],
+            interactionReport: results.interactionReport || null,
+            energyTimeline: results.energyTimeline || [],
+            detector: results.detector || null,
+            poseModel: results.poseModel || null,
+            frameRate: results.frameRate || null,
+            monitoring: results.monitoring || null,
+            alerts: results.alerts || null
+        };
+    }
+
+    /**
+     * Read an exported JSON document back.
+     *
+     * @param {object|string} data - toJSON() output or its JSON text
+     * @returns {object} { results, meta } — results in ScanPipeline.complete() shape
+     *   (plus energyTimeline), meta as passed to toJSON()
+     */
+    static parse(data) {
+        const doc = typeof data === 'string' ? JSON.parse(data) : data;
+        const exporter = new ScanReportExport({ scienceDB: null });
+        if (!doc || doc.format !== exporter.FORMAT) {
+            throw new Error('Not a scan report file');
+        }
+        if (doc.version > exporter.VERSION) {
+            throw new Error('Scan report version ' + doc.version + ' is newer than this app supports');
+        }
+        if (!doc.emotionReport || !doc.barkReport || !doc.energyReport) {
+            throw new Error('Scan report is missing engine data');
+        }
+
+        const results = {
+            emotionReport: doc.emotionReport,
+            barkReport: doc.barkReport,
+            translationReport: doc.translationReport,
+            energyReport: doc.energyReport,
+            visionSummary: doc.visionSummary,
+            agentReport: doc.agentReport || {},
+            capture: doc.capture || null,
+            dogs: doc.dogs || [],
+            interactionReport: doc.interactionReport || null,
+            energyTimeline: doc.energyTimeline || [],
+            detector: doc.detector || null,
+            poseModel: doc.poseModel || null,
+            frameRate: doc.frameRate || null,
+            monitoring: doc.monitoring || null,
+            alerts: doc.alerts || null
+        };
+        return { results, meta: doc.scan || {} };
+    }
+
+    // ── HTML ──
+
+    /**
+     * Build a standalone, print-ready HTML document.
+     *
+     * @param {object} results - ScanPipeline.complete() output or a ScanHistoryStore record
+     * @param {object} meta - { timestamp, durationSec, frames, detections, scanMode, dog }
+     * @returns {string} Complete HTML document
+     */
+    toHTML(results, meta = {}) {
+        const scan = this._scanInfo(meta);
+        const emotionReport = results.emotionReport || {};
+        const barkReport = results.barkReport || {};
+        const agentReport = results.agentReport || {};
+        const references = [];
+
+        const title = scan.dog ? `${scan.dog.name} — Behavior Scan` : 'Dog Behavior Scan';
+        const date = new Date(scan.timestamp);
+
+        let body = `<header>
+            ${scan.dog && scan.dog.photo ? `<img class="photo" src="${this._esc(scan.dog.photo)}" alt="">` : ''}
+            <div>
+                <h1>${this._esc(title)}</h1>
+                <div class="meta">${this._esc(date.toLocaleString())} · ${Math.round(scan.durationSec)}s scan ·
+                    ${scan.frames} frames · dog detected in ${scan.detections} · mode: ${this._esc(scan.scanMode)}</div>
+                ${results.detector ? `<div class="meta">Detector: ${this._esc(results.detector.name)} ${this._esc(results.detector.version)}${results.poseModel ? ` · Pose: ${this._esc(results.poseModel.name)} ${this._esc(results.poseModel.version)}` : ''}</div>` : ''}
+                ${results.frameRate ? `<div class="meta">Detection: ${this._esc(this._frameRateText(results.frameRate))}</div>` : ''}
+                ${scan.dog ? `<div class="meta">${this._esc([scan.dog.breed, scan.dog.sizeClass ? scan.dog.sizeClass + ' size' : '', scan.dog.ageYears != null ? scan.dog.ageYears + ' yr' : ''].filter(Boolean).join(' · '))}</div>` : ''}
+            </div>
+        </header>`;
+
+        body += this._monitoringSection(results.monitoring, references);
+        body += this._alertsSection(results.alerts);
+        // Scan quality gate — too little data: no conclusions, only what to change
+        // (reports saved before quality scoring have none, and render as before)
+        const quality = agentReport.quality;
+        if (quality && !quality.sufficient) {
+            body += this._insufficientSection(quality);
+            body += this._barkSection(barkReport);
+        } else {
+            body += this._behaviorSection(agentReport, emotionReport);
+            body += this._timelineSection(emotionReport);
+            body += this._evidenceSection(agentReport, references);
+            body += this._actionsSection(agentReport, emotionReport);
+            body += this._barkSection(barkReport);
+            body += this._needsSection(emotionReport);
+            body += this._multiDogSection(agentReport.multiDog, references);
+        }
+        body += this._referencesSection(references);
+
+        body += `<footer>Generated by Microsenses MINI Dogs from camera and microphone observations.
+            Every dog is unique — this is an observation aid, not a veterinary diagnosis.
+            For ongoing behavioral concerns, consult a certified animal behaviorist.</footer>`;
+
+        return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="UTF-8">
+<title>${this._esc(title)} — ${this._esc(date.toLocaleDateString())}</title>
+<style>${this._styles()}</style>
+</head>
+<body>
+${body}
+</body>
+</html>`;
+    }
+
+    /**
+     * Suggested download filename, e.g. "dog-scan-biscuit-2026-10-19-1430.json".
+     */
+    filename(meta = {}, ext = 'json') {
+        const d = new Date(meta.timestamp || Date.now());
+        const pad = n => String(n).padStart(2, '0');
+        const stamp = `${d.getFullYear()}-${pad(d.getMonth() + 1)}-${pad(d.getDate())}-${pad(d.getHours())}${pad(d.getMinutes())}`;
+        const name = meta.dog && meta.dog.name
+            ? meta.dog.name.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '') + '-'
+            : '';
+        return `dog-scan-${name}${stamp}.${ext}`;
+    }
+
+    // ── Sections ──
+
+    _monitoringSection(monitoring, references) {
+        if (!monitoring) return '';
+        const { assessment, totals } = monitoring;
+
+        let html = `<section><h2>Separation Monitoring</h2>
+            <p><b>${this._esc(assessment.label)}</b> — ${this._esc(assessment.summary)}</p>
+            <p>${monitoring.durationMin} minutes monitored: ${totals.barks} barks, ${totals.whineMin} min whining,
+                ${totals.howlMin} min howling, ${totals.pacingMin} min pacing. Dog in view ${totals.visiblePct}% of the time.</p>`;
+
+        if (monitoring.episodes.length > 0) {
+            html += `<table><thead><tr><th>Episode</th><th>Duration</th><th>Signs</th><th>Barks</th></tr></thead><tbody>` +
+                monitoring.episodes.map(e => `<tr><td>${e.startMin}–${e.endMin} min</td><td>${e.durationMin} min</td>
+                    <td>${this._esc(e.signals.join(', '))}</td><td>${e.barks}</td></tr>`).join('') +
+                '</tbody></table>';
+            if (monitoring.episodeCount > monitoring.episodes.length) {
+                html += `<p class="muted">Last ${monitoring.episodes.length} of ${monitoring.episodeCount} episodes shown.</p>`;
+            }
+        }
+
+        monitoring.evidenceChain.forEach(ev => {
+            const refs = this._refNumbers(ev.studies, references);
+            html += `<div class="evidence">
+                <p><b>Observed:</b> ${this._esc(ev.observation)}</p>
+                <p><b>Measured:</b> ${this._esc(ev.measurement)}</p>
+                <p><b>Research:</b> ${this._esc(ev.studyEvidence)}</p>
+                <p><b>Conclusion:</b> ${this._esc(ev.conclusion)}</p>
+                <p class="muted">${this._esc(ev.citation)}${refs ? ' ' + refs : ''}</p>
+            </div>`;
+        });
+        if (monitoring.recommendations.length > 0) {
+            html += '<ul>' + monitoring.recommendations.map(r => `<li>${this._esc(r)}</li>`).join('') + '</ul>';
+        }
+        html += monitoring.caveats.map(c => `<p class="muted">${this._esc(c)}</p>`).join('');
+        return html + '</section>';
+    }
+
+    _alertsSection(alerts) {
+        if (!alerts || alerts.length === 0) return '';
+        const time = ms => `${Math.floor(ms / 60000)}:${String(Math.floor((ms % 60000) / 1000)).padStart(2, '0')}`;
+        return `<section><h2>Alerts</h2>
+            <table><thead><tr><th>Time</th><th>Rule</th><th>Held</th></tr></thead><tbody>` +
+            alerts.map(a => `<tr><td>${time(a.scanTime)}</td><td>${this._esc(a.label)}</td><td>${Math.round(a.heldMs / 1000)} s</td></tr>`).join('') +
+            '</tbody></table></section>';
+    }
+
+    _behaviorSection(agentReport, emotionReport) {
+        const behavior = agentReport.behaviorState;
+        const validated = agentReport.validatedEmotion;
+        const emotion = validated ? validated.emotion : (emotionReport.dominantEmotion || 'unknown');
+
+        let html = '<section><h2>Behavior State</h2>';
+        if (behavior) {
+            html += `<p class="lead">${this._esc(behavior.label)} <span class="muted">(${behavior.confidence}% confidence)</span></p>
+                <p>${this._esc(behavior.description)}</p>`;
+            if (behavior.scienceSummary) html += `<p class="muted">${this._esc(behavior.scienceSummary)}</p>`;
+        }
+        html += `<table class="stats"><tr>
+            <td><b>${this._esc(emotion)}</b><span>Emotion</span></td>
+            <td><b>${emotionReport.wellbeing != null ? emotionReport.wellbeing + '%' : '--'}</b><span>Well-being</span></td>
+            <td><b>${emotionReport.confidence != null ? emotionReport.confidence + '%' : '--'}</b><span>Confidence</span></td>
+            <td><b>${emotionReport.stability != null ? emotionReport.stability + '%' : '--'}</b><span>Stability</span></td>
+            <td><b>${this._esc(emotionReport.posture ? emotionReport.posture.current : '--')}</b><span>Posture</span></td>
+        </tr></table>`;
+        const resp = agentReport.respiration;
+        if (resp) {
+            html += `<p><b>Breathing:</b> ${resp.rate} breaths/min at rest <span class="muted">(${resp.measuredSec} s measured, ${resp.quality}% signal quality)</span>${resp.flag === 'elevated'
+                ? ` — <b>above ${resp.limit}/min for a ${this._esc(resp.state)} dog</b>`
+                : resp.flag === 'low' ? ` — <b>below ${resp.limit}/min</b>` : ''}</p>`;
+        }
+        const quality = agentReport.quality;
+        if (quality) {
+            const verdict = quality.level === 'poor' ? ' — <b>conclusions are tentative</b>' : '';
+            html += `<p><b>Scan quality:</b> ${quality.score}/100, ${this._esc(quality.level)}${verdict}</p>`;
+            html += this._guidanceList(quality);
+        }
+        if (agentReport.lowLight) {
+            html += '<p><b>Low light:</b> <span class="muted">the scene was dim for most of the scan — fine movement readings are less reliable.</span></p>';
+        }
+        if (validated && validated.wasOverridden) {
+            html += `<p class="muted">Raw reading "${this._esc(validated.originalEmotion)}" was corrected: ${this._esc(validated.reason)}.</p>`;
+        }
+        return html + '</section>';
+    }
+
+    // In place of the behavior state when the scan was too poor for one:
+    // why, and what to change next time
+    _insufficientSection(quality) {
+        return `<section><h2>Behavior State</h2>
+            <p class="lead">Not enough to go on</p>
+            <p>No reading this time — ${this._esc(quality.reasons.join(' and '))}.</p>
+            <p><b>Scan quality:</b> ${quality.score}/100 <span class="muted">(${this._esc(quality.factors.map(f => `${f.label}: ${f.value}`).join(' · '))})</span></p>
+            ${this._guidanceList(quality)}
+        </section>`;
+    }
+
+    _guidanceList(quality) {
+        if (quality.guidance.length === 0) return '';
+        return `<ul class="muted">${quality.guidance.map(g => `<li>${this._esc(g)}</li>`).join('')}</ul>`;
+    }
+
+    // Emotion timeline — one band per sample colored by emotion,
+    // with the confidence line drawn over it. The axis runs from the
+    // first sample to the end of the scan; reports from before the
+    // whole-scan timeline only hold its last seconds
+    _timelineSection(emotionReport) {
+        const timeline = emotionReport.timeline || [];
+        if (timeline.length < 2) return '';
+
+        const W = 640, H = 160, PAD = 24;
+        const minT = timeline[0].time;
+        const maxT = Math.round(Math.max(emotionReport.duration || 0, timeline[timeline.length - 1].time, minT + 1));
+        const x = t => PAD + ((t - minT) / (maxT - minT)) * (W - PAD * 2);
+        const y = c => H - PAD - (c / 100) * (H - PAD * 2);
+
+        let bands = '';
+        timeline.forEach((p, i) => {
+            const x0 = x(p.time);
+            const x1 = i < timeline.length - 1 ? x(timeline[i + 1].time) : W - PAD;
+            bands += `<rect x="${x0.toFixed(1)}" y="${PAD}" width="${Math.max(1, x1 - x0).toFixed(1)}" height="${H - PAD * 2}" fill="${this.EMOTION_COLORS[p.emotion] || '#888888'}" fill-opacity="0.35"/>`;
+        });
+        const line = timeline.map(p => `${x(p.time).toFixed(1)},${y(p.confidence).toFixed(1)}`).join(' ');
+
+        const seen = [...new Set(timeline.map(p => p.emotion))];
+        const legend = seen.map(e =>
+            `<span class="swatch" style="background:${this.EMOTION_COLORS[e] || '#888888'}"></span>${this._esc(e)}`
+        ).join(' ');
+
+        const dist = Object.entries(emotionReport.emotionDistribution || {})
+            .sort((a, b) => b[1] - a[1])
+            .map(([e, pct]) => `${this._esc(e)} ${pct}%`).join(' · ');
+
+        return `<section><h2>Emotion Timeline</h2>
+            <svg viewBox="0 0 ${W} ${H}" width="100%" role="img" aria-label="Emotion timeline">
+                ${bands}
+                <line x1="${PAD}" y1="${H - PAD}" x2="${W - PAD}" y2="${H - PAD}" stroke="#999"/>
+                <polyline points="${line}" fill="none" stroke="#333" stroke-width="2"/>
+                <text x="${PAD}" y="${H - 6}" font-size="10" fill="#666">${minT}s</text>
+                <text x="${W - PAD}" y="${H - 6}" font-size="10" fill="#666" text-anchor="end">${maxT}s</text>
+                <text x="${PAD}" y="${PAD - 8}" font-size="10" fill="#666">confidence %</text>
+            </svg>
+            <p class="legend">${legend}</p>
+            ${dist ? `<p class="muted">Time in each emotion: ${dist}</p>` : ''}
+        </section>`;
+    }
+
+    _evidenceSection(agentReport, references) {
+        const chain = agentReport.evidenceChain || [];
+        if (chain.length === 0) return '';
+
+        let html = '<section><h2>Scientific Evidence</h2>';
+        chain.forEach(ev => {
+            const refs = this._refNumbers(ev.studies, references);
+            html += `<div class="evidence">
+                <p><b>Observed:</b> ${this._esc(ev.observation)}</p>
+                <p><b>Measured:</b> ${this._esc(ev.measurement)}</p>
+                <p><b>Research:</b> ${this._esc(ev.studyEvidence)}</p>
+                <p><b>Conclusion:</b> ${this._esc(ev.conclusion)}</p>
+                <p class="muted">${this._esc(ev.citation)}${refs ? ' ' + refs : ''}</p>
+            </div>`;
+        });
+        return html + '</section>';
+    }
+
+    _actionsSection(agentReport, emotionReport) {
+        const summary = agentReport.filteredActions || emotionReport.actionSummary;
+        if (!summary || !summary.topActions || summary.topActions.length === 0) return '';
+
+        const frames = emotionReport.framesAnalyzed || 1;
+        const rows = summary.topActions.slice(0, 10).map(([action, count]) =>
+            `<tr><td>${this._esc(action.replace(/-/g, ' '))}</td><td>${Math.round((count / frames) * 100)}%</td></tr>`
+        ).join('');
+        return `<section><h2>K9 Actions</h2>
+            <p>Primary action: <b>${this._esc((summary.primary || 'observing').replace(/-/g, ' '))}</b></p>
+            <table><thead><tr><th>Action</th><th>Share of frames</th></tr></thead><tbody>${rows}</tbody></table>
+        </section>`;
+    }
+
+    _barkSection(barkReport) {
+        const barks = barkReport.barks;
+        if (!barks) return '';
+
+        let html = `<section><h2>Vocalizations</h2>
+            <p>${barks.total} bark${barks.total !== 1 ? 's' : ''} (${barks.rate}/min)` +
+            (barks.total > 0 ? `, mostly ${this._esc(barks.dominantType)}, average ${barks.avgFrequency} Hz, ${barks.avgDuration} ms` : '') +
+            `. Sound present ${barkReport.soundRatio || 0}% of the scan.</p>`;
+
+        const log = barkReport.barkLog || [];
+        if (log.length > 0) {
+            html += `<table><thead><tr><th>Time</th><th>Type</th><th>Pitch</th><th>Duration</th><th>Intensity</th></tr></thead><tbody>` +
+                log.map(b => `<tr><td>${b.time}s</td><td>${this._esc(b.type)}</td><td>${b.freq} Hz</td><td>${b.duration} ms</td><td>${b.intensity}%</td></tr>`).join('') +
+                '</tbody></table>';
+            if (barks.total > log.length) html += `<p class="muted">Last ${log.length} of ${barks.total} barks shown.</p>`;
+        }
+        return html + '</section>';
+    }
+
+    _needsSection(emotionReport) {
+        const needs = emotionReport.needs || [];
+        if (needs.length === 0) return '';
+
+        return '<section><h2>Needs</h2><ul>' + needs.map(n =>
+            `<li><b>${this._esc(n.need)}</b> <span class="urgency ${this._esc(n.urgency)}">${this._esc(n.urgency)}</span><br>
+                ${this._esc(n.detail)}<br><span class="muted">${this._esc(n.science)}</span></li>`
+        ).join('') + '</ul></section>';
+    }
+
+    _multiDogSection(multiDog, references) {
+        if (!multiDog) return '';
+
+        let html = `<section><h2>${multiDog.dogCount} Dogs in This Scan</h2>
+            <table><thead><tr><th>Dog</th><th>State</th><th>Emotion</th><th>Well-being</th><th>Actions</th></tr></thead><tbody>` +
+            multiDog.dogs.map(d => `<tr>
+                <td>${this._esc(d.label)}${d.primary ? ' (main report)' : ''}</td>
+                <td>${this._esc(d.behaviorState.label || d.behaviorState.state)}</td>
+                <td>${this._esc(d.emotion)}</td>
+                <td>${d.wellbeing}%</td>
+                <td>${this._esc(d.topActions.join(', ').replace(/-/g, ' '))}</td>
+            </tr>`).join('') +
+            '</tbody></table>';
+
+        multiDog.interactions.forEach(i => {
+            const refs = this._refNumbers(i.studies, references);
+            html += `<p><b>${this._esc(i.signal)}</b> — ${this._esc(i.detail)} <span class="muted">${this._esc(i.science)}${refs ? ' ' + refs : ''}</span></p>`;
+        });
+        multiDog.proximity.forEach(p => {
+            html += `<p>${this._esc(p.dogs.join(' & '))}: close together ${p.closePct}% of the time, on average ${p.avgDistance} body lengths apart.</p>`;
+        });
+        return html + `<p class="muted">${this._esc(multiDog.audioNote)}</p></section>`;
+    }
+
+    _referencesSection(references) {
+        if (references.length === 0) return '';
+        return '<section><h2>References</h2><ol class="refs">' +
+            references.map(id => `<li>${this._esc(this.scienceDB.cite(id))}</li>`).join('') +
+            '</ol></section>';
+    }
+
+    // ── Utility ──
+
+    _scanInfo(meta) {
+        const dog = meta.dog ? {
+            name: meta.dog.name,
+            breed: meta.dog.breed || '',
+            sizeClass: meta.dog.sizeClass || null,
+            ageYears: meta.dog.ageYears != null ? meta.dog.ageYears : null,
+            photo: meta.dog.photo || null
+        } : null;
+        return {
+            timestamp: meta.timestamp || Date.now(),
+            durationSec: Math.round((meta.durationSec || 0) * 10) / 10,
+            frames: meta.frames || 0,
+            detections: meta.detections || 0,
+            scanMode: meta.scanMode || 'continuous',
+            dog
+        };
+    }
+
+    // "6.2 fps effective · battery saver: still 4 fps 41s, active every frame 12s"
+    _frameRateText(frameRate) {
+        let text = `${frameRate.effectiveFps} fps effective`;
+        if (frameRate.mode === 'battery-saver') {
+            const rates = Object.entries(frameRate.timeAtRate || {})
+                .filter(([, sec]) => sec > 0)
+                .map(([rate, sec]) => {
+                    const fps = frameRate.rates ? frameRate.rates[rate] : null;
+                    return `${rate} ${fps ? fps + ' fps' : 'every frame'} ${Math.round(sec)}s`;
+                });
+            text += ' · battery saver' + (rates.length > 0 ? ': ' + rates.join(', ') : '');
+        }
+        return text;
+    }
+
+    // "[1, 3]" — registers each study in the reference list on first use.
+    // Items saved before study ids were recorded keep their short citation only.
+    _refNumbers(studies, references) {
+        if (!this.scienceDB || !studies || studies.length === 0) return '';
+        const nums = studies
+            .filter(id => this.scienceDB.studies[id])
+            .map(id => {
+                if (!references.includes(id)) references.push(id);
+                return references.indexOf(id) + 1;
+            });
+        return nums.length > 0 ? `[${nums.join(', ')}]` : '';
+    }
+
+    _esc(text) {
+        return String(text == null ? '' : text)
+            .replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;').replace(/'/g, '&#39;');
+    }
+
+    _styles() {
+        return `
+body { font-family: Georgia, 'Times New Roman', serif; color: #222; max-width: 760px; margin: 24px auto; padding: 0 16px; line-height: 1.45; font-size: 13px; }
+header { display: flex; gap: 16px; align-items: center; border-bottom: 2px solid #d4a017; padding-bottom: 12px; margin-bottom: 16px; }
+header .photo { width: 72px; height: 72px; border-radius: 50%; object-fit: cover; }
+h1 { font-size: 22px; margin: 0 0 4px; }
+h2 { font-size: 15px; margin: 0 0 8px; color: #5a4a0a; border-bottom: 1px solid #ddd; padding-bottom: 2px; }
+section { margin-bottom: 18px; page-break-inside: avoid; }
+p { margin: 4px 0; }
+.meta, .muted { color: #666; font-size: 12px; }
+.lead { font-size: 16px; font-weight: bold; }
+table { border-collapse: collapse; width: 100%; margin: 6px 0; font-size: 12px; }
+th, td { border: 1px solid #ddd; padding: 4px 6px; text-align: left; }
+th { background: #f5f0e0; }
+.stats td { text-align: center; border: none; background: #faf7ee; }
+.stats b { display: block; font-size: 16px; text-transform: capitalize; }
+.stats span { font-size: 10px; color: #666; text-transform: uppercase; letter-spacing: 0.5px; }
+.evidence { border-left: 3px solid #82b1ff; padding: 4px 10px; margin-bottom: 8px; }
+.legend { font-size: 11px; color: #444; }
+.swatch { display: inline-block; width: 10px; height: 10px; margin: 0 3px 0 8px; vertical-align: middle; }
+.urgency { font-size: 10px; text-transform: uppercase; padding: 1px 5px; border-radius: 3px; background: #eee; }
+.urgency.high { background: #fdd; }
+.urgency.moderate { background: #ffefc2; }
+.refs li { margin-bottom: 4px; }
+footer { margin-top: 24px; border-top: 1px solid #ddd; padding-top: 8px; font-size: 11px; color: #666; }
+@page { margin: 16mm; }
+@media print { body { margin: 0; max-width: none; } }`;
+    }
+
+    // Optional: null when the database isn't loaded
+    _createScienceDB() {
+        const ScienceDB = ModuleRegistry.resolve('CanineScienceDB', 'canine-science-db.js');
+        return ScienceDB ? new ScienceDB() : null;
+    }
+}
+
+ModuleRegistry.expose('ScanReportExport', ScanReportExport, typeof module !== 'undefined' ? module : null);
@@ -0,0 +1,332 @@
+/* ============================================
+   SCENE MOTION ANALYZER — Background Motion (Camera Shake)
+
+   Watches the whole frame OUTSIDE the dogs' bounding boxes.
+   The background doesn't move on its own, so motion there
+   is the camera moving:
+
+   - backgroundMotion: mean pixel change of the background
+     since the previous frame
+   - shake: the background cells oscillating together in the
+     tremor band (TremorAnalyzer) — a hand tremor or a phone
+     resting on something that vibrates. DogVisionAnalyzer
+     uses it to tell a trembling dog from a shaking camera.
+   - camera: the global shift of the background since the
+     previous frame (block matching, sub-pixel) and its running
+     total, in frame pixels. DogEmotionEngine subtracts it from
+     box displacement and DogVisionAnalyzer from its pixel
+     diffs, so a handheld phone's drift isn't read as the dog
+     moving. Shifts under MIN_SHIFT are sensor noise and count
+     as zero. `shaky` — the camera path over SHAKY_WINDOW_MS
+     above SHAKY_SPEED, or a shake — flags frames too unsteady
+     to trust.
+   - lighting: the frame's mean brightness (`low` under
+     LOW_LIGHT_LEVEL) and the background's brightness gain since
+     the previous frame (median cell ratio). The previous frame
+     is scaled by the gain before motion is measured, so
+     auto-exposure drift doesn't read as motion; a jump of more
+     than LIGHT_CHANGE that most cells share is a lights-on /
+     exposure `change`, and DogVisionAnalyzer leaves that frame
+     out of its motion statistics.
+
+   Works on a small grayscale thumbnail of the whole frame
+   (SCENE_W x SCENE_H), split into a 4x3 grid of cells. Cells
+   touching a dog box (grown by BOX_MARGIN) don't count as
+   background; with fewer than MIN_CELLS left — a dog filling
+   the frame — shake can't be judged and is reported unchecked.
+   ============================================ */
+
+var ModuleRegistry = ModuleRegistry || require('./module-registry.js');
+
+class SceneMotionAnalyzer {
+    /**
+     * @param {object} options - { createCanvas } canvas factory (headless use,
+     *   worker OffscreenCanvas), { tremorAnalyzer } to supply the TremorAnalyzer
+     */
+    constructor(options = {}) {
+        // Created on first capture — recorded scenes need no canvas
+        this.createCanvas = options.createCanvas || (() => document.createElement('canvas'));
+        this.canvas = null;
+        this.ctx = null;
+
+        this.SCENE_W = 48;
+        this.SCENE_H = 36;
+        this.GRID_COLS = 4;
+        this.GRID_ROWS = 3;
+        this.BOX_MARGIN = 0.1;   // fur, shadow and box jitter around the dog
+        this.MIN_CELLS = 3;
+
+        // Global shift search (thumbnail pixels; one is ~13 px of a 640 px frame)
+        this.MAX_SHIFT = 3;
+        this.MIN_SHIFT = 0.25;
+        this.MIN_MATCH_GAIN = 0.25;     // a shift must fit this much better than none
+        this.SHAKY_WINDOW_MS = 1000;
+        this.SHAKY_SPEED = 0.25;        // camera path, frame widths per second
+
+        // Lighting (0-1 gray)
+        this.LIGHT_CHANGE = 0.1;        // brightness jump between frames
+        this.LIGHT_AGREE = 0.75;        // share of cells that must move with it
+        this.LIGHT_GAIN_MIN = 0.02;     // smaller gains are left alone
+        this.LOW_LIGHT_LEVEL = 0.15;
+
+        this.tremorAnalyzer = options.tremorAnalyzer ||
+            new (ModuleRegistry.resolve('TremorAnalyzer', 'tremor-analyzer.js'))({ minRegions: this.MIN_CELLS });
+        this.prevScene = null;
+        this.prevLevels = null;
+        this.offset = { x: 0, y: 0 };
+        this.path = [];     // { t, dist } camera movement per frame (frame widths)
+    }
+
+    /**
+     * Grayscale thumbnail of the whole frame.
+     *
+     * @param {HTMLVideoElement|ImageBitmap} source
+     * @returns {Float32Array|null} SCENE_W x SCENE_H pixels (0-1), or null
+     */
+    captureScene(source) {
+        if (!source) return null;
+        try {
+            if (!this.canvas) {
+                this.canvas = this.createCanvas();
+                this.canvas.width = this.SCENE_W;
+                this.canvas.height = this.SCENE_H;
+                this.ctx = this.canvas.getContext('2d', { willReadFrequently: true });
+            }
+            this.ctx.drawImage(source, 0, 0, this.SCENE_W, this.SCENE_H);
+            const pixels = this.ctx.getImageData(0, 0, this.SCENE_W, this.SCENE_H).data;
+            const gray = new Float32Array(this.SCENE_W * this.SCENE_H);
+            for (let i = 0; i < gray.length; i++) {
+                gray[i] = (pixels[i * 4] * 0.299 + pixels[i * 4 + 1] * 0.587 + pixels[i * 4 + 2] * 0.114) / 255;
+            }
+            return gray;
+        } catch (err) {
+            // Canvas operations can fail on some devices
+            return null;
+        }
+    }
+
+    /**
+     * Background motion for one frame.
+     *
+     * @param {Float32Array|null} scene - captureScene() output
+     * @param {object} context - { boxes: [[x, y, w, h]], frameSize: [w, h], timestamp }
+     * @returns {object} { available, backgroundCells, backgroundMotion, shake, camera, lighting } —
+     *   shake is TremorAnalyzer output over the background cells; camera is
+     *   { checked, dx, dy, offsetX, offsetY, speed, shaky }: the scene's shift since the
+     *   previous frame and in total (frame px), path speed (frame widths/s); lighting is
+     *   { checked, level, gain, change, low }
+     */
+    analyze(scene, context = {}) {
+        if (!scene || scene.length !== this.SCENE_W * this.SCENE_H || !context.frameSize) {
+            this.prevScene = null;
+            this.prevLevels = null;
+            return this._unavailable();
+        }
+
+        const background = this._backgroundCells(context.boxes || [], context.frameSize);
+        const levels = this._cellLevels(scene);
+        const shake = this.tremorAnalyzer.update(levels, context.timestamp, background);
+
+        const checked = background.length >= this.MIN_CELLS;
+        const lighting = this._checkLighting(scene, levels, background, checked);
+        this.prevLevels = levels;
+
+        let backgroundMotion = 0;
+        let shift = { x: 0, y: 0 };
+        if (this.prevScene && background.length > 0) {
+            const prev = Math.abs(lighting.gain - 1) >= this.LIGHT_GAIN_MIN
+                ? this.prevScene.map(v => v * lighting.gain)
+                : this.prevScene;
+            const mask = this._cellMask(background);
+            let sum = 0, count = 0;
+            for (let i = 0; i < scene.length; i++) {
+                if (!mask[i]) continue;
+                sum += Math.abs(scene[i] - prev[i]);
+                count++;
+            }
+            backgroundMotion = count > 0 ? sum / count : 0;
+            if (checked) shift = this._estimateShift(scene, prev, mask);
+        }
+        this.prevScene = scene;
+
+        const camera = this._trackCamera(shift, context.frameSize, context.timestamp, checked);
+        return {
+            available: true,
+            backgroundCells: background.length,
+            backgroundMotion: Math.round(backgroundMotion * 10000) / 10000,
+            shake: checked ? shake : { ...shake, checked: false, active: false },
+            camera: { ...camera, shaky: camera.shaky || (checked && shake.active) },
+            lighting
+        };
+    }
+
+    clearAll() {
+        this.prevScene = null;
+        this.prevLevels = null;
+        this.offset = { x: 0, y: 0 };
+        this.path = [];
+        this.tremorAnalyzer.clearAll();
+    }
+
+    // ── Internal ──
+
+    // Shift (thumbnail px) that best maps the previous background onto this one:
+    // scene(x, y) ≈ prev(x - dx, y - dy). Integer search by mean squared difference
+    // over the mask, then a parabola through the neighbours for the fraction.
+    _estimateShift(scene, prev, mask) {
+        const R = this.MAX_SHIFT;
+        const size = 2 * R + 1;
+        const cost = new Float64Array(size * size);
+        let best = { sx: 0, sy: 0, c: Infinity };
+        for (let sy = -R; sy <= R; sy++) {
+            for (let sx = -R; sx <= R; sx++) {
+                let sum = 0, count = 0;
+                for (let y = Math.max(0, sy); y < this.SCENE_H + Math.min(0, sy); y++) {
+                    for (let x = Math.max(0, sx); x < this.SCENE_W + Math.min(0, sx); x++) {
+                        const i = y * this.SCENE_W + x;
+                        if (!mask[i]) continue;
+                        const d = scene[i] - prev[i - sy * this.SCENE_W - sx];
+                        sum += d * d;
+                        count++;
+                    }
+                }
+                const c = count > 0 ? sum / count : Infinity;
+                cost[(sy + R) * size + sx + R] = c;
+                if (c < best.c) best = { sx, sy, c };
+            }
+        }
+
+        // A flat background matches every shift about equally — keep still
+        const still = cost[R * size + R];
+        if (best.c > still * (1 - this.MIN_MATCH_GAIN)) best = { sx: 0, sy: 0, c: still };
+
+        const at = (sx, sy) => cost[(sy + R) * size + sx + R];
+        // No clear minimum along an axis (flat, or stripes along it) — no fraction either
+        const refine = (c0, cm, cp) => {
+            const curve = cm - 2 * c0 + cp;
+            return curve > c0 * this.MIN_MATCH_GAIN ? Math.max(-0.5, Math.min(0.5, (cm - cp) / (2 * curve))) : 0;
+        };
+        let dx = best.sx, dy = best.sy;
+        if (Math.abs(best.sx) < R) dx += refine(best.c, at(best.sx - 1, best.sy), at(best.sx + 1, best.sy));
+        if (Math.abs(best.sy) < R) dy += refine(best.c, at(best.sx, best.sy - 1), at(best.sx, best.sy + 1));
+        return {
+            x: Math.abs(dx) < this.MIN_SHIFT ? 0 : dx,
+            y: Math.abs(dy) < this.MIN_SHIFT ? 0 : dy
+        };
+    }
+
+    // Whole-frame brightness, and the background's gain since the previous frame
+    _checkLighting(scene, levels, background, checked) {
+        const level = scene.reduce((sum, v) => sum + v, 0) / scene.length;
+        const result = {
+            checked: false,
+            level: Math.round(level * 1000) / 1000,
+            gain: 1,
+            change: false,
+            low: level < this.LOW_LIGHT_LEVEL
+        };
+        if (!checked || !this.prevLevels) return result;
+
+        const ratios = background.map(c => levels[c] / Math.max(0.01, this.prevLevels[c]));
+        const gain = ratios.slice().sort((a, b) => a - b)[Math.floor(ratios.length / 2)];
+        const dir = Math.sign(gain - 1);
+        const agreeing = ratios.filter(r => Math.sign(r - 1) === dir && Math.abs(r - 1) > this.LIGHT_CHANGE / 2).length;
+        return {
+            ...result,
+            checked: true,
+            gain: Math.round(gain * 1000) / 1000,
+            change: Math.abs(gain - 1) > this.LIGHT_CHANGE && agreeing >= ratios.length * this.LIGHT_AGREE
+        };
+    }
+
+    // Running camera offset and path speed, in frame pixels
+    _trackCamera(shift, frameSize, t, checked) {
+        const [fw, fh] = frameSize;
+        const dx = shift.x * fw / this.SCENE_W;
+        const dy = shift.y * fh / this.SCENE_H;
+        this.offset.x += dx;
+        this.offset.y += dy;
+
+        const now = t != null ? t : 0;
+        this.path.push({ t: now, dist: Math.sqrt(dx * dx + dy * dy) / fw });
+        while (now - this.path[0].t > this.SHAKY_WINDOW_MS) this.path.shift();
+        const span = now - this.path[0].t;
+        const dist = this.path.slice(1).reduce((sum, p) => sum + p.dist, 0);
+        const speed = span > 0 ? dist * 1000 / span : 0;
+
+        return {
+            checked,
+            dx: Math.round(dx * 10) / 10,
+            dy: Math.round(dy * 10) / 10,
+            offsetX: Math.round(this.offset.x * 10) / 10,
+            offsetY: Math.round(this.offset.y * 10) / 10,
+            speed: Math.round(speed * 100) / 100,
+            shaky: checked && span >= this.SHAKY_WINDOW_MS / 2 && speed > this.SHAKY_SPEED
+        };
+    }
+
+    // Indices of grid cells clear of every (grown) dog box
+    _backgroundCells(boxes, frameSize) {
+        const [fw, fh] = frameSize;
+        const cells = [];
+        for (let row = 0; row < this.GRID_ROWS; row++) {
+            for (let col = 0; col < this.GRID_COLS; col++) {
+                const cx0 = col / this.GRID_COLS, cx1 = (col + 1) / this.GRID_COLS;
+                const cy0 = row / this.GRID_ROWS, cy1 = (row + 1) / this.GRID_ROWS;
+                const covered = boxes.some(([x, y, w, h]) => {
+                    const mx = w * this.BOX_MARGIN, my = h * this.BOX_MARGIN;
+                    return (x - mx) / fw < cx1 && (x + w + mx) / fw > cx0 &&
+                        (y - my) / fh < cy1 && (y + h + my) / fh > cy0;
+                });
+                if (!covered) cells.push(row * this.GRID_COLS + col);
+            }
+        }
+        return cells;
+    }
+
+    _cellLevels(scene) {
+        const cw = this.SCENE_W / this.GRID_COLS;
+        const ch = this.SCENE_H / this.GRID_ROWS;
+        const levels = new Float64Array(this.GRID_ROWS * this.GRID_COLS);
+        for (let y = 0; y < this.SCENE_H; y++) {
+            for (let x = 0; x < this.SCENE_W; x++) {
+                levels[Math.floor(y / ch) * this.GRID_COLS + Math.floor(x / cw)] += scene[y * this.SCENE_W + x];
+            }
+        }
+        for (let i = 0; i < levels.length; i++) levels[i] /= cw * ch;
+        return levels;
+    }
+
+    _cellMask(cells) {
+        const cw = this.SCENE_W / this.GRID_COLS;
+        const ch = this.SCENE_H / this.GRID_ROWS;
+        const mask = new Uint8Array(this.SCENE_W * this.SCENE_H);
+        cells.forEach(cell => {
+            const col = cell % this.GRID_COLS;
+            const row = Math.floor(cell / this.GRID_COLS);
+            for (let y = row * ch; y < (row + 1) * ch; y++) {
+                for (let x = col * cw; x < (col + 1) * cw; x++) mask[y * this.SCENE_W + x] = 1;
+            }
+        });
+        return mask;
+    }
+
+    _unavailable() {
+        return {
+            available: false,
+            backgroundCells: 0,
+            backgroundMotion: 0,
+            shake: { checked: false, active: false, frequency: 0, regions: 0, amplitude: 0, fps: 0 },
+            // The offset holds — boxes keep the same reference across a gap
+            camera: {
+                checked: false, dx: 0, dy: 0,
+                offsetX: Math.round(this.offset.x * 10) / 10,
+                offsetY: Math.round(this.offset.y * 10) / 10,
+                speed: 0, shaky: false
+            },
+            lighting: { checked: false, level: 0, gain: 1, change: false, low: false }
+        };
+    }
+}
+
+ModuleRegistry.expose('SceneMotionAnalyzer', SceneMotionAnalyzer, typeof module !== 'undefined' ? module : null);
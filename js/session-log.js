@@ -0,0 +1,186 @@
+/* ============================================
+   SESSION LOG — Recorded Scan Input Stream
+
+   Captures everything the analysis pipeline consumed on each
+   frame of a live scan, so the scan can be replayed offline
+   (SessionReplay) and produce the same final report:
+
+   - predictions: raw COCO-SSD detections { bbox, class, score }
+   - crops: the 64x64 grayscale crop of each tracked dog fed to
+            its DogVisionAnalyzer (tracker id order)
+   - scene: the 48x36 grayscale whole-frame thumbnail fed to the
+            SceneMotionAnalyzer, with the video's frameSize [w, h]
+   - audio: the bark worklet hops { t, rms, spectrum, onset }
+            BarkAnalysisEngine analyzed since the previous frame
+   - t: frame timestamp (ms)
+
+   Alert rule hits (AlertRules) are logged alongside the frames.
+
+   Crops and spectra are stored as base64 Float32 so replay
+   is bit-exact (spectra hold -Infinity for silent bins,
+   which plain JSON cannot represent).
+
+   Size: ~17 KB per frame per dog plus ~9 KB for the scene, so
+   recording is opt-in and capped.
+
+   Version 1 logs (single dog, one `crop`), version 2 logs
+   (one analyser poll { rms, spectrum } per frame) and version 3
+   logs (no scene — replayed without camera-shake checks) still load.
+   ============================================ */
+
+var ModuleRegistry = ModuleRegistry || require('./module-registry.js');
+
+class SessionLog {
+    constructor() {
+        this.FORMAT = 'microsenses-session-log';
+        this.VERSION = 4;
+        this.MAX_FRAMES = 3600; // ~2 minutes of analyzed frames (~60 MB in memory)
+
+        this.meta = {};
+        this.frames = [];
+        this.alerts = [];
+        this.truncated = false;
+    }
+
+    /**
+     * Begin a new recording.
+     * @param {object} meta - { sampleRate, fftSize, hopSize, cropSize, scanMode, profile, detector, poseModel }
+     */
+    start(meta = {}) {
+        this.meta = { ...meta, recordedAt: new Date().toISOString() };
+        this.frames = [];
+        this.alerts = [];
+        this.truncated = false;
+    }
+
+    /**
+     * Record one pipeline frame. Called by ScanPipeline when set as its recorder.
+     * @param {object} frame - { t, predictions, crops, scene, frameSize, audio }
+     */
+    record(frame) {
+        if (this.frames.length >= this.MAX_FRAMES) {
+            this.truncated = true;
+            return;
+        }
+        this.frames.push({
+            t: frame.t,
+            predictions: (frame.predictions || []).map(p => ({
+                bbox: p.bbox.slice(), class: p.class, score: p.score
+            })),
+            crops: (frame.crops || []).slice(),
+            scene: frame.scene || null,
+            frameSize: frame.frameSize ? frame.frameSize.slice() : null,
+            audio: frame.audio || null
+        });
+    }
+
+    /**
+     * Log an alert rule hit. Kept even once the frame cap is reached.
+     * @param {object} hit - AlertRules hit { ruleId, label, t, scanTime, heldMs, value }
+     */
+    recordAlert(hit) {
+        this.alerts.push({ ...hit });
+    }
+
+    /**
+     * Close the recording with the live scan's totals.
+     * @param {object} summary - { durationMs, frameCount, dogDetectionCount }
+     */
+    finish(summary = {}) {
+        this.meta = { ...this.meta, ...summary };
+    }
+
+    get isEmpty() {
+        return this.frames.length === 0;
+    }
+
+    // ── Serialization ──
+
+    /**
+     * @returns {object} JSON-safe representation
+     */
+    serialize() {
+        return {
+            format: this.FORMAT,
+            version: this.VERSION,
+            meta: this.meta,
+            truncated: this.truncated,
+            alerts: this.alerts,
+            frames: this.frames.map(f => ({
+                t: f.t,
+                predictions: f.predictions,
+                crops: f.crops.map(c => c ? SessionLog._encodeFloats(c) : null),
+                scene: f.scene ? SessionLog._encodeFloats(f.scene) : null,
+                frameSize: f.frameSize,
+                audio: f.audio ? f.audio.map(hop => ({
+                    t: hop.t,
+                    rms: hop.rms,
+                    spectrum: SessionLog._encodeFloats(hop.spectrum),
+                    onset: hop.onset
+                })) : null
+            }))
+        };
+    }
+
+    /**
+     * Rebuild a SessionLog from serialize() output (or its JSON string).
+     * @param {object|string} data
+     * @returns {SessionLog}
+     */
+    static parse(data) {
+        const obj = typeof data === 'string' ? JSON.parse(data) : data;
+        const log = new SessionLog();
+        if (!obj || obj.format !== log.FORMAT) {
+            throw new Error('Not a session log file');
+        }
+        if (obj.version > log.VERSION) {
+            throw new Error('Session log version ' + obj.version + ' is newer than this app supports');
+        }
+
+        log.meta = obj.meta || {};
+        log.truncated = !!obj.truncated;
+        log.alerts = obj.alerts || [];
+        log.frames = (obj.frames || []).map(f => ({
+            t: f.t,
+            predictions: f.predictions || [],
+            // v1: a single crop of the one analyzed dog
+            crops: (f.crops || (f.crop ? [f.crop] : [])).map(c => c ? SessionLog._decodeFloats(c) : null),
+            // v1-v3: no scene
+            scene: f.scene ? SessionLog._decodeFloats(f.scene) : null,
+            frameSize: f.frameSize || null,
+            // v2: one analyser poll per frame, no audio clock
+            audio: f.audio ? (Array.isArray(f.audio) ? f.audio : [f.audio]).map(hop => ({
+                t: hop.t != null ? hop.t : null,
+                rms: hop.rms,
+                spectrum: SessionLog._decodeFloats(hop.spectrum),
+                onset: hop.onset != null ? hop.onset : null
+            })) : null
+        }));
+        return log;
+    }
+
+    // ── Utility ──
+    // Float32 arrays are stored in platform byte order (little-endian on
+    // every browser this app targets).
+
+    static _encodeFloats(floats) {
+        const bytes = new Uint8Array(floats.buffer, floats.byteOffset, floats.byteLength);
+        let binary = '';
+        const CHUNK = 8192;
+        for (let i = 0; i < bytes.length; i += CHUNK) {
+            binary += String.fromCharCode.apply(null, bytes.subarray(i, i + CHUNK));
+        }
+        return btoa(binary);
+    }
+
+    static _decodeFloats(base64) {
+        const binary = atob(base64);
+        const bytes = new Uint8Array(binary.length);
+        for (let i = 0; i < binary.length; i++) {
+            bytes[i] = binary.charCodeAt(i);
+        }
+        return new Float32Array(bytes.buffer);
+    }
+}
+
+ModuleRegistry.expose('SessionLog', SessionLog, typeof module !== 'undefined' ? module : null);
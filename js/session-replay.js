@@ -0,0 +1,111 @@
+/* ============================================
+   SESSION REPLAY — Offline Pipeline Harness
+
+   Feeds a recorded SessionLog through a fresh ScanPipeline,
+   frame by frame, and returns the same report set a live
+   scan produces. No camera, microphone or detection model
+   is needed, and replaying the same log always gives the
+   same report.
+
+   Uses:
+   - Reproduce a user's "bad report" from their saved log
+   - Regression-check engine changes against known sessions
+   ============================================ */
+
+var ModuleRegistry = ModuleRegistry || require('./module-registry.js');
+
+class SessionReplay {
+    /**
+     * @param {object} engines - Optional engine instances passed to ScanPipeline.
+     *   Omit to replay against fresh engines (recommended). Sessions recorded
+     *   with a pose model need that model loaded in engines.poseEstimator;
+     *   sessions recorded without one replay without it.
+     */
+    constructor(engines = {}) {
+        this.engines = engines;
+    }
+
+    /**
+     * Replay a recorded session.
+     *
+     * @param {SessionLog|object|string} log - SessionLog, its serialize() output, or JSON text
+     * @returns {object} ScanPipeline.complete() output plus
+     *   { frameCount, dogDetectionCount, energyTimeline, durationMs, truncated }
+     * @throws {Error} when the session's pose model isn't the one loaded
+     */
+    run(log) {
+        const Log = ModuleRegistry.resolve('SessionLog', 'session-log.js');
+        const Pipeline = ModuleRegistry.resolve('ScanPipeline', 'scan-pipeline.js');
+        const session = log instanceof Log ? log : Log.parse(log);
+        const pipeline = new Pipeline(this.engines);
+        pipeline.clearAll();
+
+        // Audio frames are only meaningful at the rate/size they were recorded at.
+        // Logs without a hop size polled the analyser once per ~30fps video frame.
+        const sampleRate = session.meta.sampleRate || pipeline.barkEngine.sampleRate;
+        pipeline.barkEngine.setHop(sampleRate, session.meta.hopSize || sampleRate / 30);
+        if (session.meta.fftSize) pipeline.barkEngine.fftSize = session.meta.fftSize;
+        // Dog-profile thresholds the live scan ran with
+        if (session.meta.profile) pipeline.applyProfile(session.meta.profile);
+        // Same dog filter the live scan used, reported under the same name/version
+        if (session.meta.detector && !this.engines.detector) {
+            const Detector = ModuleRegistry.resolve('DogDetector', 'dog-detector.js');
+            if (Detector.BACKENDS[session.meta.detector.id]) {
+                const detector = Detector.create(session.meta.detector.id);
+                detector.name = session.meta.detector.name || detector.name;
+                detector.version = session.meta.detector.version || detector.version;
+                pipeline.setDetector(detector);
+            }
+        }
+        // Posture came from the pose model the live scan ran with — replay
+        // needs that same model, loaded and passed in engines.poseEstimator
+        if (session.meta.poseModel) {
+            this._checkPoseModel(session.meta.poseModel, pipeline.poseEstimator);
+        } else {
+            pipeline.setPoseEstimator(null);
+        }
+
+        let dogDetectionCount = 0;
+        const energyTimeline = [];
+        session.frames.forEach(frame => {
+            const result = pipeline.processFrame({
+                timestamp: frame.t,
+                predictions: frame.predictions,
+                crops: frame.crops,
+                scene: frame.scene,
+                frameSize: frame.frameSize,
+                audio: frame.audio
+            });
+            if (result.dog) {
+                dogDetectionCount++;
+                energyTimeline.push(result.completion.metrics.energy);
+            }
+        });
+
+        const firstT = session.frames.length > 0 ? session.frames[0].t : 0;
+        const lastT = session.frames.length > 0 ? session.frames[session.frames.length - 1].t : 0;
+
+        return {
+            ...pipeline.complete(),
+            frameCount: session.meta.frameCount || session.frames.length,
+            dogDetectionCount,
+            energyTimeline,
+            durationMs: session.meta.durationMs || (lastT - firstT),
+            truncated: session.truncated
+        };
+    }
+
+    _checkPoseModel(recorded, poseEstimator) {
+        const label = `${recorded.name} ${recorded.version}`;
+        const loaded = poseEstimator ? poseEstimator.info() : null;
+        if (!loaded) {
+            throw new Error(`Session was recorded with pose model ${label} — load it to replay this session`);
+        }
+        if (loaded.name !== recorded.name || loaded.version !== recorded.version) {
+            throw new Error(`Session was recorded with pose model ${label}, ` +
+                `but ${loaded.name} ${loaded.version} is loaded`);
+        }
+    }
+}
+
+ModuleRegistry.expose('SessionReplay', SessionReplay, typeof module !== 'undefined' ? module : null);
@@ -0,0 +1,160 @@
+/* ============================================
+   TREMOR ANALYZER — Periodic Micro-Motion Across Regions
+
+   Finds trembling-like motion: the brightness level of many
+   image regions oscillating at the same high frequency.
+
+   Each frame supplies one level (mean grayscale) per region —
+   the 3x3 body zones of a dog crop (DogVisionAnalyzer), or the
+   background cells of the whole frame (SceneMotionAnalyzer,
+   where the same rhythm means camera shake). Over a 2 s window
+   each region's level series is detrended, tapered and its
+   spectrum taken at the frame times (frames don't arrive
+   evenly). Above HIGHPASS_HZ — breathing and slow movement
+   are far stronger and would drown the tremor — a region is
+   "periodic" when its spectral peak:
+
+   - lies in the tremor band (BAND_HZ)
+   - holds much of the region's power (MIN_PEAK_SHARE) — a
+     rhythm, not the flat spectrum of camera noise
+   - is big enough to be real motion (minAmplitude)
+
+   Active when at least minRegions periodic regions agree on
+   the frequency (within AGREE_HZ): a whole-body tremor, not
+   one twitching ear.
+
+   The band has to sit below the Nyquist frequency, so below
+   MIN_FPS the window is reported unchecked rather than
+   guessed at.
+   ============================================ */
+
+var ModuleRegistry = ModuleRegistry || require('./module-registry.js');
+
+class TremorAnalyzer {
+    /**
+     * @param {object} options - { minRegions, minAmplitude }
+     */
+    constructor(options = {}) {
+        this.WINDOW_MS = 2000;              // 0.5 Hz resolution
+        this.BAND_HZ = [4, 14];
+        this.MIN_FPS = 12;                  // Nyquist 6 Hz — the band's low end plus margin
+        this.STEP_HZ = 0.5;
+        this.HIGHPASS_HZ = 2;               // breathing and slow body motion sit below this
+        this.MIN_PEAK_SHARE = 0.4;          // white noise puts ~20% in the peak lobe
+        this.AGREE_HZ = 1;
+        this.UPDATE_MS = 200;               // spectra are recomputed at most this often
+
+        this.minRegions = options.minRegions || 4;
+        this.minAmplitude = options.minAmplitude || 0.0015;   // level units (0-1 gray)
+
+        this.clearAll();
+    }
+
+    clearAll() {
+        this.samples = [];      // { t, levels }
+        this.last = null;
+        this.lastT = null;
+    }
+
+    /**
+     * Add one frame's region levels and report the current window.
+     *
+     * @param {ArrayLike} levels - Mean level of each region this frame
+     * @param {number} t - Frame time (ms)
+     * @param {Array|null} regions - Indices to analyze (default: all)
+     * @returns {object} { checked, active, frequency, regions, amplitude, fps }
+     */
+    update(levels, t, regions = null) {
+        this.samples.push({ t, levels: Array.from(levels) });
+        while (t - this.samples[0].t > this.WINDOW_MS) this.samples.shift();
+
+        if (this.last && t - this.lastT < this.UPDATE_MS) return this.last;
+        this.lastT = t;
+        this.last = this._analyze(regions || levels.length);
+        return this.last;
+    }
+
+    // ── Internal ──
+
+    _analyze(regions) {
+        const s = this.samples;
+        const span = s.length > 1 ? s[s.length - 1].t - s[0].t : 0;
+        const fps = span > 0 ? (s.length - 1) * 1000 / span : 0;
+        const idle = { checked: false, active: false, frequency: 0, regions: 0, amplitude: 0, fps: Math.round(fps) };
+        if (span < this.WINDOW_MS * 0.9 || fps < this.MIN_FPS) return idle;
+
+        const maxHz = Math.min(this.BAND_HZ[1], fps / 2);
+        const indices = typeof regions === 'number' ? [...Array(regions).keys()] : regions;
+        const periodic = indices
+            .map(r => this._peak(s.map(x => x.t), s.map(x => x.levels[r]), maxHz))
+            .filter(p => p && p.hz >= this.BAND_HZ[0] && p.hz <= maxHz &&
+                p.share >= this.MIN_PEAK_SHARE && p.amplitude >= this.minAmplitude);
+
+        if (periodic.length < this.minRegions) return { ...idle, checked: true, regions: periodic.length };
+
+        const freqs = periodic.map(p => p.hz).sort((a, b) => a - b);
+        const median = freqs[Math.floor(freqs.length / 2)];
+        const agreeing = periodic.filter(p => Math.abs(p.hz - median) <= this.AGREE_HZ);
+        return {
+            checked: true,
+            active: agreeing.length >= this.minRegions,
+            frequency: median,
+            regions: agreeing.length,
+            amplitude: Math.round(agreeing.reduce((sum, p) => sum + p.amplitude, 0) / agreeing.length * 10000) / 10000,
+            fps: Math.round(fps)
+        };
+    }
+
+    // Spectral peak of one region's level series (times in ms, not evenly spaced)
+    _peak(times, values, maxHz) {
+        const n = values.length;
+        const t0 = times[0];
+        const T = (times[n - 1] - t0) / 1000;
+        const ts = times.map(t => (t - t0) / 1000);
+
+        // Remove the linear trend (drift, slow body motion), then taper (Hann)
+        const mt = ts.reduce((a, b) => a + b, 0) / n;
+        const mv = values.reduce((a, b) => a + b, 0) / n;
+        let num = 0, den = 0;
+        for (let i = 0; i < n; i++) {
+            num += (ts[i] - mt) * (values[i] - mv);
+            den += (ts[i] - mt) * (ts[i] - mt);
+        }
+        const slope = den > 0 ? num / den : 0;
+        let wsum = 0;
+        const x = values.map((v, i) => {
+            const w = 0.5 - 0.5 * Math.cos(2 * Math.PI * ts[i] / T);
+            wsum += w;
+            return (v - mv - slope * (ts[i] - mt)) * w;
+        });
+        if (wsum === 0) return null;
+
+        const spectrum = [];
+        let total = 0;
+        let peak = null;
+        for (let hz = this.HIGHPASS_HZ; hz <= maxHz; hz += this.STEP_HZ) {
+            let re = 0, im = 0;
+            for (let i = 0; i < n; i++) {
+                const a = 2 * Math.PI * hz * ts[i];
+                re += x[i] * Math.cos(a);
+                im += x[i] * Math.sin(a);
+            }
+            const power = re * re + im * im;
+            spectrum.push({ hz, power });
+            total += power;
+            if (!peak || power > peak.power) peak = { hz, power };
+        }
+        if (!peak || total === 0) return null;
+
+        // Hann main lobe: ±2 bins of 1/T Hz
+        const lobe = 2 / T;
+        const near = spectrum.filter(p => Math.abs(p.hz - peak.hz) <= lobe).reduce((sum, p) => sum + p.power, 0);
+        return {
+            hz: peak.hz,
+            share: near / total,
+            amplitude: 2 * Math.sqrt(peak.power) / wsum
+        };
+    }
+}
+
+ModuleRegistry.expose('TremorAnalyzer', TremorAnalyzer, typeof module !== 'undefined' ? module : null);
@@ -0,0 +1,400 @@
+/* ============================================
+   WEBHOOK CLIENT — Outbound Events to the Owner's Own Server
+
+   POSTs a JSON event to a user-supplied URL:
+
+   - 'alert': an alert rule fired (AlertRules hit) — with the
+     dog, the rule, the live emotion and vocalization, and the
+     Scan Report Agent's behavior state at that moment
+   - 'scan-complete': a scan finished — with the dog, the
+     scan's emotion, bark summary, behavior state, alerts and
+     scan quality. A scan too poor to read (quality.sufficient
+     false) carries no emotion or behavior state, as in the
+     app's own report
+
+   Delivery:
+   - Every event goes through a queue persisted in storage,
+     so events raised offline (or while the server is down)
+     survive a reload and go out later
+   - Failed sends retry with exponential backoff from
+     RETRY_BASE_MS up to RETRY_MAX_MS, at most MAX_ATTEMPTS
+     times. A 4xx answer (other than 408/429) is the server
+     rejecting the event, not an outage — dropped, not retried
+   - flush() on the window 'online' event (the app's job)
+
+   Signing: with a secret set, each request carries
+     X-Microsenses-Timestamp: <unix seconds>
+     X-Microsenses-Signature: sha256=<hex HMAC-SHA256 of "<timestamp>.<body>">
+   so the receiver can check the event came from this device
+   and reject replays. The secret lives in this device's storage.
+
+   Browsers send these requests cross-origin — the receiver
+   must answer the CORS preflight for POST with JSON.
+   ============================================ */
+
+var ModuleRegistry = ModuleRegistry || require('./module-registry.js');
+
+class WebhookClient {
+    /**
+     * @param {object} options - { fetch, storage, subtle, now } — injectable
+     *   transport, storage (localStorage-like), WebCrypto SubtleCrypto and clock
+     *   (headless use/testing)
+     */
+    constructor(options = {}) {
+        this.CONFIG_KEY = 'microsenses-webhook';
+        this.QUEUE_KEY = 'microsenses-webhook-queue';
+        this.EVENTS = ['alert', 'scan-complete'];
+        this.MAX_QUEUE = 100;
+        this.MAX_ATTEMPTS = 8;
+        this.RETRY_BASE_MS = 5000;
+        this.RETRY_MAX_MS = 5 * 60000;
+        this.TIMEOUT_MS = 10000;
+
+        this.fetch = options.fetch || (typeof fetch !== 'undefined' ? (url, init) => fetch(url, init) : null);
+        this.storage = options.storage !== undefined ? options.storage
+            : (typeof localStorage !== 'undefined' ? localStorage : null);
+        this.subtle = options.subtle !== undefined ? options.subtle
+            : (typeof crypto !== 'undefined' && crypto.subtle ? crypto.subtle : null);
+        this.now = options.now || (() => Date.now());
+
+        this.config = this._normalize(this._read(this.CONFIG_KEY));
+        this.queue = [].concat(this._read(this.QUEUE_KEY) || []);
+        this.flushing = null;
+        this.timer = null;
+        this.nextId = 1;
+    }
+
+    // ── Settings ──
+
+    /**
+     * @returns {object} { url, secret, enabled, events: { alert, 'scan-complete' } }
+     */
+    getConfig() {
+        return { ...this.config, events: { ...this.config.events } };
+    }
+
+    /**
+     * Replace the settings and save them.
+     *
+     * @param {object} config - { url, secret, enabled, events }
+     */
+    setConfig(config) {
+        this.config = this._normalize(config);
+        this._write(this.CONFIG_KEY, this.config);
+    }
+
+    /**
+     * @param {string} event - 'alert' or 'scan-complete'
+     * @returns {boolean} Whether events of this type are sent
+     */
+    wants(event) {
+        return this.config.enabled && !!this.config.url && !!this.config.events[event];
+    }
+
+    // ── Payloads ──
+
+    /**
+     * Event for an alert-rule hit.
+     *
+     * @param {object} hit - AlertRules.evaluate() hit
+     * @param {object} frame - ScanPipeline.processFrame() output the hit came from
+     * @param {object} context - { dog, behaviorState }
+     * @returns {object}
+     */
+    alertPayload(hit, frame, context = {}) {
+        const emotion = frame && frame.dog ? frame.emotionAssess : null;
+        const bark = frame ? frame.barkAssess : null;
+        return {
+            dog: this._dog(context.dog),
+            alert: {
+                ruleId: hit.ruleId,
+                label: hit.label,
+                scanTime: Math.round(hit.scanTime / 1000),
+                heldSec: Math.round(hit.heldMs / 1000),
+                value: hit.value
+            },
+            emotion: emotion ? { primary: emotion.primary, confidence: emotion.confidence } : null,
+            bark: bark ? {
+                vocalizing: !!bark.isVocalizing,
+                type: bark.currentType,
+                rate: bark.barkRate
+            } : null,
+            behaviorState: this._behavior(context.behaviorState)
+        };
+    }
+
+    /**
+     * Event for a finished scan.
+     *
+     * @param {object} results - ScanPipeline.complete() output plus the app's additions (alerts, monitoring)
+     * @param {object} meta - { timestamp, durationSec, frames, detections, scanMode, dog }
+     * @returns {object}
+     */
+    scanPayload(results, meta = {}) {
+        const agentReport = results.agentReport || {};
+        const emotionReport = results.emotionReport || {};
+        const monitoring = results.monitoring;
+        const quality = agentReport.quality;
+        const readable = !quality || quality.sufficient;
+        return {
+            dog: this._dog(meta.dog),
+            scan: {
+                timestamp: new Date(meta.timestamp || this.now()).toISOString(),
+                durationSec: Math.round((meta.durationSec || 0) * 10) / 10,
+                frames: meta.frames || 0,
+                detections: meta.detections || 0,
+                scanMode: meta.scanMode || 'continuous',
+                dogCount: Math.max(1, (results.dogs || []).length)
+            },
+            quality: quality ? { score: quality.score, level: quality.level, sufficient: quality.sufficient } : null,
+            emotion: readable ? {
+                primary: agentReport.validatedEmotion
+                    ? agentReport.validatedEmotion.emotion
+                    : (emotionReport.dominantEmotion || 'unknown'),
+                confidence: emotionReport.confidence || 0
+            } : null,
+            bark: this._barkSummary(results.barkReport, monitoring),
+            behaviorState: readable ? this._behavior(agentReport.behaviorState) : null,
+            alerts: results.alerts ? results.alerts.map(a => ({
+                ruleId: a.ruleId,
+                label: a.label,
+                scanTime: Math.round(a.scanTime / 1000)
+            })) : null,
+            monitoring: monitoring ? {
+                level: monitoring.assessment.level,
+                label: monitoring.assessment.label
+            } : null
+        };
+    }
+
+    // ── Delivery ──
+
+    /**
+     * Queue an event and try to deliver it (and anything queued before it).
+     * Does nothing when the event type is switched off.
+     *
+     * @param {string} event - 'alert' or 'scan-complete'
+     * @param {object} data - alertPayload() or scanPayload() output
+     * @returns {Promise<boolean>} Whether it was delivered now (false: queued or off)
+     */
+    async send(event, data) {
+        if (!this.wants(event)) return false;
+        const entry = {
+            id: `${this.now().toString(36)}-${(this.nextId++).toString(36)}`,
+            payload: { event, id: null, sentAt: null, ...data },
+            attempts: 0,
+            nextAt: 0
+        };
+        entry.payload.id = entry.id;
+        this.queue.push(entry);
+        if (this.queue.length > this.MAX_QUEUE) {
+            const dropped = this.queue.shift();
+            console.warn('Webhook queue full — dropped event', dropped.id);
+        }
+        this._saveQueue();
+
+        await this.flush();
+        return !this.queue.includes(entry);
+    }
+
+    /**
+     * Send one 'test' event straight to the configured URL (not queued).
+     *
+     * @returns {Promise<object>} { ok, status, error }
+     */
+    async sendTest() {
+        if (!this.config.url) return { ok: false, status: 0, error: 'No URL set' };
+        const id = `test-${this.now().toString(36)}`;
+        try {
+            const res = await this._post({ event: 'test', id, sentAt: null, message: 'Webhook test from MicroSenses' });
+            return { ok: res.ok, status: res.status, error: res.ok ? null : `HTTP ${res.status}` };
+        } catch (err) {
+            return { ok: false, status: 0, error: err.message };
+        }
+    }
+
+    /**
+     * Deliver every queued event that is due. Safe to call any time —
+     * concurrent calls share one pass.
+     *
+     * @returns {Promise<void>}
+     */
+    flush() {
+        if (!this.flushing) {
+            this.flushing = this._flush().finally(() => {
+                this.flushing = null;
+                this._schedule();
+            });
+        }
+        return this.flushing;
+    }
+
+    /**
+     * @returns {number} Events waiting for delivery
+     */
+    get pending() {
+        return this.queue.length;
+    }
+
+    clearQueue() {
+        this.queue = [];
+        this._saveQueue();
+        this._schedule();
+    }
+
+    // ── Internal ──
+
+    async _flush() {
+        if (!this.config.url || !this.fetch) return;
+
+        for (const entry of this.queue.slice()) {
+            if (entry.nextAt > this.now()) continue;
+            let res;
+            try {
+                res = await this._post(entry.payload);
+            } catch (err) {
+                // Offline or unreachable — everything behind it would fail too
+                this._retry(entry, err.message);
+                break;
+            }
+            if (res.ok) this._remove(entry);
+            else if (res.status >= 400 && res.status < 500 && res.status !== 408 && res.status !== 429) {
+                console.warn(`Webhook rejected event ${entry.id}: HTTP ${res.status}`);
+                this._remove(entry);
+            } else {
+                this._retry(entry, `HTTP ${res.status}`);
+            }
+        }
+        this._saveQueue();
+    }
+
+    async _post(payload) {
+        const body = JSON.stringify({ ...payload, sentAt: new Date(this.now()).toISOString() });
+        const headers = {
+            'Content-Type': 'application/json',
+            'X-Microsenses-Event': payload.event,
+            'X-Microsenses-Delivery': payload.id
+        };
+        if (this.config.secret) {
+            const timestamp = String(Math.floor(this.now() / 1000));
+            headers['X-Microsenses-Timestamp'] = timestamp;
+            headers['X-Microsenses-Signature'] = 'sha256=' + await this._sign(`${timestamp}.${body}`);
+        }
+
+        const abort = typeof AbortController !== 'undefined' ? new AbortController() : null;
+        const timer = abort ? setTimeout(() => abort.abort(), this.TIMEOUT_MS) : null;
+        try {
+            return await this.fetch(this.config.url, {
+                method: 'POST',
+                headers,
+                body,
+                keepalive: true,     // an event raised as the page closes still goes out
+                signal: abort ? abort.signal : undefined
+            });
+        } finally {
+            if (timer) clearTimeout(timer);
+        }
+    }
+
+    // HMAC-SHA256 of the message with the configured secret, as hex
+    async _sign(message) {
+        if (!this.subtle) throw new Error('Signing needs WebCrypto (HTTPS page)');
+        const enc = new TextEncoder();
+        const key = await this.subtle.importKey(
+            'raw', enc.encode(this.config.secret), { name: 'HMAC', hash: 'SHA-256' }, false, ['sign']
+        );
+        const sig = await this.subtle.sign('HMAC', key, enc.encode(message));
+        return Array.from(new Uint8Array(sig), b => b.toString(16).padStart(2, '0')).join('');
+    }
+
+    _retry(entry, reason) {
+        entry.attempts++;
+        if (entry.attempts >= this.MAX_ATTEMPTS) {
+            console.warn(`Webhook gave up on event ${entry.id} after ${entry.attempts} attempts: ${reason}`);
+            this._remove(entry);
+            return;
+        }
+        const delay = Math.min(this.RETRY_MAX_MS, this.RETRY_BASE_MS * Math.pow(2, entry.attempts - 1));
+        entry.nextAt = this.now() + delay;
+    }
+
+    _remove(entry) {
+        const i = this.queue.indexOf(entry);
+        if (i >= 0) this.queue.splice(i, 1);
+    }
+
+    // One timer for the earliest retry
+    _schedule() {
+        if (this.timer) clearTimeout(this.timer);
+        this.timer = null;
+        if (this.queue.length === 0 || !this.config.url) return;
+        const next = Math.min(...this.queue.map(e => e.nextAt));
+        this.timer = setTimeout(() => {
+            this.timer = null;
+            this.flush();
+        }, Math.max(0, next - this.now()));
+    }
+
+    _normalize(config) {
+        const c = config || {};
+        const events = c.events || {};
+        return {
+            url: typeof c.url === 'string' ? c.url.trim() : '',
+            secret: typeof c.secret === 'string' ? c.secret : '',
+            enabled: !!c.enabled,
+            events: { alert: events.alert !== false, 'scan-complete': events['scan-complete'] !== false }
+        };
+    }
+
+    _dog(dog) {
+        return dog ? { id: dog.id, name: dog.name, breed: dog.breed || '' } : null;
+    }
+
+    _behavior(state) {
+        return state ? { state: state.state, label: state.label, confidence: state.confidence } : null;
+    }
+
+    // Whole-session bark counts — a monitoring session's own totals when
+    // there are some, else the bark engine's
+    _barkSummary(barkReport, monitoring) {
+        const intensity = barkReport && barkReport.vocalizations ? barkReport.vocalizations.intensity : null;
+        if (monitoring) {
+            const { barks, barkTypes } = monitoring.totals;
+            const dominant = Object.entries(barkTypes).sort((a, b) => b[1] - a[1])[0];
+            return {
+                total: barks,
+                rate: monitoring.durationMin > 0 ? Math.round((barks / monitoring.durationMin) * 10) / 10 : 0,
+                dominantType: dominant ? dominant[0] : 'none',
+                intensity
+            };
+        }
+        if (!barkReport || !barkReport.barks) return null;
+        const { total, rate, dominantType } = barkReport.barks;
+        return { total, rate, dominantType, intensity };
+    }
+
+    _saveQueue() {
+        this._write(this.QUEUE_KEY, this.queue);
+    }
+
+    _read(key) {
+        if (!this.storage) return null;
+        try {
+            return JSON.parse(this.storage.getItem(key));
+        } catch (err) {
+            console.warn(`WebhookClient: could not read ${key}:`, err.message);
+            return null;
+        }
+    }
+
+    _write(key, value) {
+        if (!this.storage) return;
+        try {
+            this.storage.setItem(key, JSON.stringify(value));
+        } catch (err) {
+            console.warn(`WebhookClient: could not save ${key}:`, err.message);
+        }
+    }
+}
+
+ModuleRegistry.expose('WebhookClient', WebhookClient, typeof module !== 'undefined' ? module : null);
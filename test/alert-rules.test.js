@@ -0,0 +1,70 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const AlertRules = require('../js/alert-rules.js');
+
+const FRAME_MS = 250;
+const HOWL_RULE = { id: 'howl', metric: 'vocalType', op: 'in', value: ['howl'], forMs: 30000, cooldownMs: 60000 };
+const vocal = (type) => ({ barkAssess: { currentType: type, barkRate: 0 } });
+
+// Evaluate frame(t) every FRAME_MS from `from` up to `to`; hits raised
+function run(rules, frame, from, to) {
+    const hits = [];
+    for (let t = from; t <= to; t += FRAME_MS) hits.push(...rules.evaluate(frame(t), t));
+    return hits;
+}
+
+test('AlertRules', async (t) => {
+    await t.test('fires once the condition has held for forMs', () => {
+        const rules = new AlertRules([HOWL_RULE]);
+        const hits = run(rules, () => vocal('howl'), 0, 45000);
+        assert.deepEqual(hits.map(h => h.scanTime), [30000]);
+        assert.equal(hits[0].heldMs, 30000);
+        assert.equal(hits[0].label, 'Howl for 30 s');
+    });
+
+    await t.test('a short pause does not restart the run', () => {
+        const rules = new AlertRules([HOWL_RULE]);
+        const hits = run(rules, t => vocal(t >= 10000 && t < 12000 ? 'silent' : 'howl'), 0, 31000);
+        assert.deepEqual(hits.map(h => h.scanTime), [30000]);
+    });
+
+    await t.test('continuous howling raises one alert per cooldown', () => {
+        const rules = new AlertRules([HOWL_RULE]);
+        const hits = run(rules, () => vocal('howl'), 0, 200000);
+        assert.deepEqual(hits.map(h => h.scanTime), [30000, 90000, 150000]);
+        assert.equal(rules.hitCount, 3);
+    });
+
+    await t.test('after the cooldown a new run must hold for forMs again', () => {
+        const rules = new AlertRules([HOWL_RULE]);
+        const hits = run(rules, t => vocal(t <= 30000 || t >= 100000 ? 'howl' : 'silent'), 0, 140000);
+        assert.deepEqual(hits.map(h => h.scanTime), [30000, 130000]);
+    });
+
+    await t.test('editing rules mid-scan keeps the hit log and running conditions', () => {
+        const rules = new AlertRules([HOWL_RULE, { id: 'fearful', metric: 'emotion', op: 'is', value: 'fearful', forMs: 1000 }]);
+        run(rules, () => vocal('howl'), 0, 40000);
+        assert.equal(rules.getHits().length, 1);
+
+        const edited = rules.getRules().filter(r => r.id === 'howl');
+        edited[0].cooldownMs = 20000;
+        rules.setRules(edited);
+        assert.equal(rules.getHits().length, 1);
+        assert.deepEqual(Object.keys(rules.state), ['howl']);
+
+        const hits = run(rules, () => vocal('howl'), 40250, 55000);
+        assert.deepEqual(hits.map(h => [h.scanTime, h.heldMs]), [[50000, 50000]]);
+        assert.equal(rules.getHits().length, 2);
+    });
+
+    await t.test('invalid rules are dropped', () => {
+        const warn = console.warn;
+        console.warn = () => {};
+        try {
+            const rules = new AlertRules([HOWL_RULE, { id: 'bad', metric: 'nope', op: 'is', value: 1 }]);
+            assert.deepEqual(rules.getRules().map(r => r.id), ['howl']);
+        } finally {
+            console.warn = warn;
+        }
+    });
+});
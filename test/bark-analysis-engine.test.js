@@ -0,0 +1,79 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const BarkAnalysisEngine = require('../js/bark-analysis-engine.js');
+const { tone, runAudio, quietConsole } = require('./helpers.js');
+
+const DOG_TYPES = ['bark', 'yelp', 'growl', 'whine', 'howl'];
+
+// First non-silent classification after the baseline
+function firstSound(types) {
+    return types.find(t => t !== 'silent');
+}
+
+test('_classifyVocalization', async (t) => {
+    let restore;
+    t.beforeEach(() => { restore = quietConsole(); });
+    t.afterEach(() => restore());
+
+    await t.test('a short sharp tone in the bark band is a bark', () => {
+        const { engine, types } = runAudio(tone(650, 0.4, 2, 0.2), 3);
+        assert.equal(firstSound(types), 'bark');
+        const report = engine.fullAnalysis();
+        assert.equal(report.barks.total, 1);
+    });
+
+    await t.test('a sustained high tone settles into a whine', () => {
+        const { types } = runAudio(tone(1400, 0.2, 2, 0.8), 3);
+        const during = types.slice(Math.round(2.6 * 48000 / 1024), Math.round(2.8 * 48000 / 1024));
+        assert.ok(during.length > 0);
+        during.forEach(type => assert.equal(type, 'whine'));
+    });
+
+    await t.test('a sustained low tone becomes a growl once it lasts long enough', () => {
+        const { engine, types } = runAudio(tone(180, 0.4, 2, 1.0), 3.1);
+        const growlAt = types.indexOf('growl');
+        assert.ok(growlAt > 0, 'never classified as growl');
+        const soundAt = types.findIndex(t => t !== 'silent');
+        const soundFrames = growlAt - soundAt + 1;
+        assert.ok(soundFrames > engine._frames(engine.GROWL_MIN_MS), `growl after ${soundFrames} frames of sound`);
+    });
+
+    await t.test('noise under the activity threshold stays silent', () => {
+        const { types } = runAudio((t, noise) => (t > 2 ? 0.02 * noise() : 0), 3);
+        assert.deepEqual([...new Set(types)], ['silent']);
+    });
+
+    await t.test('noise over the activity threshold but too quiet for a dog is ambient', () => {
+        const { engine, types } = runAudio((t, noise) => (t > 2 ? 0.09 * noise() : 0), 3);
+        assert.ok(types.includes('ambient'));
+        types.forEach(type => assert.ok(!DOG_TYPES.includes(type), `classified as ${type}`));
+        assert.equal(engine.fullAnalysis().barks.total, 0);
+    });
+});
+
+test('fullAnalysis', async (t) => {
+    let restore;
+    t.beforeEach(() => { restore = quietConsole(); });
+    t.afterEach(() => restore());
+
+    await t.test('counts every bark of a long session, not just the kept history', () => {
+        const engine = new BarkAnalysisEngine();
+        engine.MAX_TIMELINE_POINTS = 20;
+        // A minute of barking, two a second, after the quiet baseline
+        const barking = t => (t >= 2 && (t - 2) % 0.5 < 0.15 ? 0.4 * Math.sin(2 * Math.PI * 650 * t) : 0);
+        runAudio(barking, 62, engine);
+
+        const { barks, timeline, barkLog } = engine.fullAnalysis();
+        assert.equal(engine.barkHistory.length, engine.maxBarkHistory);
+        assert.equal(barks.total, 120);
+        assert.equal(barks.rate, 116.1);
+        assert.deepEqual(barks.typeDistribution, { [barks.dominantType]: 120 });
+        assert.equal(barkLog.length, 20);
+
+        assert.ok(timeline.length <= engine.MAX_TIMELINE_POINTS);
+        assert.ok(timeline[timeline.length - 1].timeSeconds >= 58);
+        const steps = new Set(timeline.slice(1).map((e, i) => e.timeSeconds - timeline[i].timeSeconds));
+        assert.equal(steps.size, 1);
+        assert.ok(timeline[timeline.length - 1].barkCount > engine.maxBarkHistory);
+    });
+});
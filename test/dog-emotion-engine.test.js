@@ -0,0 +1,128 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const DogEmotionEngine = require('../js/dog-emotion-engine.js');
+const { repeat } = require('./helpers.js');
+
+const FRAME_MS = 33;
+
+// Feed [x, y, width, height] boxes at 30fps; posture after each frame
+function postures(boxes, engine = new DogEmotionEngine()) {
+    return boxes.map(([x, y, width, height], i) => {
+        engine.processFrame({ box: { x, y, width, height }, confidence: 0.9 }, null, i * FRAME_MS);
+        return engine.currentPosture;
+    });
+}
+
+test('_estimatePosture', async (t) => {
+    await t.test('waits for a few frames before calling a posture', () => {
+        const seq = postures(repeat([100, 100, 100, 120], 3));
+        assert.deepEqual(seq, ['unknown', 'unknown', 'unknown']);
+    });
+
+    await t.test('an upright box is a standing dog', () => {
+        const seq = postures(repeat([100, 100, 100, 120], 20));
+        assert.equal(seq[seq.length - 1], 'stand');
+    });
+
+    await t.test('a clearly wide, flat box is a dog lying down', () => {
+        const seq = postures(repeat([100, 100, 220, 100], 20));
+        assert.equal(seq[seq.length - 1], 'down');
+    });
+
+    await t.test('sit is only called from a clear drop out of a wide standing box', () => {
+        const seq = postures([...repeat([100, 100, 160, 120], 20), ...repeat([100, 100, 80, 120], 20)]);
+        assert.ok(!seq.slice(0, 20).includes('sit'));
+        assert.ok(seq.slice(20).includes('sit'));
+        // An upright box with no transition is never a sit
+        assert.ok(!postures(repeat([100, 100, 80, 120], 40)).includes('sit'));
+    });
+
+    await t.test('a rapid height drop is a crouch', () => {
+        const seq = postures([...repeat([100, 100, 100, 120], 20), ...repeat([100, 160, 100, 50], 20)]);
+        assert.ok(seq.slice(20).includes('crouch'));
+        assert.ok(!seq.slice(0, 20).includes('crouch'));
+    });
+
+    await t.test('a confident keypoint posture overrides the box', () => {
+        const engine = new DogEmotionEngine();
+        engine.setPose({ posture: 'sit', confidence: 80 });
+        const seq = postures(repeat([100, 100, 220, 100], 10), engine);
+        assert.equal(seq[seq.length - 1], 'sit');
+        assert.equal(engine.postureSource, 'keypoints');
+    });
+
+    await t.test('a weak keypoint posture falls back to the box', () => {
+        const engine = new DogEmotionEngine();
+        engine.setPose({ posture: 'sit', confidence: 20 });
+        const seq = postures(repeat([100, 100, 220, 100], 10), engine);
+        assert.equal(seq[seq.length - 1], 'down');
+        assert.equal(engine.postureSource, 'aspect-ratio');
+    });
+
+    await t.test("the dog's profile moves the lying-down threshold", () => {
+        const box = [100, 100, 170, 100];  // aspect ratio 1.7
+        assert.equal(postures(repeat(box, 20)).pop(), 'down');
+
+        const engine = new DogEmotionEngine();
+        engine.applyProfile({ baseline: { aspectRatio: { stand: 1.6, down: 2.4 } } });
+        assert.equal(postures(repeat(box, 20), engine).pop(), 'stand');
+    });
+});
+
+test('fullAnalysis', async (t) => {
+    await t.test('covers the whole scan, not the live window', () => {
+        const engine = new DogEmotionEngine();
+        // 20 s standing, then 40 s lying down
+        postures([...repeat([100, 100, 100, 120], 600), ...repeat([100, 100, 220, 100], 1200)], engine);
+        const report = engine.fullAnalysis();
+        assert.equal(report.framesAnalyzed, 1800);
+        assert.ok(report.posture.distribution.stand >= 550, `stand ${report.posture.distribution.stand}`);
+        assert.ok(report.posture.distribution.down >= 1150, `down ${report.posture.distribution.down}`);
+        assert.equal(report.timeline[0].time, 0);
+        assert.ok(report.timeline[report.timeline.length - 1].time >= 59);
+        assert.equal(report.timeline.length, 60);
+        assert.equal(report.actionSummary.timeline.length, 60);
+    });
+
+    await t.test('thins the timeline of a long scan evenly', () => {
+        const engine = new DogEmotionEngine();
+        // 25 minutes at 2 fps
+        for (let i = 0; i < 3000; i++) {
+            engine.processFrame({ box: { x: 100, y: 100, width: 100, height: 120 }, confidence: 0.9 }, null, i * 500);
+        }
+        const { timeline } = engine.fullAnalysis();
+        assert.ok(timeline.length <= engine.MAX_TIMELINE_POINTS);
+        assert.ok(timeline.length > engine.MAX_TIMELINE_POINTS / 2);
+        assert.equal(timeline[0].time, 0);
+        assert.ok(timeline[timeline.length - 1].time >= 1490);
+        const steps = new Set(timeline.slice(1).map((e, i) => e.time - timeline[i].time));
+        assert.deepEqual([...steps], [4]);
+    });
+
+    await t.test('weights each frame by the time it stands for', () => {
+        const engine = new DogEmotionEngine();
+        let emotion = 'playful';
+        const assess = engine._assessEmotion.bind(engine);
+        engine._assessEmotion = (...args) => ({ ...assess(...args), primary: emotion });
+        const box = { x: 100, y: 100, width: 100, height: 120 };
+        let now = 0;
+        // 10 s at 30 fps, then 30 s at the battery saver's 4 fps
+        for (let i = 0; i < 300; i++, now += 1000 / 30) engine.processFrame({ box, confidence: 0.9 }, null, now);
+        emotion = 'anxious';
+        for (let i = 0; i < 120; i++, now += 250) engine.processFrame({ box, confidence: 0.9 }, null, now);
+
+        const report = engine.fullAnalysis();
+        assert.equal(report.dominantEmotion, 'anxious');
+        assert.deepEqual(report.emotionDistribution, { playful: 25, anxious: 75 });
+        assert.equal(report.wellbeing, 38);
+    });
+
+    await t.test('a dog that left and came back still has its report', () => {
+        const engine = new DogEmotionEngine();
+        postures(repeat([100, 100, 100, 120], 30), engine);
+        engine.resumeAfterGap();
+        const report = engine.fullAnalysis();
+        assert.equal(report.framesAnalyzed, 30);
+        assert.notEqual(report.dominantEmotion, 'unknown');
+    });
+});
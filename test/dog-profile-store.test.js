@@ -0,0 +1,51 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const DogProfileStore = require('../js/dog-profile-store.js');
+const DogEmotionEngine = require('../js/dog-emotion-engine.js');
+const { repeat } = require('./helpers.js');
+
+// LocalDB stand-in for one object store
+function memoryDB() {
+    const rows = new Map();
+    return {
+        get: async (store, id) => (rows.has(id) ? JSON.parse(JSON.stringify(rows.get(id))) : undefined),
+        getAll: async () => [...rows.values()],
+        put: async (store, record) => {
+            rows.set(record.id, JSON.parse(JSON.stringify(record)));
+            return record.id;
+        }
+    };
+}
+
+test('learnFromScan', async (t) => {
+    await t.test('a scan spent lying down barely moves the standing shape', async () => {
+        const store = new DogProfileStore(memoryDB());
+        const learned = { stand: 0.8, down: 2.2, standSamples: 600, downSamples: 600, samples: 1200 };
+        await store.db.put(store.STORE, { id: 1, name: 'Rex', baseline: { aspectRatio: learned, scans: 2 } });
+
+        // A few still seconds standing a little wider than usual, then lying down for 20 s
+        const engine = new DogEmotionEngine();
+        engine.applyProfile(await store.get(1));
+        [...repeat([100, 100, 100, 100], 45), ...repeat([100, 100, 220, 100], 600)].forEach(([x, y, width, height], i) => {
+            engine.processFrame({ box: { x, y, width, height }, confidence: 0.9 }, null, i * 33);
+        });
+        const sample = engine.getBaselineSample().aspectRatio;
+        assert.ok(sample.standSamples < 45 && sample.downSamples > 500, JSON.stringify(sample));
+
+        const { baseline } = await store.learnFromScan(1, [engine.getBaselineSample()]);
+        const ar = baseline.aspectRatio;
+        assert.equal(ar.standSamples, 600 + sample.standSamples);
+        assert.equal(ar.downSamples, 600 + sample.downSamples);
+        assert.ok(ar.stand < 0.82, `stand ${ar.stand}`);
+        assert.ok(Math.abs(ar.down - 2.2) < 1e-9, `down ${ar.down}`);
+    });
+
+    await t.test('baselines learned before per-posture counts still merge', async () => {
+        const store = new DogProfileStore(memoryDB());
+        await store.db.put(store.STORE, { id: 1, name: 'Rex', baseline: { aspectRatio: { stand: 0.8, down: null, samples: 100 } } });
+        const { baseline } = await store.learnFromScan(1, [
+            { aspectRatio: { stand: 1.0, down: 2.0, standSamples: 100, downSamples: 50, samples: 150 } }
+        ]);
+        assert.deepEqual(baseline.aspectRatio, { samples: 250, stand: 0.9, standSamples: 200, down: 2.0, downSamples: 50 });
+    });
+});
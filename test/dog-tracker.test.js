@@ -0,0 +1,152 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const DogTracker = require('../js/dog-tracker.js');
+const DogInteractionAnalyzer = require('../js/dog-interaction-analyzer.js');
+const ScanPipeline = require('../js/scan-pipeline.js');
+const { quietConsole } = require('./helpers.js');
+
+const FRAME_MS = 33;
+const dog = (x, y, score = 0.9) => ({ bbox: [x, y, 100, 80], class: 'dog', score });
+
+test('DogTracker', async (t) => {
+    await t.test('keeps one id for a dog moving across the frame', () => {
+        const tracker = new DogTracker();
+        const ids = new Set();
+        for (let i = 0; i < 30; i++) {
+            tracker.update([dog(100 + i * 10, 100)], i * FRAME_MS).forEach(tr => ids.add(tr.id));
+        }
+        assert.deepEqual([...ids], [1]);
+    });
+
+    await t.test('coasts through a missed frame, then goes dormant', () => {
+        const tracker = new DogTracker();
+        tracker.update([dog(100, 100)], 0);
+        const coasting = tracker.update([], FRAME_MS);
+        assert.equal(coasting.length, 1);
+        assert.equal(coasting[0].coasting, true);
+        assert.deepEqual(tracker.update([], tracker.MAX_MISSED_MS + 2 * FRAME_MS), []);
+    });
+
+    await t.test('a lone dog reclaims its track anywhere, flagged as revived once', () => {
+        const tracker = new DogTracker();
+        tracker.update([dog(50, 50)], 0);
+        tracker.update([], 1000);
+        const [back] = tracker.update([dog(900, 500)], 2000);
+        assert.equal(back.id, 1);
+        assert.equal(back.revived, true);
+        const [next] = tracker.update([dog(905, 500)], 2033);
+        assert.equal(next.revived, false);
+    });
+
+    await t.test('a dormant track near a new box is revived, a far one is not', () => {
+        const tracker = new DogTracker();
+        tracker.update([dog(0, 0), dog(600, 0)], 0);
+        tracker.update([dog(600, 0)], 1000);   // dog 1 dormant, dog 2 visible
+        const tracks = tracker.update([dog(600, 0), dog(20, 10)], 1033);
+        assert.deepEqual(tracks.map(tr => tr.id), [1, 2]);
+        assert.equal(tracks[0].revived, true);
+
+        tracker.update([dog(600, 0)], 2000);   // dog 1 dormant again
+        const far = tracker.update([dog(600, 0), dog(100, 600)], 2033);
+        assert.deepEqual(far.map(tr => tr.id), [2, 3]);
+    });
+
+    await t.test('a new dog replaces the least-seen dormant track at the cap', () => {
+        const tracker = new DogTracker();
+        // Four misdetections, one frame each, spread apart — then gone
+        const flickers = [dog(0, 0), dog(1000, 0), dog(0, 1000), dog(1000, 1000)];
+        tracker.update(flickers, 0);
+        tracker.update(flickers.slice(0, 1), 33);   // the first one seen twice
+        tracker.update([], 2000);
+        assert.equal(tracker.tracks.length, tracker.MAX_TRACKS);
+
+        // Far from every dormant track, and not a lone-dog reclaim
+        const [real] = tracker.update([dog(500, 500)], 3000);
+        assert.equal(real.id, 5);
+        assert.equal(tracker.tracks.length, tracker.MAX_TRACKS);
+        assert.ok(tracker.tracks.some(tr => tr.id === 1), 'the most-seen dormant track is kept');
+    });
+
+    await t.test('dormant tracks expire after DORMANT_MAX_MS', () => {
+        const tracker = new DogTracker();
+        tracker.update([dog(0, 0)], 0);
+        tracker.update([], tracker.DORMANT_MAX_MS - 1000);
+        assert.equal(tracker.tracks.length, 1);
+        tracker.update([], tracker.DORMANT_MAX_MS + 1000);
+        assert.equal(tracker.tracks.length, 0);
+        const [next] = tracker.update([dog(0, 0)], tracker.DORMANT_MAX_MS + 1033);
+        assert.equal(next.id, 2);
+    });
+});
+
+test('ScanPipeline primary dog', async (t) => {
+    let restore;
+    t.beforeEach(() => { restore = quietConsole(); });
+    t.afterEach(() => restore());
+
+    await t.test('a misdetection tracked first does not own the report', () => {
+        const pipeline = new ScanPipeline();
+        pipeline.clearAll();
+        const ownEngine = pipeline.emotionEngine;
+        let t0 = 0;
+        // id 1: a cushion for three frames
+        for (let i = 0; i < 3; i++) pipeline.processFrame({ timestamp: t0 += FRAME_MS, predictions: [dog(0, 0, 0.8)] });
+        // id 2: the real dog, across the room
+        for (let i = 0; i < 60; i++) pipeline.processFrame({ timestamp: t0 += FRAME_MS, predictions: [dog(500, 300)] });
+
+        const report = pipeline.complete();
+        assert.deepEqual(report.dogs.map(d => [d.id, d.primary]), [[2, true]]);
+        assert.equal(pipeline.subjects.get(2).primary, true);
+        assert.equal(pipeline.subjects.get(1).primary, false);
+        assert.equal(pipeline.primary, pipeline.subjects.get(2));
+        assert.equal(report.emotionReport.framesAnalyzed, 60);
+
+        // The pipeline's own engines are the next scan's again
+        assert.equal(pipeline.emotionEngine, ownEngine);
+        pipeline.clearAll();
+        for (let i = 0; i < 20; i++) pipeline.processFrame({ timestamp: t0 += FRAME_MS, predictions: [dog(500, 300)] });
+        assert.equal(pipeline.primary.emotionEngine, ownEngine);
+        assert.equal(pipeline.complete().emotionReport.framesAnalyzed, 20);
+    });
+
+    await t.test('a confirmed first dog stays primary when another shows up', () => {
+        const pipeline = new ScanPipeline();
+        pipeline.clearAll();
+        const ownEngine = pipeline.emotionEngine;
+        let t0 = 0;
+        for (let i = 0; i < 30; i++) pipeline.processFrame({ timestamp: t0 += FRAME_MS, predictions: [dog(0, 0)] });
+        for (let i = 0; i < 30; i++) {
+            pipeline.processFrame({ timestamp: t0 += FRAME_MS, predictions: [dog(0, 0), dog(600, 300)] });
+        }
+        assert.equal(pipeline.subjects.get(1).primary, true);
+        assert.equal(pipeline.primary.emotionEngine, ownEngine);
+    });
+
+    await t.test('two dogs in frame teach the profile no bark pitch', () => {
+        const pipeline = new ScanPipeline();
+        pipeline.clearAll();
+        pipeline.barkEngine.getBaselineSample = () => ({ barkPitch: { mean: 600, samples: 12 } });
+        let t0 = 0;
+        for (let i = 0; i < 30; i++) pipeline.processFrame({ timestamp: t0 += FRAME_MS, predictions: [dog(0, 0)] });
+        assert.deepEqual(pipeline.getBaselineSamples()[0], { barkPitch: { mean: 600, samples: 12 } });
+
+        for (let i = 0; i < 30; i++) {
+            pipeline.processFrame({ timestamp: t0 += FRAME_MS, predictions: [dog(0, 0), dog(600, 300)] });
+        }
+        assert.equal(pipeline.getBaselineSamples()[0], null);
+    });
+});
+
+test('DogInteractionAnalyzer event log', () => {
+    const analyzer = new DogInteractionAnalyzer();
+    const pair = analyzer._pair(1, 2);
+    for (let i = 0; i < analyzer.MAX_EVENTS + 50; i++) {
+        analyzer.now = i * 2000;
+        analyzer._emit(pair, 'chase', 1, 2, analyzer.now);
+    }
+    const report = analyzer.fullReport();
+    assert.equal(report.events.length, analyzer.MAX_EVENTS);
+    assert.equal(report.events[report.events.length - 1].t, (analyzer.MAX_EVENTS + 49) * 2000);
+    assert.equal(report.counts.chase, analyzer.MAX_EVENTS + 50);
+    assert.deepEqual(report.groups, [{ type: 'chase', from: 1, to: 2, count: analyzer.MAX_EVENTS + 50 }]);
+});
@@ -0,0 +1,88 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const DogVisionAnalyzer = require('../js/dog-vision-analyzer.js');
+const { seededNoise } = require('./helpers.js');
+
+const SIZE = 64;
+const inCenter = x => x >= 21 && x < 42;
+
+// A resting dog: brighter body down the center column, some coat texture
+const body = (x, y) => 0.3 + (inCenter(x) ? 0.25 : 0) + 0.01 * ((x * 7 + y * 13) % 5);
+
+/**
+ * Feed `seconds` of crops at `fps`. level(x, y, t) gives each pixel
+ * before sensor noise.
+ *
+ * @returns {object} { analyzer, results } — analyzeCrop() output per frame
+ */
+function runCrops(level, seconds, fps = 10, context = {}) {
+    const analyzer = new DogVisionAnalyzer();
+    const noise = seededNoise();
+    const results = [];
+    for (let i = 0; i < seconds * fps; i++) {
+        const t = i * 1000 / fps;
+        const gray = new Float32Array(SIZE * SIZE);
+        for (let y = 0; y < SIZE; y++) {
+            for (let x = 0; x < SIZE; x++) gray[y * SIZE + x] = level(x, y, t / 1000) + 0.02 * noise();
+        }
+        results.push(analyzer.analyzeCrop(gray, { ...context, timestamp: t }));
+    }
+    return { analyzer, results };
+}
+
+test('_trackRespiration', async (t) => {
+    await t.test('reads the breathing rate from the center column', () => {
+        // 18 breaths/min
+        const breath = (x, s) => (inCenter(x) ? 0.01 * Math.sin(2 * Math.PI * 0.3 * s) : 0);
+        const { analyzer } = runCrops((x, y, s) => body(x, y) + breath(x, s), 40);
+        assert.equal(analyzer.respiration.rate, 18);
+        assert.equal(analyzer.getSummary().respiration.rate, 18);
+    });
+
+    await t.test('an exposure swing in the breathing band is not a breathing rate', () => {
+        // Auto-exposure hunting ±10% at 0.25 Hz (15/min) over a motionless dog
+        const gain = s => 1 + 0.1 * Math.sin(2 * Math.PI * 0.25 * s);
+        const { analyzer } = runCrops((x, y, s) => body(x, y) * gain(s), 40);
+        assert.ok(analyzer.respiration.quality < analyzer.RESP_MIN_QUALITY,
+            `rate ${analyzer.respiration.rate} at ${analyzer.respiration.quality}% quality`);
+        assert.equal(analyzer.getSummary().respiration, null);
+    });
+});
+
+// A dog shivering side to side by `amplitude` px at 8 Hz: soft-edged body, coat texture
+const shivering = (amplitude) => (x, y, s) => {
+    const xs = x - amplitude * Math.sin(2 * Math.PI * 8 * s);
+    const edge = Math.max(0, Math.min(1, Math.min(xs - 12, 52 - xs) / 4));
+    return 0.3 + 0.25 * edge + 0.08 * Math.sin(xs * 0.7 + y * 0.3);
+};
+
+test('_trackTrembling', async (t) => {
+    await t.test('a shivering dog is trembling', () => {
+        const { analyzer, results } = runCrops(shivering(1), 6, 30);
+        const last = results[results.length - 1];
+        assert.equal(last.trembling.active, true);
+        assert.equal(last.trembling.frequency, 8);
+        const summary = analyzer.getSummary().trembling;
+        assert.equal(summary.episodeCount, 1);
+        assert.ok(summary.totalSec >= 3, `trembled ${summary.totalSec} s`);
+    });
+
+    await t.test('the same rhythm while the camera shakes is camera shake', () => {
+        const scene = { shake: { checked: true, active: true } };
+        const { analyzer, results } = runCrops(shivering(1), 6, 30, { scene });
+        assert.ok(!results.some(r => r.trembling && r.trembling.active));
+        const summary = analyzer.getSummary().trembling;
+        assert.equal(summary.episodeCount, 0);
+        assert.ok(summary.cameraShakeSec >= 3, `camera shake ${summary.cameraShakeSec} s`);
+    });
+
+    await t.test('light flicker in the tremor band is not trembling', () => {
+        // ±4% brightness at 8 Hz — a dimmer or a fluorescent tube beating with the frame rate
+        const flicker = s => 1 + 0.04 * Math.sin(2 * Math.PI * 8 * s);
+        const { analyzer, results } = runCrops((x, y, s) => body(x, y) * flicker(s), 6, 30);
+        assert.ok(results.slice(-60).every(r => r.bodyState === 'very-still' || r.bodyState === 'calm'));
+        assert.ok(results.some(r => r.trembling && r.trembling.checked));
+        assert.ok(!results.some(r => r.trembling && r.trembling.active));
+        assert.equal(analyzer.getSummary().trembling.episodeCount, 0);
+    });
+});
@@ -0,0 +1,28 @@
+// Stand-in keypoint model for the replay fixture: a standing dog whose
+// rear end drops (a sit) while the crop's center is bright.
+
+const DogPoseEstimator = require('../../js/dog-pose-estimator.js');
+
+const STAND = {
+    nose: [0.1, 0.3], leftEar: [0.15, 0.2], rightEar: [0.18, 0.2], withers: [0.3, 0.35], hips: [0.75, 0.35],
+    frontLeftPaw: [0.28, 0.95], frontRightPaw: [0.32, 0.95], rearLeftPaw: [0.72, 0.95], rearRightPaw: [0.78, 0.95],
+    tailBase: [0.82, 0.35], tailTip: [0.92, 0.2]
+};
+
+function fixturePoseEstimator() {
+    return new DogPoseEstimator({
+        model: {
+            estimate(crop, cropSize) {
+                const center = crop[(cropSize >> 1) * cropSize + (cropSize >> 1)];
+                return Object.entries(STAND).map(([name, [x, y]]) => ({
+                    name,
+                    x,
+                    y: name === 'hips' && center > 0.62 ? 0.8 : y,
+                    score: 0.9
+                }));
+            }
+        }
+    });
+}
+
+module.exports = { fixturePoseEstimator };
@@ -0,0 +1,82 @@
+// Records test/fixtures/session.json.gz — a synthetic 12 s scan of one
+// dog, with crops, scene thumbnails, bark audio and a pose model — for
+// the golden-file replay spec. Values are quantized so the log gzips
+// small. Re-running it changes the fixture: refresh the stored report
+// afterwards with UPDATE_GOLDEN=1 npm test.
+//
+//   node test/fixtures/record-session.js
+
+const fs = require('fs');
+const path = require('path');
+const zlib = require('zlib');
+const SessionLog = require('../../js/session-log.js');
+const { fixturePoseEstimator } = require('./pose-model.js');
+
+const FPS = 10;
+const SECONDS = 12;
+const HOPS_PER_FRAME = 3;           // 1600-sample hops at 48 kHz
+const CROP = 64;
+const SCENE_W = 48, SCENE_H = 36;
+const BARKS_AT = [3.0, 3.6, 7.2];   // seconds
+const quantize = (v, steps = 128) => Math.round(Math.max(0, Math.min(1, v)) * steps) / steps;
+
+// Dog body on a darker background; the chest rises and falls at 0.4 Hz
+function crop(t) {
+    const out = new Float32Array(CROP * CROP);
+    const breath = 0.03 * Math.sin(2 * Math.PI * 0.4 * t);
+    const wag = Math.sin(2 * Math.PI * 3 * t) > 0 ? 1 : 0;
+    for (let y = 0; y < CROP; y++) {
+        for (let x = 0; x < CROP; x++) {
+            const dx = (x - 32) / 26, dy = (y - 34) / 18;
+            let v = 0.25 + 0.02 * ((x >> 3) + (y >> 3) & 1);
+            if (dx * dx + dy * dy < 1) v = 0.6 + (Math.abs(x - 32) < 8 ? breath : 0);
+            if (y < 16 && x > 54 - wag * 6 && x < 60 - wag * 6) v = 0.55;   // tail
+            out[y * CROP + x] = quantize(v);
+        }
+    }
+    return out;
+}
+
+// Static textured room; the dog's box is brighter
+function scene(box) {
+    const out = new Float32Array(SCENE_W * SCENE_H);
+    for (let y = 0; y < SCENE_H; y++) {
+        for (let x = 0; x < SCENE_W; x++) {
+            const px = x * 640 / SCENE_W, py = y * 480 / SCENE_H;
+            const inBox = px >= box[0] && px < box[0] + box[2] && py >= box[1] && py < box[1] + box[3];
+            out[y * SCENE_W + x] = quantize(inBox ? 0.6 : 0.2 + 0.1 * ((x >> 2) + (y >> 2) & 1) + x / 400);
+        }
+    }
+    return out;
+}
+
+function audioHop(t) {
+    const barking = BARKS_AT.some(s => t >= s && t < s + 0.2);
+    const spectrum = new Float32Array(257).fill(-90);
+    if (barking) for (let k = 52; k <= 58; k++) spectrum[k] = -10 - Math.abs(k - 55) * 6;
+    return { t: t * 1000, rms: barking ? 0.25 : 0.01, spectrum, onset: barking && BARKS_AT.includes(Math.round(t * 30) / 30) ? t * 1000 : null };
+}
+
+const pose = fixturePoseEstimator();
+const log = new SessionLog();
+log.start({ sampleRate: 48000, fftSize: 4096, hopSize: 1600, cropSize: CROP, scanMode: 'standard', poseModel: pose.info() });
+
+for (let i = 0; i < FPS * SECONDS; i++) {
+    const t = i / FPS;
+    const walking = t > 8;
+    const box = [Math.round(200 + (walking ? (t - 8) * 40 : 0)), 180, 240, 150];
+    const seen = i % 25 !== 24;
+    log.record({
+        t: t * 1000,
+        predictions: seen ? [{ bbox: box, class: 'dog', score: 0.85 }] : [],
+        crops: seen ? [crop(t)] : [],
+        scene: scene(box),
+        frameSize: [640, 480],
+        audio: Array.from({ length: HOPS_PER_FRAME }, (_, h) => audioHop(t + h / (FPS * HOPS_PER_FRAME)))
+    });
+}
+log.finish({ durationMs: SECONDS * 1000, frameCount: FPS * SECONDS });
+
+const file = path.join(__dirname, 'session.json.gz');
+fs.writeFileSync(file, zlib.gzipSync(JSON.stringify(log.serialize()), { level: 9 }));
+console.log('wrote', file, fs.statSync(file).size, 'bytes');
@@ -0,0 +1,77 @@
+// Shared fixtures for the engine specs: seeded noise, synthetic audio
+// run through the real worklet feature extractor, scripted detections.
+
+const BarkWorkletProcessor = require('../js/bark-worklet.js');
+const BarkAnalysisEngine = require('../js/bark-analysis-engine.js');
+
+const SAMPLE_RATE = 48000;
+const BLOCK = 128;      // AudioWorklet render quantum
+
+// Park-Miller generator, uniform in [-0.5, 0.5) — same noise every run
+function seededNoise(seed = 7) {
+    let s = seed;
+    return () => (s = (s * 16807) % 2147483647) / 2147483647 - 0.5;
+}
+
+// Sine burst: amplitude from start for duration seconds, else silence
+function tone(freq, amplitude, start, duration) {
+    return (t) => (t >= start && t < start + duration ? amplitude * Math.sin(2 * Math.PI * freq * t) : 0);
+}
+
+/**
+ * Synthesize seconds of audio, extract features the way the live
+ * worklet does and feed every hop to a BarkAnalysisEngine.
+ *
+ * @param {Function} signal - (t, noise) => sample, on top of a quiet noise floor
+ * @param {number} seconds
+ * @param {BarkAnalysisEngine} [engine] - a new one if omitted
+ * @returns {object} { engine, types } — vocalizationType after each hop
+ */
+function runAudio(signal, seconds, engine = new BarkAnalysisEngine()) {
+    const worklet = new BarkWorkletProcessor({
+        processorOptions: { fftSize: 4096, hopSize: 1024, maxFreq: 3000, sampleRate: SAMPLE_RATE }
+    });
+    engine.setHop(SAMPLE_RATE, 1024);
+    engine.isActive = true;
+
+    const noise = seededNoise();
+    const block = new Float32Array(BLOCK);
+    const types = [];
+    for (let n = 0; n < seconds * SAMPLE_RATE; n += BLOCK) {
+        for (let i = 0; i < BLOCK; i++) {
+            const t = (n + i) / SAMPLE_RATE;
+            block[i] = 0.004 * noise() + signal(t, noise);
+        }
+        worklet.push(block).forEach(frame => {
+            engine._onWorkletMessage(frame);
+            types.push(engine.vocalizationType);
+        });
+    }
+    return { engine, types };
+}
+
+// [x, y, width, height] repeated n times
+function repeat(box, n) {
+    return Array.from({ length: n }, () => box);
+}
+
+// The golden replay's report, in ScanPipeline.complete() shape — a fresh
+// copy each call
+function goldenReport() {
+    return JSON.parse(JSON.stringify(require('./fixtures/session.report.json')));
+}
+
+// Scan details to go with goldenReport(): frames and detections from its
+// capture stats, so exports and history records agree with the report
+const GOLDEN_META = (({ frames, dogFrames, durationSec }) => ({
+    timestamp: Date.UTC(2026, 9, 19, 14, 30), durationSec, frames, detections: dogFrames
+}))(goldenReport().capture);
+
+// Silence the engines' progress logging while a spec runs
+function quietConsole() {
+    const log = console.log;
+    console.log = () => {};
+    return () => { console.log = log; };
+}
+
+module.exports = { SAMPLE_RATE, seededNoise, tone, runAudio, repeat, goldenReport, GOLDEN_META, quietConsole };
@@ -0,0 +1,44 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const ScanReportAgent = require('../js/scan-report-agent.js');
+const ScanReportExport = require('../js/scan-report-export.js');
+const ScanHistoryStore = require('../js/scan-history-store.js');
+const { goldenReport, GOLDEN_META } = require('./helpers.js');
+
+// Through an exported JSON file and back
+function roundTrip(results) {
+    const exporter = new ScanReportExport({ scienceDB: null });
+    return ScanReportExport.parse(JSON.stringify(exporter.toJSON(results, GOLDEN_META))).results;
+}
+
+test('scan quality', async (t) => {
+    await t.test('re-analyzing an exported scan rates its quality the same', () => {
+        const results = goldenReport();
+        const agent = new ScanReportAgent({ scienceDB: null });
+        const updated = agent.reanalyze(roundTrip(results));
+        assert.deepEqual(updated.agentReport.quality, results.agentReport.quality);
+        assert.deepEqual(updated.dogs[0].agentReport.quality, results.dogs[0].agentReport.quality);
+        assert.ok(updated.agentReport.quality.factors.some(f => f.key === 'coverage'));
+    });
+
+    await t.test('saved history records keep the capture stats', () => {
+        const results = goldenReport();
+        const record = new ScanHistoryStore({}).buildRecord(results, GOLDEN_META);
+        assert.deepEqual(record.capture, results.capture);
+    });
+
+    await t.test('a scan the dog was barely in gives no reading', () => {
+        const results = goldenReport();
+        results.capture = { ...results.capture, dogFrames: 6, coveragePct: 5 };
+        const updated = new ScanReportAgent({ scienceDB: null }).reanalyze(results);
+        const quality = updated.agentReport.quality;
+        assert.equal(quality.sufficient, false);
+        assert.equal(quality.level, 'insufficient');
+        assert.match(quality.reasons[0], /only 5% of the frames/);
+
+        const html = new ScanReportExport({ scienceDB: null }).toHTML(updated, GOLDEN_META);
+        assert.match(html, /Not enough to go on/);
+        assert.match(html, /only 5% of the frames/);
+        assert.doesNotMatch(html, /Well-being|Emotion Timeline|Scientific Evidence/);
+    });
+});
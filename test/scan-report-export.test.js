@@ -0,0 +1,39 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const ScanReportExport = require('../js/scan-report-export.js');
+const ScanHistoryStore = require('../js/scan-history-store.js');
+const { goldenReport, GOLDEN_META } = require('./helpers.js');
+
+test('ScanReportExport', async (t) => {
+    await t.test('JSON keeps each dog\'s agent report through a round trip', () => {
+        const results = goldenReport();
+        const exporter = new ScanReportExport({ scienceDB: null });
+        const text = JSON.stringify(exporter.toJSON(results, GOLDEN_META));
+        const { results: back } = ScanReportExport.parse(text);
+        assert.ok(results.dogs[0].agentReport.behaviorState);
+        assert.deepEqual(back.dogs, results.dogs);
+    });
+
+    await t.test('saved history records keep each dog\'s agent report', () => {
+        const results = goldenReport();
+        const record = new ScanHistoryStore({}).buildRecord(results, GOLDEN_META);
+        assert.deepEqual(record.dogs, results.dogs);
+    });
+
+    await t.test('the timeline axis runs from the first sample to the end of the scan', () => {
+        const exporter = new ScanReportExport({ scienceDB: null });
+        const results = goldenReport();
+        const html = exporter.toHTML(results, GOLDEN_META);
+        assert.match(html, new RegExp(`${GOLDEN_META.frames} frames · dog detected in ${GOLDEN_META.detections}`));
+        assert.match(html, />0s<\/text>/);
+        assert.match(html, new RegExp(`>${Math.round(results.emotionReport.duration)}s</text>`));
+
+        // An older report: a minute-long scan whose timeline holds its last 10 s
+        results.emotionReport.duration = 60;
+        results.emotionReport.timeline = Array.from({ length: 10 }, (_, i) =>
+            ({ time: 50 + i, emotion: 'calm', confidence: 70 }));
+        const old = exporter.toHTML(results, GOLDEN_META);
+        assert.match(old, />50s<\/text>/);
+        assert.match(old, />60s<\/text>/);
+    });
+});
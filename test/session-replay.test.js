@@ -0,0 +1,51 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const zlib = require('zlib');
+const SessionReplay = require('../js/session-replay.js');
+const { fixturePoseEstimator } = require('./fixtures/pose-model.js');
+const { quietConsole } = require('./helpers.js');
+
+// Golden files: a recorded session (test/fixtures/record-session.js) and
+// the report replaying it produced. After an intended report change,
+// review the diff and refresh the report with UPDATE_GOLDEN=1 npm test.
+const SESSION = path.join(__dirname, 'fixtures', 'session.json.gz');
+const REPORT = path.join(__dirname, 'fixtures', 'session.report.json');
+
+const sessionJson = () => zlib.gunzipSync(fs.readFileSync(SESSION)).toString();
+
+function replay(engines) {
+    const restore = quietConsole();
+    try {
+        // Through JSON, as a saved report would be
+        return JSON.parse(JSON.stringify(new SessionReplay(engines).run(sessionJson())));
+    } finally {
+        restore();
+    }
+}
+
+test('SessionReplay', async (t) => {
+    await t.test('replays the recorded session to the stored report', () => {
+        const report = replay({ poseEstimator: fixturePoseEstimator() });
+        if (process.env.UPDATE_GOLDEN) fs.writeFileSync(REPORT, JSON.stringify(report, null, 2) + '\n');
+        assert.deepEqual(report, JSON.parse(fs.readFileSync(REPORT, 'utf8')));
+    });
+
+    await t.test('the golden session exercises the pose model and audio', () => {
+        const report = replay({ poseEstimator: fixturePoseEstimator() });
+        assert.deepEqual(report.poseModel, fixturePoseEstimator().info());
+        assert.ok(report.emotionReport.posture.keypointFrames > 0);
+        assert.ok(report.barkReport.barks.total > 0);
+    });
+
+    await t.test('refuses a pose-model session without the model', () => {
+        assert.throws(() => replay(), /recorded with pose model .* load it/);
+    });
+
+    await t.test('refuses a pose-model session with a different model', () => {
+        const other = fixturePoseEstimator();
+        other.version = '2';
+        assert.throws(() => replay({ poseEstimator: other }), /but .* 2 is loaded/);
+    });
+});
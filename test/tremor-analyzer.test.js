@@ -0,0 +1,65 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const TremorAnalyzer = require('../js/tremor-analyzer.js');
+const { seededNoise } = require('./helpers.js');
+
+const REGIONS = 9;
+
+/**
+ * Feed `seconds` of region levels at `fps`; level(region, t) on top of a
+ * little sensor noise.
+ *
+ * @returns {object} The last update() result
+ */
+function runLevels(level, seconds, fps = 30) {
+    const analyzer = new TremorAnalyzer();
+    const noise = seededNoise();
+    let last = null;
+    for (let i = 0; i < seconds * fps; i++) {
+        const t = i * 1000 / fps;
+        const levels = Array.from({ length: REGIONS }, (_, r) => 0.4 + level(r, t / 1000) + 0.0005 * noise());
+        last = analyzer.update(levels, t);
+    }
+    return last;
+}
+
+const sine = (hz, amplitude, phase = 0) => s => amplitude * Math.sin(2 * Math.PI * hz * s + phase);
+
+test('TremorAnalyzer', async (t) => {
+    await t.test('many regions at one tremor-band rhythm are active', () => {
+        const result = runLevels((r, s) => sine(8, 0.004, r)(s), 3);
+        assert.equal(result.checked, true);
+        assert.equal(result.active, true);
+        assert.equal(result.frequency, 8);
+        assert.equal(result.regions, REGIONS);
+    });
+
+    await t.test('sensor noise alone is checked but not active', () => {
+        const result = runLevels(() => 0, 3);
+        assert.equal(result.checked, true);
+        assert.equal(result.active, false);
+    });
+
+    await t.test('one twitching region is not a tremor', () => {
+        const result = runLevels((r, s) => (r === 0 ? sine(8, 0.004)(s) : 0), 3);
+        assert.equal(result.active, false);
+        assert.ok(result.regions < 4);
+    });
+
+    await t.test('breathing and slow motion below the band are ignored', () => {
+        const result = runLevels((r, s) => sine(0.5, 0.02, r)(s) + sine(1.5, 0.01)(s), 3);
+        assert.equal(result.active, false);
+    });
+
+    await t.test('too small to be motion is not a tremor', () => {
+        const result = runLevels((r, s) => sine(8, 0.0005, r)(s), 3);
+        assert.equal(result.active, false);
+    });
+
+    await t.test('below MIN_FPS the window is left unchecked', () => {
+        const result = runLevels((r, s) => sine(4, 0.004, r)(s), 3, 10);
+        assert.equal(result.checked, false);
+        assert.equal(result.active, false);
+        assert.equal(result.fps, 10);
+    });
+});
@@ -0,0 +1,192 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const WebhookClient = require('../js/webhook-client.js');
+
+const URL = 'https://example.test/hook';
+
+// localStorage stand-in
+function memoryStorage() {
+    const items = new Map();
+    return {
+        getItem: key => (items.has(key) ? items.get(key) : null),
+        setItem: (key, value) => items.set(key, String(value))
+    };
+}
+
+/**
+ * A client on a fake clock and transport. respond(request) returns the
+ * response ({ ok, status }) or throws for a network failure.
+ */
+function client(respond, options = {}) {
+    const clock = { t: Date.UTC(2026, 9, 19, 12) };
+    const requests = [];
+    const hook = new WebhookClient({
+        storage: options.storage || memoryStorage(),
+        subtle: crypto.webcrypto.subtle,
+        now: () => clock.t,
+        fetch: async (url, init) => {
+            const request = { url, headers: init.headers, body: JSON.parse(init.body), raw: init.body };
+            requests.push(request);
+            return respond(request);
+        }
+    });
+    hook.setConfig({ url: URL, enabled: true, secret: options.secret || '' });
+    return { hook, clock, requests };
+}
+
+const ok = () => ({ ok: true, status: 200 });
+const status = code => () => ({ ok: false, status: code });
+const offline = () => { throw new Error('Failed to fetch'); };
+
+test('WebhookClient', async (t) => {
+    let hooks;
+    let warn;
+    t.beforeEach(() => {
+        hooks = [];
+        warn = console.warn;
+        console.warn = () => {};
+    });
+    // No retry timer may outlive its spec
+    t.afterEach(() => {
+        hooks.forEach(h => h.clearQueue());
+        console.warn = warn;
+    });
+    const make = (...args) => {
+        const c = client(...args);
+        hooks.push(c.hook);
+        return c;
+    };
+
+    await t.test('delivers an event once and empties the queue', async () => {
+        const { hook, requests } = make(ok);
+        assert.equal(await hook.send('alert', { rule: 'howl' }), true);
+        assert.equal(requests.length, 1);
+        assert.equal(requests[0].body.event, 'alert');
+        assert.equal(requests[0].headers['X-Microsenses-Delivery'], requests[0].body.id);
+        assert.equal(hook.pending, 0);
+    });
+
+    await t.test('an event raised offline survives a reload and goes out later', async () => {
+        const storage = memoryStorage();
+        const first = client(offline, { storage });
+        assert.equal(await first.hook.send('scan-complete', { frames: 10 }), false);
+        clearTimeout(first.hook.timer);     // the page is gone, the stored queue isn't
+
+        const second = make(ok, { storage });
+        assert.equal(second.hook.pending, 1);
+        second.clock.t += second.hook.RETRY_BASE_MS;
+        await second.hook.flush();
+        assert.equal(second.requests.length, 1);
+        assert.equal(second.requests[0].body.frames, 10);
+        assert.equal(second.hook.pending, 0);
+    });
+
+    await t.test('retries with exponential backoff, then gives up', async () => {
+        const { hook, clock, requests } = make(status(503));
+        await hook.send('alert', {});
+        const delays = [];
+        while (hook.pending > 0) {
+            const [entry] = hook.queue;
+            delays.push(entry.nextAt - clock.t);
+            clock.t = entry.nextAt;
+            await hook.flush();
+        }
+        assert.equal(requests.length, hook.MAX_ATTEMPTS);
+        assert.deepEqual(delays, [5000, 10000, 20000, 40000, 80000, 160000, 300000]);
+    });
+
+    await t.test('a rejected event is dropped, a throttled one retried', async () => {
+        const rejected = make(status(400));
+        await rejected.hook.send('alert', {});
+        assert.equal(rejected.hook.pending, 0);
+
+        const throttled = make(status(429));
+        await throttled.hook.send('alert', {});
+        assert.equal(throttled.hook.pending, 1);
+        assert.equal(throttled.hook.queue[0].attempts, 1);
+    });
+
+    await t.test('an unreachable server holds back the rest of the queue', async () => {
+        const { hook, clock, requests } = make(offline);
+        await hook.send('alert', { n: 1 });
+        await hook.send('alert', { n: 2 });
+        clock.t += hook.RETRY_MAX_MS;
+        requests.length = 0;
+        await hook.flush();
+        assert.deepEqual(requests.map(r => r.body.n), [1]);
+        assert.equal(hook.pending, 2);
+    });
+
+    await t.test('the queue keeps the newest MAX_QUEUE events', async () => {
+        const { hook } = make(offline);
+        hook.queue = Array.from({ length: hook.MAX_QUEUE }, (_, i) =>
+            ({ id: 'old-' + i, payload: { event: 'alert', id: 'old-' + i }, attempts: 1, nextAt: Infinity }));
+        await hook.send('alert', { n: 'new' });
+        assert.equal(hook.pending, hook.MAX_QUEUE);
+        assert.equal(hook.queue[0].id, 'old-1');
+        assert.equal(hook.queue[hook.MAX_QUEUE - 1].payload.n, 'new');
+    });
+
+    await t.test('signs timestamp and body with the secret', async () => {
+        const { hook, clock, requests } = make(ok, { secret: 's3cret' });
+        await hook.send('alert', { rule: 'howl' });
+        const { headers, raw } = requests[0];
+        assert.equal(headers['X-Microsenses-Timestamp'], String(Math.floor(clock.t / 1000)));
+        const expected = crypto.createHmac('sha256', 's3cret')
+            .update(`${headers['X-Microsenses-Timestamp']}.${raw}`).digest('hex');
+        assert.equal(headers['X-Microsenses-Signature'], 'sha256=' + expected);
+    });
+
+    await t.test('sends nothing when disabled or not wanted', async () => {
+        const { hook, requests } = make(ok);
+        hook.setConfig({ url: URL, enabled: true, events: { alert: false } });
+        assert.equal(await hook.send('alert', {}), false);
+        hook.setConfig({ url: URL, enabled: false });
+        assert.equal(await hook.send('scan-complete', {}), false);
+        assert.equal(requests.length, 0);
+        assert.equal(hook.pending, 0);
+    });
+});
+
+test('scanPayload', async (t) => {
+    const hook = new WebhookClient({ storage: null, fetch: async () => ok() });
+    const META = { timestamp: Date.UTC(2026, 9, 19, 12), durationSec: 60, frames: 600, detections: 580 };
+    const results = () => ({
+        emotionReport: { dominantEmotion: 'calm', confidence: 70 },
+        barkReport: {
+            barks: { total: 240, rate: 240, dominantType: 'alert' },
+            vocalizations: { intensity: 'moderate' }
+        },
+        agentReport: {
+            behaviorState: { state: 'resting', label: 'Resting', confidence: 80 },
+            quality: { score: 82, level: 'good', sufficient: true }
+        }
+    });
+
+    await t.test('a monitoring session reports its own whole-session bark totals', () => {
+        const scan = results();
+        scan.monitoring = {
+            durationMin: 120,
+            totals: { barks: 300, barkTypes: { alert: 100, anxiety: 200 } },
+            assessment: { level: 'moderate', label: 'Moderate distress' }
+        };
+        const { bark } = hook.scanPayload(scan, { ...META, durationSec: 7200 });
+        assert.deepEqual(bark, { total: 300, rate: 2.5, dominantType: 'anxiety', intensity: 'moderate' });
+    });
+
+    await t.test('a scan too poor to read carries no emotion or behavior state', () => {
+        const good = hook.scanPayload(results(), META);
+        assert.deepEqual(good.quality, { score: 82, level: 'good', sufficient: true });
+        assert.equal(good.emotion.primary, 'calm');
+        assert.equal(good.behaviorState.state, 'resting');
+
+        const scan = results();
+        scan.agentReport.quality = { score: 12, level: 'insufficient', sufficient: false };
+        const poor = hook.scanPayload(scan, META);
+        assert.equal(poor.quality.sufficient, false);
+        assert.equal(poor.emotion, null);
+        assert.equal(poor.behaviorState, null);
+        assert.equal(poor.bark.total, 240);
+    });
+});